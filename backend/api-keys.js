@@ -0,0 +1,122 @@
+/**
+ * api-keys.js — API keys for machine-to-machine integrations.
+ *
+ * Other district systems (e-Office, the CM helpline tracker) call the notice
+ * API with an `X-API-Key` header instead of logging in. Each key:
+ *
+ *   - acts as one portal user (usually a service account created for the
+ *     integration), so notices it issues are sent from that user;
+ *   - is limited to its scopes: it holds only the permissions its scopes
+ *     grant *and* the user's role holds, and only reaches the notice
+ *     endpoints and the recipient list (KEY_PATHS);
+ *   - is stored as a SHA-256 hash — the raw key is shown once, at creation;
+ *   - may expire (last valid day, UTC) and can be revoked at any time;
+ *   - records when and from where it was last used;
+ *   - has its own per-minute request limit.
+ *
+ * Keys look like `rpk_<43 base64url chars>`; the first 12 characters are kept
+ * as key_prefix so administrators can tell keys apart.
+ *
+ * Exports:
+ *   SCOPES                       — scope → { label, permissions }
+ *   KEY_PATHS                    — request paths an API key may call
+ *   DEFAULT_RATE_LIMIT           — requests per minute when none is set
+ *   createApiKey(fields)         — insert a key; returns { id, key } with the raw key
+ *   findApiKey(raw)              — the usable key row for a raw key (with its user), or null
+ *   keyPermissions(key)          — the permissions a key row holds (a Set)
+ *   touchApiKey(id, ip)          — record a use of the key
+ *   apiKeyLimiter                — per-key rate limit middleware (needs req.apiKey)
+ */
+
+const crypto    = require('crypto');
+const rateLimit = require('express-rate-limit');
+const db        = require('./database/db');
+const { hashToken } = require('./sessions');
+const { permissionsFor } = require('./permissions');
+
+const SCOPES = {
+  'notices:read':    { label: 'Read notices and their statuses', permissions: ['notice.view_all'] },
+  'notices:create':  { label: 'Issue notices',                   permissions: ['notice.create'] },
+  'notices:respond': { label: 'Respond to notices',              permissions: ['notice.respond'] }
+};
+
+const KEY_PATHS = /^\/api\/portal\/(notices(\/|$)|users\/active$)/;
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+
+/**
+ * createApiKey
+ * @param  {{ name: string, userId: number, scopes: string[], expiresOn: string|null,
+ *            rateLimit: number, createdBy: number }} fields
+ * @returns {{ id: number, key: string }}
+ */
+function createApiKey({ name, userId, scopes, expiresOn, rateLimit: limit, createdBy }) {
+  const key    = `rpk_${crypto.randomBytes(32).toString('base64url')}`;
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, user_id, key_prefix, key_hash, scopes, rate_limit, expires_on, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(name, userId, key.slice(0, 12), hashToken(key), scopes.join(' '), limit, expiresOn, createdBy);
+  return { id: result.lastInsertRowid, key };
+}
+
+/**
+ * findApiKey — looks a key up by hash. Revoked and expired keys are not
+ * returned. The row carries the user's username, role, dept_id and is_active.
+ * @param  {string} raw
+ * @returns {object|null}
+ */
+function findApiKey(raw) {
+  if (!raw || !raw.startsWith('rpk_')) return null;
+  return db.prepare(`
+    SELECT k.id, k.name, k.user_id, k.scopes, k.rate_limit,
+           u.username, u.role, u.dept_id, u.is_active
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = ?
+      AND k.revoked_at IS NULL
+      AND (k.expires_on IS NULL OR k.expires_on >= date('now'))
+  `).get(hashToken(raw)) || null;
+}
+
+/**
+ * keyPermissions — the role's current permissions, narrowed to the ones the
+ * key's scopes grant.
+ * @param  {{ role: string, scopes: string }} key
+ * @returns {Set<string>}
+ */
+function keyPermissions(key) {
+  const granted = new Set(key.scopes.split(' ').flatMap(s => (SCOPES[s] || { permissions: [] }).permissions));
+  return new Set([...permissionsFor(key.role)].filter(p => granted.has(p)));
+}
+
+/**
+ * touchApiKey
+ * @param {number} id
+ * @param {string} [ip]
+ */
+function touchApiKey(id, ip) {
+  db.prepare("UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?")
+    .run(ip || null, id);
+}
+
+// Each key gets its own rate_limit requests per minute, counted by key id
+// rather than by IP, since an integration may call from several servers.
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: req => req.apiKey.rate_limit,
+  keyGenerator: req => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'API key rate limit exceeded. Please slow down.' }
+});
+
+module.exports = {
+  SCOPES,
+  KEY_PATHS,
+  DEFAULT_RATE_LIMIT,
+  createApiKey,
+  findApiKey,
+  keyPermissions,
+  touchApiKey,
+  apiKeyLimiter
+};
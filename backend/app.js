@@ -10,8 +10,9 @@
  *   /api/departments  — public department list and officials data
  *   /api/notices      — public notice board (read-only, from JSON file)
  *   /api/contact      — public contact-form submission
- *   /api/auth         — login, /me, change-password
- *   /api/portal       — authenticated notices + user management (JWT required)
+ *   /api/auth         — login, token refresh, /me, change-password, 2FA
+ *   /api/portal       — authenticated notices, drafts, recurring series, templates, user management,
+ *                       leave cover, impersonation, API keys (JWT, or an API key for notices)
  */
 
 require('dotenv').config();
@@ -23,12 +24,19 @@ const morgan     = require('morgan');
 const rateLimit  = require('express-rate-limit');
 const path       = require('path');
 
-const departmentsRouter = require('./routes/departments');
-const noticesRouter     = require('./routes/notices');
-const contactRouter     = require('./routes/contact');
-const authRouter        = require('./routes/auth');
-const noticesAuthRouter = require('./routes/notices-auth');
-const usersRouter       = require('./routes/users');
+const departmentsRouter   = require('./routes/departments');
+const noticesRouter       = require('./routes/notices');
+const contactRouter       = require('./routes/contact');
+const authRouter          = require('./routes/auth');
+const twoFactorRouter     = require('./routes/two-factor');
+const draftsRouter        = require('./routes/drafts');
+const seriesRouter        = require('./routes/series');
+const templatesRouter     = require('./routes/templates');
+const noticesAuthRouter   = require('./routes/notices-auth');
+const usersRouter         = require('./routes/users');
+const delegationsRouter   = require('./routes/delegations');
+const impersonationRouter = require('./routes/impersonation');
+const apiKeysRouter       = require('./routes/api-keys');
 
 // Storage mode flag — tells us whether files go to S3 or local disk
 const { isS3 } = require('./storage');
@@ -127,9 +135,26 @@ app.use('/api/notices',     noticesRouter);
 app.use('/api/contact',     contactLimiter, contactRouter);
 
 // ── Authenticated API ─────────────────────────────────
-app.use('/api/auth',   authLimiter, authRouter);
-app.use('/api/portal', noticesAuthRouter); // inbox, outbox, create/update/delete notices
-app.use('/api/portal', usersRouter);       // user management (admin only)
+// The strict limiter guards password and 2FA-code guessing (login,
+// change-password and 2fa/disable all check a password) plus the password
+// reset endpoints (which send email / accept tokens); token refresh and /me
+// are called routinely by every open dashboard and fall under globalLimiter.
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/change-password', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/api/auth/2fa/disable', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/2fa', twoFactorRouter);
+app.use('/api/auth',   authRouter);
+app.use('/api/portal', draftsRouter);        // unsent notices (before /notices/:id)
+app.use('/api/portal', noticesAuthRouter);   // inbox, outbox, create/update/delete notices
+app.use('/api/portal', seriesRouter);        // recurring notices
+app.use('/api/portal', templatesRouter);     // notice templates library
+app.use('/api/portal', usersRouter);         // user management (admin only)
+app.use('/api/portal', delegationsRouter);   // leave cover
+app.use('/api/portal', impersonationRouter); // admin "view as user"
+app.use('/api/portal', apiKeysRouter);       // integration keys (admin only)
 
 // ── SPA fallback ──────────────────────────────────────
 // Serve index.html for any unknown path so the frontend router works on reload.
@@ -0,0 +1,163 @@
+/**
+ * auth-providers.js — password checks behind POST /api/auth/login.
+ *
+ * AUTH_PROVIDERS lists the enabled providers (comma-separated, default
+ * "local"):
+ *
+ *   local — the bcrypt hash in users.password_hash.
+ *   ldap  — a bind against the district directory (ldap-auth.js). Accounts
+ *           are created on first login and their role, department and email
+ *           are refreshed from the directory groups on every login.
+ *
+ * Each account belongs to exactly one provider (users.auth_provider), so a
+ * directory user can never fall back to a stale local password and a local
+ * account cannot be taken over by a directory entry with the same name.
+ * Usernames without an account are tried against the directory only.
+ *
+ * Directory accounts have no portal password: change-password, the
+ * forgot-password link, admin password resets and password expiry do not
+ * apply to them.
+ *
+ * Exports:
+ *   LoginError                          — refusal with an HTTP status (403 no portal group, 503 directory down)
+ *   isEnabled(name)                     — whether a provider is switched on
+ *   authenticate(username, password, user) — Promise of the authenticated user id, or null
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db     = require('./database/db');
+const ldapAuth = require('./ldap-auth');
+const { isValidEmail } = require('./mailer');
+const { revokeUserSessions } = require('./sessions');
+
+/**
+ * LoginError — the credentials could not be checked, or were right but do not
+ * grant portal access. `outcome` is the login_attempts value to record, if any.
+ */
+class LoginError extends Error {
+  constructor(status, message, outcome = null) {
+    super(message);
+    this.status  = status;
+    this.outcome = outcome;
+  }
+}
+
+/**
+ * isEnabled — read on every call so tests and config reloads see changes.
+ * @param  {string} name — 'local' or 'ldap'
+ * @returns {boolean}
+ */
+function isEnabled(name) {
+  return (process.env.AUTH_PROVIDERS || 'local')
+    .split(',').map(s => s.trim().toLowerCase())
+    .includes(name);
+}
+
+/**
+ * availableEmail — the directory's address if it can be stored for this
+ * account (valid and not used by another account), otherwise null.
+ */
+function availableEmail(email, userId = 0) {
+  if (!email || !isValidEmail(email)) return null;
+  const taken = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(email, userId);
+  return taken ? null : email;
+}
+
+/**
+ * directoryAccess — maps the directory profile to portal access, turning a
+ * misconfiguration or a missing group into a LoginError.
+ */
+function directoryAccess(profile) {
+  let access;
+  try {
+    access = ldapAuth.mapGroups(profile.groups);
+  } catch (err) {
+    console.error('LDAP login failed:', err.message);
+    throw new LoginError(503, 'Directory login is temporarily unavailable. Try again later.');
+  }
+  if (!access) {
+    throw new LoginError(403, 'Your directory account is not in any group with portal access.', 'no_portal_group');
+  }
+  return access;
+}
+
+async function directoryProfile(username, password) {
+  try {
+    return await ldapAuth.authenticate(username, password);
+  } catch (err) {
+    if (!(err instanceof ldapAuth.DirectoryError)) throw err;
+    console.error('LDAP login failed:', err.message);
+    throw new LoginError(503, 'Directory login is temporarily unavailable. Try again later.');
+  }
+}
+
+/**
+ * provision — creates the portal account for a first-time directory login.
+ * The password hash is a random value no one knows, so the account cannot be
+ * used with the local provider.
+ * @returns {number} — new user id
+ */
+function provision(username, profile, access) {
+  const unusable = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 4);
+  try {
+    const result = db.prepare(`
+      INSERT INTO users (username, password_hash, role, dept_id, email, auth_provider, must_change_password)
+      VALUES (?, ?, ?, ?, ?, 'ldap', 0)
+    `).run(username, unusable, access.role, access.dept_id, availableEmail(profile.email));
+    return result.lastInsertRowid;
+  } catch (err) {
+    // Two first logins racing each other: the other request created the row.
+    if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+    return db.prepare('SELECT id FROM users WHERE username = ?').get(username).id;
+  }
+}
+
+/**
+ * syncAccount — applies the directory's current groups and email to an
+ * existing account. A role or department change revokes older sessions,
+ * whose tokens still carry the previous one.
+ */
+function syncAccount(user, profile, access) {
+  const email = availableEmail(profile.email, user.id);
+  db.prepare(`
+    UPDATE users SET role = ?, dept_id = ?, email = COALESCE(?, email) WHERE id = ?
+  `).run(access.role, access.dept_id, email, user.id);
+
+  if (access.role !== user.role || access.dept_id !== user.dept_id) {
+    revokeUserSessions(user.id);
+  }
+}
+
+/**
+ * authenticate — checks a password with the provider that owns the account,
+ * or against the directory when there is no account yet.
+ * @param  {string}      username — trimmed and lower-cased
+ * @param  {string}      password
+ * @param  {object|null} user — users row (id, role, dept_id, password_hash, auth_provider), if any
+ * @returns {Promise<number|null>} — the user id on success, null for wrong credentials
+ * @throws {LoginError}
+ */
+async function authenticate(username, password, user) {
+  const provider = user ? user.auth_provider : 'ldap';
+
+  if (!isEnabled(provider)) {
+    if (!user) return null;
+    throw new LoginError(503, 'The sign-in method for this account is not enabled.');
+  }
+
+  if (provider === 'local') {
+    // bcrypt.compareSync handles the timing-safe comparison.
+    return bcrypt.compareSync(password, user.password_hash) ? user.id : null;
+  }
+
+  const profile = await directoryProfile(username, password);
+  if (!profile) return null;
+
+  const access = directoryAccess(profile);
+  if (!user) return provision(username, profile, access);
+  syncAccount(user, profile, access);
+  return user.id;
+}
+
+module.exports = { LoginError, isEnabled, authenticate };
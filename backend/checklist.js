@@ -0,0 +1,147 @@
+/**
+ * checklist.js — checklist items inside a notice.
+ *
+ * A notice with several deliverables ("Annual Budget Utilisation Report":
+ * the utilisation certificate, the scheme-wise statement, ...) lists them as
+ * checklist items, each with its own deadline. An item may be optional, and
+ * may require a file to be ticked off. Every recipient row ticks the items
+ * off separately (notice_item_done), and may mark the notice Completed only
+ * once each required item is done.
+ *
+ * Items are sent with the notice — POST /notices, or saved on a draft — as
+ * `items`, a JSON array (a string in multipart forms) of
+ * { title, deadline, required?, requires_attachment? }; required defaults to
+ * true. They are fixed once the notice is published.
+ *
+ * Exports:
+ *   itemsFromBody(body)                 — { items } sent with a notice, or { error }
+ *   itemsError(items, deadline)         — why items cannot be published, or null
+ *   saveItems(noticeId, items)          — replace a notice's items
+ *   noticeItems(noticeId)               — a notice's items, in order
+ *   rowItems(noticeId, statusId)        — the items with one recipient row's progress
+ *   missingRequired(noticeId, statusId) — titles of required items the row has not done
+ */
+
+const db = require('./database/db');
+
+const MAX_ITEMS = 30;
+const DATE      = /^\d{4}-\d{2}-\d{2}$/;
+
+/** flag — a checkbox-like value: true, 1, '1' or 'true'. */
+const flag = value => value === true || value === 1 || value === '1' || value === 'true';
+
+/**
+ * itemsFromBody — parses and checks the format of the items sent with a
+ * notice. Titles and deadlines may still be missing (drafts are saved as
+ * they are typed); itemsError() checks them before publishing.
+ * @param  {object} body — req.body with an optional items field
+ * @returns {{ items: object[] } | { error: string }}
+ */
+function itemsFromBody(body) {
+  let raw = body.items;
+  if (raw === undefined || raw === null || raw === '') return { items: [] };
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch { raw = null; }
+  }
+  if (!Array.isArray(raw) || raw.some(i => !i || typeof i !== 'object')) {
+    return { error: 'items must be a list of { title, deadline, required, requires_attachment }.' };
+  }
+  if (raw.length > MAX_ITEMS) {
+    return { error: `A notice can have at most ${MAX_ITEMS} checklist items.` };
+  }
+
+  const items = raw.map(i => ({
+    title:               String(i.title || '').trim(),
+    deadline:            String(i.deadline || ''),
+    is_required:         i.required === undefined ? 1 : (flag(i.required) ? 1 : 0),
+    requires_attachment: flag(i.requires_attachment) ? 1 : 0
+  }));
+  if (items.some(i => i.title.length > 300)) {
+    return { error: 'Checklist item titles must be 300 characters or fewer.' };
+  }
+  if (items.some(i => i.deadline && !DATE.test(i.deadline))) {
+    return { error: 'Checklist item deadlines must be in YYYY-MM-DD format.' };
+  }
+  return { items };
+}
+
+/**
+ * itemsError — checks a notice's items are complete before it goes out: each
+ * has a title and a deadline no later than the notice's.
+ * @param  {object[]} items
+ * @param  {string}   deadline — the notice's deadline
+ * @returns {string|null}
+ */
+function itemsError(items, deadline) {
+  if (items.some(i => !i.title || !i.deadline)) {
+    return 'Every checklist item needs a title and a deadline.';
+  }
+  if (items.some(i => i.deadline > deadline)) {
+    return "Checklist item deadlines cannot be later than the notice's deadline.";
+  }
+  return null;
+}
+
+/**
+ * saveItems — replaces a notice's checklist with items, in order.
+ * @param {number}   noticeId
+ * @param {object[]} items — from itemsFromBody()
+ */
+function saveItems(noticeId, items) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM notice_items WHERE notice_id = ?').run(noticeId);
+    const insert = db.prepare(`
+      INSERT INTO notice_items (notice_id, position, title, deadline, is_required, requires_attachment)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    items.forEach((i, n) => insert.run(noticeId, n + 1, i.title, i.deadline || null, i.is_required, i.requires_attachment));
+  })();
+}
+
+/**
+ * noticeItems
+ * @param  {number} noticeId
+ * @returns {object[]} — { id, position, title, deadline, is_required, requires_attachment }
+ */
+function noticeItems(noticeId) {
+  return db.prepare(`
+    SELECT id, position, title, deadline, is_required, requires_attachment
+    FROM notice_items WHERE notice_id = ? ORDER BY position
+  `).all(noticeId);
+}
+
+/**
+ * rowItems — a notice's items with one recipient row's progress: done_at,
+ * done_by_username, remark and attachment_* are null on items not yet done.
+ * @param  {number} noticeId
+ * @param  {number} statusId
+ * @returns {object[]}
+ */
+function rowItems(noticeId, statusId) {
+  return db.prepare(`
+    SELECT i.id, i.position, i.title, i.deadline, i.is_required, i.requires_attachment,
+           x.done_at, b.username AS done_by_username, x.remark, x.attachment_path, x.attachment_name
+    FROM notice_items i
+    LEFT JOIN notice_item_done x ON x.item_id = i.id AND x.status_id = ?
+    LEFT JOIN users            b ON b.id = x.done_by
+    WHERE i.notice_id = ?
+    ORDER BY i.position
+  `).all(statusId, noticeId);
+}
+
+/**
+ * missingRequired
+ * @param  {number} noticeId
+ * @param  {number} statusId
+ * @returns {string[]} — titles, in checklist order
+ */
+function missingRequired(noticeId, statusId) {
+  return db.prepare(`
+    SELECT i.title FROM notice_items i
+    WHERE i.notice_id = ? AND i.is_required = 1
+      AND NOT EXISTS (SELECT 1 FROM notice_item_done x WHERE x.item_id = i.id AND x.status_id = ?)
+    ORDER BY i.position
+  `).all(noticeId, statusId).map(i => i.title);
+}
+
+module.exports = { itemsFromBody, itemsError, saveItems, noticeItems, rowItems, missingRequired };
@@ -7,10 +7,32 @@
  * Tables:
  *   departments        — reference lookup (code, name, category). No FK in notices.
  *   users              — login accounts; dept_id is a display label only.
- *   notices            — one row per notice; source = created_by user.
- *   notice_status      — one row per (notice, recipient user). Tracks acknowledgement.
- *   notice_archive_stats — archived monthly completion counts from closed notices.
- *   refresh_tokens     — long-lived session tokens (future use).
+ *   notices            — one row per notice; source = created_by user. Drafts and
+ *                        scheduled notices too, until published (see publishing.js).
+ *   notice_series      — recurring notices: the rule and template each instance is made from.
+ *   notice_templates   — reusable notice formats with {{placeholders}}, personal or district-wide.
+ *   notice_status      — one row per (notice, recipient user). Tracks acknowledgement, the sender's review and forwarding.
+ *   notice_responses   — every response a recipient has made, with its remark and file, and every review.
+ *   notice_revisions   — every earlier version of an edited notice.
+ *   notice_comments    — discussion on a notice, for all its recipients or one of them.
+ *   notice_comment_reads — the last comment each user has seen on each notice.
+ *   notice_items       — a notice's checklist: deliverables with their own deadlines (see checklist.js).
+ *   notice_item_done   — the checklist items each recipient row has done.
+ *   notice_item_history — every time a checklist item was ticked off or undone, with its file.
+ *   deadline_extensions — recipients' requests for more time, and the sender's decision.
+ *   delegations        — leave cover: a deputy handles an officer's notices (see delegations.js).
+ *   notice_archive_stats — monthly completion counts kept from notices purged after retention.
+ *   refresh_tokens     — hashed, rotating refresh tokens; one family per login session.
+ *   revoked_tokens     — access-token ids (jti) revoked by logout, kept until expiry.
+ *   recovery_codes     — hashed single-use 2FA recovery codes.
+ *   login_attempts     — audit trail of every login attempt (see lockout.js).
+ *   impersonations     — audit trail of administrators viewing as users (see impersonation.js).
+ *   api_keys           — hashed, scoped keys for integrations (see api-keys.js).
+ *   password_history   — recent password hashes per user, to prevent reuse.
+ *   password_resets    — hashed single-use tokens from emailed reset links.
+ *   role_settings      — per-role security policy (e.g. mandatory 2FA).
+ *   roles              — roles a user can hold; built-ins from data/roles.json.
+ *   role_permissions   — permissions granted to each role (see permissions.js).
  *
  * Dropped:
  *   notice_targets     — eliminated; notice_status is the single source of truth.
@@ -38,17 +60,57 @@ db.exec(`
     category    TEXT
   );
 
+  -- Roles a user can hold. The built-in roles (admin, auditor, dept_head,
+  -- department, clerk) are seeded from data/roles.json below.
+  -- requires_department = 1: accounts with this role must have a dept_id.
+  CREATE TABLE IF NOT EXISTS roles (
+    name                TEXT    PRIMARY KEY,
+    label               TEXT    NOT NULL,
+    requires_department INTEGER NOT NULL DEFAULT 0
+  );
+
+  -- What each role may do — one row per (role, permission). The permission
+  -- names are listed in permissions.js and checked by requirePermission.
+  CREATE TABLE IF NOT EXISTS role_permissions (
+    role        TEXT    NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission  TEXT    NOT NULL,
+    PRIMARY KEY (role, permission)
+  );
+
   -- Portal login accounts.
-  -- role = 'admin'      → full access: view all notices, manage users.
-  -- role = 'department' → personal inbox/outbox, compose notices.
+  -- role decides what the account may do through role_permissions, e.g.
+  -- 'admin' manages users, 'department' issues and answers notices.
   -- dept_id is a display label (e.g. "Revenue Dept") — NULL for admin accounts.
+  -- token_version is embedded in every access token; bumping it invalidates
+  -- all outstanding tokens (deactivation, password change/reset, admin revoke).
+  -- totp_secret is set when 2FA enrollment starts; totp_enabled flips to 1 only
+  -- after the user proves their authenticator app produces matching codes.
+  -- totp_last_step is the time step of the last TOTP code accepted; codes from
+  -- it or an earlier step are refused, so each code works only once.
+  -- failed_attempts counts consecutive failed logins; locked_until is set once
+  -- it reaches the lockout threshold (see lockout.js).
+  -- must_change_password is set when an admin chooses the password (create or
+  -- reset); password_changed_at drives the maximum password age.
+  -- email (stored lower-case, unique when set) receives password reset links.
+  -- auth_provider is the provider that checks this account's password:
+  -- 'local' (password_hash) or 'ldap' (directory bind; see auth-providers.js).
   CREATE TABLE IF NOT EXISTS users (
     id            INTEGER PRIMARY KEY AUTOINCREMENT,
     username      TEXT    NOT NULL UNIQUE,
     password_hash TEXT    NOT NULL,
-    role          TEXT    NOT NULL CHECK(role IN ('admin','department')),
+    role          TEXT    NOT NULL REFERENCES roles(name),
     dept_id       INTEGER REFERENCES departments(id) ON DELETE SET NULL,
     is_active     INTEGER NOT NULL DEFAULT 1,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    totp_secret   TEXT,
+    totp_enabled  INTEGER NOT NULL DEFAULT 0,
+    totp_last_step INTEGER,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until  TEXT,
+    must_change_password INTEGER NOT NULL DEFAULT 0,
+    password_changed_at  TEXT DEFAULT (datetime('now')),
+    email         TEXT,
+    auth_provider TEXT    NOT NULL DEFAULT 'local' CHECK(auth_provider IN ('local','ldap')),
     created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
     last_login    TEXT
   );
@@ -56,6 +118,18 @@ db.exec(`
   -- One row per notice. Source is the creating user (created_by).
   -- target_all = 1: every active non-admin user is a recipient.
   -- target_all = 0: only users listed in notice_status are recipients.
+  -- revision starts at 1 and goes up each time the creator edits the notice;
+  -- updated_at is the time of the latest edit (of a draft: when last saved).
+  -- state: draft → scheduled (publish_at, UTC) → published. Only published
+  -- notices have notice_status rows; until then draft_targets holds the
+  -- chosen recipients as JSON, and created_at becomes the publication time.
+  -- series_id / series_seq: the recurring series this notice is instance
+  -- number series_seq of (see series.js).
+  -- withdrawn_at / withdrawn_by / withdrawal_reason: set when the sender
+  -- recalls a published notice. It keeps its rows but leaves recipients'
+  -- inboxes for their withdrawn-notices history and takes no more responses.
+  -- closed_at / closed_by: set when the notice is closed. A closed notice is
+  -- kept whole in the archive until the retention job purges it (retention.js).
   CREATE TABLE IF NOT EXISTS notices (
     id              INTEGER PRIMARY KEY AUTOINCREMENT,
     title           TEXT    NOT NULL,
@@ -66,28 +140,245 @@ db.exec(`
     target_all      INTEGER NOT NULL DEFAULT 0,
     attachment_path TEXT,
     attachment_name TEXT,
-    created_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+    created_at      TEXT    NOT NULL DEFAULT (datetime('now')),
+    revision        INTEGER NOT NULL DEFAULT 1,
+    updated_at      TEXT,
+    state           TEXT    NOT NULL DEFAULT 'published'
+                            CHECK(state IN ('draft','scheduled','published')),
+    publish_at      TEXT,
+    draft_targets   TEXT,
+    series_id       INTEGER REFERENCES notice_series(id) ON DELETE SET NULL,
+    series_seq      INTEGER,
+    withdrawn_at    TEXT,
+    withdrawn_by    INTEGER REFERENCES users(id),
+    withdrawal_reason TEXT,
+    closed_at       TEXT,
+    closed_by       INTEGER REFERENCES users(id)
+  );
+
+  -- A recurring notice (see series.js). Each period the scheduler makes a
+  -- notice from title/body/priority for the recipients in targets (JSON, as
+  -- notices.draft_targets), due deadline_days after it goes out.
+  -- Runs fall at starts_at plus whole periods (UTC); next_run_at is the next
+  -- one, and period the number of periods it is after starts_at. The series
+  -- finishes after ends_on (last day a notice may go out) or max_count
+  -- notices, whichever comes first.
+  -- status: active ⇄ paused; stopped and finished are final.
+  CREATE TABLE IF NOT EXISTS notice_series (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    title         TEXT    NOT NULL,
+    body          TEXT    NOT NULL,
+    priority      TEXT    NOT NULL CHECK(priority IN ('High','Normal','Low')),
+    targets       TEXT    NOT NULL,
+    frequency     TEXT    NOT NULL CHECK(frequency IN ('daily','weekly','monthly','quarterly')),
+    starts_at     TEXT    NOT NULL,
+    deadline_days INTEGER NOT NULL DEFAULT 0 CHECK(deadline_days >= 0),
+    ends_on       TEXT,
+    max_count     INTEGER CHECK(max_count > 0),
+    status        TEXT    NOT NULL DEFAULT 'active'
+                          CHECK(status IN ('active','paused','stopped','finished')),
+    period        INTEGER NOT NULL DEFAULT 0,
+    next_run_at   TEXT,
+    sent_count    INTEGER NOT NULL DEFAULT 0,
+    created_by    INTEGER NOT NULL REFERENCES users(id),
+    created_at    TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Reusable notice formats. title and body may contain {{placeholders}}
+  -- (e.g. {{meeting_date}}) that the compose page asks for. targets is the
+  -- default recipient list (JSON, as notices.draft_targets) or NULL.
+  -- owner_id is the user a personal template belongs to; NULL makes it
+  -- district-wide — visible to every sender, managed with user.manage.
+  CREATE TABLE IF NOT EXISTS notice_templates (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    name        TEXT    NOT NULL,
+    title       TEXT    NOT NULL,
+    body        TEXT    NOT NULL,
+    priority    TEXT    NOT NULL DEFAULT 'Normal' CHECK(priority IN ('High','Normal','Low')),
+    targets     TEXT,
+    owner_id    INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_by  INTEGER NOT NULL REFERENCES users(id),
+    created_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+    updated_at  TEXT
   );
 
-  -- Per-user acknowledgement state for each notice.
-  -- One row per (notice, recipient user).
-  -- status lifecycle: Pending → Noted → Completed.
+  -- Acknowledgement state for each notice, one row per recipient.
+  -- A recipient is either one user (user_id) or a whole department (dept_id,
+  -- user_id NULL): a department row shows in the inbox of every active member
+  -- of that department, and whoever responds is recorded in acted_by.
+  -- status lifecycle: Pending → Noted → Submitted → Accepted. A recipient who
+  -- marks the notice completed submits it for the sender's review; the sender
+  -- accepts it, which is final, or returns it with comments (review_note) to
+  -- In Progress for rework. reviewed_by / reviewed_at are the latest review.
+  -- A recipient may forward the notice to another user or department: the new
+  -- row links back to theirs (forwarded_from) with who forwarded it, when and
+  -- why, so following the links gives the chain of custody. Reassigning hands
+  -- the notice over, leaving the forwarder's row Reassigned and out of their
+  -- inbox; forwarding a copy leaves it as it was.
+  -- remark, reply_path and reply_name are those of the latest response; every
+  -- response, earlier ones included, is kept in notice_responses.
+  -- changed_since_ack = 1 when the notice was edited after this recipient
+  -- responded; it is cleared by their next response.
+  -- extended_deadline is set when the sender grants this recipient more time;
+  -- the recipient's effective deadline is the later of it and notices.deadline.
   CREATE TABLE IF NOT EXISTS notice_status (
     id          INTEGER PRIMARY KEY AUTOINCREMENT,
     notice_id   INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
-    user_id     INTEGER NOT NULL REFERENCES users(id),
+    user_id     INTEGER REFERENCES users(id),
+    dept_id     INTEGER REFERENCES departments(id),
     status      TEXT    NOT NULL DEFAULT 'Pending'
-                        CHECK(status IN ('Pending','Noted','Completed')),
+                        CHECK(status IN ('Pending','Noted','In Progress','Submitted','Accepted','Reassigned')),
     remark      TEXT,
     reply_path  TEXT,
     reply_name  TEXT,
     is_read     INTEGER NOT NULL DEFAULT 0,
     updated_at  TEXT,
+    acted_by    INTEGER REFERENCES users(id),
+    changed_since_ack INTEGER NOT NULL DEFAULT 0,
+    extended_deadline TEXT,
+    reviewed_by INTEGER REFERENCES users(id),
+    reviewed_at TEXT,
+    review_note TEXT,
+    forwarded_from INTEGER REFERENCES notice_status(id),
+    forwarded_by   INTEGER REFERENCES users(id),
+    forwarded_at   TEXT,
+    forward_note   TEXT,
     UNIQUE(notice_id, user_id)
   );
 
-  -- Archived monthly completion counts written when a notice is closed.
-  -- The monthly-stats endpoint UNIONs this with live notice_status rows.
+  -- One row per response to a notice_status row (Noted or Submitted), oldest
+  -- first, so a recipient who notes a notice and later completes it keeps
+  -- both remarks and both files. acted_by is who responded: the recipient, a
+  -- member of the department, or a deputy. The sender's reviews (Accepted or
+  -- Returned, with their comments as the remark) are kept here too.
+  CREATE TABLE IF NOT EXISTS notice_responses (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    status_id   INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+    status      TEXT    NOT NULL CHECK(status IN ('Noted','Submitted','Returned','Accepted')),
+    remark      TEXT    NOT NULL,
+    reply_path  TEXT,
+    reply_name  TEXT,
+    acted_by    INTEGER REFERENCES users(id),
+    created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Earlier versions of edited notices. Each row is the version that
+  -- revision (revision + 1) replaced, and who replaced it and when.
+  CREATE TABLE IF NOT EXISTS notice_revisions (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    notice_id  INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+    revision   INTEGER NOT NULL,
+    title      TEXT    NOT NULL,
+    body       TEXT    NOT NULL,
+    priority   TEXT    NOT NULL,
+    deadline   TEXT    NOT NULL,
+    edited_by  INTEGER NOT NULL REFERENCES users(id),
+    edited_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+    UNIQUE(notice_id, revision)
+  );
+
+  -- Discussion between a notice's sender and its recipients. status_id NULL:
+  -- seen by the sender and every recipient; otherwise private between the
+  -- sender and that recipient (for a department row, its members).
+  CREATE TABLE IF NOT EXISTS notice_comments (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    notice_id       INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+    status_id       INTEGER REFERENCES notice_status(id) ON DELETE CASCADE,
+    author_id       INTEGER NOT NULL REFERENCES users(id),
+    body            TEXT    NOT NULL,
+    attachment_path TEXT,
+    attachment_name TEXT,
+    created_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- The newest comment on a notice each user has seen; later comments by
+  -- others that they can see count as unread.
+  CREATE TABLE IF NOT EXISTS notice_comment_reads (
+    notice_id    INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+    user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_id INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (notice_id, user_id)
+  );
+
+  -- Checklist items of a notice: separate deliverables, each with its own
+  -- deadline, set while the notice is written and fixed once it is published
+  -- (a draft's may still lack a title or deadline). Recipients cannot mark
+  -- the notice Completed until every required item (is_required) is done;
+  -- requires_attachment items are ticked off only with a file.
+  CREATE TABLE IF NOT EXISTS notice_items (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    notice_id           INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+    position            INTEGER NOT NULL,
+    title               TEXT    NOT NULL DEFAULT '',
+    deadline            TEXT,
+    is_required         INTEGER NOT NULL DEFAULT 1,
+    requires_attachment INTEGER NOT NULL DEFAULT 0
+  );
+
+  -- One row per checklist item a recipient row (notice_status) has done, with
+  -- who ticked it off, when, and the file and remark it came with.
+  CREATE TABLE IF NOT EXISTS notice_item_done (
+    item_id         INTEGER NOT NULL REFERENCES notice_items(id) ON DELETE CASCADE,
+    status_id       INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+    done_by         INTEGER NOT NULL REFERENCES users(id),
+    done_at         TEXT    NOT NULL DEFAULT (datetime('now')),
+    remark          TEXT,
+    attachment_path TEXT,
+    attachment_name TEXT,
+    PRIMARY KEY (item_id, status_id)
+  );
+
+  -- Every tick and undo of a checklist item on a recipient row, oldest
+  -- first. Files sent with an item stay here when it is ticked off again or
+  -- undone, until the retention job purges the notice.
+  CREATE TABLE IF NOT EXISTS notice_item_history (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id         INTEGER NOT NULL REFERENCES notice_items(id) ON DELETE CASCADE,
+    status_id       INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+    done            INTEGER NOT NULL,
+    remark          TEXT,
+    attachment_path TEXT,
+    attachment_name TEXT,
+    acted_by        INTEGER NOT NULL REFERENCES users(id),
+    created_at      TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- A recipient's request for a later deadline on their notice_status row.
+  -- status lifecycle: Pending → Approved | Rejected. Approving copies
+  -- proposed_deadline to notice_status.extended_deadline.
+  CREATE TABLE IF NOT EXISTS deadline_extensions (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    status_id         INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+    requested_by      INTEGER NOT NULL REFERENCES users(id),
+    proposed_deadline TEXT    NOT NULL,
+    reason            TEXT    NOT NULL,
+    status            TEXT    NOT NULL DEFAULT 'Pending'
+                              CHECK(status IN ('Pending','Approved','Rejected')),
+    decided_by        INTEGER REFERENCES users(id),
+    decided_at        TEXT,
+    decision_note     TEXT,
+    created_at        TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Leave cover. From starts_on to ends_on (inclusive, YYYY-MM-DD) the
+  -- delegate (to_user_id) sees the notices addressed to from_user_id in their
+  -- inbox and may answer them; the status row then keeps user_id = the
+  -- delegator and acted_by = the delegate. Cancelling deletes the row.
+  CREATE TABLE IF NOT EXISTS delegations (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_user_id INTEGER NOT NULL REFERENCES users(id),
+    to_user_id   INTEGER NOT NULL REFERENCES users(id),
+    starts_on    TEXT    NOT NULL,
+    ends_on      TEXT    NOT NULL,
+    created_by   INTEGER NOT NULL REFERENCES users(id),
+    created_at   TEXT    NOT NULL DEFAULT (datetime('now')),
+    CHECK(from_user_id != to_user_id),
+    CHECK(ends_on >= starts_on)
+  );
+
+  -- Monthly completion counts of purged notices, written when the retention
+  -- job (retention.js) deletes a closed notice. The monthly-stats endpoint
+  -- UNIONs this with live notice_status rows, closed notices' included.
   CREATE TABLE IF NOT EXISTS notice_archive_stats (
     id        INTEGER PRIMARY KEY AUTOINCREMENT,
     month     TEXT    NOT NULL,
@@ -95,14 +386,295 @@ db.exec(`
     closed_at TEXT    NOT NULL DEFAULT (datetime('now'))
   );
 
-  -- Refresh tokens for future session-extension support.
+  -- Refresh tokens — only the SHA-256 hash of each token is stored.
+  -- Every login starts a new family_id; each refresh rotates the token within
+  -- that family (revoked_at + replaced_by on the old row). Presenting a token
+  -- that was already rotated is treated as theft and revokes the whole family.
   CREATE TABLE IF NOT EXISTS refresh_tokens (
     id          INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     token_hash  TEXT    NOT NULL,
+    family_id   TEXT    NOT NULL,
     expires_at  TEXT    NOT NULL,
+    revoked_at  TEXT,
+    replaced_by INTEGER REFERENCES refresh_tokens(id),
     created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
   );
+
+  -- Access tokens revoked before their natural expiry (logout).
+  -- Rows can be purged once expires_at has passed — the JWT is dead by then.
+  CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti         TEXT    PRIMARY KEY,
+    user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at  TEXT    NOT NULL,
+    revoked_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Two-factor recovery codes — SHA-256 hashes only; used_at marks a spent code.
+  CREATE TABLE IF NOT EXISTS recovery_codes (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash   TEXT    NOT NULL,
+    used_at     TEXT,
+    created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Every login attempt. username is stored as typed (user_id is NULL when it
+  -- matched no account) so guessing against non-existent names is visible too.
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    username    TEXT    NOT NULL,
+    user_id     INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip          TEXT,
+    user_agent  TEXT,
+    outcome     TEXT    NOT NULL,
+    created_at  TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- One row per "view as user" session, written before its token is issued
+  -- (see impersonation.js). ended_at is set when the administrator exits;
+  -- otherwise the session lapses at expires_at.
+  CREATE TABLE IF NOT EXISTS impersonations (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_id    INTEGER NOT NULL REFERENCES users(id),
+    user_id     INTEGER NOT NULL REFERENCES users(id),
+    reason      TEXT    NOT NULL,
+    read_only   INTEGER NOT NULL DEFAULT 1,
+    ip          TEXT,
+    user_agent  TEXT,
+    started_at  TEXT    NOT NULL DEFAULT (datetime('now')),
+    expires_at  TEXT    NOT NULL,
+    ended_at    TEXT
+  );
+
+  -- Keys for machine-to-machine integrations (see api-keys.js). Only the
+  -- SHA-256 hash is stored; scopes are space-separated. The key is usable
+  -- until revoked_at is set or the day after expires_on (UTC).
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    name         TEXT    NOT NULL,
+    user_id      INTEGER NOT NULL REFERENCES users(id),
+    key_prefix   TEXT    NOT NULL,
+    key_hash     TEXT    NOT NULL UNIQUE,
+    scopes       TEXT    NOT NULL,
+    rate_limit   INTEGER NOT NULL,
+    expires_on   TEXT,
+    revoked_at   TEXT,
+    last_used_at TEXT,
+    last_used_ip TEXT,
+    created_by   INTEGER NOT NULL REFERENCES users(id),
+    created_at   TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Previous password hashes (bcrypt), newest last; trimmed to the policy's
+  -- history length by password-policy.js.
+  CREATE TABLE IF NOT EXISTS password_history (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash TEXT    NOT NULL,
+    created_at    TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Password reset tokens (see password-reset.js). Only the SHA-256 hash of
+  -- the emailed token is stored; used_at is set when the link is redeemed.
+  CREATE TABLE IF NOT EXISTS password_resets (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash    TEXT    NOT NULL UNIQUE,
+    expires_at    TEXT    NOT NULL,
+    used_at       TEXT,
+    requested_ip  TEXT,
+    created_at    TEXT    NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Security policy per role. A missing row means "use the defaults".
+  -- require_2fa = 1 blocks portal access until the user has enrolled in 2FA.
+  CREATE TABLE IF NOT EXISTS role_settings (
+    role        TEXT    PRIMARY KEY,
+    require_2fa INTEGER NOT NULL DEFAULT 0
+  );
+`);
+
+// ── Built-in roles ───────────────────────────────────────────────────────────
+// A role's default permissions are only granted when the role is first
+// created, so changes made later through PUT /api/portal/roles/:role stick.
+const insertRole = db.prepare('INSERT OR IGNORE INTO roles (name, label, requires_department) VALUES (?, ?, ?)');
+const grantPermission = db.prepare('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)');
+db.transaction(() => {
+  for (const role of require('../data/roles.json')) {
+    if (insertRole.run(role.name, role.label, role.requires_department ? 1 : 0).changes) {
+      role.permissions.forEach(p => grantPermission.run(role.name, p));
+    }
+  }
+})();
+
+// ── Column migrations for databases created by older releases ───────────────
+// CREATE TABLE IF NOT EXISTS never alters an existing table, so columns added
+// after the first deployment are back-filled here with ALTER TABLE.
+
+/**
+ * addColumn — adds a column to an existing table if it is not already present.
+ * SQLite's ADD COLUMN cannot use a non-constant default, so definitions here
+ * must be nullable or carry a literal default.
+ */
+function addColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+addColumn('users',          'token_version',        'INTEGER NOT NULL DEFAULT 0');
+addColumn('users',          'totp_secret',          'TEXT');
+addColumn('users',          'totp_enabled',         'INTEGER NOT NULL DEFAULT 0');
+addColumn('users',          'totp_last_step',       'INTEGER');
+addColumn('users',          'failed_attempts',      'INTEGER NOT NULL DEFAULT 0');
+addColumn('users',          'locked_until',         'TEXT');
+addColumn('users',          'must_change_password', 'INTEGER NOT NULL DEFAULT 0');
+addColumn('users',          'password_changed_at',  'TEXT');
+addColumn('users',          'email',                'TEXT');
+addColumn('users',          'auth_provider',        "TEXT NOT NULL DEFAULT 'local'");
+addColumn('refresh_tokens', 'family_id',            'TEXT');
+addColumn('refresh_tokens', 'revoked_at',           'TEXT');
+addColumn('refresh_tokens', 'replaced_by',          'INTEGER REFERENCES refresh_tokens(id)');
+addColumn('notice_status',  'user_id',              'INTEGER REFERENCES users(id)');
+addColumn('notice_status',  'dept_id',              'INTEGER REFERENCES departments(id)');
+addColumn('notice_status',  'acted_by',             'INTEGER REFERENCES users(id)');
+addColumn('notice_status',  'changed_since_ack',    'INTEGER NOT NULL DEFAULT 0');
+addColumn('notice_status',  'extended_deadline',    'TEXT');
+addColumn('notice_status',  'reviewed_by',          'INTEGER REFERENCES users(id)');
+addColumn('notice_status',  'reviewed_at',          'TEXT');
+addColumn('notice_status',  'review_note',          'TEXT');
+addColumn('notice_status',  'forwarded_from',       'INTEGER REFERENCES notice_status(id)');
+addColumn('notice_status',  'forwarded_by',         'INTEGER REFERENCES users(id)');
+addColumn('notice_status',  'forwarded_at',         'TEXT');
+addColumn('notice_status',  'forward_note',         'TEXT');
+addColumn('notices',        'revision',             'INTEGER NOT NULL DEFAULT 1');
+addColumn('notices',        'updated_at',           'TEXT');
+addColumn('notices',        'state',                "TEXT NOT NULL DEFAULT 'published' CHECK(state IN ('draft','scheduled','published'))");
+addColumn('notices',        'publish_at',           'TEXT');
+addColumn('notices',        'draft_targets',        'TEXT');
+addColumn('notices',        'series_id',            'INTEGER REFERENCES notice_series(id) ON DELETE SET NULL');
+addColumn('notices',        'series_seq',           'INTEGER');
+addColumn('notices',        'withdrawn_at',         'TEXT');
+addColumn('notices',        'withdrawn_by',         'INTEGER REFERENCES users(id)');
+addColumn('notices',        'withdrawal_reason',    'TEXT');
+addColumn('notices',        'closed_at',            'TEXT');
+addColumn('notices',        'closed_by',            'INTEGER REFERENCES users(id)');
+
+// Existing accounts start their password-age clock at migration time rather
+// than being forced to change immediately.
+db.prepare("UPDATE users SET password_changed_at = datetime('now') WHERE password_changed_at IS NULL").run();
+
+// ── Table rebuilds ───────────────────────────────────────────────────────────
+// SQLite cannot drop a CHECK or NOT NULL constraint, so tables whose older
+// definition has one are rebuilt once from their own stored CREATE statement
+// with the constraint edited out (SQLite's documented create-copy-drop-rename
+// procedure, with foreign keys off meanwhile). Column order is unchanged, so
+// the rows copy across as they are, unless `select` rewrites values the new
+// constraint no longer accepts.
+
+/**
+ * rebuildTable — recreates `table` from `sql`, a modified copy of its stored
+ * CREATE statement, keeping every row.
+ * @param {string} [select] — the column list copied across, in table order
+ * @throws if the copied rows break a foreign key
+ */
+function rebuildTable(table, sql, select = '*') {
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(sql.replace(new RegExp(`^CREATE TABLE\\s+("?)${table}\\1`, 'i'), `CREATE TABLE ${table}_new`));
+      db.exec(`INSERT INTO ${table}_new SELECT ${select} FROM ${table}`);
+      db.exec(`DROP TABLE ${table}`);
+      db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+      if (db.pragma(`foreign_key_check(${table})`).length) {
+        throw new Error(`Rebuilding ${table} left rows that break a foreign key.`);
+      }
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+const tableSql = table =>
+  db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table).sql;
+
+/** columnsWith — `table`'s columns in order, with some replaced by SQL expressions. */
+const columnsWith = (table, exprs) =>
+  db.prepare(`PRAGMA table_info(${table})`).all().map(c => exprs[c.name] || c.name).join(', ');
+
+// Older releases limited users.role to CHECK(role IN ('admin','department'));
+// the role now references the roles table instead.
+const usersSql   = tableSql('users');
+const ROLE_CHECK = /CHECK\s*\(\s*role\s+IN\s*\([^)]*\)\s*\)/i;
+if (ROLE_CHECK.test(usersSql)) {
+  rebuildTable('users', usersSql.replace(ROLE_CHECK, 'REFERENCES roles(name)'));
+}
+
+// notice_status rows used to be for exactly one user (or, in the first
+// release, one department); now either user_id or dept_id may be NULL.
+const RECIPIENT_NOT_NULL = /\b(user_id|dept_id)(\s+INTEGER)\s+NOT\s+NULL/gi;
+const noticeStatusSql    = tableSql('notice_status');
+if (RECIPIENT_NOT_NULL.test(noticeStatusSql)) {
+  rebuildTable('notice_status', noticeStatusSql.replace(RECIPIENT_NOT_NULL, '$1$2'));
+}
+
+// notice_status.status has gained values: the sender's review of completions
+// (In Progress, Submitted, Accepted) and Reassigned for notices handed over.
+// Recipients used to close out a notice themselves by marking it Completed;
+// completions on closed notices count as accepted, those on open ones await
+// the sender's review.
+const STATUS_CHECK    = /CHECK\s*\(\s*status\s+IN\s*\([^)]*\)\s*\)/i;
+const NOTICE_STATUSES = "CHECK(status IN ('Pending','Noted','In Progress','Submitted','Accepted','Reassigned'))";
+const SELF_COMPLETED  = /CHECK\s*\(\s*status\s+IN\s*\([^)]*'Completed'\s*\)\s*\)/i;
+const statusSql       = tableSql('notice_status');
+if (!statusSql.includes(NOTICE_STATUSES)) {
+  rebuildTable('notice_status',
+    statusSql.replace(STATUS_CHECK, NOTICE_STATUSES),
+    columnsWith('notice_status', { status: `CASE
+      WHEN status != 'Completed' THEN status
+      WHEN (SELECT closed_at FROM notices WHERE notices.id = notice_status.notice_id) IS NOT NULL THEN 'Accepted'
+      ELSE 'Submitted' END` }));
+}
+const responsesSql = tableSql('notice_responses');
+if (SELF_COMPLETED.test(responsesSql)) {
+  rebuildTable('notice_responses',
+    responsesSql.replace(SELF_COMPLETED, "CHECK(status IN ('Noted','Submitted','Returned','Accepted'))"),
+    columnsWith('notice_responses', { status: "CASE status WHEN 'Completed' THEN 'Submitted' ELSE status END" }));
+}
+
+// Responses given before notice_responses existed start the history with the
+// one response their status row kept.
+db.prepare(`
+  INSERT INTO notice_responses (status_id, status, remark, reply_path, reply_name, acted_by, created_at)
+  SELECT ns.id, ns.status, COALESCE(ns.remark, ''), ns.reply_path, ns.reply_name, ns.acted_by,
+         COALESCE(ns.updated_at, datetime('now'))
+  FROM notice_status ns
+  WHERE ns.status != 'Pending'
+    AND NOT EXISTS (SELECT 1 FROM notice_responses r WHERE r.status_id = ns.id)
+`).run();
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash   ON refresh_tokens(token_hash);
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email     ON users(email);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_notice_status_user ON notice_status(notice_id, user_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_notice_status_dept ON notice_status(notice_id, dept_id);
+  CREATE INDEX IF NOT EXISTS idx_notice_status_dept_id ON notice_status(dept_id);
+  CREATE INDEX IF NOT EXISTS idx_delegations_to ON delegations(to_user_id, starts_on, ends_on);
+  CREATE INDEX IF NOT EXISTS idx_deadline_extensions_status ON deadline_extensions(status_id);
+  CREATE INDEX IF NOT EXISTS idx_notice_responses_status ON notice_responses(status_id);
+  CREATE INDEX IF NOT EXISTS idx_notice_comments_notice ON notice_comments(notice_id);
+  CREATE INDEX IF NOT EXISTS idx_notice_items_notice ON notice_items(notice_id, position);
+  CREATE INDEX IF NOT EXISTS idx_notice_item_done_status ON notice_item_done(status_id);
+  CREATE INDEX IF NOT EXISTS idx_notice_item_history_status ON notice_item_history(status_id);
+  CREATE INDEX IF NOT EXISTS idx_notices_state ON notices(state, publish_at);
+  CREATE INDEX IF NOT EXISTS idx_notices_series ON notices(series_id);
+  CREATE INDEX IF NOT EXISTS idx_notices_closed ON notices(closed_at);
+  CREATE INDEX IF NOT EXISTS idx_notice_series_due ON notice_series(status, next_run_at);
+  CREATE INDEX IF NOT EXISTS idx_notice_templates_owner ON notice_templates(owner_id);
 `);
 
 module.exports = db;
@@ -6,6 +6,10 @@
  * Inserts departments, users, and sample notices.
  * Uses INSERT OR IGNORE so it is safe to run multiple times.
  * Will abort if NODE_ENV=production.
+ *
+ * Passwords come from SEED_ADMIN_PASSWORD / SEED_DEPT_PASSWORD if set (they
+ * must satisfy the password policy); otherwise each new user gets a random
+ * password, printed once below. Seeded users must change it at first login.
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
@@ -15,8 +19,10 @@ if (process.env.NODE_ENV === 'production') {
   process.exit(1);
 }
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const db     = require('./db');
+const { checkPassword } = require('../password-policy');
 const COST   = 12;
 
 // ── 1. Departments ────────────────────────────────────────────────────────────
@@ -29,35 +35,70 @@ depts.forEach(d => insertDept.run(d.id, d.code, d.name, d.website, d.description
 console.log(`Seeded ${depts.length} departments`);
 
 // ── 2. Users ──────────────────────────────────────────────────────────────────
-const adminPwd = process.env.SEED_ADMIN_PASSWORD || 'Admin@Portal2024!';
+const adminPwd = process.env.SEED_ADMIN_PASSWORD || null;
 const deptPwd  = process.env.SEED_DEPT_PASSWORD  || null;
 
 const users = [
-  { username: 'admin',           role: 'admin',      dept_id: null, pwd: adminPwd                    },
-  { username: 'dept_revenue',    role: 'department', dept_id: 1,    pwd: deptPwd || 'REVENUE@2024'   },
-  { username: 'dept_prd',        role: 'department', dept_id: 2,    pwd: deptPwd || 'PRD@2024'       },
-  { username: 'dept_health',     role: 'department', dept_id: 3,    pwd: deptPwd || 'HEALTH@2024'    },
-  { username: 'dept_agri',       role: 'department', dept_id: 4,    pwd: deptPwd || 'AGRI@2024'      },
-  { username: 'dept_food',       role: 'department', dept_id: 5,    pwd: deptPwd || 'FOOD@2024'      },
-  { username: 'dept_edu',        role: 'department', dept_id: 6,    pwd: deptPwd || 'EDU@2024'       },
-  { username: 'dept_commerce',   role: 'department', dept_id: 7,    pwd: deptPwd || 'COMMERCE@2024'  },
-  { username: 'dept_mining',     role: 'department', dept_id: 8,    pwd: deptPwd || 'MINING@2024'    },
-  { username: 'dept_home',       role: 'department', dept_id: 9,    pwd: deptPwd || 'HOME@2024'      },
-  { username: 'dept_transport',  role: 'department', dept_id: 10,   pwd: deptPwd || 'TRANSPORT@2024' },
-  { username: 'dept_labour',     role: 'department', dept_id: 11,   pwd: deptPwd || 'LABOUR@2024'    },
-  { username: 'dept_pwd',        role: 'department', dept_id: 12,   pwd: deptPwd || 'PWD@2024'       },
-  { username: 'dept_social',     role: 'department', dept_id: 13,   pwd: deptPwd || 'SOCIAL@2024'    },
-  { username: 'dept_higher_edu', role: 'department', dept_id: 14,   pwd: deptPwd || 'HIGHER_EDU@2024'},
-  { username: 'dept_finance',    role: 'department', dept_id: 15,   pwd: deptPwd || 'FINANCE@2024'   },
+  { username: 'admin',           role: 'admin',      dept_id: null, pwd: adminPwd },
+  { username: 'dept_revenue',    role: 'department', dept_id: 1,    pwd: deptPwd  },
+  { username: 'dept_prd',        role: 'department', dept_id: 2,    pwd: deptPwd  },
+  { username: 'dept_health',     role: 'department', dept_id: 3,    pwd: deptPwd  },
+  { username: 'dept_agri',       role: 'department', dept_id: 4,    pwd: deptPwd  },
+  { username: 'dept_food',       role: 'department', dept_id: 5,    pwd: deptPwd  },
+  { username: 'dept_edu',        role: 'department', dept_id: 6,    pwd: deptPwd  },
+  { username: 'dept_commerce',   role: 'department', dept_id: 7,    pwd: deptPwd  },
+  { username: 'dept_mining',     role: 'department', dept_id: 8,    pwd: deptPwd  },
+  { username: 'dept_home',       role: 'department', dept_id: 9,    pwd: deptPwd  },
+  { username: 'dept_transport',  role: 'department', dept_id: 10,   pwd: deptPwd  },
+  { username: 'dept_labour',     role: 'department', dept_id: 11,   pwd: deptPwd  },
+  { username: 'dept_pwd',        role: 'department', dept_id: 12,   pwd: deptPwd  },
+  { username: 'dept_social',     role: 'department', dept_id: 13,   pwd: deptPwd  },
+  { username: 'dept_higher_edu', role: 'department', dept_id: 14,   pwd: deptPwd  },
+  { username: 'dept_finance',    role: 'department', dept_id: 15,   pwd: deptPwd  },
 ];
 
+/** randomPassword — 12 random characters plus a separator and digits; retried until it passes the policy. */
+function randomPassword(ctx) {
+  let pwd;
+  do {
+    pwd = `${crypto.randomBytes(9).toString('base64url')}-${crypto.randomInt(10, 100)}`;
+  } while (checkPassword(pwd, ctx).length);
+  return pwd;
+}
+
+const deptCode   = id => (depts.find(d => d.id === id) || {}).code;
 const insertUser = db.prepare(`
-  INSERT OR IGNORE INTO users (username, password_hash, role, dept_id)
-  VALUES (?, ?, ?, ?)
+  INSERT OR IGNORE INTO users (username, password_hash, role, dept_id, must_change_password)
+  VALUES (?, ?, ?, ?, 1)
 `);
-users.forEach(u => insertUser.run(u.username, bcrypt.hashSync(u.pwd, COST), u.role, u.dept_id));
+const insertHistory = db.prepare('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)');
+const generated = [];
+
+users.forEach(u => {
+  const ctx = { username: u.username, deptCode: deptCode(u.dept_id) };
+  if (u.pwd) {
+    const problems = checkPassword(u.pwd, ctx);
+    if (problems.length) {
+      console.error(`ABORT: seed password for ${u.username} rejected — ${problems.join(' ')}`);
+      process.exit(1);
+    }
+  }
+  const pwd  = u.pwd || randomPassword(ctx);
+  const hash = bcrypt.hashSync(pwd, COST);
+  const result = insertUser.run(u.username, hash, u.role, u.dept_id);
+  if (result.changes) {
+    insertHistory.run(result.lastInsertRowid, hash);
+    if (!u.pwd) generated.push({ username: u.username, pwd });
+  }
+});
 console.log(`Seeded ${users.length} users`);
 
+if (generated.length) {
+  console.log('\nGenerated passwords (shown once — each user must change it at first login):');
+  generated.forEach(g => console.log(`  ${g.username.padEnd(16)} ${g.pwd}`));
+  console.log('');
+}
+
 // ── 3. Sample notices ─────────────────────────────────────────────────────────
 const get = name => db.prepare('SELECT id FROM users WHERE username = ?').get(name);
 const financeUser   = get('dept_finance');
@@ -0,0 +1,37 @@
+/**
+ * delegations.js — leave cover between portal users.
+ *
+ * A delegation lets a deputy (to_user_id) handle the notices addressed to an
+ * officer on leave (from_user_id) between two dates, inclusive. During that
+ * window the deputy sees those notices in GET /notices/inbox and may answer
+ * them through PATCH /notices/:id/status; the officer's status row then
+ * records the deputy in acted_by. Cover is not passed on: a deputy who is
+ * away themselves does not hand their delegators' notices to their own deputy.
+ *
+ * Only notices addressed to the officer personally are covered — department
+ * notices are already shared with the officer's colleagues.
+ *
+ * Dates are compared in UTC, like notice deadlines.
+ *
+ * Exports:
+ *   COVERED_BY                    — SQL subquery: users a delegate covers today (param: delegate id)
+ *   isCovering(delegateId, userId) — whether a delegate covers a user today
+ */
+
+const db = require('./database/db');
+
+const COVERED_BY = `
+  SELECT from_user_id FROM delegations
+  WHERE to_user_id = ? AND date('now') BETWEEN starts_on AND ends_on`;
+
+/**
+ * isCovering
+ * @param  {number} delegateId
+ * @param  {number} userId — the officer on leave
+ * @returns {boolean}
+ */
+function isCovering(delegateId, userId) {
+  return !!db.prepare(`SELECT 1 FROM (${COVERED_BY}) WHERE from_user_id = ?`).get(delegateId, userId);
+}
+
+module.exports = { COVERED_BY, isCovering };
@@ -0,0 +1,111 @@
+/**
+ * impersonation.js — "view as user" sessions for support.
+ *
+ * An administrator (user.manage) can open the portal as another user to see
+ * exactly what they see. Every such session is written to the impersonations
+ * table — who, as whom, why, from where — before its token is issued, so no
+ * impersonation goes unrecorded.
+ *
+ * The token is an ordinary access token for the target user with an extra
+ * `imp` claim, and is deliberately limited:
+ *
+ *   - it lasts IMPERSONATION_TTL_MINUTES (default 15) and cannot be refreshed;
+ *   - it is read-only unless the administrator asked otherwise, and even then
+ *     it cannot change the user's own account (password, 2FA, logout);
+ *   - it dies when the session is ended, when the administrator's own
+ *     sessions are revoked or they lose user.manage, or when the target's
+ *     sessions are revoked.
+ *
+ * Browser sessions receive it as the httpOnly portal_impersonation cookie,
+ * which takes the place of the session cookie until it expires or is ended;
+ * the CSRF token stays the administrator's, since `sid` is their session.
+ *
+ * Exports:
+ *   IMPERSONATION_TTL_MINUTES      — token lifetime
+ *   startImpersonation(req, target, fields) — audit row + token for the target user
+ *   checkImpersonation(payload)    — { id, admin_id, admin_username, read_only } for a live session, or null
+ *   endImpersonation(id)           — mark a session ended; true if it was still open
+ */
+
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+const db     = require('./database/db');
+const { buildPayload } = require('./sessions');
+const { permissionsFor } = require('./permissions');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+/**
+ * startImpersonation — records the session and signs its token.
+ * @param  {import('express').Request} req — the administrator's request (req.user, req.tokenPayload)
+ * @param  {object} target — users row joined with dept_name / dept_code (needs token_version)
+ * @param  {{ reason: string, readOnly: boolean }} fields
+ * @returns {{ token: string, impersonation: object }}
+ */
+function startImpersonation(req, target, { reason, readOnly }) {
+  const admin = db.prepare('SELECT token_version FROM users WHERE id = ?').get(req.user.id);
+
+  const result = db.prepare(`
+    INSERT INTO impersonations (admin_id, user_id, reason, read_only, ip, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(
+    req.user.id, target.id, reason, readOnly ? 1 : 0,
+    req.ip || null,
+    (req.get('user-agent') || '').slice(0, 255) || null,
+    `+${IMPERSONATION_TTL_MINUTES} minutes`
+  );
+  const id = result.lastInsertRowid;
+
+  const token = jwt.sign(
+    {
+      ...buildPayload(target),
+      sid: req.tokenPayload.sid,
+      tv:  target.token_version || 0,
+      imp: { id, by: req.user.id, tv: admin.token_version || 0, ro: readOnly ? 1 : 0 }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m`, jwtid: crypto.randomUUID() }
+  );
+
+  const { expires_at } = db.prepare('SELECT expires_at FROM impersonations WHERE id = ?').get(id);
+  return {
+    token,
+    impersonation: { id, admin_username: req.user.username, read_only: !!readOnly, expires_at }
+  };
+}
+
+/**
+ * checkImpersonation — whether the session behind an `imp` claim is still
+ * live: not ended, and the administrator still active, unrevoked and able to
+ * manage users.
+ * @param  {object} payload — verified access token with an `imp` claim
+ * @returns {{ id: number, admin_id: number, admin_username: string, read_only: boolean } | null}
+ */
+function checkImpersonation(payload) {
+  const row = db.prepare(`
+    SELECT i.id, i.admin_id, i.read_only, i.ended_at,
+           a.username AS admin_username, a.role AS admin_role, a.is_active, a.token_version
+    FROM impersonations i
+    JOIN users a ON a.id = i.admin_id
+    WHERE i.id = ? AND i.admin_id = ? AND i.user_id = ?
+  `).get(payload.imp.id, payload.imp.by, payload.id);
+
+  if (!row || row.ended_at || !row.is_active) return null;
+  if ((row.token_version || 0) !== (payload.imp.tv || 0)) return null;
+  if (!permissionsFor(row.admin_role).has('user.manage')) return null;
+
+  return { id: row.id, admin_id: row.admin_id, admin_username: row.admin_username, read_only: !!row.read_only };
+}
+
+/**
+ * endImpersonation
+ * @param  {number} id
+ * @returns {boolean}
+ */
+function endImpersonation(id) {
+  return db.prepare(
+    "UPDATE impersonations SET ended_at = datetime('now') WHERE id = ? AND ended_at IS NULL"
+  ).run(id).changes > 0;
+}
+
+module.exports = { IMPERSONATION_TTL_MINUTES, startImpersonation, checkImpersonation, endImpersonation };
@@ -0,0 +1,218 @@
+/**
+ * ldap-auth.js — LDAP / Active Directory credential check and group mapping.
+ *
+ * Used by the "ldap" provider in auth-providers.js. A login is checked in
+ * three steps on one connection:
+ *
+ *   1. bind as the service account (LDAP_BIND_DN / LDAP_BIND_PASSWORD), or
+ *      search anonymously when no service account is configured
+ *   2. find the user's entry under LDAP_SEARCH_BASE with LDAP_SEARCH_FILTER,
+ *      where {username} is replaced by the escaped login name
+ *   3. bind as that entry with the password the user typed
+ *
+ * The entry's groups (LDAP_GROUP_ATTRIBUTE, default memberOf) are turned into
+ * a portal role and department by the JSON file at LDAP_GROUP_MAP_FILE — an
+ * array of rules checked in order, the first matching group winning:
+ *
+ *   [
+ *     { "group": "CN=Portal Admins,OU=Groups,DC=raipur,DC=gov,DC=in", "role": "admin" },
+ *     { "group": "CN=Revenue Staff,OU=Groups,DC=raipur,DC=gov,DC=in",
+ *       "role": "department", "dept_code": "REVENUE" }
+ *   ]
+ *
+ * "role" is any role in the roles table. Rules for a role that requires a
+ * department name it by dept_code (preferred, since ids differ between
+ * databases) or dept_id. Group DNs are compared
+ * case-insensitively. See data/ldap-group-map.example.json.
+ *
+ * Settings are read on every call, so a changed group map applies to the next
+ * login without a restart.
+ *
+ * Exports:
+ *   DirectoryError                  — the directory is unreachable or misconfigured
+ *   authenticate(username, password) — directory profile, or null for bad credentials
+ *   mapGroups(groups)               — { role, dept_id } for a list of group DNs, or null
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const ldap = require('ldapjs');
+const db   = require('./database/db');
+const { getRole } = require('./permissions');
+
+/**
+ * DirectoryError — anything that stops the directory from answering the
+ * question "are these credentials right?". Login reports it as 503 rather
+ * than as a wrong password.
+ */
+class DirectoryError extends Error {}
+
+function settings() {
+  return {
+    url:            process.env.LDAP_URL,
+    bindDn:         process.env.LDAP_BIND_DN || '',
+    bindPassword:   process.env.LDAP_BIND_PASSWORD || '',
+    searchBase:     process.env.LDAP_SEARCH_BASE,
+    searchFilter:   process.env.LDAP_SEARCH_FILTER || '(sAMAccountName={username})',
+    groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+    emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+    groupMapFile:   process.env.LDAP_GROUP_MAP_FILE,
+    timeoutMs:      parseInt(process.env.LDAP_TIMEOUT_MS) || 5000
+  };
+}
+
+/**
+ * escapeFilter — RFC 4515 escaping for a value placed inside a search filter,
+ * so a username such as "*)(uid=*" cannot change the query.
+ * @param  {string} value
+ * @returns {string}
+ */
+function escapeFilter(value) {
+  return value.replace(/[\\*()\0]/g, ch => '\\' + ch.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+// Promise wrappers around the callback-style ldapjs client.
+
+function bind(client, dn, password) {
+  return new Promise((resolve, reject) => {
+    client.bind(dn, password, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function searchOne(client, base, filter, attributes) {
+  return new Promise((resolve, reject) => {
+    client.search(base, { scope: 'sub', filter, attributes, sizeLimit: 2 }, (err, res) => {
+      if (err) return reject(err);
+      const entries = [];
+      res.on('searchEntry', entry => entries.push(entry.pojo));
+      res.on('error', reject);
+      res.on('end', () => resolve(entries));
+    });
+  });
+}
+
+/** values — all values of one attribute of a search entry (case-insensitive name). */
+function values(entry, name) {
+  const attr = entry.attributes.find(a => a.type.toLowerCase() === name.toLowerCase());
+  return attr ? attr.values : [];
+}
+
+/**
+ * authenticate — checks a username and password against the directory.
+ * @param  {string} username — as typed at login
+ * @param  {string} password
+ * @returns {Promise<{ dn: string, email: string|null, groups: string[] } | null>}
+ *          null when the user is not found, ambiguous, or the password is wrong
+ * @throws {DirectoryError} when the directory cannot be reached or queried
+ */
+async function authenticate(username, password) {
+  const cfg = settings();
+  if (!cfg.url || !cfg.searchBase) {
+    throw new DirectoryError('LDAP_URL and LDAP_SEARCH_BASE must be set.');
+  }
+  // An empty password would be an "unauthenticated bind", which many
+  // directories accept for any DN.
+  if (!password) return null;
+
+  const client = ldap.createClient({
+    url:            cfg.url,
+    timeout:        cfg.timeoutMs,
+    connectTimeout: cfg.timeoutMs
+  });
+  // Connection failures are also emitted as events; without a listener they
+  // would crash the process. The pending operation rejects on its own.
+  client.on('error', () => {});
+
+  try {
+    try {
+      if (cfg.bindDn) await bind(client, cfg.bindDn, cfg.bindPassword);
+    } catch (err) {
+      throw new DirectoryError(`Service account bind failed: ${err.message}`);
+    }
+
+    let entries;
+    try {
+      entries = await searchOne(
+        client,
+        cfg.searchBase,
+        cfg.searchFilter.replace(/\{username\}/g, escapeFilter(username)),
+        [cfg.groupAttribute, cfg.emailAttribute]
+      );
+    } catch (err) {
+      throw new DirectoryError(`Directory search failed: ${err.message}`);
+    }
+    if (entries.length !== 1) return null;
+
+    const entry = entries[0];
+    try {
+      await bind(client, entry.objectName, password);
+    } catch (err) {
+      if (err instanceof ldap.InvalidCredentialsError) return null;
+      throw new DirectoryError(`User bind failed: ${err.message}`);
+    }
+
+    const email = values(entry, cfg.emailAttribute)[0];
+    return {
+      dn:     entry.objectName,
+      email:  email ? email.trim().toLowerCase() : null,
+      groups: values(entry, cfg.groupAttribute)
+    };
+  } finally {
+    client.destroy();
+  }
+}
+
+/**
+ * loadGroupMap — reads and validates LDAP_GROUP_MAP_FILE.
+ * @returns {Array<{ group: string, role: string, dept_code?: string, dept_id?: number }>}
+ * @throws {DirectoryError} when the file is missing or malformed
+ */
+function loadGroupMap() {
+  const file = settings().groupMapFile;
+  if (!file) throw new DirectoryError('LDAP_GROUP_MAP_FILE must be set.');
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+  } catch (err) {
+    throw new DirectoryError(`Cannot read LDAP group map: ${err.message}`);
+  }
+  if (!Array.isArray(rules)) throw new DirectoryError('LDAP group map must be a JSON array.');
+
+  rules.forEach((rule, i) => {
+    const role = rule && typeof rule.role === 'string' ? getRole(rule.role) : undefined;
+    if (!rule || typeof rule.group !== 'string' || !role) {
+      throw new DirectoryError(`LDAP group map rule ${i + 1} needs a group and an existing role.`);
+    }
+    if (role.requires_department && !rule.dept_code && !rule.dept_id) {
+      throw new DirectoryError(`LDAP group map rule ${i + 1} needs a dept_code or dept_id.`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * mapGroups — the portal role and department for a directory user.
+ * @param  {string[]} groups — group DNs from the user's entry
+ * @returns {{ role: string, dept_id: number|null } | null} — null if no rule matches
+ * @throws {DirectoryError} when the map is invalid or names an unknown department
+ */
+function mapGroups(groups) {
+  const member = new Set(groups.map(g => g.toLowerCase()));
+  const rule   = loadGroupMap().find(r => member.has(r.group.toLowerCase()));
+  if (!rule) return null;
+
+  let deptId = null;
+  if (rule.dept_code || rule.dept_id) {
+    const dept = rule.dept_code
+      ? db.prepare('SELECT id FROM departments WHERE code = ?').get(rule.dept_code)
+      : db.prepare('SELECT id FROM departments WHERE id = ?').get(rule.dept_id);
+    if (!dept) {
+      throw new DirectoryError(`LDAP group map refers to unknown department ${rule.dept_code || rule.dept_id}.`);
+    }
+    deptId = dept.id;
+  }
+  return { role: rule.role, dept_id: deptId };
+}
+
+module.exports = { DirectoryError, authenticate, mapGroups };
@@ -0,0 +1,119 @@
+/**
+ * lockout.js — per-account login lockout and the login attempt audit trail.
+ *
+ * The IP-based authLimiter in app.js cannot stop a slow guessing attack spread
+ * over many addresses, so failures are also counted per account:
+ *
+ *   - Every wrong password (or wrong 2FA code) increments users.failed_attempts.
+ *   - Once it reaches LOCKOUT_THRESHOLD the account is locked until
+ *     users.locked_until. Each further failure after the lock expires doubles
+ *     the lock (LOCKOUT_BASE_MINUTES, 2×, 4×, … capped at 24 hours).
+ *   - A successful login resets the counter; an admin can unlock at any time.
+ *
+ * Every attempt — successful or not — is written to login_attempts with the
+ * username as typed, IP, user-agent and outcome.
+ *
+ * Exports:
+ *   OUTCOMES                       — allowed login_attempts.outcome values
+ *   recordAttempt(req, fields)     — write one row to login_attempts
+ *   lockedUntil(userId)            — end of the current lock, or null
+ *   registerFailure(userId)        — count a failure; locks the account at the threshold
+ *   lockedBody(until)              — 423 response body for a locked account
+ *   clearFailures(userId)          — reset the counter and any lock
+ */
+
+const db = require('./database/db');
+
+const LOCKOUT_THRESHOLD      = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES   = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES    = 24 * 60;
+const ATTEMPT_RETENTION_DAYS = 90;
+
+const OUTCOMES = ['success', 'invalid_password', 'invalid_code', 'unknown_user', 'locked', 'inactive', 'no_portal_group'];
+
+/**
+ * recordAttempt — appends to the audit trail. Rows older than the retention
+ * period are purged at the same time so the table cannot grow without bound.
+ * @param {import('express').Request} req
+ * @param {{ username: string, userId?: number, outcome: string }} fields
+ */
+function recordAttempt(req, { username, userId = null, outcome }) {
+  db.prepare("DELETE FROM login_attempts WHERE created_at < datetime('now', ?)")
+    .run(`-${ATTEMPT_RETENTION_DAYS} days`);
+  db.prepare(`
+    INSERT INTO login_attempts (username, user_id, ip, user_agent, outcome)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    String(username || '').slice(0, 100),
+    userId,
+    req.ip || null,
+    (req.get('user-agent') || '').slice(0, 255) || null,
+    outcome
+  );
+}
+
+/**
+ * lockedUntil — the end of the account's current lock, if any.
+ * @param  {number} userId
+ * @returns {string|null} — locked_until (UTC, SQLite format) or null if not locked
+ */
+function lockedUntil(userId) {
+  const row = db.prepare(`
+    SELECT locked_until FROM users WHERE id = ? AND locked_until > datetime('now')
+  `).get(userId);
+  return row ? row.locked_until : null;
+}
+
+/**
+ * registerFailure — increments the failure counter and locks the account once
+ * the threshold is reached.
+ * @param  {number} userId
+ * @returns {string|null} — locked_until (UTC, SQLite format) if now locked
+ */
+function registerFailure(userId) {
+  const { failed_attempts } = db.prepare(`
+    UPDATE users SET failed_attempts = failed_attempts + 1 WHERE id = ?
+    RETURNING failed_attempts
+  `).get(userId);
+
+  if (failed_attempts < LOCKOUT_THRESHOLD) return null;
+
+  const minutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (failed_attempts - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MINUTES
+  );
+  return db.prepare(`
+    UPDATE users SET locked_until = datetime('now', ?) WHERE id = ?
+    RETURNING locked_until
+  `).get(`+${minutes} minutes`, userId).locked_until;
+}
+
+/**
+ * lockedBody — JSON body for the 423 response sent while an account is locked.
+ * @param  {string} until — locked_until
+ * @returns {{ error: string, locked_until: string }}
+ */
+function lockedBody(until) {
+  return {
+    error: 'This account is temporarily locked after too many failed login attempts. ' +
+           'Try again later or contact the administrator.',
+    locked_until: until
+  };
+}
+
+/**
+ * clearFailures — called after a successful login and by the admin unlock.
+ * @param {number} userId
+ */
+function clearFailures(userId) {
+  db.prepare('UPDATE users SET failed_attempts = 0, locked_until = NULL WHERE id = ?').run(userId);
+}
+
+module.exports = {
+  OUTCOMES,
+  recordAttempt,
+  lockedUntil,
+  registerFailure,
+  lockedBody,
+  clearFailures
+};
@@ -0,0 +1,93 @@
+/**
+ * mailer.js — outgoing email: password reset links (routes/auth.js) and the
+ * emails about a notice's withdrawal or handover (notify.js).
+ *
+ * The transport is chosen with MAIL_TRANSPORT:
+ *
+ *   smtp     — delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *              via nodemailer. This is the default when SMTP_HOST is set.
+ *   file     — writes each message as an .eml file into MAIL_DIR (default
+ *              backend/mail-outbox). Used by the tests.
+ *   console  — prints the recipient, subject and body to the server log.
+ *              Default outside production when no SMTP server is configured.
+ *
+ * In production there is no default: without SMTP_HOST or MAIL_TRANSPORT,
+ * sendMail() refuses to send rather than print reset links into the logs.
+ *
+ * Callers treat mail as best effort: notify.js logs a failed message and
+ * carries on, and a failed reset email still gets the generic answer.
+ *
+ * Exports:
+ *   sendMail({ to, subject, text }) — send one plain-text message; rejects
+ *                                     when the transport fails
+ *   isValidEmail(email)             — basic syntax check for stored addresses
+ *   transportName                   — the active transport (for logging), or
+ *                                     null when none is configured
+ */
+
+const fs         = require('fs');
+const path       = require('path');
+const crypto     = require('crypto');
+const nodemailer = require('nodemailer');
+
+const transportName = process.env.MAIL_TRANSPORT ||
+  (process.env.SMTP_HOST ? 'smtp' : process.env.NODE_ENV === 'production' ? null : 'console');
+const MAIL_FROM     = process.env.MAIL_FROM || 'Raipur Portal <no-reply@raipur.gov.in>';
+const MAIL_DIR      = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+
+/**
+ * createTransport — nodemailer transport for the configured mode.
+ * file and console both render the message locally instead of sending it.
+ */
+function createTransport() {
+  if (!transportName) {
+    throw new Error('No mail transport is configured: set SMTP_HOST or MAIL_TRANSPORT.');
+  }
+  if (transportName === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host:   process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth:   process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  if (transportName === 'file' || transportName === 'console') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}" (expected smtp, file or console).`);
+}
+
+// Created on first use so a misconfigured transport only fails when mail is sent.
+let transport = null;
+
+/**
+ * sendMail — sends a plain-text message through the active transport.
+ * @param  {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  if (!transport) transport = createTransport();
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text });
+
+  if (transportName === 'file') {
+    fs.mkdirSync(MAIL_DIR, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}.eml`;
+    fs.writeFileSync(path.join(MAIL_DIR, name), info.message);
+  } else if (transportName === 'console') {
+    console.log(`── Mail to ${to}: ${subject}\n${text}\n──`);
+  }
+}
+
+/**
+ * isValidEmail — deliberately loose: one @, no spaces, a dot in the domain.
+ * @param  {string} email
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+module.exports = { sendMail, isValidEmail, transportName };
@@ -1,72 +1,265 @@
 /**
- * middleware/auth.js — JWT authentication and role-based access control.
+ * middleware/auth.js — JWT authentication and permission-based access control.
  *
- * Exports two middleware functions:
+ * Exports three middleware functions:
  *
- *   requireAuth   — verifies the Bearer token in the Authorization header and
- *                   attaches the decoded user payload to req.user.
+ *   requireSession — verifies the access token (Bearer header, or the httpOnly
+ *                    session cookie — see session-cookies.js) and attaches the
+ *                    decoded user payload to req.user. Used by the
+ *                    /api/auth account endpoints, which must stay reachable
+ *                    while mandatory account setup (a forced password change
+ *                    or 2FA enrollment) is still pending.
  *
- *   requireAdmin  — chains requireAuth then checks that the authenticated user
- *                   has the 'admin' role; returns 403 otherwise.
+ *   requireAuth   — requireSession plus the account-setup gate; returns 403
+ *                   with a machine-readable `code` until setup is finished.
+ *
+ *   requirePermission(...perms) — middleware factory: requireAuth plus a check
+ *                   that the user's role holds at least one of the given
+ *                   permissions (see permissions.js); returns 403 otherwise.
+ *
+ * An administrator's "view as user" token (impersonation.js) authenticates as
+ * the target user, with req.impersonation set. Writes are refused while the
+ * session is read-only, and always on the requireSession-only account routes.
+ *
+ * Integrations authenticate with an X-API-Key header instead (api-keys.js),
+ * accepted by requireAuth on the notice endpoints only.
  */
 
 const jwt = require('jsonwebtoken');
 const db  = require('../database/db');
+const { isAccessTokenRevoked } = require('../sessions');
+const { POLICY } = require('../password-policy');
+const { permissionsFor } = require('../permissions');
+const { checkImpersonation } = require('../impersonation');
+const {
+  KEY_PATHS, findApiKey, keyPermissions, touchApiKey, apiKeyLimiter
+} = require('../api-keys');
+const {
+  COOKIES, readCookie, checkCsrf, isSafeMethod, clearImpersonationCookie
+} = require('../session-cookies');
 
 /**
- * requireAuth — ensures the request carries a valid JWT.
+ * pendingSetup — account setup the user must finish before the portal unlocks.
+ * A required password change comes first, then 2FA enrollment.
+ * @param  {object} user — users row joined with role_settings
+ * @returns {{ code: string, error: string } | null}
+ */
+function pendingSetup(user) {
+  if (user.must_change_password || user.password_expired) {
+    return {
+      code:  'PASSWORD_CHANGE_REQUIRED',
+      error: user.must_change_password
+        ? 'You must choose a new password before using the portal.'
+        : 'Your password has expired. Choose a new password to continue.'
+    };
+  }
+  if (user.require_2fa && !user.totp_enabled) {
+    return {
+      code:  'MFA_ENROLLMENT_REQUIRED',
+      error: 'Two-factor authentication must be set up before using the portal.'
+    };
+  }
+  return null;
+}
+
+/**
+ * requireSession — ensures the request carries a valid JWT.
+ *
+ * Expects:  Authorization: Bearer <token>, or the portal_session cookie.
+ *           Cookie-authenticated POST/PUT/PATCH/DELETE requests must also
+ *           send X-CSRF-Token (session-cookies.js); the header is not needed
+ *           with Bearer auth since browsers never attach it on their own.
+ * Does not accept API keys (they are for requireAuth routes only).
  *
- * Expects:  Authorization: Bearer <token>
- * On success: populates req.user with { id, username, role, dept_id }
- *             and calls next().
- * On failure: responds with 401 (missing header) or 401 (invalid/expired token).
+ * On success: populates req.user with { id, username, role, dept_id },
+ *             req.permissions with the role's current permissions (a Set),
+ *             req.tokenPayload with the full decoded JWT, req.authMethod
+ *             ('bearer' or 'cookie') and req.impersonation (null unless an
+ *             administrator is viewing as this user), then calls next().
+ * On failure: responds with 401 (no token), 401 (invalid/expired token),
+ *             401 (token revoked by logout or by a token_version bump),
+ *             401 { code: 'IMPERSONATION_ENDED' }, 403 { code: 'CSRF_FAILED' }
+ *             or 403 { code: 'IMPERSONATION_READ_ONLY' }.
  */
-function requireAuth(req, res, next) {
+function requireSession(req, res, next) {
+  authenticate(req, res, next, false);
+}
+
+/**
+ * authenticate — requireSession's checks. `portalRoute` is true when called
+ * through requireAuth: only those routes accept writes from a read-write
+ * impersonation session.
+ */
+function authenticate(req, res, next, portalRoute) {
   const header = req.headers.authorization;
 
-  // Reject requests that have no Authorization header or use a different scheme.
-  if (!header || !header.startsWith('Bearer ')) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey && !header) return authenticateApiKey(req, res, next, apiKey, portalRoute);
+
+  // A Bearer header wins; otherwise fall back to the session cookie, or the
+  // "view as user" cookie standing in for it.
+  let token, authMethod;
+  if (header && header.startsWith('Bearer ')) {
+    token      = header.slice(7); // strip the "Bearer " prefix
+    authMethod = 'bearer';
+  } else {
+    token      = readCookie(req, COOKIES.impersonation) || readCookie(req, COOKIES.session);
+    authMethod = 'cookie';
+  }
+  if (!token) {
     return res.status(401).json({ error: 'Authentication required.' });
   }
 
-  // Strip the "Bearer " prefix (7 characters) to get the raw token string.
-  const token = header.slice(7);
-
+  let payload;
   try {
     // Verify signature and expiry using the application secret.
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Confirm the account still exists and is active (prevents access after deactivation).
-    const user = db.prepare('SELECT id, is_active FROM users WHERE id = ?').get(payload.id);
-    if (!user || !user.is_active) {
-      return res.status(401).json({ error: 'Account is deactivated or does not exist.' });
-    }
-    req.user = {
-      id:       payload.id,
-      username: payload.username,
-      role:     payload.role,
-      dept_id:  payload.dept_id
-    };
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch {
     // jwt.verify throws for expired tokens, wrong signature, malformed JWT, etc.
     return res.status(401).json({ error: 'Invalid or expired token.' });
   }
+
+  // Confirm the account still exists and is active (prevents access after deactivation).
+  const user = db.prepare(`
+    SELECT u.id, u.role, u.dept_id, u.is_active, u.token_version, u.totp_enabled, u.must_change_password,
+           COALESCE(rs.require_2fa, 0) AS require_2fa,
+           (u.auth_provider = 'local' AND ? > 0
+            AND u.password_changed_at <= datetime('now', '-' || ? || ' days')) AS password_expired
+    FROM users u
+    LEFT JOIN role_settings rs ON rs.role = u.role
+    WHERE u.id = ?
+  `).get(POLICY.maxAgeDays, POLICY.maxAgeDays, payload.id);
+  if (!user || !user.is_active) {
+    return res.status(401).json({ error: 'Account is deactivated or does not exist.' });
+  }
+
+  // A token_version mismatch means every session of this user was revoked
+  // (password change/reset, deactivation, or an admin "revoke sessions").
+  if ((payload.tv || 0) !== user.token_version || isAccessTokenRevoked(payload)) {
+    return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+  }
+
+  if (authMethod === 'cookie' && !isSafeMethod(req.method) && !checkCsrf(req, payload.sid)) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token.', code: 'CSRF_FAILED' });
+  }
+
+  let impersonation = null;
+  if (payload.imp) {
+    impersonation = checkImpersonation(payload);
+    if (!impersonation) {
+      if (authMethod === 'cookie') clearImpersonationCookie(res);
+      return res.status(401).json({ error: 'The impersonation session has ended.', code: 'IMPERSONATION_ENDED' });
+    }
+    if (!isSafeMethod(req.method) && (impersonation.read_only || !portalRoute)) {
+      return res.status(403).json({
+        error: impersonation.read_only
+          ? 'This impersonation session is read-only.'
+          : 'Account settings cannot be changed while impersonating.',
+        code: 'IMPERSONATION_READ_ONLY'
+      });
+    }
+  }
+
+  // Role and department come from the database rather than the token, so
+  // permission checks always use the account's current role.
+  req.user = {
+    id:       payload.id,
+    username: payload.username,
+    role:     user.role,
+    dept_id:  user.dept_id
+  };
+  req.permissions   = permissionsFor(user.role);
+  req.tokenPayload  = payload;
+  req.authMethod    = authMethod;
+  req.impersonation = impersonation;
+  // An administrator viewing as the user is not held up by the user's own
+  // pending password change or 2FA enrollment.
+  req.pendingSetup  = impersonation ? null : pendingSetup(user);
+  next();
 }
 
 /**
- * requireAdmin — ensures the authenticated user is an administrator.
+ * authenticateApiKey — authenticates an integration by its X-API-Key.
  *
- * Internally calls requireAuth first so it doubles as an auth check.
- * Returns 403 if the user is authenticated but not an admin.
+ * On success: req.user is the key's user, req.permissions the permissions its
+ *             scopes allow (see keyPermissions), req.apiKey { id, name,
+ *             scopes, rate_limit } and req.authMethod 'api_key'; the use is
+ *             recorded and the key's rate limit applied.
+ * On failure: 403 { code: 'API_KEY_NOT_ALLOWED' } outside KEY_PATHS or for a
+ *             read without the notices:read scope, 401 for an unknown,
+ *             expired or revoked key or a deactivated user, 429 over the limit.
  */
-function requireAdmin(req, res, next) {
-  requireAuth(req, res, () => {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required.' });
+function authenticateApiKey(req, res, next, raw, portalRoute) {
+  if (!portalRoute || !KEY_PATHS.test(req.baseUrl + req.path)) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint.', code: 'API_KEY_NOT_ALLOWED' });
+  }
+
+  const key = findApiKey(raw);
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key.' });
+  }
+  if (!key.is_active) {
+    return res.status(401).json({ error: 'The account behind this API key is deactivated.' });
+  }
+
+  const scopes = key.scopes.split(' ');
+  if (isSafeMethod(req.method) && !scopes.includes('notices:read')) {
+    return res.status(403).json({ error: 'This API key does not have the notices:read scope.', code: 'API_KEY_NOT_ALLOWED' });
+  }
+
+  req.user = {
+    id:       key.user_id,
+    username: key.username,
+    role:     key.role,
+    dept_id:  key.dept_id
+  };
+  req.permissions   = keyPermissions(key);
+  req.apiKey        = { id: key.id, name: key.name, scopes, rate_limit: key.rate_limit };
+  req.tokenPayload  = null;
+  req.authMethod    = 'api_key';
+  req.impersonation = null;
+  req.pendingSetup  = null;
+
+  touchApiKey(key.id, req.ip);
+  apiKeyLimiter(req, res, next);
+}
+
+/**
+ * requireAuth — requireSession plus the account-setup gate.
+ *
+ * Returns 403 { error, code } while the user still has mandatory setup to
+ * complete, so the frontend can send them to the right page.
+ */
+function requireAuth(req, res, next) {
+  authenticate(req, res, () => {
+    if (req.pendingSetup) {
+      return res.status(403).json(req.pendingSetup);
     }
     next();
-  });
+  }, true);
+}
+
+/**
+ * requirePermission — builds middleware that lets the request through when
+ * the user's role holds any of the listed permissions.
+ *
+ * Internally calls requireAuth first so it doubles as an auth check.
+ * Returns 403 if the user is authenticated but lacks every permission.
+ *
+ * Usage: router.delete('/x', requirePermission('notice.close', 'notice.close_any'), handler)
+ *
+ * @param  {...string} permissions
+ * @returns {import('express').RequestHandler}
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!permissions.some(p => req.permissions.has(p))) {
+        return res.status(403).json({ error: 'You do not have permission to do this.' });
+      }
+      next();
+    });
+  };
 }
 
-module.exports = { requireAuth, requireAdmin };
+module.exports = { requireSession, requireAuth, requirePermission };
@@ -0,0 +1,57 @@
+/**
+ * notify.js — emailing the people a notice concerns when it changes.
+ *
+ * A notice's own notification is its inbox entry. Events that take a notice
+ * out of the inbox, such as a withdrawal, are also emailed, to users with an
+ * address on file. Mail is best effort: a failed message is logged for the
+ * operator and never fails the request that caused it.
+ *
+ * Exports:
+ *   recipientUserIds(noticeId)            — the active users holding a notice
+ *   notifyUsers(userIds, { subject, text }) — email each of them that has an address
+ */
+
+const db = require('./database/db');
+const { sendMail } = require('./mailer');
+
+/**
+ * recipientUserIds — individual recipients, and the members of addressed
+ * departments who can respond, as the department inbox shows them. Those
+ * who reassigned the notice no longer hold it.
+ * @param  {number} noticeId
+ * @returns {number[]}
+ */
+function recipientUserIds(noticeId) {
+  return db.prepare(`
+    SELECT DISTINCT u.id
+    FROM notice_status ns
+    JOIN notices n ON n.id = ns.notice_id
+    JOIN users   u ON u.id = ns.user_id
+                   OR (ns.user_id IS NULL AND u.dept_id = ns.dept_id AND u.id != n.created_by
+                       AND u.role IN (SELECT role FROM role_permissions WHERE permission = 'notice.respond'))
+    WHERE ns.notice_id = ? AND ns.status != 'Reassigned' AND u.is_active = 1
+    ORDER BY u.id
+  `).all(noticeId).map(r => r.id);
+}
+
+/**
+ * notifyUsers — sends one plain-text message to each user with an email
+ * address; users without one are skipped.
+ * @param  {number[]} userIds
+ * @param  {{ subject: string, text: string }} message
+ * @returns {Promise<number>} — how many messages were sent
+ */
+async function notifyUsers(userIds, { subject, text }) {
+  if (!userIds.length) return 0;
+  const users = db.prepare(`
+    SELECT email FROM users
+    WHERE id IN (${userIds.map(() => '?').join(', ')}) AND email IS NOT NULL AND is_active = 1
+  `).all(...userIds);
+
+  const results = await Promise.allSettled(users.map(u => sendMail({ to: u.email, subject, text })));
+  results.filter(r => r.status === 'rejected')
+    .forEach(r => console.error('Notification email failed:', r.reason.message));
+  return results.filter(r => r.status === 'fulfilled').length;
+}
+
+module.exports = { recipientUserIds, notifyUsers };
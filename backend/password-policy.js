@@ -0,0 +1,159 @@
+/**
+ * password-policy.js — password rules, history and forced rotation.
+ *
+ * Every password set through the API (self-service change, admin create,
+ * admin reset) goes through checkPassword() and isRecentlyUsed():
+ *
+ *   complexity — at least PASSWORD_MIN_LENGTH characters and at least
+ *                PASSWORD_MIN_CLASSES of: lower case, upper case, digit, symbol.
+ *   banned     — the password's core (letters left after stripping leading and
+ *                trailing digits/symbols and undoing common substitutions such
+ *                as @→a, 0→o) must not be a common password from
+ *                data/banned-passwords.json, the username, or the user's
+ *                department code. "REVENUE@2024" for dept_revenue is rejected.
+ *   history    — must not match any of the last PASSWORD_HISTORY passwords.
+ *   max age    — a password older than PASSWORD_MAX_AGE_DAYS must be changed
+ *                (enforced by requireAuth, 0 disables). Directory (LDAP)
+ *                accounts are exempt; the directory owns their passwords.
+ *
+ * Accounts created or reset by an admin get must_change_password = 1, so the
+ * user has to pick their own password before the portal unlocks.
+ *
+ * Exports:
+ *   POLICY                          — the effective settings (also served to the frontend)
+ *   checkPassword(password, ctx)    — list of rule violations (empty if acceptable)
+ *   isRecentlyUsed(userId, password) — true if it matches the current or a recent password
+ *   setPassword(userId, password, { mustChange }) — hash, store, record in history
+ *   passwordChangeRequired(userId)  — true if a forced change is pending
+ */
+
+const bcrypt = require('bcryptjs');
+const db     = require('./database/db');
+const banned = new Set(require('./data/banned-passwords.json'));
+
+const POLICY = {
+  minLength:   parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+  minClasses:  Math.min(parseInt(process.env.PASSWORD_MIN_CLASSES) || 3, 4),
+  history:     parseInt(process.env.PASSWORD_HISTORY) || 5,
+  // 0 is a meaningful value here (no expiry), so it cannot use `|| default`.
+  maxAgeDays:  process.env.PASSWORD_MAX_AGE_DAYS !== undefined
+    ? parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+    : 90
+};
+
+const BCRYPT_COST = 12;
+
+// Common character substitutions undone before the banned-word check.
+const LEET = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+/**
+ * passwordCores — the forms of a password compared against banned words:
+ * letters only, with and without leet substitutions, after trimming the
+ * digits/symbols people typically tack on ("Password@2024" → "password").
+ * @param  {string} password
+ * @returns {string[]}
+ */
+function passwordCores(password) {
+  const trimmed = password.replace(/^[^a-zA-Z]+|[^a-zA-Z]+$/g, '');
+  const plain   = trimmed.toLowerCase().replace(/[^a-z]/g, '');
+  const unleet  = trimmed.toLowerCase().replace(/./g, ch => LEET[ch] || ch).replace(/[^a-z]/g, '');
+  return [...new Set([plain, unleet])];
+}
+
+/**
+ * checkPassword — validates a candidate password against the policy.
+ * @param  {string} password
+ * @param  {{ username?: string, deptCode?: string }} [ctx] — words specific to this user
+ * @returns {string[]} — human-readable violations; empty when the password is acceptable
+ */
+function checkPassword(password, ctx = {}) {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < POLICY.minLength) {
+    problems.push(`Password must be at least ${POLICY.minLength} characters.`);
+    if (typeof password !== 'string') return problems;
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(re => re.test(password)).length;
+  if (classes < POLICY.minClasses) {
+    problems.push(`Password must contain at least ${POLICY.minClasses} of: lower-case letters, upper-case letters, digits, symbols.`);
+  }
+
+  const username = (ctx.username || '').toLowerCase();
+  const personal = [username, username.replace(/^dept_/, ''), (ctx.deptCode || '').toLowerCase()]
+    .map(w => w.replace(/[^a-z]/g, ''))
+    .filter(w => w.length >= 2);
+
+  const cores = passwordCores(password);
+  if (username && password.toLowerCase().includes(username)) {
+    problems.push('Password must not contain your username.');
+  } else if (cores.some(c => personal.includes(c))) {
+    problems.push('Password must not be based on your username or department code.');
+  } else if (cores.some(c => banned.has(c))) {
+    problems.push('Password is too common. Choose something harder to guess.');
+  }
+
+  return problems;
+}
+
+/**
+ * isRecentlyUsed — compares against the current password and the last
+ * POLICY.history stored hashes (accounts created before the history table
+ * existed only have the current one).
+ * @param  {number} userId
+ * @param  {string} password
+ * @returns {boolean}
+ */
+function isRecentlyUsed(userId, password) {
+  const rows = db.prepare(`
+    SELECT password_hash FROM users WHERE id = ?
+    UNION ALL
+    SELECT password_hash FROM (
+      SELECT password_hash FROM password_history
+      WHERE user_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).all(userId, userId, POLICY.history);
+  return rows.some(r => bcrypt.compareSync(password, r.password_hash));
+}
+
+/**
+ * setPassword — stores a new password for an existing user, records it in the
+ * history (keeping only the last POLICY.history entries) and resets the age.
+ * @param {number}  userId
+ * @param {string}  password — already validated by the caller
+ * @param {{ mustChange?: boolean }} [opts] — true for admin-set passwords
+ */
+function setPassword(userId, password, { mustChange = false } = {}) {
+  const hash = bcrypt.hashSync(password, BCRYPT_COST);
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET password_hash = ?, password_changed_at = datetime('now'), must_change_password = ?
+      WHERE id = ?
+    `).run(hash, mustChange ? 1 : 0, userId);
+    db.prepare('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)').run(userId, hash);
+    db.prepare(`
+      DELETE FROM password_history
+      WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(userId, userId, POLICY.history);
+  })();
+}
+
+/**
+ * passwordChangeRequired — true if the user must change their password before
+ * using the portal (admin-set password, or older than POLICY.maxAgeDays).
+ * @param  {number} userId
+ * @returns {boolean}
+ */
+function passwordChangeRequired(userId) {
+  const row = db.prepare(`
+    SELECT must_change_password
+        OR (auth_provider = 'local' AND ? > 0
+            AND password_changed_at <= datetime('now', '-' || ? || ' days')) AS required
+    FROM users WHERE id = ?
+  `).get(POLICY.maxAgeDays, POLICY.maxAgeDays, userId);
+  return !!(row && row.required);
+}
+
+module.exports = { POLICY, checkPassword, isRecentlyUsed, setPassword, passwordChangeRequired };
@@ -0,0 +1,71 @@
+/**
+ * password-reset.js — one-time tokens for the emailed password reset link.
+ *
+ * POST /api/auth/forgot-password creates a token and mails a link containing
+ * it; POST /api/auth/reset-password redeems it. Tokens are:
+ *
+ *   - random 256-bit values, stored only as a SHA-256 hash (hashToken)
+ *   - valid for RESET_TOKEN_TTL_MINUTES (default 60)
+ *   - single-use: redeeming one marks it used, and requesting a new link
+ *     discards any earlier unused ones for the same user
+ *
+ * Exports:
+ *   RESET_TOKEN_TTL_MINUTES      — token lifetime
+ *   createResetToken(userId, ip) — store a new token; returns the raw value
+ *   findResetToken(raw)          — the pending token row, or undefined
+ *   markResetTokenUsed(id)       — consume a token
+ */
+
+const crypto = require('crypto');
+const db     = require('./database/db');
+const { hashToken } = require('./sessions');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+/**
+ * createResetToken — replaces the user's outstanding reset tokens with a new one.
+ * Used and expired rows are purged at the same time.
+ * @param  {number}      userId
+ * @param  {string|null} ip — requester, kept for auditing
+ * @returns {string} — raw token, to be sent to the user and never stored
+ */
+function createResetToken(userId, ip) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  db.transaction(() => {
+    db.prepare(`
+      DELETE FROM password_resets
+      WHERE user_id = ? OR used_at IS NOT NULL OR expires_at <= datetime('now')
+    `).run(userId);
+    db.prepare(`
+      INSERT INTO password_resets (user_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, datetime('now', ?), ?)
+    `).run(userId, hashToken(raw), `+${RESET_TOKEN_TTL_MINUTES} minutes`, ip || null);
+  })();
+  return raw;
+}
+
+/**
+ * findResetToken — looks up an unused, unexpired token.
+ * @param  {string} raw
+ * @returns {{ id: number, user_id: number } | undefined}
+ */
+function findResetToken(raw) {
+  return db.prepare(`
+    SELECT id, user_id FROM password_resets
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+  `).get(hashToken(String(raw)));
+}
+
+/**
+ * markResetTokenUsed — consumes a token so the link cannot be replayed.
+ * @param  {number} id
+ * @returns {boolean} — false if it was already used (lost a race)
+ */
+function markResetTokenUsed(id) {
+  const result = db.prepare(`
+    UPDATE password_resets SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL
+  `).run(id);
+  return result.changes > 0;
+}
+
+module.exports = { RESET_TOKEN_TTL_MINUTES, createResetToken, findResetToken, markResetTokenUsed };
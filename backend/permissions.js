@@ -0,0 +1,76 @@
+/**
+ * permissions.js — the permission catalogue and role lookups.
+ *
+ * What a user may do depends on the permissions granted to their role in
+ * role_permissions, never on the role name itself. The built-in roles and
+ * their default permissions are seeded from data/roles.json; admins can change
+ * a role's permissions at PUT /api/portal/roles/:role/permissions.
+ *
+ * Routes check permissions with requirePermission() (middleware/auth.js), or
+ * with req.permissions where the answer depends on the notice involved.
+ *
+ * Exports:
+ *   PERMISSIONS            — { name: description } for every permission the code checks
+ *   permissionsFor(role)   — Set of the permissions granted to a role
+ *   rolesWith(permission)  — names of the roles holding a permission
+ *   getRole(name)          — roles row, or undefined
+ *   listRoles()            — every role with its permissions, for the admin panel
+ */
+
+const db = require('./database/db');
+
+const PERMISSIONS = {
+  'user.manage':             'Create and manage user accounts, roles and the login audit trail',
+  'department.manage':       'Create departments',
+  'notice.view_all':         'See every notice and the district-wide statistics',
+  'notice.create':           'Issue notices',
+  'notice.respond':          'Receive notices and mark them Noted or Completed',
+  'notice.close':            'Close notices one issued, once every recipient has completed',
+  'notice.close_department': 'Close completed notices issued by anyone in one\'s own department',
+  'notice.close_any':        'Close any notice, whether or not it has been completed',
+  'notice.reassign':         'Reassign notices addressed to oneself or to anyone in one\'s own department'
+};
+
+/**
+ * permissionsFor — read on every request, so a permission change applies
+ * without users having to log in again.
+ * @param  {string} role
+ * @returns {Set<string>}
+ */
+function permissionsFor(role) {
+  const rows = db.prepare('SELECT permission FROM role_permissions WHERE role = ?').all(role);
+  return new Set(rows.map(r => r.permission));
+}
+
+/**
+ * rolesWith — e.g. rolesWith('notice.respond') is every role that can receive notices.
+ * @param  {string} permission
+ * @returns {string[]}
+ */
+function rolesWith(permission) {
+  return db.prepare('SELECT role FROM role_permissions WHERE permission = ?').all(permission).map(r => r.role);
+}
+
+/**
+ * getRole — a single role definition.
+ * @param  {string} name
+ * @returns {{ name: string, label: string, requires_department: number } | undefined}
+ */
+function getRole(name) {
+  return db.prepare('SELECT name, label, requires_department FROM roles WHERE name = ?').get(name);
+}
+
+/**
+ * listRoles — all roles, alphabetically, each with a sorted permissions array.
+ * @returns {Array<{ name: string, label: string, requires_department: boolean, permissions: string[] }>}
+ */
+function listRoles() {
+  return db.prepare('SELECT name, label, requires_department FROM roles ORDER BY name').all()
+    .map(role => ({
+      ...role,
+      requires_department: !!role.requires_department,
+      permissions:         [...permissionsFor(role.name)].sort()
+    }));
+}
+
+module.exports = { PERMISSIONS, permissionsFor, rolesWith, getRole, listRoles };
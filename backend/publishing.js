@@ -0,0 +1,170 @@
+/**
+ * publishing.js — turning a notice into inbox entries, now or later.
+ *
+ * A notice is in one of three states (notices.state):
+ *
+ *   draft      — being written; saved by the compose page as the sender types.
+ *                Fields may be incomplete and nobody else can see it.
+ *   scheduled  — complete, and waiting for publish_at (UTC).
+ *   published  — delivered: it has its notice_status rows, so it shows,
+ *                unread, in every recipient's inbox.
+ *
+ * Until a notice is published its recipients are kept as chosen in
+ * draft_targets (JSON { target_all, user_ids, dept_ids }); "All Users" is
+ * resolved when the notice goes out, so accounts created meanwhile get it too.
+ * Delivering sets created_at to the moment of publication — that is the date
+ * recipients see — and clears draft_targets.
+ *
+ * The scheduler started by server.js checks for due notices every
+ * PUBLISH_POLL_SECONDS (default 60), after first making the notices of any
+ * recurring series that are due (series.js). Publishing is idempotent, so a
+ * notice missed while the server was down goes out on the next check.
+ *
+ * Exports:
+ *   targetsFromBody(body)            — { targetAll, userIds, deptIds } from form or JSON fields
+ *   checkTargets(senderId, targets)  — validated draft_targets object, or { error }
+ *   parsePublishAt(value)            — SQLite UTC datetime for an ISO date-time, or null if invalid
+ *   deliver(noticeId)                — create the status rows and mark the notice published
+ *   publishDue()                     — deliver every scheduled notice whose time has come
+ *   startScheduler()                 — run spawnDue() and publishDue() periodically; returns the timer
+ */
+
+const db = require('./database/db');
+const { spawnDue } = require('./series');
+
+const POLL_SECONDS = parseInt(process.env.PUBLISH_POLL_SECONDS) || 60;
+
+/** idList — a form field that may be absent, one value or several, as numbers. */
+function idList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).map(Number);
+}
+
+/**
+ * targetsFromBody
+ * @param  {object} body — req.body with target_all, target_user_ids, target_dept_ids
+ * @returns {{ targetAll: boolean, userIds: number[], deptIds: number[] }}
+ */
+function targetsFromBody(body) {
+  const all = body.target_all;
+  return {
+    targetAll: all === '1' || all === true || all === 1,
+    userIds:   idList(body.target_user_ids),
+    deptIds:   [...new Set(idList(body.target_dept_ids))]
+  };
+}
+
+/**
+ * checkTargets — validates recipients the way POST /notices always has. Users
+ * who are members of an addressed department are dropped, since they already
+ * see the department's copy, and so is the sender.
+ * @param  {number} senderId
+ * @param  {{ targetAll: boolean, userIds: number[], deptIds: number[] }} targets
+ * @returns {{ target_all: number, user_ids: number[], dept_ids: number[] } | { error: string }}
+ */
+function checkTargets(senderId, { targetAll, userIds, deptIds }) {
+  if (targetAll) return { target_all: 1, user_ids: [], dept_ids: [] };
+
+  if (userIds.length === 0 && deptIds.length === 0) {
+    return { error: 'Specify target users or departments, or select "All Users".' };
+  }
+  const findDept = db.prepare('SELECT id FROM departments WHERE id = ?');
+  if (deptIds.some(id => !findDept.get(id))) {
+    return { error: 'One or more target departments do not exist.' };
+  }
+  const deptOf = db.prepare('SELECT dept_id FROM users WHERE id = ?');
+  const users  = [...new Set(userIds)].filter(id => {
+    const user = deptOf.get(id);
+    return id !== senderId && !(user && deptIds.includes(user.dept_id));
+  });
+  if (users.length === 0 && deptIds.length === 0) {
+    return { error: 'At least one target user is required.' };
+  }
+  return { target_all: 0, user_ids: users, dept_ids: deptIds };
+}
+
+/**
+ * parsePublishAt — accepts anything Date can parse that carries a time
+ * ("2026-03-02T09:00:00+05:30", "2026-03-02T03:30:00Z").
+ * @param  {string} value
+ * @returns {string|null} — "YYYY-MM-DD HH:MM:SS" in UTC, comparable with datetime('now')
+ */
+function parsePublishAt(value) {
+  if (typeof value !== 'string' || !value.includes('T')) return null;
+  const time = new Date(value);
+  if (isNaN(time)) return null;
+  return time.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * deliver — gives a draft or scheduled notice its notice_status rows and
+ * marks it published. Does nothing if it is already published.
+ * @param  {number} noticeId
+ * @returns {boolean} — true if the notice was delivered now
+ */
+function deliver(noticeId) {
+  return db.transaction(() => {
+    const notice = db.prepare(
+      "SELECT id, created_by, draft_targets FROM notices WHERE id = ? AND state != 'published'"
+    ).get(noticeId);
+    if (!notice) return false;
+
+    const targets      = JSON.parse(notice.draft_targets || '{}');
+    const insertStatus = db.prepare('INSERT OR IGNORE INTO notice_status (notice_id, user_id) VALUES (?, ?)');
+
+    if (targets.target_all) {
+      // Send to every active user who can receive notices, except the sender.
+      const allUsers = db.prepare(`
+        SELECT id FROM users
+        WHERE is_active = 1 AND id != ?
+          AND role IN (SELECT role FROM role_permissions WHERE permission = 'notice.respond')
+      `).all(notice.created_by);
+      allUsers.forEach(u => insertStatus.run(noticeId, u.id));
+    } else {
+      const insertDeptStatus = db.prepare('INSERT OR IGNORE INTO notice_status (notice_id, dept_id) VALUES (?, ?)');
+      (targets.user_ids || []).forEach(id => insertStatus.run(noticeId, id));
+      (targets.dept_ids || []).forEach(id => insertDeptStatus.run(noticeId, id));
+    }
+
+    db.prepare(`
+      UPDATE notices
+      SET state = 'published', target_all = ?, draft_targets = NULL,
+          created_at = datetime('now'), updated_at = NULL
+      WHERE id = ?
+    `).run(targets.target_all ? 1 : 0, noticeId);
+    return true;
+  })();
+}
+
+/**
+ * publishDue
+ * @returns {number[]} — ids of the notices delivered
+ */
+function publishDue() {
+  const due = db.prepare(
+    "SELECT id FROM notices WHERE state = 'scheduled' AND publish_at <= datetime('now') ORDER BY publish_at"
+  ).all();
+  return due.map(n => n.id).filter(deliver);
+}
+
+/**
+ * startScheduler — the timer does not keep the process alive on its own.
+ * @returns {NodeJS.Timeout}
+ */
+function startScheduler() {
+  const run = () => {
+    try {
+      spawnDue();
+      const ids = publishDue();
+      if (ids.length) console.log(`[scheduler] Published notice(s) ${ids.join(', ')}`);
+    } catch (err) {
+      console.error('[scheduler]', err.message);
+    }
+  };
+  run();
+  const timer = setInterval(run, POLL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { targetsFromBody, checkTargets, parsePublishAt, deliver, publishDue, startScheduler };
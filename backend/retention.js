@@ -0,0 +1,115 @@
+/**
+ * retention.js — purging closed notices once their retention period is over.
+ *
+ * Closing a notice only archives it: the notice, every response and every
+ * file stay on record, and the archive browser (GET /notices/archive) lists
+ * them. A closed notice is purged — its row, its status rows, responses and
+ * comments, checklist progress, and every file sent with them — only
+ * NOTICE_RETENTION_DAYS after it was closed. Without that setting (or with
+ * 0) closed notices are kept indefinitely.
+ *
+ * Purging keeps the notice's completions by month in notice_archive_stats,
+ * so the monthly chart does not change when old notices go.
+ *
+ * The job started by server.js runs at startup and then once a day.
+ *
+ * Exports:
+ *   RETENTION_DAYS      — days a closed notice is kept, or 0 for no limit
+ *   purgeOn(closedAt)   — date (YYYY-MM-DD) a notice closed then will be
+ *                         purged, or null
+ *   purgeExpired()      — purge every closed notice past retention; returns
+ *                         their ids
+ *   startRetentionJob() — run purgeExpired() now and daily; returns the
+ *                         timer, or null
+ */
+
+const db = require('./database/db');
+const { deleteFile } = require('./storage');
+
+const RETENTION_DAYS = Math.max(0, parseInt(process.env.NOTICE_RETENTION_DAYS) || 0);
+const DAY_MS         = 86400000;
+
+/**
+ * purgeOn
+ * @param  {string} closedAt — SQLite UTC datetime
+ * @returns {string|null}
+ */
+function purgeOn(closedAt) {
+  if (!RETENTION_DAYS || !closedAt) return null;
+  return new Date(Date.parse(closedAt.slice(0, 10)) + RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * purgeExpired — deletes closed notices whose retention period has ended,
+ * archiving their completion counts first, then removes their files.
+ * @returns {Promise<number[]>} — ids of the notices purged
+ */
+async function purgeExpired() {
+  if (!RETENTION_DAYS) return [];
+
+  const expired = db.prepare(`
+    SELECT id, attachment_path FROM notices
+    WHERE closed_at IS NOT NULL AND closed_at <= datetime('now', ?)
+  `).all(`-${RETENTION_DAYS} days`);
+
+  const completedByMonth = db.prepare(`
+    SELECT strftime('%Y-%m', updated_at) AS month, COUNT(*) AS completed
+    FROM notice_status
+    WHERE notice_id = ? AND status = 'Accepted' AND updated_at IS NOT NULL
+    GROUP BY month
+  `);
+  // Every reply file ever sent, not only each recipient's latest.
+  const replyPaths  = db.prepare(`
+    SELECT r.reply_path FROM notice_responses r JOIN notice_status ns ON ns.id = r.status_id
+    WHERE ns.notice_id = ? AND r.reply_path IS NOT NULL
+    UNION
+    SELECT reply_path FROM notice_status WHERE notice_id = ? AND reply_path IS NOT NULL
+  `);
+  const commentFiles = db.prepare('SELECT attachment_path FROM notice_comments WHERE notice_id = ? AND attachment_path IS NOT NULL');
+  // Every checklist file ever sent; reassigned rows share theirs, hence UNION.
+  const itemFiles    = db.prepare(`
+    SELECT x.attachment_path FROM notice_item_done x JOIN notice_items i ON i.id = x.item_id
+    WHERE i.notice_id = ? AND x.attachment_path IS NOT NULL
+    UNION
+    SELECT h.attachment_path FROM notice_item_history h JOIN notice_items i ON i.id = h.item_id
+    WHERE i.notice_id = ? AND h.attachment_path IS NOT NULL
+  `);
+  const archiveStat = db.prepare('INSERT INTO notice_archive_stats (month, completed) VALUES (?, ?)');
+  const remove      = db.prepare('DELETE FROM notices WHERE id = ?');
+
+  const files = [];
+  for (const notice of expired) {
+    db.transaction(() => {
+      completedByMonth.all(notice.id).forEach(row => archiveStat.run(row.month, row.completed));
+      files.push(notice.attachment_path, ...replyPaths.all(notice.id, notice.id).map(r => r.reply_path),
+                 ...commentFiles.all(notice.id).map(c => c.attachment_path),
+                 ...itemFiles.all(notice.id, notice.id).map(x => x.attachment_path));
+      remove.run(notice.id);
+    })();
+  }
+
+  const results = await Promise.allSettled(files.filter(Boolean).map(p => deleteFile(p)));
+  results.filter(r => r.status === 'rejected')
+    .forEach(r => console.error('[retention] Could not delete a file:', r.reason.message));
+
+  return expired.map(n => n.id);
+}
+
+/**
+ * startRetentionJob
+ * @returns {NodeJS.Timeout|null} — null when closed notices are kept indefinitely
+ */
+function startRetentionJob() {
+  if (!RETENTION_DAYS) return null;
+
+  const run = () => purgeExpired()
+    .then(ids => { if (ids.length) console.log(`[retention] Purged notice(s) ${ids.join(', ')}`); })
+    .catch(err => console.error('[retention]', err.message));
+
+  run();
+  const timer = setInterval(run, DAY_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { RETENTION_DAYS, purgeOn, purgeExpired, startRetentionJob };
@@ -0,0 +1,104 @@
+/**
+ * routes/api-keys.js — API key management for integrations (see api-keys.js).
+ *
+ * Mounted at /api/portal in app.js. Every route requires user.manage.
+ *
+ * GET    /api/portal/api-keys     — every key (never the key itself) and the scope catalogue
+ * POST   /api/portal/api-keys     — issue a key; the raw key is returned this once
+ * DELETE /api/portal/api-keys/:id — revoke a key
+ */
+
+const express = require('express');
+const db      = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
+const { permissionsFor } = require('../permissions');
+const { SCOPES, DEFAULT_RATE_LIMIT, createApiKey } = require('../api-keys');
+
+const router = express.Router();
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── GET /api/portal/api-keys ─────────────────────────────────────────────────
+// Newest first. status is 'active', 'expired' or 'revoked'.
+router.get('/api-keys', requirePermission('user.manage'), (req, res) => {
+  const keys = db.prepare(`
+    SELECT k.id, k.name, k.key_prefix, k.user_id, k.scopes, k.rate_limit, k.expires_on,
+           k.revoked_at, k.last_used_at, k.last_used_ip, k.created_at,
+           u.username, c.username AS created_by_username,
+           CASE WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+                WHEN k.expires_on < date('now') THEN 'expired'
+                ELSE 'active' END AS status
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    JOIN users c ON c.id = k.created_by
+    ORDER BY k.id DESC
+  `).all();
+
+  res.json({
+    keys:   keys.map(k => ({ ...k, scopes: k.scopes.split(' ') })),
+    scopes: Object.fromEntries(Object.entries(SCOPES).map(([name, s]) => [name, s.label]))
+  });
+});
+
+// ── POST /api/portal/api-keys ────────────────────────────────────────────────
+// Body: { name, user_id, scopes: [...], expires_on?, rate_limit? }
+// The key acts as user_id, whose role must hold what each write scope needs
+// (notices:create → notice.create, notices:respond → notice.respond).
+// rate_limit is requests per minute (default API_KEY_RATE_LIMIT, 60).
+router.post('/api-keys', requirePermission('user.manage'), (req, res) => {
+  const name   = String(req.body.name || '').trim();
+  const userId = parseInt(req.body.user_id);
+  const scopes = [...new Set([].concat(req.body.scopes || []))];
+  const { expires_on } = req.body;
+  const limit  = req.body.rate_limit === undefined || req.body.rate_limit === ''
+    ? DEFAULT_RATE_LIMIT
+    : parseInt(req.body.rate_limit);
+
+  if (!name || !userId || !scopes.length) {
+    return res.status(400).json({ error: 'name, user_id, and at least one scope are required.' });
+  }
+  if (name.length > 100) {
+    return res.status(400).json({ error: 'name must be 100 characters or fewer.' });
+  }
+  const unknown = scopes.filter(s => !SCOPES[s]);
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${Object.keys(SCOPES).join(', ')}.` });
+  }
+  if (expires_on && (!DATE.test(expires_on) || expires_on < new Date().toISOString().slice(0, 10))) {
+    return res.status(400).json({ error: 'expires_on must be a date (YYYY-MM-DD) no earlier than today.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+    return res.status(400).json({ error: 'rate_limit must be between 1 and 10000 requests per minute.' });
+  }
+
+  const user = db.prepare('SELECT id, username, role, is_active FROM users WHERE id = ?').get(userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  if (!user.is_active) return res.status(400).json({ error: 'API keys cannot be issued for an inactive account.' });
+
+  const permissions = permissionsFor(user.role);
+  const missing = scopes.filter(s => s !== 'notices:read' && !SCOPES[s].permissions.some(p => permissions.has(p)));
+  if (missing.length) {
+    return res.status(400).json({ error: `${user.username}'s role does not allow: ${missing.join(', ')}.` });
+  }
+
+  const { id, key } = createApiKey({
+    name, userId, scopes, expiresOn: expires_on || null, rateLimit: limit, createdBy: req.user.id
+  });
+  res.status(201).json({ success: true, id, key, key_prefix: key.slice(0, 12) });
+});
+
+// ── DELETE /api/portal/api-keys/:id ──────────────────────────────────────────
+// Revoked keys stop working at once and stay listed for the record.
+router.delete('/api-keys/:id', requirePermission('user.manage'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid API key ID.' });
+
+  const key = db.prepare('SELECT revoked_at FROM api_keys WHERE id = ?').get(id);
+  if (!key) return res.status(404).json({ error: 'API key not found.' });
+  if (key.revoked_at) return res.status(400).json({ error: 'This API key is already revoked.' });
+
+  db.prepare("UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ?").run(id);
+  res.json({ success: true, message: 'API key revoked.' });
+});
+
+module.exports = router;
@@ -3,87 +3,208 @@
  *
  * Mounted at /api/auth in app.js.
  *
- * POST /api/auth/login          — validate credentials, return a JWT
+ * POST /api/auth/login          — validate credentials, return an access + refresh token
+ *                                  (or an MFA challenge when 2FA is enabled)
+ *
+ * Every endpoint that issues tokens supports two modes: the token pair in the
+ * JSON body (API clients), or httpOnly cookies plus a CSRF token when the
+ * client asks for { session: 'cookie' } (the browser frontend). See
+ * session-cookies.js.
+ *
+ * POST /api/auth/refresh        — rotate a refresh token, return a new token pair
+ * POST /api/auth/logout         — revoke the current session (auth required)
  * GET  /api/auth/me             — return the current user's profile (auth required)
- * POST /api/auth/change-password — update the logged-in user's password (auth required)
+ * POST /api/auth/change-password — update the logged-in user's password and
+ *                                  revoke all other sessions (auth required)
+ * GET  /api/auth/password-policy — the password rules, for display on forms
+ * POST /api/auth/forgot-password — email a one-time password reset link
+ * POST /api/auth/reset-password  — set a new password using that link's token
+ *
+ * Two-factor endpoints live under /api/auth/2fa (routes/two-factor.js).
  */
 
 const express = require('express');
 const bcrypt  = require('bcryptjs');
-const jwt     = require('jsonwebtoken');
 const db      = require('../database/db');
-const { requireAuth } = require('../middleware/auth');
+const { requireSession } = require('../middleware/auth');
+const {
+  issueSession, completeLogin, rotateRefreshToken, refreshTokenFamily, revokeFamily,
+  revokeAccessToken, revokeUserSessions, loadUser, issueMfaChallenge
+} = require('../sessions');
+const {
+  COOKIES, readCookie, sessionBody, clearSessionCookies, checkCsrf
+} = require('../session-cookies');
+const {
+  POLICY, checkPassword, isRecentlyUsed, setPassword, passwordChangeRequired
+} = require('../password-policy');
+const {
+  recordAttempt, lockedUntil, registerFailure, lockedBody, clearFailures
+} = require('../lockout');
+const { sendMail } = require('../mailer');
+const {
+  LoginError, authenticate, isEnabled: isProviderEnabled
+} = require('../auth-providers');
+const {
+  RESET_TOKEN_TTL_MINUTES, createResetToken, findResetToken, markResetTokenUsed
+} = require('../password-reset');
 
 const router = express.Router();
 
 // ── POST /api/auth/login ─────────────────────────────────────────────────────
-// Validates username and password, then issues a signed JWT valid for 8 hours.
+// Validates username and password, then starts a new session: a short-lived
+// access token (JWT) plus a rotating refresh token (see sessions.js).
 // The token payload includes role and dept_id so downstream middleware can make
 // access-control decisions without an extra DB query.
-router.post('/login', (req, res) => {
+//
+// The password is checked by the account's provider — the local bcrypt hash
+// or the LDAP directory, which also creates accounts on first login (see
+// auth-providers.js). A directory user outside every mapped group gets 403;
+// an unreachable directory gets 503.
+//
+// Users with 2FA enabled get { mfaRequired: true, mfaToken } instead, which
+// must be completed at POST /api/auth/2fa/verify within 5 minutes.
+//
+// Every attempt is written to login_attempts, and repeated wrong passwords
+// lock the account (423) regardless of which IP they come from — see lockout.js.
+router.post('/login', async (req, res, next) => {
   const { username, password } = req.body;
 
-  // Both fields are required — return early with a clear error.
+  // Both fields are required — return early with a clear error. Anything
+  // but a string (a number, an object) is refused before it reaches a lookup.
   if (!username || !password) {
     return res.status(400).json({ error: 'Username and password are required.' });
   }
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password must be text.' });
+  }
 
   // Look up the user by username (case-insensitive via .toLowerCase()).
   // Also JOIN departments so we can include dept_name/dept_code in the token.
-  const user = db.prepare(`
-    SELECT u.id, u.username, u.password_hash, u.role, u.dept_id, u.is_active,
+  const findUser = name => db.prepare(`
+    SELECT u.id, u.username, u.password_hash, u.role, u.dept_id, u.is_active, u.token_version,
+           u.totp_enabled, u.auth_provider, COALESCE(rs.require_2fa, 0) AS require_2fa,
            d.name AS dept_name, d.code AS dept_code
     FROM users u
     LEFT JOIN departments d ON u.dept_id = d.id
+    LEFT JOIN role_settings rs ON rs.role = u.role
     WHERE u.username = ?
-  `).get(username.trim().toLowerCase());
+  `).get(name);
+  const typed    = username.trim();
+  const name     = typed.toLowerCase();
+  const existing = findUser(name);
 
   // Return the same 401 for "user not found" and "wrong password" to avoid
-  // leaking which usernames exist in the system.
-  if (!user) {
+  // leaking which usernames exist in the system. Unknown names are still
+  // tried against the directory when it is enabled.
+  if (!existing && !isProviderEnabled('ldap')) {
+    recordAttempt(req, { username: typed, outcome: 'unknown_user' });
     return res.status(401).json({ error: 'Invalid username or password.' });
   }
 
-  // Deactivated accounts are blocked before the password check to give a
-  // more helpful message and prevent timing-based username enumeration.
-  if (!user.is_active) {
-    return res.status(403).json({ error: 'This account has been deactivated. Contact the administrator.' });
+  const attempt = { username: typed, userId: existing ? existing.id : null };
+
+  if (existing) {
+    // Deactivated accounts are blocked before the password check to give a
+    // more helpful message and prevent timing-based username enumeration.
+    if (!existing.is_active) {
+      recordAttempt(req, { ...attempt, outcome: 'inactive' });
+      return res.status(403).json({ error: 'This account has been deactivated. Contact the administrator.' });
+    }
+
+    // A locked account is refused without checking the password, so guesses
+    // made during the lock cannot succeed or extend it.
+    const lockEnd = lockedUntil(existing.id);
+    if (lockEnd) {
+      recordAttempt(req, { ...attempt, outcome: 'locked' });
+      return res.status(423).json(lockedBody(lockEnd));
+    }
   }
 
-  // bcrypt.compareSync handles the timing-safe comparison.
-  const valid = bcrypt.compareSync(password, user.password_hash);
-  if (!valid) {
+  let userId;
+  try {
+    userId = await authenticate(name, password, existing);
+  } catch (err) {
+    if (!(err instanceof LoginError)) return next(err);
+    if (err.outcome) recordAttempt(req, { ...attempt, outcome: err.outcome });
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  if (!userId) {
+    if (!existing) {
+      recordAttempt(req, { ...attempt, outcome: 'unknown_user' });
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+    recordAttempt(req, { ...attempt, outcome: 'invalid_password' });
+    const lockedNow = registerFailure(existing.id);
+    if (lockedNow) return res.status(423).json(lockedBody(lockedNow));
     return res.status(401).json({ error: 'Invalid username or password.' });
   }
 
-  // Record login timestamp for audit purposes (visible in the admin user list).
-  db.prepare("UPDATE users SET last_login = datetime('now') WHERE id = ?").run(user.id);
+  // Re-read the account: a directory login may have just created it or
+  // changed its role and department.
+  const user = findUser(name);
+  attempt.userId = user.id;
 
-  // Build the JWT payload — omit password_hash and is_active.
-  const payload = {
-    id:        user.id,
-    username:  user.username,
-    role:      user.role,
-    dept_id:   user.dept_id,
-    dept_name: user.dept_name || null,
-    dept_code: user.dept_code || null
-  };
+  // Password is correct but a second factor is still needed.
+  if (user.totp_enabled) {
+    return res.json({ mfaRequired: true, mfaToken: issueMfaChallenge(user) });
+  }
 
-  // Sign the token with an 8-hour expiry — balances security vs. usability
-  // for a government portal used within a single working day.
-  const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '8h' });
+  // Return both tokens and the payload so the client can cache user info locally.
+  // passwordChangeRequired / mfaEnrollmentRequired tell the client which setup
+  // page to show first; the rest of the portal answers 403 until both are done.
+  recordAttempt(req, { ...attempt, outcome: 'success' });
+  clearFailures(user.id);
+  res.json({
+    ...sessionBody(res, completeLogin(user), req.body.session === 'cookie'),
+    passwordChangeRequired: passwordChangeRequired(user.id),
+    mfaEnrollmentRequired:  !!user.require_2fa
+  });
+});
 
-  // Return token and payload so the client can cache user info locally.
-  res.json({ token, user: payload });
+// ── POST /api/auth/refresh ───────────────────────────────────────────────────
+// Exchanges a refresh token for a new access token and a new refresh token.
+// The presented refresh token is single-use; replaying it revokes the session.
+// Without a refreshToken in the body the portal_refresh cookie is used, and the
+// new pair is written back to cookies (this needs the X-CSRF-Token header too).
+router.post('/refresh', (req, res) => {
+  const fromCookie   = !req.body.refreshToken;
+  const refreshToken = fromCookie ? readCookie(req, COOKIES.refresh) : req.body.refreshToken;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'refreshToken is required.' });
+  }
+  if (fromCookie && !checkCsrf(req, refreshTokenFamily(refreshToken))) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token.', code: 'CSRF_FAILED' });
+  }
+
+  const result = rotateRefreshToken(refreshToken);
+  if (result.error) {
+    if (fromCookie) clearSessionCookies(res);
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.json(sessionBody(res, result, fromCookie));
+});
+
+// ── POST /api/auth/logout ────────────────────────────────────────────────────
+// Ends the caller's session server-side: the presented access token is added
+// to the revocation list and the refresh-token family it belongs to is revoked,
+// so neither can be used again even if copied from the browser.
+router.post('/logout', requireSession, (req, res) => {
+  revokeAccessToken(req.tokenPayload);
+  if (req.tokenPayload.sid) revokeFamily(req.tokenPayload.sid);
+  clearSessionCookies(res);
+  res.json({ success: true, message: 'Logged out.' });
 });
 
 // ── GET /api/auth/me ─────────────────────────────────────────────────────────
 // Returns the authenticated user's fresh profile from the database.
 // Useful on page load to confirm the session is still valid and refresh
 // any stale locally-cached values (e.g. last_login).
-router.get('/me', requireAuth, (req, res) => {
+router.get('/me', requireSession, (req, res) => {
   const user = db.prepare(`
-    SELECT u.id, u.username, u.role, u.dept_id, u.last_login,
+    SELECT u.id, u.username, u.email, u.role, u.dept_id, u.last_login,
            d.name AS dept_name, d.code AS dept_code
     FROM users u
     LEFT JOIN departments d ON u.dept_id = d.id
@@ -92,32 +213,164 @@ router.get('/me', requireAuth, (req, res) => {
 
   // Should not normally happen since the token was valid, but guard anyway.
   if (!user) return res.status(404).json({ error: 'User not found.' });
-  res.json(user);
+  // pending_setup is the { code, error } requireAuth would answer with, or null;
+  // impersonation is set while an administrator is viewing as this user.
+  res.json({
+    ...user,
+    permissions:   [...req.permissions].sort(),
+    pending_setup: req.pendingSetup,
+    impersonation: req.impersonation
+  });
 });
 
 // ── POST /api/auth/change-password ───────────────────────────────────────────
 // Allows the currently logged-in user to update their own password.
 // Requires the current password to prevent account takeover via a stolen token.
-router.post('/change-password', requireAuth, (req, res) => {
+// Every existing session (including this one) is revoked, and a fresh token
+// pair is returned so the caller stays logged in on this device.
+// The new password must satisfy the password policy (password-policy.js) and
+// differ from the last few; changing it clears must_change_password.
+router.post('/change-password', requireSession, (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   if (!currentPassword || !newPassword) {
     return res.status(400).json({ error: 'currentPassword and newPassword are required.' });
   }
-  if (newPassword.length < 8) {
-    return res.status(400).json({ error: 'New password must be at least 8 characters.' });
-  }
 
   // Fetch the current hash to verify the submitted current password.
-  const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(req.user.id);
+  const user = db.prepare(`
+    SELECT u.username, u.password_hash, u.auth_provider, d.code AS dept_code
+    FROM users u
+    LEFT JOIN departments d ON u.dept_id = d.id
+    WHERE u.id = ?
+  `).get(req.user.id);
+
+  if (user.auth_provider !== 'local') {
+    return res.status(400).json({ error: 'Your password is managed by the district directory. Change it there.' });
+  }
+
+  const problems = checkPassword(newPassword, { username: user.username, deptCode: user.dept_code });
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join(' ') });
+  }
+
   if (!bcrypt.compareSync(currentPassword, user.password_hash)) {
     return res.status(401).json({ error: 'Current password is incorrect.' });
   }
+  if (isRecentlyUsed(req.user.id, newPassword)) {
+    return res.status(400).json({ error: `New password must differ from your last ${POLICY.history} passwords.` });
+  }
+
+  setPassword(req.user.id, newPassword);
+  revokeUserSessions(req.user.id);
+
+  const session = issueSession(loadUser(req.user.id));
+  res.json({
+    success: true,
+    message: 'Password changed successfully.',
+    ...sessionBody(res, session, req.authMethod === 'cookie')
+  });
+});
+
+// ── GET /api/auth/password-policy ────────────────────────────────────────────
+// Public so the change-password and admin forms can describe the rules.
+router.get('/password-policy', (req, res) => {
+  res.json(POLICY);
+});
+
+// ── POST /api/auth/forgot-password ───────────────────────────────────────────
+// Accepts { username } or { email }. If it matches an active local account that
+// has an email address, a single-use reset link is mailed to that address.
+// Directory accounts are skipped: their password is not the portal's to reset.
+// The response is identical whether or not anything matched, and is sent
+// without waiting for the email, so neither its body nor its timing can be
+// used to discover usernames or addresses.
+//
+// The link points at APP_BASE_URL. Outside production the request's own
+// origin is used when it is unset; in production it must be configured, since
+// the Host header is attacker-controlled.
+router.post('/forgot-password', (req, res) => {
+  const { username, email } = req.body;
+  if (!username && !email) {
+    return res.status(400).json({ error: 'username or email is required.' });
+  }
+
+  const generic = {
+    success: true,
+    message: 'If the account exists and has an email address on file, a reset link has been sent to it.'
+  };
+
+  const user = db.prepare(`
+    SELECT id, username, email FROM users
+    WHERE is_active = 1 AND auth_provider = 'local' AND email IS NOT NULL
+      AND (username = ? OR email = ?)
+  `).get(
+    String(username || '').trim().toLowerCase(),
+    String(email || '').trim().toLowerCase()
+  );
+  if (!user) return res.json(generic);
+
+  const base = process.env.APP_BASE_URL ||
+    (process.env.NODE_ENV === 'production' ? null : `${req.protocol}://${req.get('host')}`);
+  if (!base) {
+    console.error('APP_BASE_URL is not set — password reset email not sent.');
+    return res.json(generic);
+  }
+
+  // The token travels in the URL fragment so it never reaches server logs or
+  // Referer headers; reset-password.js reads it client-side.
+  const token = createResetToken(user.id, req.ip);
+  const link  = `${base.replace(/\/$/, '')}/pages/reset-password.html#token=${token}`;
+  sendMail({
+    to:      user.email,
+    subject: 'Reset your Raipur Portal password',
+    text:    `A password reset was requested for the portal account "${user.username}".\n\n` +
+             `Open this link to choose a new password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes, one use only):\n` +
+             `${link}\n\n` +
+             'If you did not ask for this, ignore this email — your password has not been changed.'
+  }).catch(err => {
+    // The generic answer has already gone; the failure is for the operator.
+    console.error('Password reset email failed:', err.message);
+  });
+  res.json(generic);
+});
+
+// ── POST /api/auth/reset-password ────────────────────────────────────────────
+// Redeems a reset token: the new password must satisfy the policy and the
+// history rule. The token is consumed, every session of the user is revoked
+// and any lockout is lifted. No session is returned — the user logs in
+// normally afterwards, so a second factor is still required if enabled.
+router.post('/reset-password', (req, res) => {
+  const { token, newPassword } = req.body;
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'token and newPassword are required.' });
+  }
+
+  const invalid = { error: 'This reset link is invalid or has expired. Request a new one.' };
+  const reset = findResetToken(token);
+  if (!reset) return res.status(400).json(invalid);
+
+  const user = db.prepare(`
+    SELECT u.id, u.username, u.is_active, u.auth_provider, d.code AS dept_code
+    FROM users u
+    LEFT JOIN departments d ON u.dept_id = d.id
+    WHERE u.id = ?
+  `).get(reset.user_id);
+  if (!user || !user.is_active || user.auth_provider !== 'local') return res.status(400).json(invalid);
+
+  const problems = checkPassword(newPassword, { username: user.username, deptCode: user.dept_code });
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join(' ') });
+  }
+  if (isRecentlyUsed(user.id, newPassword)) {
+    return res.status(400).json({ error: `New password must differ from your last ${POLICY.history} passwords.` });
+  }
 
-  // Hash the new password with bcrypt cost factor 12 before storing.
-  const newHash = bcrypt.hashSync(newPassword, 12);
-  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(newHash, req.user.id);
-  res.json({ success: true, message: 'Password changed successfully.' });
+  if (!markResetTokenUsed(reset.id)) return res.status(400).json(invalid);
+  setPassword(user.id, newPassword);
+  revokeUserSessions(user.id);
+  clearFailures(user.id);
+  res.json({ success: true, message: 'Password has been reset. You can now log in.' });
 });
 
 module.exports = router;
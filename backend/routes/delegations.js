@@ -0,0 +1,127 @@
+/**
+ * routes/delegations.js — leave cover (see delegations.js).
+ *
+ * Mounted at /api/portal in app.js.
+ *
+ * GET    /api/portal/delegations     — current and upcoming delegations: one's own
+ *                                      (given or received), or every one with user.manage
+ * POST   /api/portal/delegations     — hand one's notices to a deputy for a date range
+ *                                      (notice.respond); user.manage may set up cover
+ *                                      for anyone with from_user_id
+ * DELETE /api/portal/delegations/:id — cancel or end a delegation early (the
+ *                                      officer, whoever created it, or user.manage)
+ */
+
+const express = require('express');
+const db      = require('../database/db');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** findResponder — an active account whose role receives notices, or undefined. */
+function findResponder(userId) {
+  return db.prepare(`
+    SELECT id, username FROM users
+    WHERE id = ? AND is_active = 1
+      AND role IN (SELECT role FROM role_permissions WHERE permission = 'notice.respond')
+  `).get(userId);
+}
+
+// ── GET /api/portal/delegations ──────────────────────────────────────────────
+// Delegations that have not ended yet, soonest first. is_current is 1 for
+// those in effect today.
+router.get('/delegations', requireAuth, (req, res) => {
+  const everyone = req.permissions.has('user.manage');
+  const rows = db.prepare(`
+    SELECT g.id, g.from_user_id, g.to_user_id, g.starts_on, g.ends_on, g.created_at,
+           f.username AS from_username,
+           t.username AS to_username,
+           c.username AS created_by_username,
+           date('now') BETWEEN g.starts_on AND g.ends_on AS is_current
+    FROM delegations g
+    JOIN users f ON f.id = g.from_user_id
+    JOIN users t ON t.id = g.to_user_id
+    JOIN users c ON c.id = g.created_by
+    WHERE g.ends_on >= date('now')
+      AND (? OR g.from_user_id = ? OR g.to_user_id = ?)
+    ORDER BY g.starts_on ASC, f.username ASC
+  `).all(everyone ? 1 : 0, req.user.id, req.user.id);
+  res.json(rows);
+});
+
+// ── POST /api/portal/delegations ─────────────────────────────────────────────
+// Body: { to_user_id, starts_on, ends_on, from_user_id? }. Both users must be
+// active and able to receive notices. An officer can have only one deputy at
+// a time, so overlapping date ranges are refused.
+router.post('/delegations', requirePermission('notice.respond', 'user.manage'), (req, res) => {
+  const { starts_on, ends_on } = req.body;
+  const fromUserId = req.body.from_user_id ? parseInt(req.body.from_user_id) : req.user.id;
+  const toUserId   = parseInt(req.body.to_user_id);
+
+  if (!toUserId || !starts_on || !ends_on) {
+    return res.status(400).json({ error: 'to_user_id, starts_on, and ends_on are required.' });
+  }
+  if (!DATE.test(starts_on) || !DATE.test(ends_on)) {
+    return res.status(400).json({ error: 'starts_on and ends_on must be in YYYY-MM-DD format.' });
+  }
+  if (ends_on < starts_on) {
+    return res.status(400).json({ error: 'ends_on cannot be before starts_on.' });
+  }
+  if (ends_on < new Date().toISOString().slice(0, 10)) {
+    return res.status(400).json({ error: 'This date range has already ended.' });
+  }
+  if (fromUserId !== req.user.id && !req.permissions.has('user.manage')) {
+    return res.status(403).json({ error: 'You can only delegate your own notices.' });
+  }
+  if (fromUserId === toUserId) {
+    return res.status(400).json({ error: 'A user cannot be their own delegate.' });
+  }
+
+  const from = findResponder(fromUserId);
+  if (!from) return res.status(400).json({ error: 'Only active users who receive notices can delegate them.' });
+  const to = findResponder(toUserId);
+  if (!to) return res.status(400).json({ error: 'The delegate must be an active user who can respond to notices.' });
+
+  const clash = db.prepare(`
+    SELECT t.username, g.starts_on, g.ends_on
+    FROM delegations g JOIN users t ON t.id = g.to_user_id
+    WHERE g.from_user_id = ? AND g.starts_on <= ? AND g.ends_on >= ?
+  `).get(fromUserId, ends_on, starts_on);
+  if (clash) {
+    return res.status(409).json({
+      error: `${from.username} is already covered by ${clash.username} from ${clash.starts_on} to ${clash.ends_on}.`
+    });
+  }
+
+  const result = db.prepare(`
+    INSERT INTO delegations (from_user_id, to_user_id, starts_on, ends_on, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(fromUserId, toUserId, starts_on, ends_on, req.user.id);
+
+  res.status(201).json({ success: true, delegationId: result.lastInsertRowid });
+});
+
+// ── DELETE /api/portal/delegations/:id ───────────────────────────────────────
+// Cancelling takes effect at once: the deputy stops seeing the notices, and
+// responses already given stay recorded against the deputy.
+router.delete('/delegations/:id', requireAuth, (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid delegation ID.' });
+
+  const delegation = db.prepare('SELECT * FROM delegations WHERE id = ?').get(id);
+  if (!delegation) return res.status(404).json({ error: 'Delegation not found.' });
+
+  const allowed = req.permissions.has('user.manage') ||
+                  delegation.from_user_id === req.user.id ||
+                  delegation.created_by === req.user.id;
+  if (!allowed) {
+    return res.status(403).json({ error: 'Only the user on leave or an administrator can cancel this delegation.' });
+  }
+
+  db.prepare('DELETE FROM delegations WHERE id = ?').run(id);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@
  *
  * Mounted at /api/departments in app.js.
  *
- * POST /api/departments             — create a new department (admin only)
+ * POST /api/departments             — create a new department (department.manage)
  * GET  /api/departments             — list all departments; optional ?category= filter
  * GET  /api/departments/officials/all — list all key officials (from JSON file)
  * GET  /api/departments/:id         — single department by ID
@@ -15,13 +15,13 @@
 const express = require('express');
 const router  = express.Router();
 const db      = require('../database/db');
-const { requireAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
-// ── POST / — create a new department (admin only) ───────────────────────────
+// ── POST / — create a new department (department.manage) ────────────────────
 // Generates a short uppercase code from the department name (e.g. "Health Dept"
 // becomes "HEALTH_DEPT"). If the generated code already exists, a numeric suffix
 // is appended and retried up to 10 times before giving up.
-router.post('/', requireAdmin, (req, res) => {
+router.post('/', requirePermission('department.manage'), (req, res) => {
   const { name } = req.body;
   if (!name || !name.trim()) return res.status(400).json({ error: 'Department name is required.' });
 
@@ -0,0 +1,201 @@
+/**
+ * routes/drafts.js — unsent notices: drafts and scheduled notices (see publishing.js).
+ *
+ * Mounted at /api/portal in app.js, ahead of notices-auth.js so that
+ * /notices/drafts is not taken for a notice id. Every route requires
+ * notice.create, and a sender only ever sees their own drafts — anyone
+ * else's are reported as not found.
+ *
+ * A draft may be saved incomplete (the compose page autosaves it as the
+ * sender types); everything is validated when it is published. Editing a
+ * scheduled notice turns it back into a draft. A draft's checklist items
+ * (checklist.js) are saved with it and replaced on every save.
+ *
+ * GET    /api/portal/notices/drafts             — the sender's drafts and scheduled notices
+ * POST   /api/portal/notices/drafts             — save a new draft (multipart, like POST /notices)
+ * GET    /api/portal/notices/drafts/:id         — one draft
+ * PUT    /api/portal/notices/drafts/:id         — replace a draft's fields (multipart)
+ * POST   /api/portal/notices/drafts/:id/publish — send now, or at publish_at
+ * DELETE /api/portal/notices/drafts/:id         — discard a draft or cancel a scheduled notice
+ */
+
+const express = require('express');
+const db      = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
+const upload  = require('../middleware/upload');
+const { saveFile, deleteFile } = require('../storage');
+const { targetsFromBody, checkTargets, parsePublishAt, deliver } = require('../publishing');
+const { itemsFromBody, itemsError, saveItems, noticeItems } = require('../checklist');
+
+const router = express.Router();
+
+const PRIORITIES = ['High', 'Normal', 'Low'];
+const DATE       = /^\d{4}-\d{2}-\d{2}$/;
+
+/** draftRow — the caller's unsent notice with this id, or undefined. */
+function draftRow(req) {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return undefined;
+  return db.prepare(
+    "SELECT * FROM notices WHERE id = ? AND created_by = ? AND state != 'published'"
+  ).get(id, req.user.id);
+}
+
+/** present — a draft row as returned to the compose page. */
+function present(n) {
+  return {
+    id: n.id, title: n.title, body: n.body, priority: n.priority, deadline: n.deadline,
+    state: n.state, publish_at: n.publish_at, updated_at: n.updated_at,
+    attachment_path: n.attachment_path, attachment_name: n.attachment_name,
+    targets: JSON.parse(n.draft_targets || '{}'),
+    items: noticeItems(n.id).map(i => ({
+      title: i.title, deadline: i.deadline || '',
+      required: !!i.is_required, requires_attachment: !!i.requires_attachment
+    }))
+  };
+}
+
+/**
+ * draftFields — the fields of a draft from the request, or { error }. Only
+ * what is filled in is checked; recipients are kept exactly as chosen.
+ */
+function draftFields(body) {
+  const title    = String(body.title || '').trim();
+  const text     = String(body.body || '').trim();
+  const priority = body.priority || 'Normal';
+  const deadline = body.deadline || '';
+
+  if (!PRIORITIES.includes(priority))   return { error: 'priority must be High, Normal, or Low.' };
+  if (deadline && !DATE.test(deadline)) return { error: 'deadline must be in YYYY-MM-DD format.' };
+
+  const checklist = itemsFromBody(body);
+  if (checklist.error) return { error: checklist.error };
+
+  const { targetAll, userIds, deptIds } = targetsFromBody(body);
+  return {
+    title, body: text, priority, deadline, items: checklist.items,
+    draft_targets: JSON.stringify({ target_all: targetAll ? 1 : 0, user_ids: userIds, dept_ids: deptIds })
+  };
+}
+
+// ── GET /notices/drafts ──────────────────────────────────────────────────────
+// Scheduled notices first (soonest first), then drafts, most recently saved first.
+router.get('/notices/drafts', requirePermission('notice.create'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT * FROM notices
+    WHERE created_by = ? AND state != 'published'
+    ORDER BY state = 'draft', publish_at, updated_at DESC
+  `).all(req.user.id);
+  res.json(rows.map(present));
+});
+
+// ── POST /notices/drafts ─────────────────────────────────────────────────────
+router.post('/notices/drafts', requirePermission('notice.create'), upload.single('attachment'), async (req, res) => {
+  const fields = draftFields(req.body);
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  const attachment_path = req.file ? await saveFile(req.file) : null;
+  const attachment_name = req.file ? req.file.originalname : null;
+
+  const result = db.prepare(`
+    INSERT INTO notices (title, body, priority, deadline, created_by,
+                         attachment_path, attachment_name, state, draft_targets, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'draft', ?, datetime('now'))
+  `).run(
+    fields.title, fields.body, fields.priority, fields.deadline, req.user.id,
+    attachment_path, attachment_name, fields.draft_targets
+  );
+  saveItems(result.lastInsertRowid, fields.items);
+
+  res.status(201).json({ success: true, id: result.lastInsertRowid, message: 'Draft saved.' });
+});
+
+// ── GET /notices/drafts/:id ──────────────────────────────────────────────────
+router.get('/notices/drafts/:id', requirePermission('notice.create'), (req, res) => {
+  const draft = draftRow(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+  res.json(present(draft));
+});
+
+// ── PUT /notices/drafts/:id ──────────────────────────────────────────────────
+// A new attachment replaces the old one; without one the old one is kept.
+router.put('/notices/drafts/:id', requirePermission('notice.create'), upload.single('attachment'), async (req, res) => {
+  const draft = draftRow(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+
+  const fields = draftFields(req.body);
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  let { attachment_path, attachment_name } = draft;
+  if (req.file) {
+    if (attachment_path) await deleteFile(attachment_path);
+    attachment_path = await saveFile(req.file);
+    attachment_name = req.file.originalname;
+  }
+
+  db.prepare(`
+    UPDATE notices
+    SET title = ?, body = ?, priority = ?, deadline = ?, draft_targets = ?,
+        attachment_path = ?, attachment_name = ?,
+        state = 'draft', publish_at = NULL, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    fields.title, fields.body, fields.priority, fields.deadline, fields.draft_targets,
+    attachment_path, attachment_name, draft.id
+  );
+  saveItems(draft.id, fields.items);
+
+  res.json({ success: true, id: draft.id, message: 'Draft saved.' });
+});
+
+// ── POST /notices/drafts/:id/publish ─────────────────────────────────────────
+// Body: { publish_at? } — an ISO date-time; a time in the past sends it now.
+router.post('/notices/drafts/:id/publish', requirePermission('notice.create'), (req, res) => {
+  const draft = draftRow(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+
+  // Saving checked priority and the deadline format; completeness is checked now.
+  if (!draft.title || !draft.body || !draft.deadline) {
+    return res.status(400).json({ error: 'title, body, priority, and deadline are required.' });
+  }
+  const invalidItems = itemsError(noticeItems(draft.id), draft.deadline);
+  if (invalidItems) return res.status(400).json({ error: invalidItems });
+
+  const publishAt = req.body.publish_at ? parsePublishAt(req.body.publish_at) : null;
+  if (req.body.publish_at && !publishAt) {
+    return res.status(400).json({ error: 'publish_at must be an ISO date and time, e.g. 2026-03-02T09:00:00+05:30.' });
+  }
+
+  const saved   = JSON.parse(draft.draft_targets || '{}');
+  const targets = checkTargets(req.user.id, {
+    targetAll: !!saved.target_all, userIds: saved.user_ids || [], deptIds: saved.dept_ids || []
+  });
+  if (targets.error) return res.status(400).json({ error: targets.error });
+
+  const now       = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const scheduled = !!publishAt && publishAt > now;
+
+  db.prepare(`
+    UPDATE notices SET state = 'scheduled', publish_at = ?, draft_targets = ?, target_all = ?
+    WHERE id = ?
+  `).run(scheduled ? publishAt : now, JSON.stringify(targets), targets.target_all, draft.id);
+
+  if (scheduled) {
+    return res.json({ success: true, noticeId: draft.id, publish_at: publishAt, message: 'Notice scheduled.' });
+  }
+  deliver(draft.id);
+  res.json({ success: true, noticeId: draft.id, message: 'Notice created successfully.' });
+});
+
+// ── DELETE /notices/drafts/:id ───────────────────────────────────────────────
+router.delete('/notices/drafts/:id', requirePermission('notice.create'), async (req, res) => {
+  const draft = draftRow(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found.' });
+
+  db.prepare('DELETE FROM notices WHERE id = ?').run(draft.id);
+  if (draft.attachment_path) await deleteFile(draft.attachment_path);
+
+  res.json({ success: true, message: draft.state === 'scheduled' ? 'Scheduled notice cancelled.' : 'Draft discarded.' });
+});
+
+module.exports = router;
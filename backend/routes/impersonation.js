@@ -0,0 +1,128 @@
+/**
+ * routes/impersonation.js — "view as user" for administrators (see impersonation.js).
+ *
+ * Mounted at /api/portal in app.js.
+ *
+ * POST   /api/portal/users/:id/impersonate — start viewing the portal as a user (user.manage)
+ * DELETE /api/portal/impersonation         — end the impersonation session the caller holds
+ * GET    /api/portal/impersonations        — the impersonation audit log (user.manage)
+ * DELETE /api/portal/impersonations/:id    — end any open impersonation session (user.manage)
+ */
+
+const express = require('express');
+const jwt     = require('jsonwebtoken');
+const db      = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
+const { loadUser, sessionProfile } = require('../sessions');
+const { permissionsFor } = require('../permissions');
+const { startImpersonation, endImpersonation } = require('../impersonation');
+const {
+  COOKIES, readCookie, setImpersonationCookie, clearImpersonationCookie
+} = require('../session-cookies');
+
+const router = express.Router();
+
+// ── POST /api/portal/users/:id/impersonate ───────────────────────────────────
+// Body: { reason, read_only? }. reason is mandatory and goes into the audit
+// log; read_only defaults to true. Administrators cannot be impersonated, so
+// this never widens what the caller can do.
+// Browser sessions get the token as the portal_impersonation cookie; Bearer
+// clients get it in the body and send it in place of their own.
+router.post('/users/:id/impersonate', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required to view the portal as another user.' });
+  }
+  if (reason.length > 500) {
+    return res.status(400).json({ error: 'reason must be 500 characters or fewer.' });
+  }
+  const readOnly = !(req.body.read_only === false || req.body.read_only === 'false' || req.body.read_only === '0');
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot impersonate yourself.' });
+  }
+  const target = loadUser(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+  if (!target.is_active) {
+    return res.status(400).json({ error: 'Inactive accounts cannot be impersonated.' });
+  }
+  if (permissionsFor(target.role).has('user.manage')) {
+    return res.status(403).json({ error: 'Administrators cannot be impersonated.' });
+  }
+
+  const { token, impersonation } = startImpersonation(req, target, { reason, readOnly });
+  const user = { ...sessionProfile(target), impersonation };
+
+  if (req.authMethod === 'cookie') {
+    setImpersonationCookie(res, token);
+    return res.status(201).json({ user });
+  }
+  res.status(201).json({ token, user });
+});
+
+// ── DELETE /api/portal/impersonation ─────────────────────────────────────────
+// Ends the session behind the presented impersonation token (Bearer header or
+// cookie) and clears the cookie, returning the browser to the administrator's
+// own session. An expired token may still be presented so the session is
+// closed in the log; ending is harmless, so no CSRF token is needed.
+router.delete('/impersonation', (req, res) => {
+  const header = req.headers.authorization;
+  const token  = header && header.startsWith('Bearer ')
+    ? header.slice(7)
+    : readCookie(req, COOKIES.impersonation);
+  clearImpersonationCookie(res);
+
+  let payload;
+  try {
+    payload = token && jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch {
+    payload = null;
+  }
+  if (!payload || !payload.imp) {
+    return res.status(400).json({ error: 'No impersonation session to end.' });
+  }
+
+  endImpersonation(payload.imp.id);
+  res.json({ success: true, message: 'Impersonation ended.' });
+});
+
+// ── GET /api/portal/impersonations — impersonation audit log ─────────────────
+// Query params:
+//   limit — number of rows, newest first (default 100, max 500)
+// is_active is 1 for sessions that have neither been ended nor expired.
+router.get('/impersonations', requirePermission('user.manage'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const rows = db.prepare(`
+    SELECT i.id, i.admin_id, i.user_id, i.reason, i.read_only, i.ip, i.user_agent,
+           i.started_at, i.expires_at, i.ended_at,
+           a.username AS admin_username,
+           u.username AS username,
+           (i.ended_at IS NULL AND i.expires_at > datetime('now')) AS is_active
+    FROM impersonations i
+    JOIN users a ON a.id = i.admin_id
+    JOIN users u ON u.id = i.user_id
+    ORDER BY i.id DESC
+    LIMIT ?
+  `).all(limit);
+  res.json(rows);
+});
+
+// ── DELETE /api/portal/impersonations/:id — end a session by id ──────────────
+// For closing a session another administrator left open.
+router.delete('/impersonations/:id', requirePermission('user.manage'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid impersonation ID.' });
+
+  const row = db.prepare('SELECT id FROM impersonations WHERE id = ?').get(id);
+  if (!row) return res.status(404).json({ error: 'Impersonation session not found.' });
+
+  if (!endImpersonation(id)) {
+    return res.status(400).json({ error: 'This impersonation session has already ended.' });
+  }
+  res.json({ success: true, message: 'Impersonation ended.' });
+});
+
+module.exports = router;
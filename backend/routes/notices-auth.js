@@ -4,35 +4,93 @@
  * Mounted at /api/portal in app.js.
  *
  * Users are the central unit. Every notice is created BY a user and
- * addressed TO specific users (or all active users). Department is a
- * display label fetched from the user's profile — not a routing concern.
+ * addressed TO specific users (or all active users), to whole departments, or
+ * to both. A department-addressed notice has a single notice_status row for
+ * the department: it shows in the inbox of every active member who can
+ * respond, the first member to answer does so for the whole department, and
+ * acted_by records who that was.
  *
- * Admin-only:
+ * An officer on leave can hand their personal notices to a deputy for a date
+ * range (delegations.js); the deputy then sees and answers them, and acted_by
+ * records the deputy on the officer's row.
+ *
+ * Drafts and scheduled notices (publishing.js, routes/drafts.js) live in the
+ * same table but are left out here until they are published.
+ *
+ * Each route's comment below describes what it returns or allows; the
+ * index here only lists them.
+ *
+ * District-wide (notice.view_all — admin, auditor):
  *   GET  /notices/summary        — total / pending / overdue counts
  *   GET  /notices/all            — all notices with status metadata
  *   GET  /notices/monthly-stats  — completed actions grouped by month
+ *   GET  /notices/delayed-response — days past deadline per responding user
+ *   GET  /notices/archive        — closed notices (also for notice.create:
+ *                                  one's own)
  *
- * Authenticated (dept + admin):
+ * Authenticated (what each returns or allows depends on permissions.js):
  *   GET    /notices/inbox          — notices addressed to the logged-in user
+ *                                    or their department
+ *   GET    /notices/inbox/withdrawn — the same, for withdrawn notices
  *   GET    /notices/outbox         — notices created by the logged-in user
- *   POST   /notices                — create a notice (dept users only)
- *   GET    /notices/:id            — full notice detail + recipient statuses
- *   PATCH  /notices/:id/status     — acknowledge / complete (recipient only)
- *   DELETE /notices/:id            — close a notice (creator or admin)
+ *   POST   /notices                — create a notice, now or at publish_at
+ *                                    (notice.create)
+ *   GET    /notices/:id            — full notice detail + recipient statuses,
+ *                                    responses and revisions
+ *   PATCH  /notices/:id            — edit a notice (its creator, or
+ *                                    notice.close_any)
+ *   PATCH  /notices/:id/status     — acknowledge / complete (recipient or
+ *                                    delegate with notice.respond)
+ *   PATCH  /notices/:id/items/:itemId — tick a checklist item off, or undo it
+ *                                    (recipient with notice.respond)
+ *   POST   /notices/:id/forward    — forward or reassign a notice (recipient
+ *                                    with notice.respond; reassigning needs
+ *                                    notice.reassign)
+ *   POST   /notices/:id/extensions — ask the sender for a later deadline
+ *                                    (recipient with notice.respond)
+ *   PATCH  /notices/:id/extensions/:extId — approve or reject an extension
+ *                                    request (the sender)
+ *   PATCH  /notices/:id/statuses/:statusId — accept a submitted completion or
+ *                                    return it for rework (the sender)
+ *   GET    /notices/:id/comments   — the comments the caller can see, oldest
+ *                                    first; marks them read
+ *   POST   /notices/:id/comments   — comment, for all recipients or privately
+ *                                    (the sender or a recipient)
+ *   POST   /notices/:id/withdraw   — withdraw a notice, keeping its record
+ *                                    (as for closing)
+ *   DELETE /notices/:id            — close (archive) a notice (notice.close /
+ *                                    close_department / close_any)
  */
 
 const express = require('express');
 const db      = require('../database/db');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const upload  = require('../middleware/upload');
-const { saveFile, deleteFile } = require('../storage');
+const { saveFile } = require('../storage');
+const { COVERED_BY, isCovering } = require('../delegations');
+const { targetsFromBody, checkTargets, parsePublishAt, deliver } = require('../publishing');
+const { recipientUserIds, notifyUsers } = require('../notify');
+const { purgeOn } = require('../retention');
+const { itemsFromBody, itemsError, saveItems, noticeItems, rowItems, missingRequired } = require('../checklist');
 
 const router = express.Router();
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
+/**
+ * SUBMITTED — statuses in which a recipient has handed in their work: awaiting
+ * the sender's review, or accepted. Neither is overdue nor takes a response.
+ */
+const SUBMITTED = ['Submitted', 'Accepted'];
+
+/**
+ * TARGET — SQL condition on notice_status ns for the rows that count among a
+ * notice's targets: every one but those reassigned to someone else.
+ */
+const TARGET = "ns.status != 'Reassigned'";
+
 function isOverdue(deadline, status) {
-  return status !== 'Completed' && new Date(deadline) < new Date();
+  return !SUBMITTED.includes(status) && new Date(deadline) < new Date();
 }
 
 function daysLapsed(deadline) {
@@ -40,23 +98,119 @@ function daysLapsed(deadline) {
   return Math.max(0, Math.floor(diff / 86400000));
 }
 
-// ── GET /notices/summary  (admin) ─────────────────────────────────────────────
-router.get('/notices/summary', requireAdmin, (req, res) => {
-  const total   = db.prepare('SELECT COUNT(*) AS c FROM notices').get().c;
-  const pending = db.prepare("SELECT COUNT(*) AS c FROM notice_status WHERE status = 'Pending'").get().c;
+/**
+ * overdueFields — adds is_overdue and days_lapsed to a notice row carrying
+ * earliest_pending_deadline, so recipients granted more time do not count.
+ * A withdrawn notice is never overdue.
+ * @param {string} now — today, YYYY-MM-DD
+ */
+const overdueFields = now => n => {
+  const due = !n.withdrawn_at && n.earliest_pending_deadline;
+  return {
+    ...n,
+    is_overdue:  !!due && due < now,
+    days_lapsed: due && due < now ? daysLapsed(due) : 0
+  };
+};
+
+/**
+ * EFFECTIVE_DEADLINE — SQL for a recipient's deadline: the notice's, or the
+ * later date the sender granted them. Needs notices n and notice_status ns.
+ */
+const EFFECTIVE_DEADLINE = 'COALESCE(MAX(n.deadline, ns.extended_deadline), n.deadline)';
+
+/**
+ * EARLIEST_PENDING_DEADLINE — SQL for the earliest effective deadline among
+ * a notice's Pending recipients (NULL when none is pending). Needs notices n.
+ */
+const EARLIEST_PENDING_DEADLINE = `(
+  SELECT MIN(${EFFECTIVE_DEADLINE}) FROM notice_status ns
+  WHERE ns.notice_id = n.id AND ns.status = 'Pending')`;
+
+/** inactiveError — why a notice takes no more responses or edits, or null. */
+function inactiveError(n) {
+  if (n.closed_at)    return 'This notice has been closed.';
+  if (n.withdrawn_at) return 'This notice has been withdrawn.';
+  return null;
+}
+
+/** EDITABLE_FIELDS — the notice fields PATCH /notices/:id may change. */
+const EDITABLE_FIELDS = ['title', 'body', 'priority', 'deadline'];
+
+/** noticeFieldError — validation message for a notice field value, or null. */
+function noticeFieldError(field, value) {
+  if (field === 'priority' && !['High', 'Normal', 'Low'].includes(value)) {
+    return 'priority must be High, Normal, or Low.';
+  }
+  if (field === 'deadline' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return 'deadline must be in YYYY-MM-DD format.';
+  }
+  return null;
+}
+
+/**
+ * ANSWERED_BY — SQL condition on notice_status ns (joined to notices n) for
+ * the rows a user answers: their own, their department's (except on notices
+ * they issued), and those of the users they cover for today. Parameters come
+ * from answeredByParams().
+ */
+const ANSWERED_BY = `(ns.user_id = ? OR (ns.dept_id = ? AND n.created_by != ?) OR ns.user_id IN (${COVERED_BY}))`;
+
+const answeredByParams = user => [user.id, user.dept_id, user.id, user.id];
+
+/**
+ * UNREAD_COMMENTS — SQL counting the comments on notice n, by others, that
+ * the user has not yet seen. Parameters: the user's id, twice. Callers add
+ * the visibility condition on c.status_id.
+ */
+const UNREAD_COMMENTS = `
+  SELECT COUNT(*) FROM notice_comments c
+  WHERE c.notice_id = n.id AND c.author_id != ?
+    AND c.id > COALESCE((SELECT cr.last_read_id FROM notice_comment_reads cr
+                         WHERE cr.notice_id = n.id AND cr.user_id = ?), 0)`;
+
+/**
+ * RECIPIENT_COLUMNS — how a notice_status row is shown to the sender and in
+ * the detail view. Department rows have no username; dept_name is then the
+ * addressed department. Needs users u (recipient), departments d (recipient's
+ * department), departments td (addressed department) and users a (acted_by).
+ */
+const RECIPIENT_COLUMNS = `
+  ns.user_id, ns.dept_id AS target_dept_id,
+  u.username,
+  COALESCE(td.name, d.name) AS dept_name,
+  COALESCE(td.code, d.code) AS dept_code,
+  a.username AS acted_by_username,
+  ns.changed_since_ack`;
+
+const RECIPIENT_JOINS = `
+  LEFT JOIN users       u  ON u.id  = ns.user_id
+  LEFT JOIN departments d  ON d.id  = u.dept_id
+  LEFT JOIN departments td ON td.id = ns.dept_id
+  LEFT JOIN users       a  ON a.id  = ns.acted_by`;
+
+// ── GET /notices/summary  (notice.view_all) ───────────────────────────────────
+router.get('/notices/summary', requirePermission('notice.view_all'), (req, res) => {
+  const total   = db.prepare("SELECT COUNT(*) AS c FROM notices WHERE state = 'published' AND closed_at IS NULL").get().c;
+  const pending = db.prepare(`
+    SELECT COUNT(*) AS c
+    FROM notice_status ns
+    JOIN notices n ON n.id = ns.notice_id
+    WHERE ns.status = 'Pending' AND n.withdrawn_at IS NULL AND n.closed_at IS NULL
+  `).get().c;
   const now     = new Date().toISOString().slice(0, 10);
   const overdue = db.prepare(`
     SELECT COUNT(DISTINCT n.id) AS c
     FROM notices n
     JOIN notice_status ns ON ns.notice_id = n.id
-    WHERE n.deadline < ? AND ns.status = 'Pending'
+    WHERE ${EFFECTIVE_DEADLINE} < ? AND ns.status = 'Pending' AND n.withdrawn_at IS NULL AND n.closed_at IS NULL
   `).get(now).c;
 
   res.json({ total, pending, overdue });
 });
 
-// ── GET /notices/all  (admin) ─────────────────────────────────────────────────
-router.get('/notices/all', requireAdmin, (req, res) => {
+// ── GET /notices/all  (notice.view_all) ───────────────────────────────────────
+router.get('/notices/all', requirePermission('notice.view_all'), (req, res) => {
   const now = new Date().toISOString().slice(0, 10);
 
   const notices = db.prepare(`
@@ -65,32 +219,30 @@ router.get('/notices/all', requireAdmin, (req, res) => {
            d.name              AS source_dept_name,
            d.code              AS source_dept_code,
            (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Pending')   AS pending_count,
-           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Completed') AS completed_count,
-           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id)                             AS total_targets
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Accepted')  AS completed_count,
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ${TARGET})               AS total_targets,
+           ${EARLIEST_PENDING_DEADLINE} AS earliest_pending_deadline
     FROM notices n
     JOIN  users u       ON u.id  = n.created_by
     LEFT JOIN departments d ON d.id  = u.dept_id
+    WHERE n.state = 'published' AND n.closed_at IS NULL
     ORDER BY n.created_at DESC
   `).all();
 
-  const result = notices.map(n => ({
-    ...n,
-    is_overdue:  n.deadline < now && n.pending_count > 0,
-    days_lapsed: n.deadline < now ? daysLapsed(n.deadline) : 0
-  }));
+  const result = notices.map(overdueFields(now));
 
   res.json(result);
 });
 
-// ── GET /notices/monthly-stats  (admin) ───────────────────────────────────────
-router.get('/notices/monthly-stats', requireAdmin, (req, res) => {
+// ── GET /notices/monthly-stats  (notice.view_all) ─────────────────────────────
+router.get('/notices/monthly-stats', requirePermission('notice.view_all'), (req, res) => {
   try {
     const rows = db.prepare(`
       SELECT month, SUM(completed) AS completed
       FROM (
         SELECT strftime('%Y-%m', updated_at) AS month, COUNT(*) AS completed
         FROM notice_status
-        WHERE status = 'Completed' AND updated_at IS NOT NULL
+        WHERE status = 'Accepted' AND updated_at IS NOT NULL
         GROUP BY month
 
         UNION ALL
@@ -109,10 +261,13 @@ router.get('/notices/monthly-stats', requireAdmin, (req, res) => {
   }
 });
 
-// ── GET /notices/delayed-response  (admin) ────────────────────────────────────
-// Returns per-user total days delayed after the notice deadline, across all
-// notices they have responded to (status = Noted or Completed).
-router.get('/notices/delayed-response', requireAdmin, (req, res) => {
+// ── GET /notices/delayed-response  (notice.view_all) ──────────────────────────
+// Returns per-user total days delayed after the notice deadline (or the
+// extension granted to them), across all notices they have responded to
+// (any status but Pending; updated_at is their latest response, not the
+// sender's review). Notices they reassigned without responding do not
+// count. Department responses count for the member who acted.
+router.get('/notices/delayed-response', requirePermission('notice.view_all'), (req, res) => {
   try {
     const rows = db.prepare(`
       SELECT
@@ -122,24 +277,24 @@ router.get('/notices/delayed-response', requireAdmin, (req, res) => {
         d.code      AS dept_code,
         COUNT(ns.notice_id) AS total_responded,
         SUM(
-          CASE WHEN CAST(julianday(date(ns.updated_at)) - julianday(date(n.deadline)) AS INTEGER) > 0
-               THEN CAST(julianday(date(ns.updated_at)) - julianday(date(n.deadline)) AS INTEGER)
+          CASE WHEN CAST(julianday(date(ns.updated_at)) - julianday(date(${EFFECTIVE_DEADLINE})) AS INTEGER) > 0
+               THEN CAST(julianday(date(ns.updated_at)) - julianday(date(${EFFECTIVE_DEADLINE})) AS INTEGER)
                ELSE 0
           END
         ) AS total_days_delayed,
         SUM(
-          CASE WHEN julianday(date(ns.updated_at)) - julianday(date(n.deadline)) > 0
+          CASE WHEN julianday(date(ns.updated_at)) - julianday(date(${EFFECTIVE_DEADLINE})) > 0
                THEN 1 ELSE 0
           END
         ) AS delayed_count
       FROM notice_status ns
-      JOIN  users       u ON u.id  = ns.user_id
+      JOIN  users       u ON u.id  = COALESCE(ns.acted_by, ns.user_id)
       JOIN  notices     n ON n.id  = ns.notice_id
       LEFT JOIN departments d ON d.id = u.dept_id
-      WHERE ns.status IN ('Noted', 'Completed')
+      WHERE ns.status NOT IN ('Pending', 'Reassigned')
         AND ns.updated_at IS NOT NULL
         AND n.deadline    IS NOT NULL
-      GROUP BY ns.user_id
+      GROUP BY u.id
       ORDER BY total_days_delayed DESC, u.username ASC
     `).all();
     res.json(rows);
@@ -150,141 +305,252 @@ router.get('/notices/delayed-response', requireAdmin, (req, res) => {
 });
 
 // ── GET /notices/inbox  (dept user) ──────────────────────────────────────────
-// Returns notices addressed directly to the logged-in user.
-router.get('/notices/inbox', requireAuth, (req, res) => {
-  if (req.user.role === 'admin') return res.json([]);
+// Returns notices addressed to the logged-in user and to their department,
+// and those of anyone they are covering for. target_dept_id is set on
+// department notices, which any member may answer; on_behalf_of_* on notices
+// held in cover. deadline is the notice's; effective_deadline includes any
+// extension granted, and extension_* describe the latest extension request.
+// unread_comments counts new comments on the thread the row can see; items
+// is the notice's checklist with this row's progress (is_overdue on items
+// not done by their deadline); forwarded_by_username and forward_note are
+// set on notices forwarded to them. Notices they reassigned are left out.
+// Roles that cannot receive notices get an empty list. Withdrawn notices
+// are left out; GET /notices/inbox/withdrawn lists them, newest withdrawal
+// first. Closed notices are in neither.
+router.get('/notices/inbox', requireAuth, (req, res) => res.json(inboxRows(req, false)));
+
+router.get('/notices/inbox/withdrawn', requireAuth, (req, res) => res.json(inboxRows(req, true)));
+
+/**
+ * inboxRows — the caller's inbox, or the withdrawn notices addressed to them.
+ * @param  {boolean} withdrawn
+ * @returns {object[]}
+ */
+function inboxRows(req, withdrawn) {
+  if (!req.permissions.has('notice.respond')) return [];
 
   const now = new Date().toISOString().slice(0, 10);
 
   const rows = db.prepare(`
     SELECT n.id, n.title, n.body, n.priority, n.deadline, n.created_at,
            n.attachment_path, n.attachment_name, n.target_all,
+           ns.id               AS status_id,
            u.username          AS created_by_username,
            d.name              AS source_dept_name,
            d.code              AS source_dept_code,
-           ns.status, ns.remark, ns.reply_path, ns.reply_name, ns.is_read, ns.updated_at
+           n.revision, n.updated_at AS edited_at,
+           ns.status, ns.remark, ns.reply_path, ns.reply_name, ns.is_read, ns.updated_at,
+           ns.changed_since_ack, ns.extended_deadline, ns.review_note, ns.reviewed_at,
+           f.username AS forwarded_by_username, ns.forward_note,
+           ${EFFECTIVE_DEADLINE} AS effective_deadline,
+           (SELECT e.status FROM deadline_extensions e
+             WHERE e.status_id = ns.id ORDER BY e.id DESC LIMIT 1) AS extension_status,
+           (SELECT e.proposed_deadline FROM deadline_extensions e
+             WHERE e.status_id = ns.id ORDER BY e.id DESC LIMIT 1) AS extension_proposed_deadline,
+           ns.dept_id          AS target_dept_id,
+           td.name             AS target_dept_name,
+           a.username          AS acted_by_username,
+           CASE WHEN ns.user_id != ? THEN ns.user_id  END AS on_behalf_of_id,
+           CASE WHEN ns.user_id != ? THEN r.username END AS on_behalf_of_username,
+           n.withdrawn_at, n.withdrawal_reason,
+           w.username          AS withdrawn_by_username,
+           (${UNREAD_COMMENTS} AND (c.status_id IS NULL OR c.status_id = ns.id)) AS unread_comments
     FROM notices n
     JOIN  users u       ON u.id  = n.created_by
     LEFT JOIN departments d ON d.id  = u.dept_id
-    JOIN  notice_status ns  ON ns.notice_id = n.id AND ns.user_id = ?
-    ORDER BY
-      CASE ns.status WHEN 'Pending' THEN 0 WHEN 'Noted' THEN 1 ELSE 2 END,
-      n.deadline ASC
-  `).all(req.user.id);
+    JOIN  notice_status ns  ON ns.notice_id = n.id AND ${ANSWERED_BY}
+    LEFT JOIN departments td ON td.id = ns.dept_id
+    LEFT JOIN users       r  ON r.id  = ns.user_id
+    LEFT JOIN users       a  ON a.id  = ns.acted_by
+    LEFT JOIN users       w  ON w.id  = n.withdrawn_by
+    LEFT JOIN users       f  ON f.id  = ns.forwarded_by
+    WHERE n.withdrawn_at IS ${withdrawn ? 'NOT NULL' : 'NULL'} AND n.closed_at IS NULL AND ${TARGET}
+    ORDER BY ${withdrawn ? 'n.withdrawn_at DESC' : `
+      CASE ns.status WHEN 'Pending' THEN 0 WHEN 'In Progress' THEN 1 WHEN 'Noted' THEN 2 ELSE 3 END,
+      effective_deadline ASC`}
+  `).all(req.user.id, req.user.id, req.user.id, req.user.id, ...answeredByParams(req.user));
 
-  const result = rows.map(r => ({
+  return rows.map(r => ({
     ...r,
-    is_overdue:  r.deadline < now && r.status !== 'Completed',
-    days_lapsed: r.deadline < now ? daysLapsed(r.deadline) : 0
+    is_overdue:  !withdrawn && r.effective_deadline < now && !SUBMITTED.includes(r.status),
+    days_lapsed: !withdrawn && r.effective_deadline < now ? daysLapsed(r.effective_deadline) : 0,
+    items:       rowItems(r.id, r.status_id).map(i => ({ ...i, is_overdue: !withdrawn && !i.done_at && i.deadline < now }))
   }));
-
-  res.json(result);
-});
+}
 
 // ── GET /notices/outbox  (dept user) ─────────────────────────────────────────
-// Returns notices created by the logged-in user.
+// Returns the open notices created by the logged-in user, each with the
+// extension requests awaiting their decision and its unread_comments.
+// completed_count counts accepted completions, submitted_count those awaiting
+// review. On a notice with a checklist, progress_percent is the share of its
+// items done across its targets (null without one), and each target has its
+// items_done. targets lists every recipient row, of All Users notices too,
+// with its status_id and, if it was forwarded, the row it came from
+// (forwarded_from) and who forwarded it; reassigned rows stay in the list to
+// show the handover. Roles that cannot issue notices get an empty list.
 router.get('/notices/outbox', requireAuth, (req, res) => {
-  if (req.user.role === 'admin') return res.json([]);
+  if (!req.permissions.has('notice.create')) return res.json([]);
 
   const now = new Date().toISOString().slice(0, 10);
 
   const notices = db.prepare(`
     SELECT n.id, n.title, n.priority, n.deadline, n.target_all, n.created_at,
-           n.attachment_path, n.attachment_name,
+           n.attachment_path, n.attachment_name, n.revision, n.updated_at, n.series_id, n.series_seq,
+           n.withdrawn_at, n.withdrawal_reason,
            (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Pending')   AS pending_count,
            (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Noted')     AS noted_count,
-           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Completed') AS completed_count,
-           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id)                             AS total_targets
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Submitted') AS submitted_count,
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Accepted')  AS completed_count,
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ${TARGET})               AS total_targets,
+           (SELECT COUNT(*) FROM notice_items i WHERE i.notice_id = n.id)                                AS item_count,
+           (SELECT COUNT(*) FROM notice_item_done x
+              JOIN notice_status ns ON ns.id = x.status_id
+             WHERE ns.notice_id = n.id AND ${TARGET})                                                     AS items_done,
+           ${EARLIEST_PENDING_DEADLINE} AS earliest_pending_deadline,
+           (${UNREAD_COMMENTS}) AS unread_comments
     FROM notices n
-    WHERE n.created_by = ?
+    WHERE n.created_by = ? AND n.state = 'published' AND n.closed_at IS NULL
     ORDER BY n.created_at DESC
-  `).all(req.user.id);
+  `).all(req.user.id, req.user.id, req.user.id);
 
-  const result = notices.map(n => {
-    let targets = [];
-    if (n.target_all) {
-      targets = [{ username: 'All Users' }];
-    } else {
-      targets = db.prepare(`
-        SELECT u.username, d.code AS dept_code, ns.status, ns.is_read
-        FROM notice_status ns
-        JOIN  users u       ON u.id  = ns.user_id
-        LEFT JOIN departments d ON d.id  = u.dept_id
-        WHERE ns.notice_id = ?
-      `).all(n.id);
-    }
-    return {
-      ...n,
-      targets,
-      is_overdue:  n.deadline < now && n.pending_count > 0,
-      days_lapsed: n.deadline < now ? daysLapsed(n.deadline) : 0
-    };
+  const pendingExtensions = db.prepare(`
+    SELECT e.id, e.proposed_deadline, e.reason, e.created_at,
+           q.username AS requested_by_username,
+           ${RECIPIENT_COLUMNS}, ${EFFECTIVE_DEADLINE} AS effective_deadline
+    FROM deadline_extensions e
+    JOIN notice_status ns ON ns.id = e.status_id
+    JOIN notices       n  ON n.id  = ns.notice_id
+    JOIN users         q  ON q.id  = e.requested_by
+    ${RECIPIENT_JOINS}
+    WHERE ns.notice_id = ? AND e.status = 'Pending'
+    ORDER BY e.id
+  `);
+
+  const result = notices.map(overdueFields(now)).map(n => {
+    const targets = db.prepare(`
+      SELECT ns.id AS status_id, ${RECIPIENT_COLUMNS}, ns.status, ns.is_read, ns.extended_deadline,
+             ns.forwarded_from, f.username AS forwarded_by_username,
+             (SELECT COUNT(*) FROM notice_item_done x WHERE x.status_id = ns.id) AS items_done
+      FROM notice_status ns
+      ${RECIPIENT_JOINS}
+      LEFT JOIN users f ON f.id = ns.forwarded_by
+      WHERE ns.notice_id = ?
+      ORDER BY ns.id
+    `).all(n.id);
+    const progress_percent = n.item_count && n.total_targets
+      ? Math.round(100 * n.items_done / (n.item_count * n.total_targets))
+      : null;
+    return { ...n, progress_percent, targets, extension_requests: pendingExtensions.all(n.id) };
   });
 
   res.json(result);
 });
 
-// ── POST /notices  (create) ───────────────────────────────────────────────────
-router.post('/notices', requireAuth, upload.single('attachment'), async (req, res) => {
-  if (req.user.role === 'admin') {
-    return res.status(403).json({ error: 'Admin cannot create notices. Use a department login.' });
+// ── GET /notices/archive  (closed notices) ───────────────────────────────────
+// Closed notices, most recently closed first: every one for notice.view_all,
+// otherwise the caller's own. Query: from / to (YYYY-MM-DD) bound the closing
+// date; dept_id keeps notices issued from or addressed to that department
+// (as a department or through a member). purge_on is when the retention job
+// will delete the notice, or null if it is kept indefinitely.
+router.get('/notices/archive', requirePermission('notice.view_all', 'notice.create'), (req, res) => {
+  const { from, to } = req.query;
+  const deptId = req.query.dept_id ? parseInt(req.query.dept_id) : null;
+  if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+    return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format.' });
+  }
+  if (req.query.dept_id && isNaN(deptId)) {
+    return res.status(400).json({ error: 'Invalid department ID.' });
+  }
+
+  const conditions = ["n.state = 'published'", 'n.closed_at IS NOT NULL'];
+  const params     = [];
+  if (!req.permissions.has('notice.view_all')) {
+    conditions.push('n.created_by = ?');
+    params.push(req.user.id);
+  }
+  if (from) { conditions.push('date(n.closed_at) >= ?'); params.push(from); }
+  if (to)   { conditions.push('date(n.closed_at) <= ?'); params.push(to); }
+  if (deptId) {
+    conditions.push(`(u.dept_id = ? OR EXISTS (
+      SELECT 1 FROM notice_status ns LEFT JOIN users ru ON ru.id = ns.user_id
+      WHERE ns.notice_id = n.id AND (ns.dept_id = ? OR ru.dept_id = ?)))`);
+    params.push(deptId, deptId, deptId);
   }
 
-  const { title, body, priority, deadline, target_all } = req.body;
-  let target_user_ids = req.body.target_user_ids;
+  const notices = db.prepare(`
+    SELECT n.id, n.title, n.priority, n.deadline, n.target_all, n.created_at,
+           n.attachment_name, n.withdrawn_at, n.closed_at,
+           u.username          AS created_by_username,
+           d.name              AS source_dept_name,
+           d.code              AS source_dept_code,
+           c.username          AS closed_by_username,
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ns.status = 'Accepted')  AS completed_count,
+           (SELECT COUNT(*) FROM notice_status ns WHERE ns.notice_id = n.id AND ${TARGET})               AS total_targets
+    FROM notices n
+    JOIN  users u       ON u.id  = n.created_by
+    LEFT JOIN departments d ON d.id  = u.dept_id
+    LEFT JOIN users       c ON c.id  = n.closed_by
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY n.closed_at DESC, n.id DESC
+  `).all(...params);
+
+  res.json(notices.map(n => ({ ...n, purge_on: purgeOn(n.closed_at) })));
+});
+
+// ── POST /notices  (create) ───────────────────────────────────────────────────
+// Optional publish_at (ISO date-time) schedules the notice instead of sending
+// it now; a time already past sends it now. Optional items is the notice's
+// checklist (checklist.js).
+router.post('/notices', requirePermission('notice.create'), upload.single('attachment'), async (req, res) => {
+  const { title, body, priority, deadline } = req.body;
 
   if (!title || !body || !priority || !deadline) {
     return res.status(400).json({ error: 'title, body, priority, and deadline are required.' });
   }
-  if (!['High', 'Normal', 'Low'].includes(priority)) {
-    return res.status(400).json({ error: 'priority must be High, Normal, or Low.' });
-  }
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(deadline)) {
-    return res.status(400).json({ error: 'deadline must be in YYYY-MM-DD format.' });
-  }
+  const invalid = noticeFieldError('priority', priority) || noticeFieldError('deadline', deadline);
+  if (invalid) return res.status(400).json({ error: invalid });
 
-  const isTargetAll = target_all === '1' || target_all === true || target_all === 1;
+  const checklist = itemsFromBody(req.body);
+  const invalidItems = checklist.error || itemsError(checklist.items, deadline);
+  if (invalidItems) return res.status(400).json({ error: invalidItems });
 
-  if (!isTargetAll) {
-    if (!target_user_ids) {
-      return res.status(400).json({ error: 'Specify target users or select "All Users".' });
-    }
-    if (typeof target_user_ids === 'string') target_user_ids = [target_user_ids];
-    target_user_ids = target_user_ids.map(Number).filter(id => id !== req.user.id);
-    if (target_user_ids.length === 0) {
-      return res.status(400).json({ error: 'At least one target user is required.' });
-    }
+  const publishAt = req.body.publish_at ? parsePublishAt(req.body.publish_at) : null;
+  if (req.body.publish_at && !publishAt) {
+    return res.status(400).json({ error: 'publish_at must be an ISO date and time, e.g. 2026-03-02T09:00:00+05:30.' });
   }
+  const now       = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const scheduled = !!publishAt && publishAt > now;
+
+  const targets = checkTargets(req.user.id, targetsFromBody(req.body));
+  if (targets.error) return res.status(400).json({ error: targets.error });
 
   const attachment_path = req.file ? await saveFile(req.file) : null;
   const attachment_name = req.file ? req.file.originalname : null;
 
   const result = db.prepare(`
-    INSERT INTO notices (title, body, priority, deadline, created_by, target_all, attachment_path, attachment_name)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO notices (title, body, priority, deadline, created_by, target_all,
+                         attachment_path, attachment_name, state, publish_at, draft_targets)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, ?)
   `).run(
     title.trim(), body.trim(), priority, deadline,
-    req.user.id, isTargetAll ? 1 : 0,
-    attachment_path, attachment_name
+    req.user.id, targets.target_all,
+    attachment_path, attachment_name,
+    scheduled ? publishAt : now, JSON.stringify(targets)
   );
   const noticeId = result.lastInsertRowid;
+  saveItems(noticeId, checklist.items);
 
-  const insertStatus = db.prepare('INSERT OR IGNORE INTO notice_status (notice_id, user_id) VALUES (?, ?)');
-
-  if (isTargetAll) {
-    // Send to every active non-admin user except the sender.
-    const allUsers = db.prepare(
-      "SELECT id FROM users WHERE is_active = 1 AND role != 'admin' AND id != ?"
-    ).all(req.user.id);
-    allUsers.forEach(u => insertStatus.run(noticeId, u.id));
-  } else {
-    target_user_ids.forEach(id => insertStatus.run(noticeId, id));
+  if (scheduled) {
+    return res.status(201).json({ success: true, noticeId, publish_at: publishAt, message: 'Notice scheduled.' });
   }
-
+  deliver(noticeId);
   res.status(201).json({ success: true, noticeId, message: 'Notice created successfully.' });
 });
 
 // ── GET /notices/:id  (detail) ────────────────────────────────────────────────
+// Returns the notice with every recipient's row and full response timeline
+// (notice_responses), its checklist progress and history, and the versions
+// earlier edits replaced.
 router.get('/notices/:id', requireAuth, (req, res) => {
   const noticeId = parseInt(req.params.id);
   if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
@@ -293,43 +559,259 @@ router.get('/notices/:id', requireAuth, (req, res) => {
     SELECT n.*,
            u.username          AS created_by_username,
            d.name              AS source_dept_name,
-           d.code              AS source_dept_code
+           d.code              AS source_dept_code,
+           w.username          AS withdrawn_by_username,
+           c.username          AS closed_by_username
     FROM notices n
     JOIN  users u       ON u.id  = n.created_by
     LEFT JOIN departments d ON d.id  = u.dept_id
-    WHERE n.id = ?
+    LEFT JOIN users       w ON w.id  = n.withdrawn_by
+    LEFT JOIN users       c ON c.id  = n.closed_by
+    WHERE n.id = ? AND n.state = 'published'
   `).get(noticeId);
 
   if (!notice) return res.status(404).json({ error: 'Notice not found.' });
+  notice.purge_on = purgeOn(notice.closed_at);
 
   const statuses = db.prepare(`
-    SELECT ns.user_id, ns.status, ns.remark, ns.reply_path, ns.reply_name, ns.is_read, ns.updated_at,
-           u.username,
-           d.name AS dept_name,
-           d.code AS dept_code
+    SELECT ns.id AS status_id, ${RECIPIENT_COLUMNS},
+           ns.status, ns.remark, ns.reply_path, ns.reply_name, ns.is_read, ns.updated_at,
+           ns.extended_deadline, ${EFFECTIVE_DEADLINE} AS effective_deadline,
+           ns.review_note, ns.reviewed_at, v.username AS reviewed_by_username,
+           ns.forwarded_from, ns.forwarded_at, ns.forward_note, f.username AS forwarded_by_username
     FROM notice_status ns
-    JOIN  users u       ON u.id  = ns.user_id
-    LEFT JOIN departments d ON d.id  = u.dept_id
+    JOIN notices n ON n.id = ns.notice_id
+    LEFT JOIN users v ON v.id = ns.reviewed_by
+    LEFT JOIN users f ON f.id = ns.forwarded_by
+    ${RECIPIENT_JOINS}
+    WHERE ns.notice_id = ?
+    ORDER BY ns.id
+  `).all(noticeId);
+
+  // Each recipient's chain of custody: the original recipient first, then
+  // every hand it passed through, ending with the recipient themselves.
+  const byId = new Map(statuses.map(s => [s.status_id, s]));
+  statuses.forEach(s => {
+    const custody = [];
+    for (let link = s; link; link = byId.get(link.forwarded_from)) {
+      custody.unshift({
+        status_id: link.status_id, username: link.username,
+        dept_name: link.dept_name, dept_code: link.dept_code,
+        forwarded_by_username: link.forwarded_by_username,
+        forwarded_at: link.forwarded_at, forward_note: link.forward_note
+      });
+    }
+    s.custody = custody;
+  });
+
+  // Every response to the notice, oldest first, grouped below by recipient.
+  const responses = db.prepare(`
+    SELECT r.id, r.status_id, r.status, r.remark, r.reply_path, r.reply_name, r.created_at,
+           a.username AS acted_by_username
+    FROM notice_responses r
+    JOIN notice_status ns ON ns.id = r.status_id
+    LEFT JOIN users    a  ON a.id  = r.acted_by
+    WHERE ns.notice_id = ?
+    ORDER BY r.id
+  `).all(noticeId);
+  statuses.forEach(s => { s.responses = responses.filter(r => r.status_id === s.status_id); });
+
+  // The checklist, the items each recipient has done, and every tick and undo.
+  const items     = noticeItems(noticeId);
+  const itemsDone = db.prepare(`
+    SELECT x.item_id, x.status_id, x.done_at, x.remark, x.attachment_path, x.attachment_name,
+           b.username AS done_by_username
+    FROM notice_item_done x
+    JOIN notice_status ns ON ns.id = x.status_id
+    LEFT JOIN users    b  ON b.id  = x.done_by
+    WHERE ns.notice_id = ?
+  `).all(noticeId);
+  const itemHistory = db.prepare(`
+    SELECT h.id, h.item_id, h.status_id, h.done, h.remark, h.attachment_path, h.attachment_name, h.created_at,
+           a.username AS acted_by_username
+    FROM notice_item_history h
+    JOIN notice_status ns ON ns.id = h.status_id
+    LEFT JOIN users    a  ON a.id  = h.acted_by
+    WHERE ns.notice_id = ?
+    ORDER BY h.id
+  `).all(noticeId);
+  statuses.forEach(s => {
+    s.items_done   = itemsDone.filter(x => x.status_id === s.status_id);
+    s.item_history = itemHistory.filter(h => h.status_id === s.status_id);
+  });
+
+  // Every extension request on the notice, newest first.
+  const extensions = db.prepare(`
+    SELECT e.id, e.proposed_deadline, e.reason, e.status, e.decision_note, e.created_at, e.decided_at,
+           q.username AS requested_by_username,
+           k.username AS decided_by_username,
+           ${RECIPIENT_COLUMNS}
+    FROM deadline_extensions e
+    JOIN notice_status ns ON ns.id = e.status_id
+    JOIN users         q  ON q.id  = e.requested_by
+    LEFT JOIN users    k  ON k.id  = e.decided_by
+    ${RECIPIENT_JOINS}
     WHERE ns.notice_id = ?
+    ORDER BY e.id DESC
   `).all(noticeId);
 
-  // Mark as read for the requesting user.
-  if (req.user.role !== 'admin') {
+  // Earlier versions, newest first; revisions[0] is what the latest edit
+  // replaced.
+  const revisions = db.prepare(`
+    SELECT r.revision, r.title, r.body, r.priority, r.deadline, r.edited_at,
+           e.username AS edited_by_username
+    FROM notice_revisions r
+    JOIN users e ON e.id = r.edited_by
+    WHERE r.notice_id = ?
+    ORDER BY r.revision DESC
+  `).all(noticeId);
+
+  // Mark as read for the requesting user, their department and anyone they
+  // cover for — but not when an administrator is viewing as them, which must
+  // leave the user's unread markers as they were.
+  if (req.permissions.has('notice.respond') && !req.impersonation) {
     db.prepare(`
       UPDATE notice_status SET is_read = 1
-      WHERE notice_id = ? AND user_id = ? AND is_read = 0
-    `).run(noticeId, req.user.id);
+      WHERE id IN (
+        SELECT ns.id FROM notice_status ns JOIN notices n ON n.id = ns.notice_id
+        WHERE ns.notice_id = ? AND ${ANSWERED_BY}
+      ) AND is_read = 0
+    `).run(noticeId, ...answeredByParams(req.user));
   }
 
-  res.json({ ...notice, statuses });
+  res.json({ ...notice, items, statuses, revisions, extensions });
 });
 
-// ── PATCH /notices/:id/status  (acknowledge / complete) ──────────────────────
-router.patch('/notices/:id/status', requireAuth, upload.single('reply'), async (req, res) => {
-  if (req.user.role === 'admin') {
-    return res.status(403).json({ error: 'Admin cannot update notice status.' });
+// ── PATCH /notices/:id  (edit) ────────────────────────────────────────────────
+// Body: any of { title, body, priority, deadline }. The creator may edit their
+// own notice; notice.close_any may edit any. The version being replaced is
+// kept in notice_revisions. Every recipient sees the notice as unread again,
+// and those who had already responded are flagged changed_since_ack. The
+// deadline cannot move before the latest checklist item's.
+router.patch('/notices/:id', requirePermission('notice.create', 'notice.close_any'), (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const notice = db.prepare("SELECT * FROM notices WHERE id = ? AND state = 'published'").get(noticeId);
+  if (!notice) return res.status(404).json({ error: 'Notice not found.' });
+
+  const isCreator = notice.created_by === req.user.id && req.permissions.has('notice.create');
+  if (!isCreator && !req.permissions.has('notice.close_any')) {
+    return res.status(403).json({ error: 'You can only edit notices you created.' });
+  }
+  if (inactiveError(notice)) {
+    return res.status(400).json({ error: inactiveError(notice) });
   }
 
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] === undefined) continue;
+    const value = String(req.body[field]).trim();
+    if (!value) return res.status(400).json({ error: `${field} cannot be empty.` });
+    const invalid = noticeFieldError(field, value);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (value !== notice[field]) changes[field] = value;
+  }
+  const fields = Object.keys(changes);
+  if (!fields.length) {
+    return res.status(400).json({ error: 'Nothing to change: send a new title, body, priority, or deadline.' });
+  }
+  if (changes.deadline) {
+    const latest = noticeItems(noticeId).reduce((max, i) => (i.deadline > max ? i.deadline : max), '');
+    if (latest > changes.deadline) {
+      return res.status(400).json({ error: `The deadline cannot be earlier than the last checklist item's (${latest}).` });
+    }
+  }
+
+  const revision = notice.revision + 1;
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO notice_revisions (notice_id, revision, title, body, priority, deadline, edited_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(noticeId, notice.revision, notice.title, notice.body, notice.priority, notice.deadline, req.user.id);
+
+    db.prepare(`
+      UPDATE notices SET ${fields.map(f => `${f} = ?`).join(', ')},
+                         revision = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(...fields.map(f => changes[f]), revision, noticeId);
+
+    db.prepare(`
+      UPDATE notice_status
+      SET is_read = 0,
+          changed_since_ack = CASE WHEN status = 'Pending' THEN 0 ELSE 1 END
+      WHERE notice_id = ?
+    `).run(noticeId);
+  })();
+
+  res.json({ success: true, revision, changed: fields, message: 'Notice updated.' });
+});
+
+/**
+ * answerableRow — the notice_status row the caller answers on a notice:
+ * with on_behalf_of, the copy of a user they are covering for; otherwise a
+ * user holding several copies answers their own first, then their
+ * department's, then a covered user's.
+ * @returns {{ row?: object, error?: string }} — error is a 403 message
+ */
+function answerableRow(req, noticeId) {
+  const onBehalfOf = req.body.on_behalf_of ? parseInt(req.body.on_behalf_of) : null;
+  let row;
+  if (onBehalfOf && onBehalfOf !== req.user.id) {
+    if (!isCovering(req.user.id, onBehalfOf)) {
+      return { error: 'You are not covering for this user today.' };
+    }
+    row = db.prepare(`
+      SELECT ns.id, ns.status, ns.changed_since_ack, ns.extended_deadline, n.withdrawn_at, n.closed_at,
+             ${EFFECTIVE_DEADLINE} AS effective_deadline
+      FROM notice_status ns
+      JOIN notices n ON n.id = ns.notice_id
+      WHERE ns.notice_id = ? AND ns.user_id = ? AND ${TARGET}
+    `).get(noticeId, onBehalfOf);
+  } else {
+    row = db.prepare(`
+      SELECT ns.id, ns.status, ns.changed_since_ack, ns.extended_deadline, n.withdrawn_at, n.closed_at,
+             ${EFFECTIVE_DEADLINE} AS effective_deadline
+      FROM notice_status ns
+      JOIN notices n ON n.id = ns.notice_id
+      WHERE ns.notice_id = ? AND ${ANSWERED_BY} AND ${TARGET}
+      ORDER BY CASE WHEN ns.user_id = ? THEN 0 WHEN ns.user_id IS NULL THEN 1 ELSE 2 END
+      LIMIT 1
+    `).get(noticeId, ...answeredByParams(req.user), req.user.id);
+  }
+  return row ? { row } : { error: 'This notice is not addressed to you.' };
+}
+
+/**
+ * departmentRow — the recipient row statusId of notice noticeId, for a
+ * department head reassigning it: the row must be addressed to the caller's
+ * own department or to someone in it.
+ * @param  {object} req
+ * @param  {number} noticeId
+ * @param  {number} statusId
+ * @returns {{ row: object } | { error: string }}
+ */
+function departmentRow(req, noticeId, statusId) {
+  const row = db.prepare(`
+    SELECT ns.id, ns.status, ns.changed_since_ack, ns.extended_deadline, n.withdrawn_at, n.closed_at,
+           ${EFFECTIVE_DEADLINE} AS effective_deadline
+    FROM notice_status ns
+    JOIN notices n ON n.id = ns.notice_id
+    LEFT JOIN users r ON r.id = ns.user_id
+    WHERE ns.id = ? AND ns.notice_id = ? AND ${TARGET}
+      AND (ns.dept_id = ? OR r.dept_id = ?)
+  `).get(statusId, noticeId, req.user.dept_id, req.user.dept_id);
+  return row ? { row } : { error: 'You can only reassign notices addressed to your own department.' };
+}
+
+// ── PATCH /notices/:id/status  (acknowledge / complete) ──────────────────────
+// Every response (Noted, Completed, or a fresh one after an edit) is kept in
+// notice_responses with its remark and file; the notice_status row shows the
+// latest, so moving from Noted to Completed keeps the earlier remark and
+// file. Completed is recorded as
+// Submitted, for the sender to accept or return, and needs every required
+// checklist item done first.
+router.patch('/notices/:id/status', requirePermission('notice.respond'), upload.single('reply'), async (req, res) => {
   const noticeId = parseInt(req.params.id);
   if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
 
@@ -342,80 +824,620 @@ router.patch('/notices/:id/status', requireAuth, upload.single('reply'), async (
     return res.status(400).json({ error: 'Remark is required.' });
   }
 
-  const existing = db.prepare(
-    'SELECT id, status FROM notice_status WHERE notice_id = ? AND user_id = ?'
-  ).get(noticeId, req.user.id);
-
-  if (!existing) {
-    return res.status(403).json({ error: 'This notice is not addressed to you.' });
+  const { row: existing, error } = answerableRow(req, noticeId);
+  if (error) return res.status(403).json({ error });
+  if (inactiveError(existing)) {
+    return res.status(400).json({ error: inactiveError(existing) });
   }
-  if (existing.status === 'Completed') {
-    return res.status(400).json({ error: 'This notice has already been marked as completed.' });
+  // A completed notice may be answered again once it has been edited.
+  if (SUBMITTED.includes(existing.status) && !existing.changed_since_ack) {
+    return res.status(400).json({
+      error: existing.status === 'Accepted'
+        ? 'This notice has already been marked as completed, and the sender has accepted it.'
+        : "This notice has already been marked as completed and awaits the sender's review."
+    });
+  }
+  if (status === 'Completed') {
+    const missing = missingRequired(noticeId, existing.id);
+    if (missing.length) {
+      return res.status(400).json({ error: `Complete every required checklist item first: ${missing.join('; ')}.` });
+    }
   }
+  const recorded = status === 'Completed' ? 'Submitted' : status;
 
   const reply_path = req.file ? await saveFile(req.file) : null;
   const reply_name = req.file ? req.file.originalname : null;
 
-  db.prepare(`
-    UPDATE notice_status
-    SET status = ?, remark = ?, reply_path = ?, reply_name = ?, is_read = 1, updated_at = datetime('now')
-    WHERE notice_id = ? AND user_id = ?
-  `).run(status, remark.trim(), reply_path, reply_name, noticeId, req.user.id);
+  // The status row takes the latest response; the history keeps every one.
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE notice_status
+      SET status = ?, remark = ?, reply_path = ?, reply_name = ?, is_read = 1,
+          updated_at = datetime('now'), acted_by = ?, changed_since_ack = 0
+      WHERE id = ?
+    `).run(recorded, remark.trim(), reply_path, reply_name, req.user.id, existing.id);
+    db.prepare(`
+      INSERT INTO notice_responses (status_id, status, remark, reply_path, reply_name, acted_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(existing.id, recorded, remark.trim(), reply_path, reply_name, req.user.id);
+  })();
 
-  res.json({ success: true, message: `Notice marked as ${status}.` });
+  res.json({
+    success: true,
+    message: recorded === 'Submitted' ? "Notice submitted for the sender's review." : `Notice marked as ${status}.`
+  });
 });
 
-// ── DELETE /notices/:id  (close a notice) ────────────────────────────────────
-// Creator (dept user) can close only when all recipients have completed.
-// Admin can force-close any notice regardless of status.
-router.delete('/notices/:id', requireAuth, async (req, res) => {
+// ── PATCH /notices/:id/items/:itemId  (checklist progress) ───────────────────
+// A notice may carry a checklist of deliverables with their own deadlines
+// (checklist.js), which each recipient row ticks off.
+// Multipart: { done?: '1' | '0', remark?, on_behalf_of? } and an attachment
+// file. Ticks a checklist item off for the caller's copy (chosen as in
+// PATCH /status) — with a file, if the item requires one — or with done '0'
+// undoes it. Ticking an item off again replaces its remark and file. Every
+// tick and undo is kept in notice_item_history with its file, so earlier
+// files stay on record until the notice is purged. Not possible once the
+// copy has been submitted.
+router.patch('/notices/:id/items/:itemId', requirePermission('notice.respond'), upload.single('attachment'), async (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  const itemId   = parseInt(req.params.itemId);
+  if (isNaN(noticeId) || isNaN(itemId)) return res.status(400).json({ error: 'Invalid notice or item ID.' });
+
+  const done   = req.body.done === undefined || req.body.done === '1' || req.body.done === true;
+  const remark = String(req.body.remark || '').trim();
+  if (remark.length > 1000) {
+    return res.status(400).json({ error: 'remark must be 1000 characters or fewer.' });
+  }
+
+  const { row, error } = answerableRow(req, noticeId);
+  if (error) return res.status(403).json({ error });
+  const item = db.prepare('SELECT * FROM notice_items WHERE id = ? AND notice_id = ?').get(itemId, noticeId);
+  if (!item) return res.status(404).json({ error: 'Checklist item not found on this notice.' });
+  if (inactiveError(row)) {
+    return res.status(400).json({ error: inactiveError(row) });
+  }
+  if (SUBMITTED.includes(row.status)) {
+    return res.status(400).json({ error: 'This notice has already been marked as completed.' });
+  }
+  if (done && item.requires_attachment && !req.file) {
+    return res.status(400).json({ error: `"${item.title}" needs a file attached to be marked done.` });
+  }
+
+  const attachment_path = done && req.file ? await saveFile(req.file) : null;
+  const attachment_name = done && req.file ? req.file.originalname : null;
+  db.transaction(() => {
+    if (done) {
+      db.prepare(`
+        INSERT INTO notice_item_done (item_id, status_id, done_by, remark, attachment_path, attachment_name)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (item_id, status_id) DO UPDATE
+        SET done_by = excluded.done_by, done_at = datetime('now'), remark = excluded.remark,
+            attachment_path = excluded.attachment_path, attachment_name = excluded.attachment_name
+      `).run(itemId, row.id, req.user.id, remark || null, attachment_path, attachment_name);
+    } else {
+      db.prepare('DELETE FROM notice_item_done WHERE item_id = ? AND status_id = ?').run(itemId, row.id);
+    }
+    db.prepare(`
+      INSERT INTO notice_item_history (item_id, status_id, done, remark, attachment_path, attachment_name, acted_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(itemId, row.id, done ? 1 : 0, remark || null, attachment_path, attachment_name, req.user.id);
+  })();
+
+  const items = rowItems(noticeId, row.id);
+  res.json({
+    success:     true,
+    items_done:  items.filter(i => i.done_at).length,
+    items_total: items.length,
+    message:     done ? `"${item.title}" marked done.` : `"${item.title}" marked not done.`
+  });
+});
+
+// ── POST /notices/:id/forward  (reassign or forward) ─────────────────────────
+// Body: { target_user_id | target_dept_id, mode?, note?, on_behalf_of?,
+//         status_id? }.
+// Passes the caller's copy (chosen as in PATCH /status) to a user who can
+// respond or to a department, which gets a Pending row of its own linked to
+// the caller's and keeping any extension granted. mode 'forward' sends a
+// copy. mode 'reassign' (the default, and only with notice.reassign) hands
+// the notice over, with the checklist items done so far, leaving the
+// caller's row Reassigned and rejecting its open extension request. With
+// status_id, a department head reassigns a colleague's copy, or their
+// department's, instead of their own. The sender is told by email.
+// The new row's forwarded_from links it to the caller's, and following those
+// links gives the notice's chain of custody. A Reassigned row leaves the
+// caller's inbox and no longer counts among the notice's targets (TARGET),
+// while a forwarded copy keeps both; the sender's outbox shows either
+// handover.
+router.post('/notices/:id/forward', requirePermission('notice.respond'), async (req, res) => {
   const noticeId = parseInt(req.params.id);
   if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
 
-  const notice = db.prepare('SELECT * FROM notices WHERE id = ?').get(noticeId);
-  if (!notice) return res.status(404).json({ error: 'Notice not found.' });
+  const mode     = req.body.mode || 'reassign';
+  const note     = String(req.body.note || '').trim();
+  const toUserId = req.body.target_user_id ? parseInt(req.body.target_user_id) : null;
+  const toDeptId = req.body.target_dept_id ? parseInt(req.body.target_dept_id) : null;
+  const statusId = req.body.status_id ? parseInt(req.body.status_id) : null;
+  if (!['reassign', 'forward'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be reassign or forward.' });
+  }
+  if (mode === 'reassign' && !req.permissions.has('notice.reassign')) {
+    return res.status(403).json({ error: 'You do not have permission to reassign notices; forward a copy instead.' });
+  }
+  if (statusId && mode !== 'reassign') {
+    return res.status(400).json({ error: 'status_id can only be given to reassign a notice.' });
+  }
+  if (!toUserId === !toDeptId) {
+    return res.status(400).json({ error: 'Send exactly one of target_user_id or target_dept_id.' });
+  }
+  if (note.length > 1000) {
+    return res.status(400).json({ error: 'note must be 1000 characters or fewer.' });
+  }
+
+  const { row, error } = statusId ? departmentRow(req, noticeId, statusId) : answerableRow(req, noticeId);
+  if (error) return res.status(403).json({ error });
+  if (inactiveError(row)) {
+    return res.status(400).json({ error: inactiveError(row) });
+  }
+  if (SUBMITTED.includes(row.status)) {
+    return res.status(400).json({ error: 'This notice has already been marked as completed.' });
+  }
+
+  const notice = db.prepare('SELECT id, title, deadline, created_by FROM notices WHERE id = ?').get(noticeId);
+  let target;
+  if (toUserId) {
+    target = db.prepare(`
+      SELECT id, username AS name FROM users
+      WHERE id = ? AND is_active = 1
+        AND role IN (SELECT role FROM role_permissions WHERE permission = 'notice.respond')
+    `).get(toUserId);
+    if (!target) {
+      return res.status(400).json({ error: 'target_user_id must be an active user who can receive notices.' });
+    }
+    // A department head may take a colleague's copy over themselves.
+    if ((toUserId === req.user.id && !statusId) || toUserId === notice.created_by) {
+      return res.status(400).json({ error: 'A notice cannot be forwarded to yourself or to its sender.' });
+    }
+  } else {
+    target = db.prepare('SELECT id, name FROM departments WHERE id = ?').get(toDeptId);
+    if (!target) return res.status(400).json({ error: 'target_dept_id is not a department.' });
+  }
+  const held = db.prepare('SELECT id FROM notice_status WHERE notice_id = ? AND (user_id = ? OR dept_id = ?)')
+    .get(noticeId, toUserId, toDeptId);
+  if (held) {
+    return res.status(409).json({ error: `${target.name} has already received this notice.` });
+  }
+
+  let id;
+  db.transaction(() => {
+    id = db.prepare(`
+      INSERT INTO notice_status (notice_id, user_id, dept_id, extended_deadline,
+                                 forwarded_from, forwarded_by, forwarded_at, forward_note)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?)
+    `).run(noticeId, toUserId, toDeptId, row.extended_deadline, row.id, req.user.id, note || null).lastInsertRowid;
+    if (mode === 'reassign') {
+      db.prepare(`
+        UPDATE notice_status SET status = 'Reassigned', is_read = 1, updated_at = datetime('now'), acted_by = ?
+        WHERE id = ?
+      `).run(req.user.id, row.id);
+      db.prepare(`
+        INSERT INTO notice_item_done (item_id, status_id, done_by, done_at, remark, attachment_path, attachment_name)
+        SELECT item_id, ?, done_by, done_at, remark, attachment_path, attachment_name
+        FROM notice_item_done WHERE status_id = ?
+      `).run(id, row.id);
+      db.prepare(`
+        UPDATE deadline_extensions
+        SET status = 'Rejected', decision_note = 'The notice was reassigned.',
+            decided_by = ?, decided_at = datetime('now')
+        WHERE status = 'Pending' AND status_id = ?
+      `).run(req.user.id, row.id);
+    }
+  })();
+
+  const verb = mode === 'reassign' ? 'reassigned' : 'forwarded';
+  await notifyUsers([notice.created_by], {
+    subject: `Notice ${verb}: ${notice.title}`,
+    text:    `${req.user.username} has ${verb} your notice "${notice.title}" (deadline ${notice.deadline}) to ${target.name}.\n\n` +
+             (note ? `Note: ${note}\n\n` : '') +
+             'The notice\'s recipients are listed in the Outbox on your dashboard.'
+  });
+
+  res.status(201).json({ success: true, id, message: `Notice ${verb} to ${target.name}.` });
+});
+
+// ── POST /notices/:id/extensions  (request more time) ────────────────────────
+// Body: { proposed_deadline, reason, on_behalf_of? }. Asks the sender to move
+// the caller's deadline (for the copy chosen as in PATCH /status) to a later
+// date. One request per copy may await a decision at a time. An approved
+// date is kept on the row as extended_deadline, and its overdue state and
+// delay are measured from it.
+router.post('/notices/:id/extensions', requirePermission('notice.respond'), (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const proposed = String(req.body.proposed_deadline || '');
+  const reason   = String(req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({ error: 'A justification is required.' });
+  }
+  if (reason.length > 1000) {
+    return res.status(400).json({ error: 'reason must be 1000 characters or fewer.' });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(proposed)) {
+    return res.status(400).json({ error: 'proposed_deadline must be in YYYY-MM-DD format.' });
+  }
+
+  const { row, error } = answerableRow(req, noticeId);
+  if (error) return res.status(403).json({ error });
+  if (inactiveError(row)) {
+    return res.status(400).json({ error: inactiveError(row) });
+  }
+  if (SUBMITTED.includes(row.status)) {
+    return res.status(400).json({ error: 'This notice has already been marked as completed.' });
+  }
+  if (proposed <= row.effective_deadline) {
+    return res.status(400).json({ error: `proposed_deadline must be later than the current deadline (${row.effective_deadline}).` });
+  }
+  const open = db.prepare("SELECT id FROM deadline_extensions WHERE status_id = ? AND status = 'Pending'").get(row.id);
+  if (open) {
+    return res.status(409).json({ error: 'An extension request for this notice is already awaiting a decision.' });
+  }
+
+  const result = db.prepare(`
+    INSERT INTO deadline_extensions (status_id, requested_by, proposed_deadline, reason)
+    VALUES (?, ?, ?, ?)
+  `).run(row.id, req.user.id, proposed, reason);
+
+  res.status(201).json({ success: true, id: result.lastInsertRowid, message: 'Extension requested.' });
+});
+
+// ── PATCH /notices/:id/extensions/:extId  (decide a request) ─────────────────
+// Body: { decision: 'Approved' | 'Rejected', note? }. Only the notice's sender
+// decides. Approving sets the recipient's extended_deadline.
+router.patch('/notices/:id/extensions/:extId', requirePermission('notice.create'), (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  const extId    = parseInt(req.params.extId);
+  if (isNaN(noticeId) || isNaN(extId)) return res.status(400).json({ error: 'Invalid notice or extension ID.' });
+
+  const { decision } = req.body;
+  const note = String(req.body.note || '').trim();
+  if (!['Approved', 'Rejected'].includes(decision)) {
+    return res.status(400).json({ error: 'decision must be Approved or Rejected.' });
+  }
+  if (note.length > 1000) {
+    return res.status(400).json({ error: 'note must be 1000 characters or fewer.' });
+  }
+
+  const ext = db.prepare(`
+    SELECT e.id, e.status, e.status_id, e.proposed_deadline, n.created_by
+    FROM deadline_extensions e
+    JOIN notice_status ns ON ns.id = e.status_id
+    JOIN notices       n  ON n.id  = ns.notice_id
+    WHERE e.id = ? AND n.id = ?
+  `).get(extId, noticeId);
+  if (!ext) return res.status(404).json({ error: 'Extension request not found.' });
+  if (ext.created_by !== req.user.id) {
+    return res.status(403).json({ error: 'Only the sender of a notice can decide its extension requests.' });
+  }
+  if (ext.status !== 'Pending') {
+    return res.status(400).json({ error: 'This extension request has already been decided.' });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE deadline_extensions
+      SET status = ?, decision_note = ?, decided_by = ?, decided_at = datetime('now')
+      WHERE id = ?
+    `).run(decision, note || null, req.user.id, extId);
+    if (decision === 'Approved') {
+      db.prepare('UPDATE notice_status SET extended_deadline = ? WHERE id = ?').run(ext.proposed_deadline, ext.status_id);
+    }
+  })();
 
-  // Auth: creator or admin.
-  if (req.user.role !== 'admin' && notice.created_by !== req.user.id) {
-    return res.status(403).json({ error: 'You can only close notices you created.' });
+  res.json({ success: true, message: `Extension ${decision.toLowerCase()}.` });
+});
+
+// ── PATCH /notices/:id/statuses/:statusId  (review a completion) ─────────────
+// Body: { decision: 'Accepted' | 'Returned', note? }; a note is required to
+// return. Only the notice's sender reviews, and only a Submitted completion.
+// Accepting is final; returning sends the row back to In Progress, unread,
+// with the note. Either is added to the recipient's response history. Only
+// accepted completions count as completed, and a notice is ready to close
+// once every recipient's completion has been accepted (DELETE /notices/:id).
+router.patch('/notices/:id/statuses/:statusId', requirePermission('notice.create'), (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  const statusId = parseInt(req.params.statusId);
+  if (isNaN(noticeId) || isNaN(statusId)) return res.status(400).json({ error: 'Invalid notice or status ID.' });
+
+  const { decision } = req.body;
+  const note = String(req.body.note || '').trim();
+  if (!['Accepted', 'Returned'].includes(decision)) {
+    return res.status(400).json({ error: 'decision must be Accepted or Returned.' });
+  }
+  if (decision === 'Returned' && !note) {
+    return res.status(400).json({ error: 'Comments are required to return a completion.' });
+  }
+  if (note.length > 1000) {
+    return res.status(400).json({ error: 'note must be 1000 characters or fewer.' });
   }
 
-  // Dept user: all recipients must have completed before closing.
-  if (req.user.role !== 'admin') {
+  const row = db.prepare(`
+    SELECT ns.id, ns.status, n.created_by, n.withdrawn_at, n.closed_at
+    FROM notice_status ns
+    JOIN notices n ON n.id = ns.notice_id
+    WHERE ns.id = ? AND n.id = ? AND n.state = 'published'
+  `).get(statusId, noticeId);
+  if (!row) return res.status(404).json({ error: 'Recipient not found on this notice.' });
+  if (row.created_by !== req.user.id) {
+    return res.status(403).json({ error: 'Only the sender of a notice can review its completions.' });
+  }
+  if (inactiveError(row)) {
+    return res.status(400).json({ error: inactiveError(row) });
+  }
+  if (row.status !== 'Submitted') {
+    return res.status(400).json({ error: 'Only a completion awaiting review can be accepted or returned.' });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE notice_status
+      SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = datetime('now'),
+          is_read = CASE WHEN ? = 'Returned' THEN 0 ELSE is_read END
+      WHERE id = ?
+    `).run(decision === 'Accepted' ? 'Accepted' : 'In Progress', note || null, req.user.id, decision, statusId);
+    db.prepare(`
+      INSERT INTO notice_responses (status_id, status, remark, acted_by)
+      VALUES (?, ?, ?, ?)
+    `).run(statusId, decision, note, req.user.id);
+  })();
+
+  res.json({
+    success: true,
+    message: decision === 'Accepted' ? 'Completion accepted.' : 'Completion returned for rework.'
+  });
+});
+
+/**
+ * commentAccess — how the caller takes part in a notice's comment thread:
+ * its sender, or a recipient answering rowIds (as in PATCH /status). Others
+ * holding notice.view_all may read every comment but not write.
+ * @returns {{ notice?: object, sender?: boolean, rowIds?: number[], status?: number, error?: string }}
+ */
+function commentAccess(req, noticeId) {
+  const notice = db.prepare("SELECT * FROM notices WHERE id = ? AND state = 'published'").get(noticeId);
+  if (!notice) return { status: 404, error: 'Notice not found.' };
+
+  const sender = notice.created_by === req.user.id;
+  const rowIds = sender || !req.permissions.has('notice.respond') ? [] : db.prepare(`
+    SELECT ns.id FROM notice_status ns JOIN notices n ON n.id = ns.notice_id
+    WHERE ns.notice_id = ? AND ${ANSWERED_BY}
+  `).all(noticeId, ...answeredByParams(req.user)).map(r => r.id);
+
+  if (!sender && !rowIds.length && !req.permissions.has('notice.view_all')) {
+    return { status: 403, error: 'This notice is not addressed to you.' };
+  }
+  return { notice, sender, rowIds };
+}
+
+// ── GET /notices/:id/comments  (discussion) ──────────────────────────────────
+// A comment is for all recipients or private between the sender and one
+// recipient row. notice_comment_reads keeps the newest comment each user has
+// seen, and the inbox and outbox count the rest as unread_comments.
+// The sender (and notice.view_all) sees every comment; a recipient sees those
+// for all recipients and those private to their own rows. Marks them read.
+router.get('/notices/:id/comments', requireAuth, (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const access = commentAccess(req, noticeId);
+  if (access.error) return res.status(access.status).json({ error: access.error });
+
+  const seesAll = access.sender || !access.rowIds.length;
+  const comments = db.prepare(`
+    SELECT c.id, c.author_id, c.body, c.attachment_path, c.attachment_name, c.created_at, c.status_id,
+           CASE WHEN c.status_id IS NULL THEN 'all' ELSE 'private' END AS visibility,
+           a.username  AS author_username,
+           ru.username AS recipient_username,
+           COALESCE(rtd.name, rd.name) AS recipient_dept_name,
+           COALESCE(rtd.code, rd.code) AS recipient_dept_code
+    FROM notice_comments c
+    JOIN users a ON a.id = c.author_id
+    LEFT JOIN notice_status ns  ON ns.id  = c.status_id
+    LEFT JOIN users         ru  ON ru.id  = ns.user_id
+    LEFT JOIN departments   rd  ON rd.id  = ru.dept_id
+    LEFT JOIN departments   rtd ON rtd.id = ns.dept_id
+    WHERE c.notice_id = ?
+      ${seesAll ? '' : `AND (c.status_id IS NULL OR c.status_id IN (${access.rowIds.map(() => '?').join(', ')}))`}
+    ORDER BY c.id
+  `).all(noticeId, ...(seesAll ? [] : access.rowIds));
+
+  // An administrator viewing as the user reads the thread without marking it
+  // read for them.
+  if (comments.length && !req.impersonation) {
+    db.prepare(`
+      INSERT INTO notice_comment_reads (notice_id, user_id, last_read_id) VALUES (?, ?, ?)
+      ON CONFLICT (notice_id, user_id) DO UPDATE SET last_read_id = MAX(last_read_id, excluded.last_read_id)
+    `).run(noticeId, req.user.id, comments[comments.length - 1].id);
+  }
+
+  res.json(comments.map(c => ({ ...c, is_mine: c.author_id === req.user.id })));
+});
+
+// ── POST /notices/:id/comments  (comment) ────────────────────────────────────
+// Multipart: { body, visibility: 'all' | 'private', status_id?, on_behalf_of? }
+// with an optional `attachment`. A recipient's private comment goes to the
+// sender on the row they answer (chosen as in PATCH /status); the sender's
+// names the recipient's status_id. Closed and withdrawn notices take no more.
+router.post('/notices/:id/comments', requireAuth, upload.single('attachment'), async (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const body       = String(req.body.body || '').trim();
+  const visibility = req.body.visibility || 'private';
+  if (!body) {
+    return res.status(400).json({ error: 'A comment cannot be empty.' });
+  }
+  if (body.length > 2000) {
+    return res.status(400).json({ error: 'A comment must be 2000 characters or fewer.' });
+  }
+  if (!['all', 'private'].includes(visibility)) {
+    return res.status(400).json({ error: 'visibility must be all or private.' });
+  }
+
+  const access = commentAccess(req, noticeId);
+  if (access.error) return res.status(access.status).json({ error: access.error });
+  if (!access.sender && !access.rowIds.length) {
+    return res.status(403).json({ error: 'Only the sender and recipients of a notice can comment on it.' });
+  }
+  if (inactiveError(access.notice)) {
+    return res.status(400).json({ error: inactiveError(access.notice) });
+  }
+
+  let statusId = null;
+  if (visibility === 'private' && access.sender) {
+    statusId = parseInt(req.body.status_id);
+    const row = db.prepare('SELECT id FROM notice_status WHERE id = ? AND notice_id = ?').get(statusId, noticeId);
+    if (!row) return res.status(400).json({ error: 'status_id must be one of this notice\'s recipients.' });
+  } else if (visibility === 'private') {
+    const { row, error } = answerableRow(req, noticeId);
+    if (error) return res.status(403).json({ error });
+    statusId = row.id;
+  }
+
+  const attachment_path = req.file ? await saveFile(req.file) : null;
+  const attachment_name = req.file ? req.file.originalname : null;
+
+  const result = db.prepare(`
+    INSERT INTO notice_comments (notice_id, status_id, author_id, body, attachment_path, attachment_name)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(noticeId, statusId, req.user.id, body, attachment_path, attachment_name);
+
+  res.status(201).json({ success: true, id: result.lastInsertRowid, message: 'Comment posted.' });
+});
+
+/**
+ * closableNotice — the published notice with this id and its creator's
+ * department, and whether the caller may close (or withdraw) it:
+ *   notice.close            — their own notices
+ *   notice.close_department — notices issued from their department
+ *   notice.close_any        — any notice
+ * @returns {{ notice?: object, status?: number, error?: string }}
+ */
+function closableNotice(req, noticeId) {
+  const notice = db.prepare(`
+    SELECT n.*, u.dept_id AS creator_dept_id
+    FROM notices n
+    JOIN users u ON u.id = n.created_by
+    WHERE n.id = ? AND n.state = 'published'
+  `).get(noticeId);
+  if (!notice) return { status: 404, error: 'Notice not found.' };
+
+  const can      = p => req.permissions.has(p);
+  const own      = notice.created_by === req.user.id && can('notice.close');
+  const sameDept = can('notice.close_department') &&
+                   req.user.dept_id != null && notice.creator_dept_id === req.user.dept_id;
+
+  if (!can('notice.close_any') && !own && !sameDept) {
+    return {
+      status: 403,
+      error:  can('notice.close_department')
+        ? 'You can only close notices issued from your department.'
+        : 'You can only close notices you created.'
+    };
+  }
+  return { notice };
+}
+
+// ── POST /notices/:id/withdraw  (recall a notice) ────────────────────────────
+// Body: { reason }. Allowed to whoever may close the notice, whatever its
+// recipients' progress. The notice turns unread in their withdrawn-notices
+// list, open extension requests are rejected, and recipients with an email
+// address are told (notify.js). A withdrawn notice keeps its record —
+// responses, files, history — but takes no more responses, edits or
+// extension requests, and may be closed without waiting for recipients.
+router.post('/notices/:id/withdraw', requirePermission('notice.close', 'notice.close_department', 'notice.close_any'), async (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason for withdrawing the notice is required.' });
+  }
+  if (reason.length > 1000) {
+    return res.status(400).json({ error: 'reason must be 1000 characters or fewer.' });
+  }
+
+  const { notice, status, error } = closableNotice(req, noticeId);
+  if (error) return res.status(status).json({ error });
+  if (notice.closed_at) {
+    return res.status(400).json({ error: 'This notice has been closed.' });
+  }
+  if (notice.withdrawn_at) {
+    return res.status(400).json({ error: 'This notice has already been withdrawn.' });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE notices SET withdrawn_at = datetime('now'), withdrawn_by = ?, withdrawal_reason = ?
+      WHERE id = ?
+    `).run(req.user.id, reason, noticeId);
+    db.prepare('UPDATE notice_status SET is_read = 0 WHERE notice_id = ?').run(noticeId);
+    db.prepare(`
+      UPDATE deadline_extensions
+      SET status = 'Rejected', decision_note = 'The notice was withdrawn.',
+          decided_by = ?, decided_at = datetime('now')
+      WHERE status = 'Pending' AND status_id IN (SELECT id FROM notice_status WHERE notice_id = ?)
+    `).run(req.user.id, noticeId);
+  })();
+
+  await notifyUsers(recipientUserIds(noticeId), {
+    subject: `Notice withdrawn: ${notice.title}`,
+    text:    `The notice "${notice.title}" (deadline ${notice.deadline}) has been withdrawn by ${req.user.username}.\n\n` +
+             `Reason: ${reason}\n\n` +
+             'No further action is needed on it. It remains available under Withdrawn Notices on your dashboard.'
+  });
+
+  res.json({ success: true, message: 'Notice withdrawn.' });
+});
+
+// ── DELETE /notices/:id  (close a notice) ────────────────────────────────────
+// Allowed as for withdrawing (closableNotice). Without notice.close_any, the
+// sender must have accepted every recipient's completion first (but those who
+// reassigned it), unless the notice was withdrawn.
+// The notice leaves every inbox, outbox and district list for the archive,
+// keeping its responses and files until the retention job purges it
+// (retention.js); open extension requests are rejected.
+router.delete('/notices/:id', requirePermission('notice.close', 'notice.close_department', 'notice.close_any'), (req, res) => {
+  const noticeId = parseInt(req.params.id);
+  if (isNaN(noticeId)) return res.status(400).json({ error: 'Invalid notice ID.' });
+
+  const { notice, status, error } = closableNotice(req, noticeId);
+  if (error) return res.status(status).json({ error });
+  if (notice.closed_at) {
+    return res.status(400).json({ error: 'This notice has already been closed.' });
+  }
+
+  if (!req.permissions.has('notice.close_any') && !notice.withdrawn_at) {
     const incomplete = db.prepare(
-      "SELECT COUNT(*) AS count FROM notice_status WHERE notice_id = ? AND status != 'Completed'"
+      "SELECT COUNT(*) AS count FROM notice_status WHERE notice_id = ? AND status NOT IN ('Accepted', 'Reassigned')"
     ).get(noticeId);
     if (incomplete.count > 0) {
       return res.status(400).json({
-        error: 'Cannot close: not all recipients have completed this notice.'
+        error: "Cannot close: not all recipients' completions of this notice have been accepted."
       });
     }
   }
 
-  // Archive completion stats before deletion.
-  const completedStats = db.prepare(`
-    SELECT strftime('%Y-%m', updated_at) AS month, COUNT(*) AS completed
-    FROM notice_status
-    WHERE notice_id = ? AND status = 'Completed' AND updated_at IS NOT NULL
-    GROUP BY month
-  `).all(noticeId);
-
-  const insertArchivedStat = db.prepare(
-    'INSERT INTO notice_archive_stats (month, completed) VALUES (?, ?)'
-  );
-  completedStats.forEach(row => insertArchivedStat.run(row.month, row.completed));
-
-  // Collect file paths before cascade deletes them.
-  const replyPaths = db.prepare(
-    'SELECT reply_path FROM notice_status WHERE notice_id = ? AND reply_path IS NOT NULL'
-  ).all(noticeId).map(r => r.reply_path);
-
-  db.prepare('DELETE FROM notices WHERE id = ?').run(noticeId);
-
-  const filesToDelete = [notice.attachment_path, ...replyPaths].filter(Boolean);
-  await Promise.all(filesToDelete.map(p => deleteFile(p)));
+  db.transaction(() => {
+    db.prepare("UPDATE notices SET closed_at = datetime('now'), closed_by = ? WHERE id = ?").run(req.user.id, noticeId);
+    db.prepare(`
+      UPDATE deadline_extensions
+      SET status = 'Rejected', decision_note = 'The notice was closed.',
+          decided_by = ?, decided_at = datetime('now')
+      WHERE status = 'Pending' AND status_id IN (SELECT id FROM notice_status WHERE notice_id = ?)
+    `).run(req.user.id, noticeId);
+  })();
 
-  res.json({ success: true, message: 'Notice closed successfully.' });
+  res.json({ success: true, message: 'Notice closed and archived.' });
 });
 
 module.exports = router;
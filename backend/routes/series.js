@@ -0,0 +1,131 @@
+/**
+ * routes/series.js — recurring notices (see series.js).
+ *
+ * Mounted at /api/portal in app.js. Every route requires notice.create, and
+ * a sender only sees and manages their own series — anyone else's are
+ * reported as not found. The notices a series has sent are ordinary notices
+ * in the sender's outbox, carrying series_id and series_seq.
+ *
+ * GET   /api/portal/notice-series     — the sender's series, newest first
+ * POST  /api/portal/notice-series     — start a series
+ * PATCH /api/portal/notice-series/:id — pause, resume or stop a series ({ status })
+ */
+
+const express = require('express');
+const db      = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
+const { targetsFromBody, checkTargets, parsePublishAt, deliver } = require('../publishing');
+const { FREQUENCIES, runAt, isPastEnd, nextPeriodAfter, spawnDue } = require('../series');
+
+const router = express.Router();
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** present — a series row as returned to the dashboard. */
+const present = s => ({ ...s, targets: JSON.parse(s.targets) });
+
+// ── GET /api/portal/notice-series ────────────────────────────────────────────
+router.get('/notice-series', requirePermission('notice.create'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT * FROM notice_series WHERE created_by = ? ORDER BY id DESC
+  `).all(req.user.id);
+  res.json(rows.map(present));
+});
+
+// ── POST /api/portal/notice-series ───────────────────────────────────────────
+// Body: { title, body, priority, frequency, deadline_days, starts_at?,
+//         ends_on?, max_count?, target_all | target_user_ids | target_dept_ids }
+// starts_at (ISO date-time) is the first run, default now; a first run that
+// has already come is sent straight away.
+router.post('/notice-series', requirePermission('notice.create'), (req, res) => {
+  const title    = String(req.body.title || '').trim();
+  const body     = String(req.body.body || '').trim();
+  const { priority, frequency } = req.body;
+  const deadlineDays = Number(req.body.deadline_days);
+  const endsOn   = req.body.ends_on || null;
+  const maxCount = req.body.max_count === undefined || req.body.max_count === '' ? null : Number(req.body.max_count);
+
+  if (!title || !body || !priority || !frequency || req.body.deadline_days === undefined) {
+    return res.status(400).json({ error: 'title, body, priority, frequency, and deadline_days are required.' });
+  }
+  if (!['High', 'Normal', 'Low'].includes(priority)) {
+    return res.status(400).json({ error: 'priority must be High, Normal, or Low.' });
+  }
+  if (!FREQUENCIES.includes(frequency)) {
+    return res.status(400).json({ error: `frequency must be one of: ${FREQUENCIES.join(', ')}.` });
+  }
+  if (!Number.isInteger(deadlineDays) || deadlineDays < 0 || deadlineDays > 366) {
+    return res.status(400).json({ error: 'deadline_days must be a whole number of days from 0 to 366.' });
+  }
+  if (endsOn && !DATE.test(endsOn)) {
+    return res.status(400).json({ error: 'ends_on must be in YYYY-MM-DD format.' });
+  }
+  if (maxCount !== null && (!Number.isInteger(maxCount) || maxCount < 1)) {
+    return res.status(400).json({ error: 'max_count must be a positive whole number.' });
+  }
+
+  const now      = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const startsAt = req.body.starts_at ? parsePublishAt(req.body.starts_at) : now;
+  if (!startsAt) {
+    return res.status(400).json({ error: 'starts_at must be an ISO date and time, e.g. 2026-03-02T09:00:00+05:30.' });
+  }
+  if (endsOn && startsAt.slice(0, 10) > endsOn) {
+    return res.status(400).json({ error: 'ends_on must not be before the first notice goes out.' });
+  }
+
+  const targets = checkTargets(req.user.id, targetsFromBody(req.body));
+  if (targets.error) return res.status(400).json({ error: targets.error });
+
+  const result = db.prepare(`
+    INSERT INTO notice_series (title, body, priority, targets, frequency, starts_at, deadline_days,
+                               ends_on, max_count, next_run_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(title, body, priority, JSON.stringify(targets), frequency, startsAt, deadlineDays,
+    endsOn, maxCount, startsAt, req.user.id);
+  const id = result.lastInsertRowid;
+
+  spawnDue(id).forEach(deliver);
+
+  const series = db.prepare('SELECT * FROM notice_series WHERE id = ?').get(id);
+  res.status(201).json({ success: true, id, next_run_at: series.next_run_at, message: 'Recurring notice started.' });
+});
+
+// ── PATCH /api/portal/notice-series/:id ──────────────────────────────────────
+// Body: { status: 'paused' | 'active' | 'stopped' }. Resuming skips the runs
+// that fell while the series was paused.
+router.patch('/notice-series/:id', requirePermission('notice.create'), (req, res) => {
+  const seriesId = parseInt(req.params.id);
+  if (isNaN(seriesId)) return res.status(400).json({ error: 'Invalid series ID.' });
+
+  const series = db.prepare('SELECT * FROM notice_series WHERE id = ? AND created_by = ?').get(seriesId, req.user.id);
+  if (!series) return res.status(404).json({ error: 'Series not found.' });
+
+  const { status } = req.body;
+  if (!['paused', 'active', 'stopped'].includes(status)) {
+    return res.status(400).json({ error: "status must be 'paused', 'active', or 'stopped'." });
+  }
+  if (series.status === 'stopped' || series.status === 'finished') {
+    return res.status(400).json({ error: `This series has ${series.status === 'stopped' ? 'been stopped' : 'finished'}.` });
+  }
+  if (status === series.status) {
+    return res.status(400).json({ error: `This series is already ${status}.` });
+  }
+
+  if (status === 'active') {
+    const now    = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const period = nextPeriodAfter(series, now);
+    if (isPastEnd(series, period)) {
+      db.prepare("UPDATE notice_series SET status = 'finished', next_run_at = NULL WHERE id = ?").run(seriesId);
+      return res.json({ success: true, status: 'finished', message: 'The series has no runs left and has finished.' });
+    }
+    db.prepare("UPDATE notice_series SET status = 'active', period = ?, next_run_at = ? WHERE id = ?")
+      .run(period, runAt(series, period), seriesId);
+  } else {
+    db.prepare('UPDATE notice_series SET status = ? WHERE id = ?').run(status, seriesId);
+  }
+
+  const messages = { paused: 'Series paused.', active: 'Series resumed.', stopped: 'Series stopped.' };
+  res.json({ success: true, status, message: messages[status] });
+});
+
+module.exports = router;
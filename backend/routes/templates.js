@@ -0,0 +1,159 @@
+/**
+ * routes/templates.js — the notice templates library.
+ *
+ * Mounted at /api/portal in app.js. A template is a notice format — title
+ * and body with {{placeholders}}, a default priority and optionally a default
+ * recipient list — that the compose page starts a notice from, asking the
+ * sender for each placeholder's value.
+ *
+ * Personal templates belong to one sender (notice.create) and are seen by
+ * them alone; district-wide templates are seen by every sender and managed by
+ * administrators (user.manage). Someone else's personal template is reported
+ * as not found.
+ *
+ * GET    /api/portal/templates     — district-wide templates, then one's own
+ * GET    /api/portal/templates/:id — one template
+ * POST   /api/portal/templates     — create a template ({ scope: 'personal' | 'district' })
+ * PUT    /api/portal/templates/:id — replace a template's fields
+ * DELETE /api/portal/templates/:id — delete a template
+ */
+
+const express = require('express');
+const db      = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
+const { targetsFromBody, checkTargets } = require('../publishing');
+
+const router = express.Router();
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/** placeholders — the distinct placeholder names in a template, in order of appearance. */
+function placeholders(t) {
+  return [...new Set([...`${t.title}\n${t.body}`.matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+/** present — a template row as returned to the compose page and admin panel. */
+function present(req, t) {
+  return {
+    id: t.id, name: t.name, title: t.title, body: t.body, priority: t.priority,
+    targets:      t.targets ? JSON.parse(t.targets) : null,
+    scope:        t.owner_id ? 'personal' : 'district',
+    placeholders: placeholders(t),
+    can_edit:     canEdit(req, t),
+    created_at:   t.created_at, updated_at: t.updated_at
+  };
+}
+
+/** canEdit — owners edit personal templates; user.manage edits district-wide ones. */
+function canEdit(req, t) {
+  return t.owner_id ? t.owner_id === req.user.id : req.permissions.has('user.manage');
+}
+
+/** visibleTemplate — the template with this id if the caller may see it. */
+function visibleTemplate(req) {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return undefined;
+  return db.prepare('SELECT * FROM notice_templates WHERE id = ? AND (owner_id IS NULL OR owner_id = ?)')
+    .get(id, req.user.id);
+}
+
+/**
+ * templateFields — validated fields from the request body, or { error }.
+ * The recipient list is optional; when given it is checked like a notice's.
+ */
+function templateFields(req) {
+  const name     = String(req.body.name || '').trim();
+  const title    = String(req.body.title || '').trim();
+  const body     = String(req.body.body || '').trim();
+  const priority = req.body.priority || 'Normal';
+
+  if (!name || !title || !body) return { error: 'name, title, and body are required.' };
+  if (name.length > 100)        return { error: 'name must be 100 characters or fewer.' };
+  if (!['High', 'Normal', 'Low'].includes(priority)) {
+    return { error: 'priority must be High, Normal, or Low.' };
+  }
+
+  const chosen = targetsFromBody(req.body);
+  if (!chosen.targetAll && !chosen.userIds.length && !chosen.deptIds.length) {
+    return { name, title, body, priority, targets: null };
+  }
+  const targets = checkTargets(req.user.id, chosen);
+  if (targets.error) return targets;
+  return { name, title, body, priority, targets: JSON.stringify(targets) };
+}
+
+// ── GET /api/portal/templates ────────────────────────────────────────────────
+router.get('/templates', requirePermission('notice.create', 'user.manage'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT * FROM notice_templates
+    WHERE owner_id IS NULL OR owner_id = ?
+    ORDER BY owner_id IS NOT NULL, name COLLATE NOCASE
+  `).all(req.user.id);
+  res.json(rows.map(t => present(req, t)));
+});
+
+// ── GET /api/portal/templates/:id ────────────────────────────────────────────
+router.get('/templates/:id', requirePermission('notice.create', 'user.manage'), (req, res) => {
+  const template = visibleTemplate(req);
+  if (!template) return res.status(404).json({ error: 'Template not found.' });
+  res.json(present(req, template));
+});
+
+// ── POST /api/portal/templates ───────────────────────────────────────────────
+// Body: { name, title, body, priority?, scope?, target_all | target_user_ids | target_dept_ids }
+// scope defaults to 'personal' for senders and 'district' for administrators.
+router.post('/templates', requirePermission('notice.create', 'user.manage'), (req, res) => {
+  const scope = req.body.scope || (req.permissions.has('notice.create') ? 'personal' : 'district');
+  if (!['personal', 'district'].includes(scope)) {
+    return res.status(400).json({ error: "scope must be 'personal' or 'district'." });
+  }
+  const needed = scope === 'district' ? 'user.manage' : 'notice.create';
+  if (!req.permissions.has(needed)) {
+    return res.status(403).json({ error: `${scope === 'district' ? 'District-wide' : 'Personal'} templates require ${needed}.` });
+  }
+
+  const fields = templateFields(req);
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  const result = db.prepare(`
+    INSERT INTO notice_templates (name, title, body, priority, targets, owner_id, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(fields.name, fields.title, fields.body, fields.priority, fields.targets,
+    scope === 'personal' ? req.user.id : null, req.user.id);
+
+  res.status(201).json({ success: true, id: result.lastInsertRowid, message: 'Template saved.' });
+});
+
+// ── PUT /api/portal/templates/:id ────────────────────────────────────────────
+router.put('/templates/:id', requirePermission('notice.create', 'user.manage'), (req, res) => {
+  const template = visibleTemplate(req);
+  if (!template) return res.status(404).json({ error: 'Template not found.' });
+  if (!canEdit(req, template)) {
+    return res.status(403).json({ error: 'District-wide templates are managed by administrators.' });
+  }
+
+  const fields = templateFields(req);
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  db.prepare(`
+    UPDATE notice_templates
+    SET name = ?, title = ?, body = ?, priority = ?, targets = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(fields.name, fields.title, fields.body, fields.priority, fields.targets, template.id);
+
+  res.json({ success: true, message: 'Template updated.' });
+});
+
+// ── DELETE /api/portal/templates/:id ─────────────────────────────────────────
+router.delete('/templates/:id', requirePermission('notice.create', 'user.manage'), (req, res) => {
+  const template = visibleTemplate(req);
+  if (!template) return res.status(404).json({ error: 'Template not found.' });
+  if (!canEdit(req, template)) {
+    return res.status(403).json({ error: 'District-wide templates are managed by administrators.' });
+  }
+
+  db.prepare('DELETE FROM notice_templates WHERE id = ?').run(template.id);
+  res.json({ success: true, message: 'Template deleted.' });
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+/**
+ * routes/two-factor.js — TOTP two-factor authentication.
+ *
+ * Mounted at /api/auth/2fa in app.js.
+ *
+ * POST /api/auth/2fa/verify          — second login step: exchange an MFA challenge
+ *                                      token + TOTP/recovery code for a session
+ * GET  /api/auth/2fa/status          — whether 2FA is enabled / required for the caller
+ * POST /api/auth/2fa/setup           — start enrollment: new secret, otpauth URI, QR code
+ * POST /api/auth/2fa/enable          — confirm enrollment with a code; returns recovery codes
+ * POST /api/auth/2fa/disable         — turn 2FA off (password + code; not if role requires it)
+ * POST /api/auth/2fa/recovery-codes  — replace recovery codes (code required)
+ *
+ * Everything except /verify uses requireSession rather than requireAuth so a
+ * user whose role mandates 2FA can still reach the enrollment endpoints.
+ *
+ * Each TOTP code is accepted once: users.totp_last_step keeps the time step of
+ * the last code accepted, and codes from it or an earlier step are refused.
+ */
+
+const express = require('express');
+const bcrypt  = require('bcryptjs');
+const QRCode  = require('qrcode');
+const db      = require('../database/db');
+const { requireSession } = require('../middleware/auth');
+const { completeLogin, loadUser, verifyMfaChallenge, hashToken } = require('../sessions');
+const totp    = require('../totp');
+const { passwordChangeRequired } = require('../password-policy');
+const { sessionBody } = require('../session-cookies');
+const {
+  recordAttempt, lockedUntil, registerFailure, lockedBody, clearFailures
+} = require('../lockout');
+
+const router = express.Router();
+
+/**
+ * normalizeRecoveryCode — recovery codes are shown as XXXXX-XXXXX but users
+ * may type them in lower case, with spaces, or without the dash.
+ */
+function normalizeRecoveryCode(code) {
+  const clean = String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  return clean.length === 10 ? `${clean.slice(0, 5)}-${clean.slice(5)}` : null;
+}
+
+/**
+ * replaceRecoveryCodes — discards any existing codes and stores fresh hashes.
+ * @param  {number} userId
+ * @returns {string[]} — the plain-text codes, to be shown to the user once
+ */
+function replaceRecoveryCodes(userId) {
+  const codes  = totp.generateRecoveryCodes();
+  const insert = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    for (const code of codes) insert.run(userId, hashToken(code));
+  })();
+  return codes;
+}
+
+/**
+ * useRecoveryCode — marks a matching unused recovery code as spent.
+ * @returns {boolean} — true if a code was consumed
+ */
+function useRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const result = db.prepare(`
+    UPDATE recovery_codes SET used_at = datetime('now')
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(userId, hashToken(normalized));
+  return result.changes > 0;
+}
+
+/**
+ * useTotpCode — accepts a TOTP code if its time step is later than the last
+ * one accepted for the user, and records it as the new last step. The
+ * conditional UPDATE keeps two requests racing with one code from both
+ * succeeding.
+ * @returns {boolean} — true if the code was accepted
+ */
+function useTotpCode(userId, secret, code) {
+  const step = totp.matchStep(secret, code);
+  if (step === null) return false;
+  const result = db.prepare(`
+    UPDATE users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `).run(step, userId, step);
+  return result.changes > 0;
+}
+
+/**
+ * getTwoFactorState — the caller's 2FA columns plus their role's policy.
+ */
+function getTwoFactorState(userId) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.password_hash, u.totp_secret, u.totp_enabled,
+           COALESCE(rs.require_2fa, 0) AS require_2fa
+    FROM users u
+    LEFT JOIN role_settings rs ON rs.role = u.role
+    WHERE u.id = ?
+  `).get(userId);
+}
+
+// ── POST /api/auth/2fa/verify ────────────────────────────────────────────────
+// Completes a login that returned { mfaRequired: true }; pass { session: 'cookie' }
+// again here for a cookie session. Accepts either a current TOTP code not used
+// before or one unused recovery code. Wrong codes count towards the same
+// account lockout as wrong passwords.
+router.post('/verify', (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  if (!mfaToken || !code) {
+    return res.status(400).json({ error: 'mfaToken and code are required.' });
+  }
+
+  const userId = verifyMfaChallenge(mfaToken);
+  if (!userId) {
+    return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+  }
+
+  const user = loadUser(userId);
+  const state = getTwoFactorState(userId);
+  if (!user || !user.is_active || !state.totp_enabled) {
+    return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+  }
+
+  const attempt = { username: user.username, userId };
+  const lockEnd = lockedUntil(userId);
+  if (lockEnd) {
+    recordAttempt(req, { ...attempt, outcome: 'locked' });
+    return res.status(423).json(lockedBody(lockEnd));
+  }
+
+  const valid = useTotpCode(userId, state.totp_secret, code) || useRecoveryCode(userId, code);
+  if (!valid) {
+    recordAttempt(req, { ...attempt, outcome: 'invalid_code' });
+    const lockedNow = registerFailure(userId);
+    if (lockedNow) return res.status(423).json(lockedBody(lockedNow));
+    return res.status(401).json({ error: 'Invalid authentication code.' });
+  }
+
+  recordAttempt(req, { ...attempt, outcome: 'success' });
+  clearFailures(userId);
+  res.json({
+    ...sessionBody(res, completeLogin(user), req.body.session === 'cookie'),
+    passwordChangeRequired: passwordChangeRequired(userId)
+  });
+});
+
+// ── GET /api/auth/2fa/status ─────────────────────────────────────────────────
+router.get('/status', requireSession, (req, res) => {
+  const state = getTwoFactorState(req.user.id);
+  const { remaining } = db.prepare(`
+    SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = ? AND used_at IS NULL
+  `).get(req.user.id);
+
+  res.json({
+    enabled:                  !!state.totp_enabled,
+    required:                 !!state.require_2fa,
+    recovery_codes_remaining: remaining
+  });
+});
+
+// ── POST /api/auth/2fa/setup ─────────────────────────────────────────────────
+// Generates a new secret and stores it as pending (totp_enabled stays 0) until
+// the user confirms it at /enable. Calling setup again replaces the pending secret.
+router.post('/setup', requireSession, async (req, res, next) => {
+  const state = getTwoFactorState(req.user.id);
+  if (state.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled. Disable it first to re-enroll.' });
+  }
+
+  const secret = totp.generateSecret();
+  db.prepare('UPDATE users SET totp_secret = ? WHERE id = ?').run(secret, req.user.id);
+
+  const uri = totp.otpauthUri(secret, state.username);
+  try {
+    const qr = await QRCode.toDataURL(uri);
+    res.json({ secret, otpauth_uri: uri, qr });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/auth/2fa/enable ────────────────────────────────────────────────
+// Confirms enrollment: the code must match the pending secret. Returns the
+// recovery codes — the only time they are ever shown in plain text.
+router.post('/enable', requireSession, (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'code is required.' });
+  }
+
+  const state = getTwoFactorState(req.user.id);
+  if (state.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+  }
+  if (!state.totp_secret) {
+    return res.status(400).json({ error: 'Start setup before enabling two-factor authentication.' });
+  }
+  if (!useTotpCode(req.user.id, state.totp_secret, code)) {
+    return res.status(400).json({ error: 'Invalid authentication code. Check the time on your phone and try again.' });
+  }
+
+  db.prepare('UPDATE users SET totp_enabled = 1 WHERE id = ?').run(req.user.id);
+  const recoveryCodes = replaceRecoveryCodes(req.user.id);
+  res.json({ success: true, message: 'Two-factor authentication enabled.', recoveryCodes });
+});
+
+// ── POST /api/auth/2fa/disable ───────────────────────────────────────────────
+// Requires both the password and a current code (or recovery code) so a stolen
+// access token alone cannot strip the second factor.
+router.post('/disable', requireSession, (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({ error: 'password and code are required.' });
+  }
+
+  const state = getTwoFactorState(req.user.id);
+  if (!state.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+  }
+  if (state.require_2fa) {
+    return res.status(403).json({ error: 'Two-factor authentication is mandatory for your role.' });
+  }
+  if (!bcrypt.compareSync(password, state.password_hash)) {
+    return res.status(401).json({ error: 'Password is incorrect.' });
+  }
+  if (!useTotpCode(req.user.id, state.totp_secret, code) && !useRecoveryCode(req.user.id, code)) {
+    return res.status(401).json({ error: 'Invalid authentication code.' });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE id = ?').run(req.user.id);
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(req.user.id);
+  })();
+  res.json({ success: true, message: 'Two-factor authentication disabled.' });
+});
+
+// ── POST /api/auth/2fa/recovery-codes ────────────────────────────────────────
+// Invalidates every existing recovery code and issues a new set.
+router.post('/recovery-codes', requireSession, (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'code is required.' });
+  }
+
+  const state = getTwoFactorState(req.user.id);
+  if (!state.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+  }
+  if (!useTotpCode(req.user.id, state.totp_secret, code)) {
+    return res.status(401).json({ error: 'Invalid authentication code.' });
+  }
+
+  res.json({ success: true, recoveryCodes: replaceRecoveryCodes(req.user.id) });
+});
+
+module.exports = router;
@@ -1,28 +1,114 @@
 /**
- * routes/users.js — user management endpoints (admin only).
+ * routes/users.js — user and role management endpoints.
  *
  * Mounted at /api/portal in app.js (alongside notices-auth.js).
- * All routes require admin privileges via requireAdmin.
+ * All routes except /users/active require the user.manage permission.
  *
  * GET   /api/portal/users              — list all portal user accounts
  * POST  /api/portal/users              — create a new user account
  * PATCH /api/portal/users/:id/status   — activate or deactivate an account
  * PATCH /api/portal/users/:id/password — reset a user's password (admin override)
+ * PATCH /api/portal/users/:id/email    — set or clear the address for reset links
+ * PATCH /api/portal/users/:id/role     — move a user to another role (and department)
+ * DELETE /api/portal/users/:id/sessions — revoke every session of a user
+ * DELETE /api/portal/users/:id/2fa      — reset a user's two-factor authentication
+ * GET   /api/portal/users/locked       — accounts currently locked out
+ * DELETE /api/portal/users/:id/lock     — unlock an account and reset its failure count
+ * GET   /api/portal/login-attempts     — recent login attempts (failures by default)
+ * GET   /api/portal/2fa-policy         — which roles must use 2FA
+ * PUT   /api/portal/2fa-policy         — require / stop requiring 2FA for a role
+ * GET   /api/portal/roles              — every role with its permissions, and the catalogue
+ * PUT   /api/portal/roles/:role/permissions — replace the permissions of a role
+ * GET   /api/portal/users/active       — possible notice recipients (any authenticated user)
+ *
+ * Deactivation, password reset and a role change also revoke the user's
+ * sessions, so a stolen or forgotten token stops working immediately.
+ *
+ * At least one active account must always hold user.manage, so these routes
+ * refuse any change that would lock everyone out of user management.
+ *
+ * Passwords chosen here must satisfy the password policy (password-policy.js)
+ * and are flagged must_change_password, so the user replaces them at first login.
  */
 
 const express = require('express');
-const bcrypt  = require('bcryptjs');
 const db      = require('../database/db');
-const { requireAdmin } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, rolesWith, getRole, listRoles } = require('../permissions');
+const { revokeUserSessions } = require('../sessions');
+const { OUTCOMES, clearFailures } = require('../lockout');
+const { POLICY, checkPassword, isRecentlyUsed, setPassword } = require('../password-policy');
+const { isValidEmail } = require('../mailer');
 
 const router = express.Router();
 
+/**
+ * checkEmail — validates an optional email address for a user account.
+ * Addresses are stored lower-case and must be unique across accounts, since
+ * a forgot-password request can be made by address.
+ * @param  {string|null|undefined} raw
+ * @param  {number} [userId] — the account being updated, excluded from the uniqueness check
+ * @returns {{ email: string|null } | { status: number, error: string }}
+ */
+function checkEmail(raw, userId = 0) {
+  const email = raw ? String(raw).trim().toLowerCase() : null;
+  if (!email) return { email: null };
+  if (!isValidEmail(email)) return { status: 400, error: 'email is not a valid address.' };
+  const taken = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(email, userId);
+  if (taken) return { status: 409, error: 'Another account already uses this email address.' };
+  return { email };
+}
+
+/**
+ * checkRoleAndDept — validates a role name and the department it needs.
+ * Roles with requires_department must name an existing department; for the
+ * others dept_id is ignored and stored as NULL.
+ * @param  {string} role
+ * @param  {number|string|null|undefined} deptId
+ * @returns {{ role: string, dept: { id: number, code: string } | null } | { error: string }}
+ */
+function checkRoleAndDept(role, deptId) {
+  const def = role ? getRole(role) : undefined;
+  if (!def) return { error: 'role must be an existing role (see GET /api/portal/roles).' };
+  if (!def.requires_department) return { role, dept: null };
+
+  if (!deptId) return { error: `dept_id is required for the ${def.label} role.` };
+  const dept = db.prepare('SELECT id, code FROM departments WHERE id = ?').get(deptId);
+  if (!dept) return { error: 'dept_id does not match any department.' };
+  return { role, dept };
+}
+
+/**
+ * managersAfter — how many active accounts would still hold user.manage after
+ * a change, so a change leaving none can be refused.
+ * @param  {object}   change
+ * @param  {number}   [change.deactivate]  — a user being deactivated
+ * @param  {number}   [change.moveUser]    — a user moving to change.toRole
+ * @param  {string}   [change.toRole]
+ * @param  {string}   [change.role]        — a role being given change.permissions
+ * @param  {string[]} [change.permissions]
+ * @returns {number}
+ */
+function managersAfter(change) {
+  const managerRoles = new Set(rolesWith('user.manage'));
+  if (change.role) {
+    if (change.permissions.includes('user.manage')) managerRoles.add(change.role);
+    else managerRoles.delete(change.role);
+  }
+  return db.prepare('SELECT id, role FROM users WHERE is_active = 1').all()
+    .filter(u => u.id !== change.deactivate)
+    .filter(u => managerRoles.has(u.id === change.moveUser ? change.toRole : u.role))
+    .length;
+}
+
 // ── GET /api/portal/users — list all users ───────────────────────────────────
 // Returns every user account joined with their department name/code.
 // Ordered: admin accounts first (role DESC), then alphabetically by username.
-router.get('/users', requireAdmin, (req, res) => {
+router.get('/users', requirePermission('user.manage'), (req, res) => {
   const users = db.prepare(`
-    SELECT u.id, u.username, u.role, u.dept_id, u.is_active, u.created_at, u.last_login,
+    SELECT u.id, u.username, u.email, u.role, u.dept_id, u.is_active, u.created_at, u.last_login,
+           u.totp_enabled, u.failed_attempts, u.must_change_password, u.auth_provider,
+           CASE WHEN u.locked_until > datetime('now') THEN u.locked_until END AS locked_until,
            d.name AS dept_name, d.code AS dept_code
     FROM users u
     LEFT JOIN departments d ON u.dept_id = d.id
@@ -34,22 +120,24 @@ router.get('/users', requireAdmin, (req, res) => {
 // ── POST /api/portal/users — create a new user ───────────────────────────────
 // Admin creates portal accounts for new department staff.
 // Passwords are hashed with bcrypt before storage — never stored in plain text.
-router.post('/users', requireAdmin, (req, res) => {
-  const { username, password, role, dept_id } = req.body;
+router.post('/users', requirePermission('user.manage'), (req, res) => {
+  const { username, password, role, dept_id, email } = req.body;
 
   // All three of username, password, and role are mandatory.
   if (!username || !password || !role) {
     return res.status(400).json({ error: 'username, password, and role are required.' });
   }
-  if (!['admin', 'department'].includes(role)) {
-    return res.status(400).json({ error: 'role must be admin or department.' });
-  }
-  // Department users must be associated with a department.
-  if (role === 'department' && !dept_id) {
-    return res.status(400).json({ error: 'dept_id is required for department users.' });
-  }
-  if (password.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+  // Roles such as department or clerk must be tied to a department.
+  const checked = checkRoleAndDept(role, dept_id);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  const { dept } = checked;
+
+  const problems = checkPassword(password, {
+    username: username.trim().toLowerCase(),
+    deptCode: dept ? dept.code : null
+  });
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join(' ') });
   }
 
   // Check for username collision before attempting the insert.
@@ -58,25 +146,33 @@ router.post('/users', requireAdmin, (req, res) => {
     return res.status(409).json({ error: 'Username already exists.' });
   }
 
-  // bcrypt cost factor 12 — secure against brute force while staying fast enough.
-  const hash = bcrypt.hashSync(password, 12);
-  const result = db.prepare(`
-    INSERT INTO users (username, password_hash, role, dept_id)
-    VALUES (?, ?, ?, ?)
-  `).run(
-    username.trim().toLowerCase(),
-    hash,
-    role,
-    role === 'department' ? dept_id : null // admin accounts have no associated dept
-  );
+  const mail = checkEmail(email);
+  if (mail.error) return res.status(mail.status).json({ error: mail.error });
 
-  res.status(201).json({ success: true, userId: result.lastInsertRowid });
+  // The row is inserted with an unusable hash and setPassword() stores the
+  // real one (bcrypt cost 12) with must_change_password set, all in one
+  // transaction: the admin knows this password, so the user must replace it.
+  const userId = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO users (username, password_hash, role, dept_id, email)
+      VALUES (?, '!', ?, ?, ?)
+    `).run(
+      username.trim().toLowerCase(),
+      role,
+      dept ? dept.id : null, // e.g. admin and auditor accounts have no associated dept
+      mail.email
+    );
+    setPassword(result.lastInsertRowid, password, { mustChange: true });
+    return result.lastInsertRowid;
+  })();
+
+  res.status(201).json({ success: true, userId });
 });
 
 // ── PATCH /api/portal/users/:id/status — toggle account activation ───────────
 // Setting is_active = 0 blocks login without deleting the user's history.
 // An admin cannot deactivate their own account (self-lock prevention).
-router.patch('/users/:id/status', requireAdmin, (req, res) => {
+router.patch('/users/:id/status', requirePermission('user.manage'), (req, res) => {
   const userId = parseInt(req.params.id);
   if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
   const { is_active } = req.body;
@@ -89,48 +185,272 @@ router.patch('/users/:id/status', requireAdmin, (req, res) => {
   const target = db.prepare('SELECT id, role FROM users WHERE id = ?').get(userId);
   if (!target) return res.status(404).json({ error: 'User not found.' });
 
-  if (!is_active && target.role === 'admin') {
-    const activeAdmins = db.prepare("SELECT COUNT(*) AS c FROM users WHERE role = 'admin' AND is_active = 1").get().c;
-    if (activeAdmins <= 1) {
-      return res.status(400).json({ error: 'Cannot deactivate the last active admin account.' });
-    }
+  if (!is_active && managersAfter({ deactivate: userId }) === 0) {
+    return res.status(400).json({ error: 'Cannot deactivate the last active account that can manage users.' });
   }
 
   db.prepare('UPDATE users SET is_active = ? WHERE id = ?').run(is_active ? 1 : 0, userId);
+
+  // Kill outstanding tokens so they cannot be reused if the account is reactivated.
+  if (!is_active) revokeUserSessions(userId);
   res.json({ success: true });
 });
 
 // ── PATCH /api/portal/users/:id/password — admin password reset ──────────────
 // Allows an admin to set a new password for any user without knowing the old one.
 // Useful when a department staff member cannot remember their credentials.
-router.patch('/users/:id/password', requireAdmin, (req, res) => {
+router.patch('/users/:id/password', requirePermission('user.manage'), (req, res) => {
   const userId = parseInt(req.params.id);
   if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
   const { newPassword } = req.body;
 
-  if (!newPassword || newPassword.length < 8) {
-    return res.status(400).json({ error: 'newPassword must be at least 8 characters.' });
+  if (!newPassword) {
+    return res.status(400).json({ error: 'newPassword is required.' });
   }
 
-  // Hash and store the new password.
-  const hash = bcrypt.hashSync(newPassword, 12);
-  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, userId);
+  const target = db.prepare(`
+    SELECT u.id, u.username, u.auth_provider, d.code AS dept_code
+    FROM users u
+    LEFT JOIN departments d ON u.dept_id = d.id
+    WHERE u.id = ?
+  `).get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+  if (target.auth_provider !== 'local') {
+    return res.status(400).json({ error: 'This account signs in through the district directory; reset its password there.' });
+  }
+
+  const problems = checkPassword(newPassword, { username: target.username, deptCode: target.dept_code });
+  if (problems.length) {
+    return res.status(400).json({ error: problems.join(' ') });
+  }
+  if (isRecentlyUsed(userId, newPassword)) {
+    return res.status(400).json({ error: `Password must differ from the user's last ${POLICY.history} passwords.` });
+  }
+
+  // Store the new password (the user must change it at next login), then log
+  // the user out everywhere. A reset also lifts any lockout so the user can
+  // log in with the new password.
+  setPassword(userId, newPassword, { mustChange: true });
+  revokeUserSessions(userId);
+  clearFailures(userId);
   res.json({ success: true, message: 'Password reset successfully.' });
 });
 
-// ── GET /users/active — list active non-admin users (for compose picker) ──────
+// ── PATCH /api/portal/users/:id/email — set or clear the email address ───────
+// Only admins can change an address: whoever controls it can reset the
+// password, so users cannot point it elsewhere themselves.
+router.patch('/users/:id/email', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const target = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+
+  const mail = checkEmail(req.body.email, userId);
+  if (mail.error) return res.status(mail.status).json({ error: mail.error });
+
+  // Outstanding reset links were sent to the old address.
+  db.transaction(() => {
+    db.prepare('UPDATE users SET email = ? WHERE id = ?').run(mail.email, userId);
+    db.prepare('DELETE FROM password_resets WHERE user_id = ?').run(userId);
+  })();
+  res.json({ success: true, email: mail.email });
+});
+
+// ── PATCH /api/portal/users/:id/role — change a user's role ──────────────────
+// Body: { role, dept_id } — dept_id is required when the new role needs a
+// department. Directory accounts get their role from LDAP groups at every
+// login, so they are changed through the group map instead.
+router.patch('/users/:id/role', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const target = db.prepare('SELECT id, role, dept_id, auth_provider FROM users WHERE id = ?').get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+  if (target.auth_provider !== 'local') {
+    return res.status(400).json({ error: 'This account gets its role from the district directory groups.' });
+  }
+
+  const checked = checkRoleAndDept(req.body.role, req.body.dept_id);
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  const deptId = checked.dept ? checked.dept.id : null;
+
+  if (managersAfter({ moveUser: userId, toRole: checked.role }) === 0) {
+    return res.status(400).json({ error: 'Cannot remove user management from the last account that has it.' });
+  }
+
+  db.prepare('UPDATE users SET role = ?, dept_id = ? WHERE id = ?').run(checked.role, deptId, userId);
+
+  // Outstanding tokens still name the old role and department.
+  if (checked.role !== target.role || deptId !== target.dept_id) revokeUserSessions(userId);
+  res.json({ success: true, role: checked.role, dept_id: deptId });
+});
+
+// ── DELETE /api/portal/users/:id/sessions — force logout everywhere ──────────
+// Invalidates every access and refresh token the user holds, e.g. after a
+// lost device or a suspected credential leak. The account stays active.
+router.delete('/users/:id/sessions', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const target = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+
+  revokeUserSessions(userId);
+  res.json({ success: true, message: 'All sessions revoked.' });
+});
+
+// ── GET /api/portal/users/locked — accounts currently locked out ────────────
+router.get('/users/locked', requirePermission('user.manage'), (req, res) => {
+  const users = db.prepare(`
+    SELECT u.id, u.username, u.role, u.failed_attempts, u.locked_until,
+           d.name AS dept_name
+    FROM users u
+    LEFT JOIN departments d ON u.dept_id = d.id
+    WHERE u.locked_until > datetime('now')
+    ORDER BY u.locked_until DESC
+  `).all();
+  res.json(users);
+});
+
+// ── DELETE /api/portal/users/:id/lock — unlock an account ────────────────────
+// Clears the lock and the consecutive-failure count, so the next wrong
+// password starts again from zero.
+router.delete('/users/:id/lock', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const target = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+
+  clearFailures(userId);
+  res.json({ success: true, message: 'Account unlocked.' });
+});
+
+// ── GET /api/portal/login-attempts — login audit trail ───────────────────────
+// Query params:
+//   outcome — 'failures' (default: everything except success), 'all', or one
+//             specific outcome such as 'invalid_password'
+//   limit   — number of rows, newest first (default 100, max 500)
+router.get('/login-attempts', requirePermission('user.manage'), (req, res) => {
+  const outcome = req.query.outcome || 'failures';
+  const limit   = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  if (outcome !== 'failures' && outcome !== 'all' && !OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ error: `outcome must be failures, all, or one of: ${OUTCOMES.join(', ')}.` });
+  }
+
+  const where  = outcome === 'all' ? '' : outcome === 'failures' ? "WHERE outcome != 'success'" : 'WHERE outcome = ?';
+  const params = outcome === 'all' || outcome === 'failures' ? [] : [outcome];
+
+  const rows = db.prepare(`
+    SELECT id, username, user_id, ip, user_agent, outcome, created_at
+    FROM login_attempts
+    ${where}
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(...params, limit);
+  res.json(rows);
+});
+
+// ── DELETE /api/portal/users/:id/2fa — reset two-factor authentication ──────
+// For a user who has lost their phone and their recovery codes. Removes the
+// secret and recovery codes; they can log in with just their password and
+// (if their role requires it) will be asked to enroll again.
+router.delete('/users/:id/2fa', requirePermission('user.manage'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID.' });
+
+  const target = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+
+  db.transaction(() => {
+    db.prepare('UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE id = ?').run(userId);
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  })();
+  res.json({ success: true, message: 'Two-factor authentication reset.' });
+});
+
+// ── GET /api/portal/2fa-policy — per-role 2FA enforcement ────────────────────
+// Returns one entry per role; roles without a role_settings row are optional.
+router.get('/2fa-policy', requirePermission('user.manage'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT r.name AS role, COALESCE(rs.require_2fa, 0) AS required
+    FROM roles r
+    LEFT JOIN role_settings rs ON rs.role = r.name
+    ORDER BY r.name
+  `).all();
+  res.json(rows.map(r => ({ role: r.role, required: !!r.required })));
+});
+
+// ── PUT /api/portal/2fa-policy — enforce or relax 2FA for a role ─────────────
+// Users of an enforced role who have not enrolled are limited to the 2FA
+// setup endpoints until they do.
+router.put('/2fa-policy', requirePermission('user.manage'), (req, res) => {
+  const { role, required } = req.body;
+
+  if (!role || !getRole(role)) {
+    return res.status(400).json({ error: 'role must be an existing role.' });
+  }
+  if (typeof required !== 'boolean') {
+    return res.status(400).json({ error: 'required must be true or false.' });
+  }
+
+  db.prepare(`
+    INSERT INTO role_settings (role, require_2fa) VALUES (?, ?)
+    ON CONFLICT(role) DO UPDATE SET require_2fa = excluded.require_2fa
+  `).run(role, required ? 1 : 0);
+  res.json({ success: true, role, required });
+});
+
+// ── GET /api/portal/roles — roles and the permission catalogue ───────────────
+// { roles: [{ name, label, requires_department, permissions }],
+//   permissions: { name: description } }
+router.get('/roles', requirePermission('user.manage'), (req, res) => {
+  res.json({ roles: listRoles(), permissions: PERMISSIONS });
+});
+
+// ── PUT /api/portal/roles/:role/permissions — redefine a role ────────────────
+// Body: { permissions: [...] } — replaces the role's whole permission list.
+// Takes effect on the next request of every user with the role.
+router.put('/roles/:role/permissions', requirePermission('user.manage'), (req, res) => {
+  const role = getRole(req.params.role);
+  if (!role) return res.status(404).json({ error: 'Role not found.' });
+
+  const { permissions } = req.body;
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({ error: 'permissions must be an array.' });
+  }
+  const unknown = permissions.filter(p => !Object.prototype.hasOwnProperty.call(PERMISSIONS, p));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}.` });
+  }
+
+  if (managersAfter({ role: role.name, permissions }) === 0) {
+    return res.status(400).json({ error: 'At least one active account must keep the user.manage permission.' });
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM role_permissions WHERE role = ?').run(role.name);
+    const grant = db.prepare('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)');
+    permissions.forEach(p => grant.run(role.name, p));
+  })();
+  res.json({ success: true, role: role.name, permissions: [...new Set(permissions)].sort() });
+});
+
+// ── GET /users/active — list possible notice recipients (for compose picker) ──
 // Accessible to any authenticated user so the compose form can load recipients.
+// Only active users whose role holds notice.respond can receive notices.
 // Returns users grouped-friendly (sorted by dept name then username).
 // Excludes the requesting user — you cannot send a notice to yourself.
-const { requireAuth } = require('../middleware/auth');
-
 router.get('/users/active', requireAuth, (req, res) => {
   const users = db.prepare(`
     SELECT u.id, u.username, u.dept_id,
            d.name AS dept_name, d.code AS dept_code
     FROM users u
     LEFT JOIN departments d ON d.id = u.dept_id
-    WHERE u.is_active = 1 AND u.role != 'admin' AND u.id != ?
+    WHERE u.is_active = 1 AND u.id != ?
+      AND u.role IN (SELECT role FROM role_permissions WHERE permission = 'notice.respond')
     ORDER BY d.name ASC, u.username ASC
   `).all(req.user.id);
   res.json(users);
@@ -0,0 +1,126 @@
+/**
+ * series.js — recurring notices (a monthly expenditure return, a weekly review).
+ *
+ * A series (notice_series) holds a notice's text, its recipients and a
+ * recurrence rule. Runs fall at starts_at plus whole periods — days, weeks,
+ * months or quarters — so a series started on the 31st runs on the last day
+ * of shorter months and returns to the 31st after them. At each run the
+ * scheduler (publishing.js) makes a new notice, instance number series_seq,
+ * due deadline_days after it goes out, and publishes it like any scheduled
+ * notice: "All Users" is resolved afresh each time.
+ *
+ * Runs missed while the server was down or the series was paused are not
+ * made up: a late series sends one notice for its latest run and carries on
+ * from there. A series finishes after its last allowed day (ends_on) or its
+ * max_count-th notice; stopping one is final, pausing is not.
+ *
+ * Times are SQLite UTC datetimes ("YYYY-MM-DD HH:MM:SS"), like publish_at.
+ *
+ * Exports:
+ *   FREQUENCIES                   — the recurrence options
+ *   runAt(series, period)         — time of the series' run `period` periods after starts_at
+ *   isPastEnd(series, period)     — whether that run falls after the series' end
+ *   nextPeriodAfter(series, time) — first period whose run is after `time`
+ *   spawnDue(seriesId?)           — make the notices of every due run; returns their ids
+ */
+
+const db = require('./database/db');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly'];
+
+/** sqlTime — a Date as an SQLite UTC datetime. */
+const sqlTime = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * runAt
+ * @param  {{ starts_at: string, frequency: string }} series
+ * @param  {number} period
+ * @returns {string}
+ */
+function runAt({ starts_at, frequency }, period) {
+  const start = new Date(starts_at.replace(' ', 'T') + 'Z');
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const days = period * (frequency === 'weekly' ? 7 : 1);
+    return sqlTime(new Date(start.getTime() + days * 86400000));
+  }
+  const months   = start.getUTCMonth() + period * (frequency === 'quarterly' ? 3 : 1);
+  const lastDay  = new Date(Date.UTC(start.getUTCFullYear(), months + 1, 0)).getUTCDate();
+  const run      = new Date(start);
+  run.setUTCDate(1);
+  run.setUTCMonth(months);
+  run.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return sqlTime(run);
+}
+
+/**
+ * isPastEnd
+ * @param  {{ ends_on: string|null, max_count: number|null, sent_count: number }} series
+ * @param  {number} period
+ * @returns {boolean}
+ */
+function isPastEnd(series, period) {
+  if (series.max_count && series.sent_count >= series.max_count) return true;
+  return !!series.ends_on && runAt(series, period).slice(0, 10) > series.ends_on;
+}
+
+/**
+ * nextPeriodAfter
+ * @param  {object} series
+ * @param  {string} time — SQLite UTC datetime
+ * @returns {number} — never earlier than the series' current period
+ */
+function nextPeriodAfter(series, time) {
+  let period = series.period;
+  while (runAt(series, period) <= time) period++;
+  return period;
+}
+
+/**
+ * spawnDue — for each active series whose next run has come, creates the
+ * notice for its latest due run as a scheduled notice (publish_at = that run)
+ * and moves the series on. publishDue() then delivers it.
+ * @param  {number} [seriesId] — only this series
+ * @returns {number[]} — ids of the notices created
+ */
+function spawnDue(seriesId) {
+  const now = sqlTime(new Date());
+  const due = db.prepare(`
+    SELECT * FROM notice_series
+    WHERE status = 'active' AND next_run_at <= ? ${seriesId ? 'AND id = ?' : ''}
+    ORDER BY next_run_at
+  `).all(...(seriesId ? [now, seriesId] : [now]));
+
+  const insertNotice = db.prepare(`
+    INSERT INTO notices (title, body, priority, deadline, created_by, target_all,
+                         state, publish_at, draft_targets, series_id, series_seq)
+    VALUES (?, ?, ?, ?, ?, ?, 'scheduled', ?, ?, ?, ?)
+  `);
+  const advance = db.prepare(`
+    UPDATE notice_series SET period = ?, next_run_at = ?, sent_count = ?, status = ? WHERE id = ?
+  `);
+
+  return due.map(series => db.transaction(() => {
+    // Skip runs that were missed, but not past the series' last day.
+    let period = series.period;
+    while (runAt(series, period + 1) <= now && !isPastEnd(series, period + 1)) period++;
+
+    const run      = runAt(series, period);
+    const deadline = new Date(Date.parse(run.slice(0, 10)) + series.deadline_days * 86400000)
+      .toISOString().slice(0, 10);
+    const targets  = JSON.parse(series.targets);
+    const sent     = series.sent_count + 1;
+
+    const noticeId = insertNotice.run(
+      series.title, series.body, series.priority, deadline, series.created_by, targets.target_all ? 1 : 0,
+      run, series.targets, series.id, sent
+    ).lastInsertRowid;
+
+    const after    = { ...series, sent_count: sent };
+    const finished = isPastEnd(after, period + 1);
+    advance.run(period + 1, finished ? null : runAt(series, period + 1), sent,
+      finished ? 'finished' : 'active', series.id);
+    return noticeId;
+  })());
+}
+
+module.exports = { FREQUENCIES, runAt, isPastEnd, nextPeriodAfter, spawnDue };
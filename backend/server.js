@@ -3,11 +3,15 @@
  *
  * Imports the configured Express app and starts the HTTP server.
  * The PORT is read from the environment variable; defaults to 3000
- * for local development.
+ * for local development. Also starts the scheduler that publishes
+ * scheduled notices (publishing.js) and the job that purges closed notices
+ * after their retention period (retention.js).
  */
 
 const app = require('./app');
 const db  = require('./database/db');
+const { startScheduler } = require('./publishing');
+const { startRetentionJob } = require('./retention');
 
 const PORT = process.env.PORT || 3000;
 
@@ -18,10 +22,18 @@ if (!process.env.JWT_SECRET || process.env.JWT_SECRET.length < 32) {
   process.exit(1);
 }
 
+if (!require('./mailer').transportName) {
+  console.warn('WARNING: no mail transport is configured (SMTP_HOST or MAIL_TRANSPORT); no email will be sent.');
+}
+
 const server = app.listen(PORT, () => {
   console.log(`[${process.env.NODE_ENV || 'development'}] Raipur Interdepartmental Portal running on port ${PORT}`);
 });
 
+// ── Scheduled notices and retention ──────────────────
+startScheduler();
+startRetentionJob();
+
 // ── Graceful shutdown ─────────────────────────────────
 function shutdown(signal) {
   console.log(`\n${signal} received. Shutting down gracefully...`);
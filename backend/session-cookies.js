@@ -0,0 +1,185 @@
+/**
+ * session-cookies.js — cookie-based session mode and CSRF protection.
+ *
+ * API clients keep using "Authorization: Bearer <token>". The browser
+ * frontend instead asks for a cookie session (login with { session: 'cookie' }),
+ * so the tokens never reach JavaScript and an XSS bug cannot steal them:
+ *
+ *   portal_session — access token.  httpOnly, SameSite=Strict, path /api.
+ *   portal_refresh — refresh token. httpOnly, SameSite=Strict, path /api/auth.
+ *   portal_csrf    — CSRF token. Readable by the page, SameSite=Strict.
+ *   portal_impersonation — an administrator's "view as user" token
+ *                    (impersonation.js). httpOnly, path /api; while present it
+ *                    is used instead of portal_session.
+ *
+ * Because the browser attaches cookies automatically, every state-changing
+ * request authenticated by cookie must also send the CSRF token back in the
+ * X-CSRF-Token header (double submit). The token is an HMAC of the session id,
+ * so a cookie planted by another site or subdomain cannot satisfy the check.
+ * All cookies are marked Secure in production.
+ *
+ * Exports:
+ *   COOKIES                          — cookie names
+ *   readCookie(req, name)            — value of one request cookie, or null
+ *   csrfTokenFor(sid)                — CSRF token bound to a session family
+ *   setSessionCookies(res, session)  — store a { token, refreshToken } pair; returns the CSRF token
+ *   clearSessionCookies(res)         — remove all session cookies
+ *   setImpersonationCookie(res, token) — store a "view as user" token
+ *   clearImpersonationCookie(res)    — return to the administrator's own session
+ *   sessionBody(res, session, useCookies) — response body for a new token pair in either mode
+ *   checkCsrf(req, sid)              — true if the request carries a valid CSRF token
+ *   isSafeMethod(method)             — GET / HEAD / OPTIONS
+ */
+
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+
+const COOKIES = {
+  session: 'portal_session',
+  refresh: 'portal_refresh',
+  csrf:    'portal_csrf',
+  impersonation: 'portal_impersonation'
+};
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * readCookie — parses the Cookie header for a single value.
+ * @param  {import('express').Request} req
+ * @param  {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * csrfTokenFor — deterministic per-session CSRF token, so it survives token
+ * refreshes without being stored anywhere.
+ * @param  {string} sid — session family id (access token `sid`)
+ * @returns {string}
+ */
+function csrfTokenFor(sid) {
+  return crypto.createHmac('sha256', `${process.env.JWT_SECRET}:csrf`).update(String(sid)).digest('base64url');
+}
+
+function cookieOptions(path, maxAgeMs, httpOnly = true) {
+  return {
+    httpOnly,
+    secure:   process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path,
+    ...(maxAgeMs ? { maxAge: maxAgeMs } : {})
+  };
+}
+
+/**
+ * setSessionCookies — writes a freshly issued or rotated token pair.
+ * The access-token cookie lives as long as the JWT inside it.
+ * @param  {import('express').Response} res
+ * @param  {{ token: string, refreshToken: string }} session
+ * @returns {string} — the CSRF token for the session
+ */
+function setSessionCookies(res, { token, refreshToken }) {
+  const { sid, exp } = jwt.decode(token);
+  const csrf         = csrfTokenFor(sid);
+  const refreshMs    = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  res.cookie(COOKIES.session, token,        cookieOptions('/api', exp * 1000 - Date.now()));
+  res.cookie(COOKIES.refresh, refreshToken, cookieOptions('/api/auth', refreshMs));
+  res.cookie(COOKIES.csrf,    csrf,         cookieOptions('/', refreshMs, false));
+  return csrf;
+}
+
+/**
+ * clearSessionCookies — logs the browser out locally.
+ * @param {import('express').Response} res
+ */
+function clearSessionCookies(res) {
+  res.clearCookie(COOKIES.session, cookieOptions('/api'));
+  res.clearCookie(COOKIES.refresh, cookieOptions('/api/auth'));
+  res.clearCookie(COOKIES.csrf,    cookieOptions('/', 0, false));
+  clearImpersonationCookie(res);
+}
+
+/**
+ * setImpersonationCookie — the cookie lives as long as the token inside it.
+ * @param {import('express').Response} res
+ * @param {string} token
+ */
+function setImpersonationCookie(res, token) {
+  const { exp } = jwt.decode(token);
+  res.cookie(COOKIES.impersonation, token, cookieOptions('/api', exp * 1000 - Date.now()));
+}
+
+/**
+ * clearImpersonationCookie
+ * @param {import('express').Response} res
+ */
+function clearImpersonationCookie(res) {
+  res.clearCookie(COOKIES.impersonation, cookieOptions('/api'));
+}
+
+/**
+ * sessionBody — what a login/refresh response returns. In cookie mode the
+ * tokens go into cookies and the body only carries the profile and the CSRF
+ * token; otherwise the token pair is returned as before.
+ * @param  {import('express').Response} res
+ * @param  {{ token: string, refreshToken: string, user: object }} session
+ * @param  {boolean} useCookies
+ * @returns {object}
+ */
+function sessionBody(res, session, useCookies) {
+  if (!useCookies) return session;
+  return { user: session.user, csrfToken: setSessionCookies(res, session) };
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * checkCsrf — double-submit check: the X-CSRF-Token header must equal the
+ * portal_csrf cookie, and both must be the token for this session.
+ * @param  {import('express').Request} req
+ * @param  {string} sid
+ * @returns {boolean}
+ */
+function checkCsrf(req, sid) {
+  const header = req.get('x-csrf-token');
+  const cookie = readCookie(req, COOKIES.csrf);
+  if (!header || !cookie || !sid) return false;
+  return safeEqual(header, cookie) && safeEqual(header, csrfTokenFor(sid));
+}
+
+function isSafeMethod(method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method);
+}
+
+module.exports = {
+  COOKIES,
+  readCookie,
+  csrfTokenFor,
+  setSessionCookies,
+  clearSessionCookies,
+  setImpersonationCookie,
+  clearImpersonationCookie,
+  sessionBody,
+  checkCsrf,
+  isSafeMethod
+};
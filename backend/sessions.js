@@ -0,0 +1,340 @@
+/**
+ * sessions.js — access-token / refresh-token session management.
+ *
+ * A login session is made of two credentials:
+ *
+ *   access token  — short-lived JWT sent as "Authorization: Bearer <token>".
+ *                   Verified statelessly by requireAuth (middleware/auth.js).
+ *
+ *   refresh token — long-lived random string exchanged at POST /api/auth/refresh
+ *                   for a new access token. Only its SHA-256 hash is stored in
+ *                   refresh_tokens, and it is rotated on every use.
+ *
+ * All refresh tokens issued from one login share a family_id. If a token that
+ * has already been rotated is presented again, the token must have been copied
+ * by someone else, so every token in that family is revoked and both the
+ * legitimate user and the attacker have to log in again.
+ *
+ * Revocation:
+ *   - Every access token carries a unique jti. Logout writes the jti to
+ *     revoked_tokens so that one token stops working immediately.
+ *   - Every access token also carries the user's token_version (`tv`).
+ *     revokeUserSessions() bumps users.token_version, which invalidates every
+ *     outstanding access token for that user at once, and revokes all of the
+ *     user's refresh tokens.
+ *
+ * Two-factor login:
+ *   When a user has 2FA enabled, a correct password only earns an MFA challenge
+ *   token (5 minutes). It is signed with a key derived from JWT_SECRET so it can
+ *   never be mistaken for an access token by requireAuth.
+ *
+ * Exports:
+ *   buildPayload(user)            — JWT payload from a users row (+ dept columns)
+ *   sessionProfile(user)          — buildPayload plus the role's permissions, for login responses
+ *   loadUser(userId)              — fetch a user row with the columns buildPayload needs
+ *   issueSession(user)            — start a new session family; returns token pair
+ *   completeLogin(user)           — record last_login and issue a session
+ *   rotateRefreshToken(raw)       — exchange a refresh token for a new token pair
+ *   refreshTokenFamily(raw)       — session family id of a refresh token, or null
+ *   revokeFamily(familyId)        — revoke every refresh token in a session family
+ *   revokeAccessToken(payload)    — add a verified access token's jti to revoked_tokens
+ *   isAccessTokenRevoked(payload) — true if the token's jti has been revoked
+ *   revokeUserSessions(userId)    — invalidate every session of a user
+ *   issueMfaChallenge(user)       — short-lived token proving the password step passed
+ *   verifyMfaChallenge(token)     — user id from a valid challenge token, or null
+ *   hashToken(raw)                — SHA-256 hex digest used for stored tokens
+ */
+
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+const db     = require('./database/db');
+const { permissionsFor } = require('./permissions');
+
+// Access tokens are short-lived so a leaked token is only useful briefly;
+// the frontend refreshes transparently when one expires.
+const ACCESS_TOKEN_TTL       = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const MFA_CHALLENGE_TTL      = '5m';
+
+/** mfaSecret — signing key for MFA challenge tokens (never valid as an access token). */
+function mfaSecret() {
+  return `${process.env.JWT_SECRET}:mfa`;
+}
+
+/**
+ * hashToken — one-way hash for opaque tokens stored in the database.
+ * SHA-256 (not bcrypt) is sufficient because the tokens are 384-bit random
+ * values, and it lets us look rows up by hash directly.
+ * @param  {string} raw
+ * @returns {string} — 64-char hex digest
+ */
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * buildPayload — the public user profile embedded in every access token.
+ * Omits password_hash and is_active.
+ * @param  {object} user — users row joined with dept_name / dept_code
+ * @returns {object}
+ */
+function buildPayload(user) {
+  return {
+    id:        user.id,
+    username:  user.username,
+    role:      user.role,
+    dept_id:   user.dept_id,
+    dept_name: user.dept_name || null,
+    dept_code: user.dept_code || null
+  };
+}
+
+/**
+ * sessionProfile — the user object returned with a new token pair. The
+ * permissions let the frontend hide what the user cannot do; they are not
+ * put in the token, since the server always checks the current ones.
+ * @param  {object} user — as for buildPayload
+ * @returns {object}
+ */
+function sessionProfile(user) {
+  return { ...buildPayload(user), permissions: [...permissionsFor(user.role)].sort() };
+}
+
+/**
+ * loadUser — fetches a user with the department columns needed by buildPayload.
+ * @param  {number} userId
+ * @returns {object|undefined}
+ */
+function loadUser(userId) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.role, u.dept_id, u.is_active, u.token_version,
+           d.name AS dept_name, d.code AS dept_code
+    FROM users u
+    LEFT JOIN departments d ON u.dept_id = d.id
+    WHERE u.id = ?
+  `).get(userId);
+}
+
+/**
+ * createRefreshToken — inserts a new refresh token row and returns the raw value.
+ * The raw token is never stored; only the caller ever sees it.
+ */
+function createRefreshToken(userId, familyId) {
+  const raw    = crypto.randomBytes(48).toString('base64url');
+  const result = db.prepare(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `).run(userId, hashToken(raw), familyId, `+${REFRESH_TOKEN_TTL_DAYS} days`);
+  return { raw, id: result.lastInsertRowid };
+}
+
+/**
+ * signAccessToken — signs a short-lived JWT for the given user.
+ * The session family id travels in the token as `sid` and the user's current
+ * token_version as `tv`; each token gets a unique jti for targeted revocation.
+ */
+function signAccessToken(user, familyId) {
+  return jwt.sign(
+    { ...buildPayload(user), sid: familyId, tv: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * issueSession — starts a new session family for a freshly authenticated user.
+ * @param  {object} user — users row joined with dept_name / dept_code
+ *                         (must include token_version)
+ * @returns {{ token: string, refreshToken: string, user: object }}
+ */
+function issueSession(user) {
+  const familyId = crypto.randomUUID();
+  const { raw }  = createRefreshToken(user.id, familyId);
+  return { token: signAccessToken(user, familyId), refreshToken: raw, user: sessionProfile(user) };
+}
+
+/**
+ * completeLogin — final step of every successful login (password-only, or
+ * password + second factor). last_login is only recorded once the user is
+ * fully authenticated.
+ * @param  {object} user — as for issueSession
+ * @returns {{ token: string, refreshToken: string, user: object }}
+ */
+function completeLogin(user) {
+  db.prepare("UPDATE users SET last_login = datetime('now') WHERE id = ?").run(user.id);
+  return issueSession(user);
+}
+
+/**
+ * revokeFamily — revokes every still-valid refresh token in a session family.
+ * @param {string} familyId
+ */
+function revokeFamily(familyId) {
+  db.prepare(`
+    UPDATE refresh_tokens SET revoked_at = datetime('now')
+    WHERE family_id = ? AND revoked_at IS NULL
+  `).run(familyId);
+}
+
+/**
+ * rotateRefreshToken — validates a refresh token and replaces it with a new one.
+ *
+ * Returns { error, status } instead of throwing so the route can map each
+ * failure to a response without a try/catch.
+ *
+ * @param  {string} raw — refresh token as sent by the client
+ * @returns {{ token, refreshToken, user } | { error: string, status: number }}
+ */
+function rotateRefreshToken(raw) {
+  const row = db.prepare(`
+    SELECT id, user_id, family_id, revoked_at,
+           expires_at <= datetime('now') AS expired
+    FROM refresh_tokens
+    WHERE token_hash = ?
+  `).get(hashToken(raw));
+
+  if (!row) {
+    return { status: 401, error: 'Invalid refresh token.' };
+  }
+
+  // Reuse of an already-rotated (or logged-out) token — assume it was stolen.
+  if (row.revoked_at) {
+    revokeFamily(row.family_id);
+    return { status: 401, error: 'Refresh token has already been used. Please log in again.' };
+  }
+
+  if (row.expired) {
+    return { status: 401, error: 'Session has expired. Please log in again.' };
+  }
+
+  const user = loadUser(row.user_id);
+  if (!user || !user.is_active) {
+    revokeFamily(row.family_id);
+    return { status: 401, error: 'Account is deactivated or does not exist.' };
+  }
+
+  // Rotate inside a transaction so two concurrent refreshes with the same
+  // token cannot both succeed — the second sees revoked_at already set.
+  const rotate = db.transaction(() => {
+    const revoked = db.prepare(`
+      UPDATE refresh_tokens SET revoked_at = datetime('now')
+      WHERE id = ? AND revoked_at IS NULL
+    `).run(row.id);
+    if (revoked.changes === 0) return null;
+
+    const next = createRefreshToken(user.id, row.family_id);
+    db.prepare('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?').run(next.id, row.id);
+    return next.raw;
+  });
+
+  const refreshToken = rotate();
+  if (!refreshToken) {
+    revokeFamily(row.family_id);
+    return { status: 401, error: 'Refresh token has already been used. Please log in again.' };
+  }
+
+  return { token: signAccessToken(user, row.family_id), refreshToken, user: sessionProfile(user) };
+}
+
+/**
+ * refreshTokenFamily — the session a refresh token belongs to, without
+ * validating or rotating it (used for the CSRF check on cookie refreshes).
+ * @param  {string} raw
+ * @returns {string|null}
+ */
+function refreshTokenFamily(raw) {
+  const row = db.prepare('SELECT family_id FROM refresh_tokens WHERE token_hash = ?').get(hashToken(raw));
+  return row ? row.family_id : null;
+}
+
+/**
+ * revokeAccessToken — revokes a single access token before it expires.
+ * Expired revocation entries are purged at the same time; the list only needs
+ * to cover tokens that would otherwise still verify.
+ * @param {object} payload — decoded JWT (needs jti, id, exp)
+ */
+function revokeAccessToken(payload) {
+  if (!payload.jti) return;
+  db.prepare("DELETE FROM revoked_tokens WHERE expires_at <= datetime('now')").run();
+  db.prepare(`
+    INSERT OR IGNORE INTO revoked_tokens (jti, user_id, expires_at)
+    VALUES (?, ?, datetime(?, 'unixepoch'))
+  `).run(payload.jti, payload.id, payload.exp);
+}
+
+/**
+ * isAccessTokenRevoked — true if the token's jti is on the revocation list.
+ * @param  {object} payload — decoded JWT
+ * @returns {boolean}
+ */
+function isAccessTokenRevoked(payload) {
+  if (!payload.jti) return false;
+  return !!db.prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?').get(payload.jti);
+}
+
+/**
+ * revokeUserSessions — ends every session of a user, on every device.
+ * Bumping token_version invalidates all outstanding access tokens; revoking
+ * the refresh tokens prevents new ones being minted.
+ * @param {number} userId
+ */
+function revokeUserSessions(userId) {
+  db.transaction(() => {
+    db.prepare('UPDATE users SET token_version = token_version + 1 WHERE id = ?').run(userId);
+    db.prepare(`
+      UPDATE refresh_tokens SET revoked_at = datetime('now')
+      WHERE user_id = ? AND revoked_at IS NULL
+    `).run(userId);
+  })();
+}
+
+/**
+ * issueMfaChallenge — issued after a correct password when 2FA is enabled.
+ * Carries the token_version so a password change or admin revoke during the
+ * 5-minute window also kills the pending challenge.
+ * @param  {object} user — users row (needs id, token_version)
+ * @returns {string}
+ */
+function issueMfaChallenge(user) {
+  return jwt.sign(
+    { id: user.id, tv: user.token_version || 0, purpose: 'mfa' },
+    mfaSecret(),
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * verifyMfaChallenge — validates a challenge token from the login step.
+ * @param  {string} token
+ * @returns {number|null} — user id, or null if invalid/expired/stale
+ */
+function verifyMfaChallenge(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), mfaSecret());
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== 'mfa') return null;
+
+  const user = db.prepare('SELECT token_version FROM users WHERE id = ?').get(payload.id);
+  if (!user || (user.token_version || 0) !== (payload.tv || 0)) return null;
+  return payload.id;
+}
+
+module.exports = {
+  buildPayload,
+  sessionProfile,
+  loadUser,
+  issueSession,
+  completeLogin,
+  rotateRefreshToken,
+  refreshTokenFamily,
+  revokeFamily,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  revokeUserSessions,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  hashToken
+};
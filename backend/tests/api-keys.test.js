@@ -0,0 +1,190 @@
+/**
+ * api-keys.test.js — tests for integration API keys
+ * Covers: issuing, listing and revoking keys (admin only), validation,
+ *         authenticating with X-API-Key, scopes narrowing permissions,
+ *         endpoints outside the notice API, expiry, deactivated users,
+ *         last-used tracking and per-key rate limits
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+let adminToken;
+let revenueToken;
+
+beforeAll(async () => {
+  adminToken = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  revenueToken = (await request(app).post('/api/auth/login')
+    .send({ username: 'dept_revenue', password: 'Dept@Test123' })).body.token;
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const issue = (body, token = adminToken) => request(app)
+  .post('/api/portal/api-keys')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+/** newKey — issues a key for dept_revenue and returns { id, key }. */
+async function newKey(scopes, extra = {}) {
+  const res = await issue({ name: 'e-Office', user_id: 2, scopes, ...extra });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+const withKey = key => ({
+  get:    url => request(app).get(url).set('X-API-Key', key),
+  post:   url => request(app).post(url).set('X-API-Key', key),
+  delete: url => request(app).delete(url).set('X-API-Key', key)
+});
+
+const createNotice = key => withKey(key).post('/api/portal/notices')
+  .field('title', 'From e-Office')
+  .field('body', 'Pushed by an integration.')
+  .field('priority', 'Normal')
+  .field('deadline', '2099-12-31')
+  .field('target_user_ids', '3');
+
+// ── Managing keys ─────────────────────────────────────────────────────────────
+describe('POST/GET/DELETE /api/portal/api-keys', () => {
+  test('issues a key once and lists it without the secret', async () => {
+    const { id, key } = await newKey(['notices:read', 'notices:create'], { expires_on: '2099-01-01', rate_limit: 120 });
+    expect(key).toMatch(/^rpk_[A-Za-z0-9_-]{43}$/);
+
+    const stored = db.prepare('SELECT key_hash FROM api_keys WHERE id = ?').get(id);
+    expect(stored.key_hash).not.toContain(key.slice(4));
+
+    const res = await request(app).get('/api/portal/api-keys').set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    const listed = res.body.keys.find(k => k.id === id);
+    expect(listed).toMatchObject({
+      name: 'e-Office', username: 'dept_revenue', key_prefix: key.slice(0, 12),
+      scopes: ['notices:read', 'notices:create'], rate_limit: 120, expires_on: '2099-01-01',
+      status: 'active', last_used_at: null, created_by_username: 'admin'
+    });
+    expect(listed.key_hash).toBeUndefined();
+    expect(Object.keys(res.body.scopes)).toEqual(['notices:read', 'notices:create', 'notices:respond']);
+  });
+
+  test('400 for missing fields, unknown scopes and bad limits or dates', async () => {
+    expect((await issue({ name: 'x', user_id: 2, scopes: [] })).status).toBe(400);
+    expect((await issue({ name: 'x', user_id: 2, scopes: ['users:manage'] })).status).toBe(400);
+    expect((await issue({ name: 'x', user_id: 2, scopes: ['notices:read'], rate_limit: 0 })).status).toBe(400);
+    expect((await issue({ name: 'x', user_id: 2, scopes: ['notices:read'], expires_on: '2020-01-01' })).status).toBe(400);
+    expect((await issue({ name: 'x', user_id: 999, scopes: ['notices:read'] })).status).toBe(404);
+  });
+
+  test('400 for a scope the user\'s role cannot use', async () => {
+    const res = await issue({ name: 'x', user_id: 1, scopes: ['notices:create'] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/does not allow: notices:create/);
+  });
+
+  test('403 for users without user.manage', async () => {
+    expect((await issue({ name: 'x', user_id: 2, scopes: ['notices:read'] }, revenueToken)).status).toBe(403);
+    const list = await request(app).get('/api/portal/api-keys').set('Authorization', `Bearer ${revenueToken}`);
+    expect(list.status).toBe(403);
+  });
+
+  test('a revoked key stops working', async () => {
+    const { id, key } = await newKey(['notices:read']);
+    expect((await withKey(key).get('/api/portal/notices/outbox')).status).toBe(200);
+
+    const del = () => request(app).delete(`/api/portal/api-keys/${id}`).set('Authorization', `Bearer ${adminToken}`);
+    expect((await del()).status).toBe(200);
+    expect((await del()).status).toBe(400);
+    expect((await withKey(key).get('/api/portal/notices/outbox')).status).toBe(401);
+  });
+});
+
+// ── Using keys ────────────────────────────────────────────────────────────────
+describe('X-API-Key authentication', () => {
+  test('a notices:create key issues notices as its user and records the use', async () => {
+    const { id, key } = await newKey(['notices:read', 'notices:create']);
+
+    const res = await createNotice(key);
+    expect(res.status).toBe(201);
+    const notice = db.prepare('SELECT created_by FROM notices WHERE id = ?').get(res.body.noticeId);
+    expect(notice.created_by).toBe(2);
+
+    const outbox = (await withKey(key).get('/api/portal/notices/outbox')).body;
+    expect(outbox.map(n => n.id)).toContain(res.body.noticeId);
+
+    const used = db.prepare('SELECT last_used_at, last_used_ip FROM api_keys WHERE id = ?').get(id);
+    expect(used.last_used_at).not.toBeNull();
+    expect(used.last_used_ip).toEqual(expect.any(String));
+  });
+
+  test('scopes narrow what the key can do', async () => {
+    const readOnly = (await newKey(['notices:read'])).key;
+    expect((await createNotice(readOnly)).status).toBe(403);
+
+    const writeOnly = (await newKey(['notices:create'])).key;
+    expect((await createNotice(writeOnly)).status).toBe(201);
+    const res = await withKey(writeOnly).get('/api/portal/notices/outbox');
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  test('an administrator\'s key reads every notice but cannot close one', async () => {
+    const { key } = (await issue({ name: 'Helpline tracker', user_id: 1, scopes: ['notices:read'] })).body;
+    expect((await withKey(key).get('/api/portal/notices/all')).status).toBe(200);
+
+    const noticeId = db.prepare('SELECT id FROM notices LIMIT 1').get().id;
+    expect((await withKey(key).delete(`/api/portal/notices/${noticeId}`)).status).toBe(403);
+  });
+
+  test('keys only reach the notice endpoints', async () => {
+    const { key } = (await issue({ name: 'Helpline tracker', user_id: 1, scopes: ['notices:read'] })).body;
+    for (const url of ['/api/portal/users', '/api/portal/api-keys', '/api/auth/me']) {
+      const res = await withKey(key).get(url);
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('API_KEY_NOT_ALLOWED');
+    }
+    expect((await withKey(key).get('/api/portal/users/active')).status).toBe(200);
+  });
+
+  test('401 for an unknown or expired key and for a deactivated user', async () => {
+    expect((await withKey('rpk_not-a-real-key').get('/api/portal/notices/outbox')).status).toBe(401);
+
+    const { id, key } = await newKey(['notices:read']);
+    db.prepare("UPDATE api_keys SET expires_on = date('now', '-1 day') WHERE id = ?").run(id);
+    expect((await withKey(key).get('/api/portal/notices/outbox')).status).toBe(401);
+
+    const other = (await issue({ name: 'Civil works', user_id: 4, scopes: ['notices:read'] })).body.key;
+    db.prepare('UPDATE users SET is_active = 0 WHERE id = 4').run();
+    try {
+      expect((await withKey(other).get('/api/portal/notices/outbox')).status).toBe(401);
+    } finally {
+      db.prepare('UPDATE users SET is_active = 1 WHERE id = 4').run();
+    }
+  });
+
+  test('each key has its own per-minute rate limit', async () => {
+    const slow = (await newKey(['notices:read'], { rate_limit: 2 })).key;
+    const fast = (await newKey(['notices:read'])).key;
+
+    expect((await withKey(slow).get('/api/portal/notices/outbox')).status).toBe(200);
+    expect((await withKey(slow).get('/api/portal/notices/outbox')).status).toBe(200);
+    const limited = await withKey(slow).get('/api/portal/notices/outbox');
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatch(/rate limit/);
+
+    expect((await withKey(fast).get('/api/portal/notices/outbox')).status).toBe(200);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * archive.test.js — tests for closing notices into the archive and retention
+ * Covers: closed notices leaving the inbox, outbox and district list, the
+ *         archive browser (who sees what, date and department filters),
+ *         no further changes once closed, and purgeExpired() deleting only
+ *         notices closed longer than NOTICE_RETENTION_DAYS ago, with every
+ *         file sent for them
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => {
+  let n = 0;
+  return {
+    saveFile:   jest.fn().mockImplementation(async () => `/uploads/mock-test-file-${++n}.pdf`),
+    deleteFile: jest.fn().mockResolvedValue(undefined),
+    isS3:       false,
+  };
+});
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+process.env.NOTICE_RETENTION_DAYS = '30';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const { deleteFile }   = require('../storage');
+const { purgeExpired } = require('../retention');
+
+// Seed users: admin=1, dept_revenue=2 (department 1), dept_health=3 (2), dept_civil=4 (3).
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sendNotice — `sender` issues a notice with an attachment to one user. */
+async function sendNotice(sender = 'dept_revenue', to = '3') {
+  const res = await as(tokens[sender]).post('/api/portal/notices')
+    .field('title', 'Flood relief stock position')
+    .field('body', 'Report the stock held at each godown.')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', to)
+    .attach('attachment', Buffer.from('fake pdf'), { filename: 'format.pdf', contentType: 'application/pdf' });
+  return res.body.noticeId;
+}
+
+/** closeNotice — the sender closes a notice; admin force-closes when it is incomplete. */
+const closeNotice = (id, token = tokens.admin) => as(token).delete(`/api/portal/notices/${id}`);
+
+/** closedAgo — moves a notice's closing `days` into the past. */
+const closedAgo = (id, days) =>
+  db.prepare("UPDATE notices SET closed_at = datetime('now', ?) WHERE id = ?").run(`-${days} days`, id);
+
+const archiveIds = async (token, query = '') =>
+  (await as(token).get(`/api/portal/notices/archive${query}`)).body.map(n => n.id);
+
+// ── Closing ───────────────────────────────────────────────────────────────────
+describe('closing a notice', () => {
+  test('it leaves the inbox, outbox and district list for the archive', async () => {
+    const id = await sendNotice();
+    await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', '420 quintals at Abhanpur.');
+    const statusId = db.prepare('SELECT id FROM notice_status WHERE notice_id = ?').get(id).id;
+    await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}/statuses/${statusId}`).send({ decision: 'Accepted' });
+    expect((await closeNotice(id, tokens.dept_revenue)).status).toBe(200);
+
+    const list = async (token, path) => (await as(token).get(`/api/portal/notices/${path}`)).body.map(n => n.id);
+    expect(await list(tokens.dept_health, 'inbox')).not.toContain(id);
+    expect(await list(tokens.dept_revenue, 'outbox')).not.toContain(id);
+    expect(await list(tokens.admin, 'all')).not.toContain(id);
+
+    const [archived] = (await as(tokens.dept_revenue).get('/api/portal/notices/archive')).body.filter(n => n.id === id);
+    const today = new Date().toISOString().slice(0, 10);
+    expect(archived).toMatchObject({
+      closed_by_username: 'dept_revenue', completed_count: 1, total_targets: 1, attachment_name: 'format.pdf',
+      purge_on: new Date(Date.parse(today) + 30 * 86400000).toISOString().slice(0, 10)
+    });
+    expect(archived.closed_at.slice(0, 10)).toBe(today);
+  });
+
+  test('a closed notice takes no more responses, edits or withdrawal, and closes once', async () => {
+    const id = await sendNotice();
+    await closeNotice(id);
+
+    expect((await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Noted').field('remark', 'Seen.')).status).toBe(400);
+    expect((await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}`).send({ title: 'Stock' })).status).toBe(400);
+    expect((await as(tokens.dept_revenue).post(`/api/portal/notices/${id}/withdraw`)
+      .send({ reason: 'Sent twice.' })).status).toBe(400);
+    expect((await closeNotice(id)).status).toBe(400);
+  });
+});
+
+// ── The archive browser ───────────────────────────────────────────────────────
+describe('GET /api/portal/notices/archive', () => {
+  let revenueNotice, healthNotice;
+
+  beforeAll(async () => {
+    revenueNotice = await sendNotice('dept_revenue', '4');
+    healthNotice  = await sendNotice('dept_health', '4');
+    await closeNotice(revenueNotice);
+    await closeNotice(healthNotice);
+    closedAgo(healthNotice, 10);
+  });
+
+  test('administrators see every closed notice, creators their own', async () => {
+    expect(await archiveIds(tokens.admin)).toEqual(expect.arrayContaining([revenueNotice, healthNotice]));
+    expect(await archiveIds(tokens.dept_revenue)).not.toContain(healthNotice);
+    expect(await archiveIds(tokens.dept_health)).toEqual([healthNotice]);
+  });
+
+  test('filters by closing date', async () => {
+    const day = n => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+    const old = await archiveIds(tokens.admin, `?from=${day(11)}&to=${day(9)}`);
+    expect(old).toContain(healthNotice);
+    expect(old).not.toContain(revenueNotice);
+    expect(await archiveIds(tokens.admin, `?from=${day(1)}`)).not.toContain(healthNotice);
+  });
+
+  test('filters by department, issuing or receiving', async () => {
+    const fromHealth = await archiveIds(tokens.admin, '?dept_id=2');
+    expect(fromHealth).toContain(healthNotice);
+    expect(fromHealth).not.toContain(revenueNotice);
+    // dept_civil (department 3) received both.
+    expect(await archiveIds(tokens.admin, '?dept_id=3')).toEqual(expect.arrayContaining([revenueNotice, healthNotice]));
+  });
+
+  test('400 for malformed filters; clerks without notice.create are refused', async () => {
+    expect((await as(tokens.admin).get('/api/portal/notices/archive?from=01-01-2026')).status).toBe(400);
+    expect((await as(tokens.admin).get('/api/portal/notices/archive?dept_id=health')).status).toBe(400);
+
+    db.prepare("DELETE FROM role_permissions WHERE role = 'department' AND permission = 'notice.create'").run();
+    try {
+      expect((await as(tokens.dept_civil).get('/api/portal/notices/archive')).status).toBe(403);
+    } finally {
+      db.prepare("INSERT OR IGNORE INTO role_permissions (role, permission) VALUES ('department', 'notice.create')").run();
+    }
+  });
+});
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+describe('purgeExpired', () => {
+  test('purges notices closed over NOTICE_RETENTION_DAYS ago, with their files', async () => {
+    const id = await sendNotice();
+    await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Noted').field('remark', 'Godowns being counted.')
+      .attach('reply', Buffer.from('fake note'), { filename: 'count.pdf', contentType: 'application/pdf' });
+    await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Stock report attached.')
+      .attach('reply', Buffer.from('fake reply'), { filename: 'stock.pdf', contentType: 'application/pdf' });
+    await closeNotice(id);
+    closedAgo(id, 31);
+
+    const stats = async () => (await as(tokens.admin).get('/api/portal/notices/monthly-stats')).body
+      .reduce((sum, m) => sum + m.completed, 0);
+    const before = await stats();
+    deleteFile.mockClear();
+
+    expect(await purgeExpired()).toContain(id);
+    expect(db.prepare('SELECT id FROM notices WHERE id = ?').get(id)).toBeUndefined();
+    expect(db.prepare('SELECT id FROM notice_status WHERE notice_id = ?').get(id)).toBeUndefined();
+    // The attachment and both replies, the earlier one included.
+    expect(deleteFile).toHaveBeenCalledTimes(3);
+    expect(await stats()).toBe(before);
+  });
+
+  test('purges every checklist file, those replaced or undone included', async () => {
+    const id = (await as(tokens.dept_revenue).post('/api/portal/notices')
+      .field('title', 'Flood relief stock position')
+      .field('body', 'Report the stock held at each godown.')
+      .field('priority', 'Normal')
+      .field('deadline', '2099-06-30')
+      .field('target_user_ids', '3')
+      .field('items', JSON.stringify([{ title: 'Godown register', deadline: '2099-06-15' }]))).body.noticeId;
+    const itemId = db.prepare('SELECT id FROM notice_items WHERE notice_id = ?').get(id).id;
+    const tick = (name, done = '1') => {
+      const req = as(tokens.dept_health).patch(`/api/portal/notices/${id}/items/${itemId}`).field('done', done);
+      return name ? req.attach('attachment', Buffer.from('fake register'), { filename: name, contentType: 'application/pdf' }) : req;
+    };
+    await tick('register.pdf');
+    await tick(null, '0');
+    await tick('register-corrected.pdf');
+    await closeNotice(id);
+    closedAgo(id, 31);
+    deleteFile.mockClear();
+
+    expect(await purgeExpired()).toContain(id);
+    expect(db.prepare('SELECT id FROM notice_item_history WHERE item_id = ?').get(itemId)).toBeUndefined();
+    // Both register files; the notice itself had no attachment.
+    expect(deleteFile).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps recently closed and open notices', async () => {
+    const recent = await sendNotice();
+    const open   = await sendNotice();
+    await closeNotice(recent);
+    closedAgo(recent, 29);
+    db.prepare("UPDATE notices SET created_at = datetime('now', '-400 days') WHERE id = ?").run(open);
+
+    const purged = await purgeExpired();
+    expect(purged).not.toContain(recent);
+    expect(purged).not.toContain(open);
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * auth.test.js — tests for /api/auth routes
- * Covers: login, /me, change-password
+ * Covers: login, refresh-token rotation, logout and token revocation,
+ *         /me, change-password
  */
 
 // jest.mock is hoisted by Jest before any require/import.
@@ -78,6 +79,14 @@ describe('POST /api/auth/login', () => {
     expect(res.status).toBe(400);
   });
 
+  test('returns 400 when username or password is not a string', async () => {
+    const login = body => request(app).post('/api/auth/login').send(body);
+
+    expect((await login({ username: 123, password: 'x' })).status).toBe(400);
+    expect((await login({ username: ['admin'], password: 'Admin@Test123' })).status).toBe(400);
+    expect((await login({ username: 'admin', password: { $ne: '' } })).status).toBe(400);
+  });
+
   test('returns 403 for a deactivated account', async () => {
     const db = require('../database/db');
     db.prepare("UPDATE users SET is_active = 0 WHERE username = 'dept_health'").run();
@@ -94,6 +103,138 @@ describe('POST /api/auth/login', () => {
   });
 });
 
+// ── POST /api/auth/refresh ────────────────────────────────────────────────────
+describe('POST /api/auth/refresh', () => {
+  async function login() {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dept_revenue', password: 'Dept@Test123' });
+    return res.body;
+  }
+
+  test('login returns a refresh token alongside the access token', async () => {
+    const body = await login();
+    expect(typeof body.refreshToken).toBe('string');
+    expect(body.refreshToken).not.toBe(body.token);
+  });
+
+  test('refresh token is stored hashed, never in plain text', async () => {
+    const { refreshToken } = await login();
+    const db  = require('../database/db');
+    const row = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(refreshToken);
+    expect(row).toBeUndefined();
+    const hashed = db.prepare('SELECT COUNT(*) AS c FROM refresh_tokens WHERE token_hash = ?')
+      .get(require('../sessions').hashToken(refreshToken)).c;
+    expect(hashed).toBe(1);
+  });
+
+  test('valid refresh token returns a new token pair and user payload', async () => {
+    const { refreshToken } = await login();
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(typeof res.body.token).toBe('string');
+    expect(typeof res.body.refreshToken).toBe('string');
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(res.body.user.username).toBe('dept_revenue');
+
+    // The new access token works on an authenticated route.
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  test('rotated refresh token keeps working for the next refresh', async () => {
+    const { refreshToken } = await login();
+    const first  = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(second.status).toBe(200);
+  });
+
+  test('reusing a rotated refresh token returns 401 and revokes the whole family', async () => {
+    const { refreshToken } = await login();
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(rotated.status).toBe(200);
+
+    // Replay the original (already rotated) token — reuse detected.
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(replay.status).toBe(401);
+
+    // The legitimately rotated token is now revoked too.
+    const after = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+    expect(after.status).toBe(401);
+  });
+
+  test('returns 401 for an expired refresh token', async () => {
+    const { refreshToken } = await login();
+    const db = require('../database/db');
+    db.prepare("UPDATE refresh_tokens SET expires_at = datetime('now', '-1 minute') WHERE token_hash = ?")
+      .run(require('../sessions').hashToken(refreshToken));
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(res.status).toBe(401);
+  });
+
+  test('returns 401 for an unknown refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'not-a-real-token' });
+    expect(res.status).toBe(401);
+  });
+
+  test('returns 401 when the account has been deactivated', async () => {
+    const db = require('../database/db');
+    const { refreshToken } = await login();
+    db.prepare("UPDATE users SET is_active = 0 WHERE username = 'dept_revenue'").run();
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(res.status).toBe(401);
+
+    db.prepare("UPDATE users SET is_active = 1 WHERE username = 'dept_revenue'").run();
+  });
+
+  test('returns 400 when refreshToken is missing', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+// ── POST /api/auth/logout ─────────────────────────────────────────────────────
+describe('POST /api/auth/logout', () => {
+  test('logout revokes the access token and its refresh token', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dept_civil', password: 'Dept@Test123' });
+    const { token, refreshToken } = login.body;
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  test('logout leaves the user\'s other sessions untouched', async () => {
+    const [a, b] = await Promise.all([
+      request(app).post('/api/auth/login').send({ username: 'dept_civil', password: 'Dept@Test123' }),
+      request(app).post('/api/auth/login').send({ username: 'dept_civil', password: 'Dept@Test123' }),
+    ]);
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${a.body.token}`);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${b.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  test('returns 401 without authentication', async () => {
+    const res = await request(app).post('/api/auth/logout');
+    expect(res.status).toBe(401);
+  });
+});
+
 // ── GET /api/auth/me ──────────────────────────────────────────────────────────
 describe('GET /api/auth/me', () => {
   let adminToken;
@@ -158,6 +299,15 @@ describe('POST /api/auth/change-password', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
 
+    // The old token is revoked by the password change — continue with the
+    // fresh token pair returned in the response.
+    const stale = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${healthToken}`);
+    expect(stale.status).toBe(401);
+    expect(typeof res.body.token).toBe('string');
+    healthToken = res.body.token;
+
     // Verify new password works
     const loginRes = await request(app)
       .post('/api/auth/login')
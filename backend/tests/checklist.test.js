@@ -0,0 +1,230 @@
+/**
+ * checklist.test.js — tests for checklist items inside a notice
+ * Covers: sending items with a notice or a draft, ticking items off per
+ *         recipient (with a required file), undoing with the history kept,
+ *         overdue items, completion only once required items are done,
+ *         outbox progress, reassigning, access and validation
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => {
+  let n = 0;
+  return {
+    saveFile:   jest.fn().mockImplementation(async () => `/uploads/mock-item-${++n}.pdf`),
+    deleteFile: jest.fn().mockResolvedValue(undefined),
+    isS3:       false,
+  };
+});
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const { deleteFile } = require('../storage');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+  // Reassigning needs notice.reassign, which department heads hold.
+  db.prepare("UPDATE users SET role = 'dept_head' WHERE username = 'dept_health'").run();
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:   url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:  url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  put:   url => request(app).put(url).set('Authorization', `Bearer ${token}`),
+  patch: url => request(app).patch(url).set('Authorization', `Bearer ${token}`)
+});
+
+const BUDGET_ITEMS = [
+  { title: 'Utilisation certificate', deadline: '2099-03-15', requires_attachment: true },
+  { title: 'Scheme-wise statement',   deadline: '2099-03-20' },
+  { title: 'Covering letter',         deadline: '2099-03-31', required: false }
+];
+
+/** sendNotice — dept_revenue issues a notice with a checklist to dept_health and dept_civil. */
+function sendNotice(items = BUDGET_ITEMS) {
+  return as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Annual Budget Utilisation Report')
+    .field('body', 'Submit the utilisation report for the year.')
+    .field('priority', 'High')
+    .field('deadline', '2099-03-31')
+    .field('target_user_ids', '3')
+    .field('target_user_ids', '4')
+    .field('items', JSON.stringify(items));
+}
+
+const noticeWithItems = async (items) => (await sendNotice(items)).body.noticeId;
+
+/** itemIds — a notice's checklist item ids, in order. */
+const itemIds = id => db.prepare('SELECT id FROM notice_items WHERE notice_id = ? ORDER BY position').all(id).map(i => i.id);
+
+/** tick — `name` marks an item done, optionally with a file. */
+function tick(name, id, itemId, { file, done, remark } = {}) {
+  let req = as(tokens[name]).patch(`/api/portal/notices/${id}/items/${itemId}`);
+  if (done !== undefined) req = req.field('done', done);
+  if (remark) req = req.field('remark', remark);
+  return file ? req.attach('attachment', Buffer.from('fake pdf'), { filename: file, contentType: 'application/pdf' }) : req;
+}
+
+const complete = (name, id) =>
+  as(tokens[name]).patch(`/api/portal/notices/${id}/status`).field('status', 'Completed').field('remark', 'All done.');
+
+const inboxEntry = async (name, id) =>
+  (await as(tokens[name]).get('/api/portal/notices/inbox')).body.find(n => n.id === id);
+
+// ── Sending a checklist ───────────────────────────────────────────────────────
+describe('sending a checklist', () => {
+  test('items are kept in order with their deadlines and flags', async () => {
+    const id     = await noticeWithItems();
+    const detail = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    expect(detail.items).toMatchObject([
+      { position: 1, title: 'Utilisation certificate', deadline: '2099-03-15', is_required: 1, requires_attachment: 1 },
+      { position: 2, title: 'Scheme-wise statement',   deadline: '2099-03-20', is_required: 1, requires_attachment: 0 },
+      { position: 3, title: 'Covering letter',         deadline: '2099-03-31', is_required: 0, requires_attachment: 0 }
+    ]);
+    expect(detail.statuses.every(s => s.items_done.length === 0)).toBe(true);
+  });
+
+  test('a draft keeps its items and they are checked when it is published', async () => {
+    const draft = await as(tokens.dept_revenue).post('/api/portal/notices/drafts')
+      .field('title', 'Annual Budget Utilisation Report')
+      .field('body', 'Submit the report.')
+      .field('deadline', '2099-03-31')
+      .field('target_user_ids', '3')
+      .field('items', JSON.stringify([{ title: 'Utilisation certificate', deadline: '' }]));
+    expect(draft.status).toBe(201);
+
+    const saved = (await as(tokens.dept_revenue).get(`/api/portal/notices/drafts/${draft.body.id}`)).body;
+    expect(saved.items).toEqual([{ title: 'Utilisation certificate', deadline: '', required: true, requires_attachment: false }]);
+    const publish = () => as(tokens.dept_revenue).post(`/api/portal/notices/drafts/${draft.body.id}/publish`).send({});
+    expect((await publish()).status).toBe(400);
+
+    await as(tokens.dept_revenue).put(`/api/portal/notices/drafts/${draft.body.id}`)
+      .field('title', 'Annual Budget Utilisation Report')
+      .field('body', 'Submit the report.')
+      .field('deadline', '2099-03-31')
+      .field('target_user_ids', '3')
+      .field('items', JSON.stringify([{ title: 'Utilisation certificate', deadline: '2099-03-15' }]));
+    expect((await publish()).status).toBe(200);
+    expect(itemIds(draft.body.id)).toHaveLength(1);
+  });
+
+  test('400 for malformed items, missing titles or deadlines after the notice\'s', async () => {
+    const bad = async items => (await sendNotice(items)).status;
+    expect(await bad('not a list')).toBe(400);
+    expect(await bad([{ title: 'Certificate', deadline: '15-03-2099' }])).toBe(400);
+    expect(await bad([{ title: '', deadline: '2099-03-15' }])).toBe(400);
+    expect(await bad([{ title: 'Certificate', deadline: '2099-04-30' }])).toBe(400);
+  });
+});
+
+// ── Ticking items off ─────────────────────────────────────────────────────────
+describe('ticking items off', () => {
+  test('each recipient tracks their own items; a required file must come with it', async () => {
+    const id = await noticeWithItems();
+    const [certificate, statement] = itemIds(id);
+
+    expect((await tick('dept_health', id, certificate)).status).toBe(400);
+    expect((await tick('dept_health', id, certificate, { file: 'uc.pdf' })).status).toBe(200);
+    const res = await tick('dept_health', id, statement, { remark: 'Sent by post.' });
+    expect(res.body).toMatchObject({ items_done: 2, items_total: 3 });
+
+    const [uc, st, letter] = (await inboxEntry('dept_health', id)).items;
+    expect(uc).toMatchObject({ done_by_username: 'dept_health', attachment_name: 'uc.pdf', is_overdue: false });
+    expect(st).toMatchObject({ remark: 'Sent by post.', attachment_path: null });
+    expect(letter.done_at).toBeNull();
+    expect((await inboxEntry('dept_civil', id)).items.every(i => i.done_at === null)).toBe(true);
+  });
+
+  test('an item can be undone or redone; earlier files stay in its history', async () => {
+    const id = await noticeWithItems();
+    const [certificate] = itemIds(id);
+    await tick('dept_health', id, certificate, { file: 'uc.pdf' });
+    deleteFile.mockClear();
+
+    expect((await tick('dept_health', id, certificate, { done: '0' })).status).toBe(200);
+    expect((await inboxEntry('dept_health', id)).items[0].done_at).toBeNull();
+    await tick('dept_health', id, certificate, { file: 'uc-revised.pdf' });
+
+    const detail = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    const health = detail.statuses.find(s => s.username === 'dept_health');
+    expect(health.item_history.map(h => [h.done, h.attachment_name])).toEqual([[1, 'uc.pdf'], [0, null], [1, 'uc-revised.pdf']]);
+    expect(health.items_done[0].attachment_name).toBe('uc-revised.pdf');
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('items past their own deadline and not done are overdue', async () => {
+    const id = await noticeWithItems([{ title: 'Utilisation certificate', deadline: '2020-01-15' }]);
+    const [item] = (await inboxEntry('dept_civil', id)).items;
+    expect(item.is_overdue).toBe(true);
+  });
+});
+
+// ── Completion and progress ───────────────────────────────────────────────────
+describe('completion and progress', () => {
+  test('Completed waits for every required item; optional ones do not hold it up', async () => {
+    const id = await noticeWithItems();
+    const [certificate, statement] = itemIds(id);
+    await tick('dept_health', id, certificate, { file: 'uc.pdf' });
+
+    const early = await complete('dept_health', id);
+    expect(early.status).toBe(400);
+    expect(early.body.error).toMatch(/Scheme-wise statement/);
+    expect(early.body.error).not.toMatch(/Covering letter/);
+
+    await tick('dept_health', id, statement);
+    expect((await complete('dept_health', id)).status).toBe(200);
+    expect((await tick('dept_health', id, statement, { done: '0' })).status).toBe(400);
+  });
+
+  test('the outbox shows the checklist progress across recipients', async () => {
+    const id = await noticeWithItems();
+    const [certificate, statement, letter] = itemIds(id);
+    await tick('dept_health', id, certificate, { file: 'uc.pdf' });
+    await tick('dept_health', id, statement);
+    await tick('dept_civil', id, letter);
+
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent).toMatchObject({ item_count: 3, items_done: 3, progress_percent: 50 });
+    expect(sent.targets.map(t => [t.username, t.items_done])).toEqual([['dept_health', 2], ['dept_civil', 1]]);
+
+    const plainId = (await as(tokens.dept_revenue).post('/api/portal/notices')
+      .field('title', 'Budget meeting').field('body', 'Attend the meeting.')
+      .field('priority', 'Normal').field('deadline', '2099-03-31').field('target_user_ids', '3')).body.noticeId;
+    const plain = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === plainId);
+    expect(plain).toMatchObject({ item_count: 0, progress_percent: null });
+  });
+
+  test('reassigning hands the items done so far to the new assignee', async () => {
+    const id = await noticeWithItems([{ title: 'Utilisation certificate', deadline: '2099-03-15' }]);
+    db.prepare('DELETE FROM notice_status WHERE notice_id = ? AND user_id = 4').run(id);
+    await tick('dept_health', id, itemIds(id)[0]);
+    await as(tokens.dept_health).post(`/api/portal/notices/${id}/forward`).send({ target_user_id: 4 });
+
+    expect((await inboxEntry('dept_civil', id)).items[0]).toMatchObject({ done_by_username: 'dept_health' });
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent.progress_percent).toBe(100);
+  });
+});
+
+// ── Access ────────────────────────────────────────────────────────────────────
+describe('access', () => {
+  test('403 for non-recipients, 404 for another notice\'s item', async () => {
+    const id    = await noticeWithItems();
+    const other = await noticeWithItems();
+    expect((await tick('dept_revenue', id, itemIds(id)[1])).status).toBe(403);
+    expect((await tick('dept_health', id, itemIds(other)[1])).status).toBe(404);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * comments.test.js — tests for the discussion thread on a notice
+ * Covers: private comments between the sender and one recipient, comments
+ *         for all recipients, attachments, unread counts in the inbox and
+ *         outbox (left alone by impersonation), who may read and write,
+ *         validation, and closed notices
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3 (department 2), dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sendNotice — dept_revenue issues a notice to dept_civil and the Health department. */
+async function sendNotice(depts = '2') {
+  const req = as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Monsoon preparedness report')
+    .field('body', 'Report the preparedness of your department.')
+    .field('priority', 'High')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', '4');
+  const res = await (depts ? req.field('target_dept_ids', depts) : req);
+  return res.body.noticeId;
+}
+
+const comment = (name, id, fields) => as(tokens[name]).post(`/api/portal/notices/${id}/comments`).send(fields);
+const thread  = async (name, id) => (await as(tokens[name]).get(`/api/portal/notices/${id}/comments`)).body;
+
+/** statusId — the notice_status row of a recipient (user id or department id). */
+const statusId = (id, { user, dept }) => db.prepare(
+  'SELECT id FROM notice_status WHERE notice_id = ? AND (user_id = ? OR dept_id = ?)'
+).get(id, user ?? null, dept ?? null).id;
+
+// ── Private and shared comments ───────────────────────────────────────────────
+describe('comment threads', () => {
+  test('a recipient\'s question is private between them and the sender', async () => {
+    const id = await sendNotice();
+    const res = await comment('dept_civil', id, { body: 'Which format do you want the report in?' });
+    expect(res.status).toBe(201);
+
+    const [question] = await thread('dept_revenue', id);
+    expect(question).toMatchObject({
+      body: 'Which format do you want the report in?', visibility: 'private',
+      author_username: 'dept_civil', recipient_username: 'dept_civil', is_mine: false
+    });
+    expect(await thread('dept_health', id)).toEqual([]);
+  });
+
+  test('the sender answers one recipient privately, or every recipient at once', async () => {
+    const id = await sendNotice();
+    await comment('dept_revenue', id, { body: 'Use the annexure format.', status_id: statusId(id, { user: 4 }) });
+    await comment('dept_revenue', id, { body: 'Annexure B applies to everyone.', visibility: 'all' });
+
+    expect((await thread('dept_civil', id)).map(c => c.body))
+      .toEqual(['Use the annexure format.', 'Annexure B applies to everyone.']);
+    const health = await thread('dept_health', id);
+    expect(health.map(c => c.body)).toEqual(['Annexure B applies to everyone.']);
+    expect(health[0]).toMatchObject({ visibility: 'all', recipient_username: null });
+  });
+
+  test('a department\'s private thread is shared by its members', async () => {
+    const id = await sendNotice();
+    await comment('dept_revenue', id, { body: 'Include the PHCs.', status_id: statusId(id, { dept: 2 }) });
+
+    const [c] = await thread('dept_health', id);
+    expect(c).toMatchObject({ body: 'Include the PHCs.', recipient_dept_name: expect.any(String) });
+    expect(await thread('dept_civil', id)).toEqual([]);
+  });
+
+  test('comments may carry an attachment', async () => {
+    const id = await sendNotice();
+    const res = await as(tokens.dept_civil).post(`/api/portal/notices/${id}/comments`)
+      .field('body', 'Draft attached for a look.')
+      .attach('attachment', Buffer.from('fake pdf'), { filename: 'draft.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(201);
+
+    const [c] = await thread('dept_revenue', id);
+    expect(c).toMatchObject({ attachment_name: 'draft.pdf', attachment_path: '/uploads/mock-test-file.pdf' });
+  });
+});
+
+// ── Unread counts ─────────────────────────────────────────────────────────────
+describe('unread comments', () => {
+  const unread = async (name, list, id) =>
+    (await as(tokens[name]).get(`/api/portal/notices/${list}`)).body.find(n => n.id === id).unread_comments;
+
+  test('count in the inbox and outbox until the thread is opened', async () => {
+    const id = await sendNotice();
+    await comment('dept_revenue', id, { body: 'Please also cover the flood shelters.', visibility: 'all' });
+    await comment('dept_civil',   id, { body: 'Noted, will include them.' });
+
+    expect(await unread('dept_civil', 'inbox', id)).toBe(1);
+    expect(await unread('dept_revenue', 'outbox', id)).toBe(1);
+    expect(await unread('dept_health', 'inbox', id)).toBe(1);
+
+    await thread('dept_civil', id);
+    await thread('dept_revenue', id);
+    expect(await unread('dept_civil', 'inbox', id)).toBe(0);
+    expect(await unread('dept_revenue', 'outbox', id)).toBe(0);
+    expect(await unread('dept_health', 'inbox', id)).toBe(1);
+  });
+
+  test('stay unread when an administrator views the thread as the user', async () => {
+    const id = await sendNotice();
+    await comment('dept_revenue', id, { body: 'Please also cover the flood shelters.', visibility: 'all' });
+
+    const { token } = (await as(tokens.admin).post('/api/portal/users/4/impersonate')
+      .send({ reason: 'Ticket 7: comments missing' })).body;
+    const seen = (await as(token).get(`/api/portal/notices/${id}/comments`)).body;
+    expect(seen).toHaveLength(1);
+    expect(await unread('dept_civil', 'inbox', id)).toBe(1);
+  });
+});
+
+// ── Access and validation ─────────────────────────────────────────────────────
+describe('access and validation', () => {
+  test('outsiders are refused; administrators read every comment but do not write', async () => {
+    const id = await sendNotice('');
+    await comment('dept_civil', id, { body: 'Question for the sender.' });
+
+    expect((await as(tokens.dept_health).get(`/api/portal/notices/${id}/comments`)).status).toBe(403);
+    expect((await comment('dept_health', id, { body: 'Me too.' })).status).toBe(403);
+    expect(await thread('admin', id)).toHaveLength(1);
+    expect((await comment('admin', id, { body: 'Noted.', visibility: 'all' })).status).toBe(403);
+    expect((await as(tokens.dept_civil).get('/api/portal/notices/99999/comments')).status).toBe(404);
+  });
+
+  test('400 for an empty comment, a bad visibility or a missing recipient', async () => {
+    const id = await sendNotice();
+    expect((await comment('dept_civil', id, { body: '  ' })).status).toBe(400);
+    expect((await comment('dept_civil', id, { body: 'Hi', visibility: 'public' })).status).toBe(400);
+    expect((await comment('dept_revenue', id, { body: 'To whom?' })).status).toBe(400);
+    expect((await comment('dept_revenue', id, { body: 'Not yours.', status_id: statusId(await sendNotice(), { user: 4 }) })).status).toBe(400);
+  });
+
+  test('closed notices take no more comments but keep their thread', async () => {
+    const id = await sendNotice();
+    await comment('dept_civil', id, { body: 'Report sent by post.' });
+    await as(tokens.admin).delete(`/api/portal/notices/${id}`);
+
+    expect((await comment('dept_revenue', id, { body: 'Received.', visibility: 'all' })).status).toBe(400);
+    expect(await thread('dept_revenue', id)).toHaveLength(1);
+  });
+});
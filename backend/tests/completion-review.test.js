@@ -0,0 +1,178 @@
+/**
+ * completion-review.test.js — tests for the sender's review of completions
+ * Covers: Completed recorded as Submitted, accepting (final) and returning
+ *         with comments to In Progress, resubmission, the response history,
+ *         outbox counts, closing only once accepted, who may review, and
+ *         validation
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sendNotice — dept_revenue issues a notice to dept_health and dept_civil. */
+async function sendNotice() {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Ward-wise vaccination figures')
+    .field('body', 'Send the figures for every ward.')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', '3')
+    .field('target_user_ids', '4');
+  return res.body.noticeId;
+}
+
+const complete = (name, id, remark = 'Figures attached.') =>
+  as(tokens[name]).patch(`/api/portal/notices/${id}/status`).field('status', 'Completed').field('remark', remark);
+
+/** statusRow — a recipient's notice_status row. */
+const statusRow = (id, userId) =>
+  db.prepare('SELECT * FROM notice_status WHERE notice_id = ? AND user_id = ?').get(id, userId);
+
+const review = (id, userId, fields, name = 'dept_revenue') =>
+  as(tokens[name]).patch(`/api/portal/notices/${id}/statuses/${statusRow(id, userId).id}`).send(fields);
+
+// ── Submitting and reviewing ──────────────────────────────────────────────────
+describe('reviewing a completion', () => {
+  test('marking a notice Completed submits it for the sender\'s review', async () => {
+    const id  = await sendNotice();
+    const res = await complete('dept_health', id);
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/review/i);
+    expect(statusRow(id, 3).status).toBe('Submitted');
+
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent).toMatchObject({ submitted_count: 1, completed_count: 0, total_targets: 2 });
+  });
+
+  test('accepting is final and counts the notice as completed', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    const res = await review(id, 3, { decision: 'Accepted' });
+    expect(res.status).toBe(200);
+
+    expect(statusRow(id, 3)).toMatchObject({ status: 'Accepted', reviewed_by: 2, review_note: null });
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent).toMatchObject({ submitted_count: 0, completed_count: 1 });
+
+    expect((await complete('dept_health', id, 'One more ward.')).status).toBe(400);
+    expect((await review(id, 3, { decision: 'Returned', note: 'Too late?' })).status).toBe(400);
+  });
+
+  test('returning sends it back to In Progress, unread, with the comments', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    await as(tokens.dept_health).get(`/api/portal/notices/${id}`);
+    await review(id, 3, { decision: 'Returned', note: 'Ward 7 is missing.' });
+
+    const entry = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body.find(n => n.id === id);
+    expect(entry).toMatchObject({ status: 'In Progress', is_read: 0, review_note: 'Ward 7 is missing.' });
+
+    expect((await complete('dept_health', id, 'Ward 7 added.')).status).toBe(200);
+    expect(statusRow(id, 3).status).toBe('Submitted');
+  });
+
+  test('every submission and review is kept in the response history', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id, 'First figures.');
+    await review(id, 3, { decision: 'Returned', note: 'Ward 7 is missing.' });
+    await complete('dept_health', id, 'Ward 7 added.');
+    await review(id, 3, { decision: 'Accepted' });
+
+    const detail = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    const health = detail.statuses.find(s => s.username === 'dept_health');
+    expect(health).toMatchObject({ status: 'Accepted', remark: 'Ward 7 added.', reviewed_by_username: 'dept_revenue' });
+    expect(health.responses).toMatchObject([
+      { status: 'Submitted', remark: 'First figures.',     acted_by_username: 'dept_health' },
+      { status: 'Returned',  remark: 'Ward 7 is missing.', acted_by_username: 'dept_revenue' },
+      { status: 'Submitted', remark: 'Ward 7 added.',      acted_by_username: 'dept_health' },
+      { status: 'Accepted',  remark: '',                   acted_by_username: 'dept_revenue' }
+    ]);
+  });
+});
+
+// ── Closing ───────────────────────────────────────────────────────────────────
+describe('closing', () => {
+  test('the sender closes only once every completion is accepted', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    await complete('dept_civil', id);
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${id}`)).status).toBe(400);
+
+    await review(id, 3, { decision: 'Accepted' });
+    await review(id, 4, { decision: 'Returned', note: 'Figures do not add up.' });
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${id}`)).status).toBe(400);
+
+    await complete('dept_civil', id, 'Corrected.');
+    await review(id, 4, { decision: 'Accepted' });
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${id}`)).status).toBe(200);
+  });
+});
+
+// ── Access and validation ─────────────────────────────────────────────────────
+describe('access and validation', () => {
+  test('only the sender reviews', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    expect((await review(id, 3, { decision: 'Accepted' }, 'dept_civil')).status).toBe(403);
+    expect((await review(id, 3, { decision: 'Accepted' }, 'admin')).status).toBe(403);
+    expect(statusRow(id, 3).status).toBe('Submitted');
+  });
+
+  test('400 for a bad decision, a return without comments, or nothing to review', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    expect((await review(id, 3, { decision: 'Approved' })).status).toBe(400);
+    expect((await review(id, 3, { decision: 'Returned', note: '  ' })).status).toBe(400);
+    expect((await review(id, 4, { decision: 'Accepted' })).status).toBe(400);
+  });
+
+  test('404 for a recipient row of another notice', async () => {
+    const id    = await sendNotice();
+    const other = await sendNotice();
+    await complete('dept_health', other);
+    const res = await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}/statuses/${statusRow(other, 3).id}`)
+      .send({ decision: 'Accepted' });
+    expect(res.status).toBe(404);
+  });
+
+  test('withdrawn notices are not reviewed', async () => {
+    const id = await sendNotice();
+    await complete('dept_health', id);
+    await as(tokens.dept_revenue).post(`/api/portal/notices/${id}/withdraw`).send({ reason: 'Sent twice.' });
+    expect((await review(id, 3, { decision: 'Accepted' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * deadline-extensions.test.js — tests for recipients asking for more time
+ * Covers: filing a request (validation, one open request at a time), the
+ *         sender approving or rejecting it, the recipient's effective
+ *         deadline in the inbox, outbox, detail and /notices/all, and delays
+ *         in /notices/delayed-response measured from the granted date
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:   url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:  url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch: url => request(app).patch(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** dateFromToday — YYYY-MM-DD, `days` from today (negative for the past). */
+const dateFromToday = days => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+/** sendNotice — dept_revenue issues a notice to dept_health and dept_civil. */
+async function sendNotice(deadline = '2099-06-30') {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Crop damage survey')
+    .field('body', 'Report the surveyed area.')
+    .field('priority', 'High')
+    .field('deadline', deadline)
+    .field('target_user_ids', ['3', '4']);
+  return res.body.noticeId;
+}
+
+const askForTime = (token, id, body) => as(token).post(`/api/portal/notices/${id}/extensions`).send(body);
+
+const decide = (token, id, extId, body) =>
+  as(token).patch(`/api/portal/notices/${id}/extensions/${extId}`).send(body);
+
+// ── Requesting ────────────────────────────────────────────────────────────────
+describe('POST /api/portal/notices/:id/extensions', () => {
+  test('a recipient files a request the sender sees in their outbox', async () => {
+    const id  = await sendNotice();
+    const res = await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: 'Field staff on election duty' });
+    expect(res.status).toBe(201);
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body;
+    expect(outbox.find(n => n.id === id).extension_requests).toEqual([expect.objectContaining({
+      id: res.body.id, proposed_deadline: '2099-07-15', reason: 'Field staff on election duty',
+      requested_by_username: 'dept_health', username: 'dept_health', effective_deadline: '2099-06-30'
+    })]);
+
+    const inbox = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body;
+    expect(inbox.find(n => n.id === id)).toMatchObject({
+      extension_status: 'Pending', extension_proposed_deadline: '2099-07-15', effective_deadline: '2099-06-30'
+    });
+  });
+
+  test('400 without a justification, with a bad date or one not after the deadline', async () => {
+    const id = await sendNotice();
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: ' ' })).status).toBe(400);
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '15/07/2099', reason: 'x' })).status).toBe(400);
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-06-30', reason: 'x' })).status).toBe(400);
+  });
+
+  test('409 while an earlier request awaits a decision', async () => {
+    const id = await sendNotice();
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: 'x' })).status).toBe(201);
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-08-15', reason: 'y' })).status).toBe(409);
+  });
+
+  test('403 for users the notice is not addressed to; 400 once completed', async () => {
+    const id = await sendNotice();
+    expect((await askForTime(tokens.dept_revenue, id, { proposed_deadline: '2099-07-15', reason: 'x' })).status).toBe(403);
+
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Done');
+    expect((await askForTime(tokens.dept_civil, id, { proposed_deadline: '2099-07-15', reason: 'x' })).status).toBe(400);
+  });
+});
+
+// ── Deciding ──────────────────────────────────────────────────────────────────
+describe('PATCH /api/portal/notices/:id/extensions/:extId', () => {
+  test('approving moves only that recipient\'s deadline', async () => {
+    const id    = await sendNotice();
+    const extId = (await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: 'x' })).body.id;
+
+    const res = await decide(tokens.dept_revenue, id, extId, { decision: 'Approved', note: 'Granted once' });
+    expect(res.status).toBe(200);
+
+    const { statuses, extensions } = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    expect(statuses.find(s => s.user_id === 3)).toMatchObject({ extended_deadline: '2099-07-15', effective_deadline: '2099-07-15' });
+    expect(statuses.find(s => s.user_id === 4)).toMatchObject({ extended_deadline: null, effective_deadline: '2099-06-30' });
+    expect(extensions[0]).toMatchObject({ status: 'Approved', decision_note: 'Granted once', decided_by_username: 'dept_revenue' });
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body;
+    expect(outbox.find(n => n.id === id).extension_requests).toEqual([]);
+  });
+
+  test('rejecting leaves the deadline alone, and a decision is final', async () => {
+    const id    = await sendNotice();
+    const extId = (await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: 'x' })).body.id;
+
+    expect((await decide(tokens.dept_revenue, id, extId, { decision: 'Rejected' })).status).toBe(200);
+    expect((await decide(tokens.dept_revenue, id, extId, { decision: 'Approved' })).status).toBe(400);
+    expect(db.prepare('SELECT extended_deadline FROM notice_status WHERE notice_id = ? AND user_id = 3').get(id).extended_deadline).toBeNull();
+
+    // The recipient may ask again once the first request is decided.
+    expect((await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-10', reason: 'y' })).status).toBe(201);
+  });
+
+  test('only the sender decides', async () => {
+    const id    = await sendNotice();
+    const extId = (await askForTime(tokens.dept_health, id, { proposed_deadline: '2099-07-15', reason: 'x' })).body.id;
+
+    expect((await decide(tokens.dept_civil, id, extId, { decision: 'Approved' })).status).toBe(403);
+    expect((await decide(tokens.admin, id, extId, { decision: 'Approved' })).status).toBe(403);
+    expect((await decide(tokens.dept_revenue, id, extId, { decision: 'Maybe' })).status).toBe(400);
+    expect((await decide(tokens.dept_revenue, id, 99999, { decision: 'Approved' })).status).toBe(404);
+  });
+});
+
+// ── Overdue state and delays ──────────────────────────────────────────────────
+describe('effective deadlines', () => {
+  test('a granted extension lifts the overdue state for that recipient only', async () => {
+    const id    = await sendNotice(dateFromToday(-3));
+    const extId = (await askForTime(tokens.dept_health, id, { proposed_deadline: dateFromToday(10), reason: 'x' })).body.id;
+    await decide(tokens.dept_revenue, id, extId, { decision: 'Approved' });
+
+    const health = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body.find(n => n.id === id);
+    expect(health).toMatchObject({ is_overdue: false, days_lapsed: 0 });
+    const civil = (await as(tokens.dept_civil).get('/api/portal/notices/inbox')).body.find(n => n.id === id);
+    expect(civil).toMatchObject({ is_overdue: true, days_lapsed: 3 });
+
+    // The notice stays overdue for its sender while dept_civil is late.
+    let sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent).toMatchObject({ is_overdue: true, days_lapsed: 3 });
+
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Done');
+    sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent).toMatchObject({ is_overdue: false, days_lapsed: 0 });
+    const all = (await as(tokens.admin).get('/api/portal/notices/all')).body.find(n => n.id === id);
+    expect(all.is_overdue).toBe(false);
+  });
+
+  test('delayed-response counts days after the granted date', async () => {
+    const before = (await as(tokens.admin).get('/api/portal/notices/delayed-response')).body
+      .find(r => r.username === 'dept_health') || { total_days_delayed: 0, delayed_count: 0 };
+
+    const id    = await sendNotice(dateFromToday(-5));
+    const extId = (await askForTime(tokens.dept_health, id, { proposed_deadline: dateFromToday(-2), reason: 'x' })).body.id;
+    await decide(tokens.dept_revenue, id, extId, { decision: 'Approved' });
+    await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Done late');
+
+    const after = (await as(tokens.admin).get('/api/portal/notices/delayed-response')).body
+      .find(r => r.username === 'dept_health');
+    expect(after.total_days_delayed - before.total_days_delayed).toBe(2);
+    expect(after.delayed_count - before.delayed_count).toBe(1);
+  });
+});
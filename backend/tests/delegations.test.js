@@ -0,0 +1,199 @@
+/**
+ * delegations.test.js — tests for leave cover
+ * Covers: setting up, listing and cancelling delegations (own and by admin),
+ *         validation and overlap, the delegate's inbox during the window only,
+ *         responding on behalf of the officer (acted_by), attribution in the
+ *         outbox and delayed-response report
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+// dept_health goes on leave; dept_civil is the deputy.
+const tokens = {};
+
+const day = offset => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+
+beforeAll(async () => {
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+});
+
+afterEach(() => db.prepare('DELETE FROM delegations').run());
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+const delegate = (token, body) => as(token).post('/api/portal/delegations').send(body);
+
+/** sendTo — dept_revenue issues a notice to the given user ids. */
+async function sendTo(ids, deadline = '2099-12-31') {
+  const req = as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Leave cover notice')
+    .field('body', 'Body')
+    .field('priority', 'Normal')
+    .field('deadline', deadline);
+  ids.forEach(id => req.field('target_user_ids', String(id)));
+  return (await req).body.noticeId;
+}
+
+const inboxOf = async token => (await as(token).get('/api/portal/notices/inbox')).body;
+
+// ── Managing delegations ──────────────────────────────────────────────────────
+describe('POST/GET/DELETE /api/portal/delegations', () => {
+  test('a user hands their notices to a deputy', async () => {
+    const res = await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(5) });
+    expect(res.status).toBe(201);
+
+    const mine = (await as(tokens.dept_health).get('/api/portal/delegations')).body;
+    expect(mine).toEqual([expect.objectContaining({
+      from_username: 'dept_health', to_username: 'dept_civil', is_current: 1
+    })]);
+    const deputy = (await as(tokens.dept_civil).get('/api/portal/delegations')).body;
+    expect(deputy).toHaveLength(1);
+    expect((await as(tokens.dept_revenue).get('/api/portal/delegations')).body).toEqual([]);
+  });
+
+  test('400 for a bad date range and for delegating to oneself', async () => {
+    expect((await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(5), ends_on: day(1) })).status).toBe(400);
+    expect((await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(-9), ends_on: day(-2) })).status).toBe(400);
+    expect((await delegate(tokens.dept_health, { to_user_id: 4, starts_on: '5 May', ends_on: day(1) })).status).toBe(400);
+    expect((await delegate(tokens.dept_health, { to_user_id: 3, starts_on: day(0), ends_on: day(1) })).status).toBe(400);
+  });
+
+  test('400 when the deputy cannot respond to notices', async () => {
+    const res = await delegate(tokens.dept_health, { to_user_id: 1, starts_on: day(0), ends_on: day(1) });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/delegate must be/);
+  });
+
+  test('409 for a range overlapping an existing delegation', async () => {
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(5) });
+    const res = await delegate(tokens.dept_health, { to_user_id: 2, starts_on: day(5), ends_on: day(9) });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/already covered by dept_civil/);
+  });
+
+  test('only admins can set up cover for someone else', async () => {
+    const body = { from_user_id: 3, to_user_id: 4, starts_on: day(1), ends_on: day(2) };
+    expect((await delegate(tokens.dept_revenue, body)).status).toBe(403);
+
+    const res = await delegate(tokens.admin, body);
+    expect(res.status).toBe(201);
+    const all = (await as(tokens.admin).get('/api/portal/delegations')).body;
+    expect(all).toEqual([expect.objectContaining({ created_by_username: 'admin', is_current: 0 })]);
+  });
+
+  test('the deputy cannot cancel; the officer can', async () => {
+    const { delegationId } = (await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(1) })).body;
+    expect((await as(tokens.dept_civil).delete(`/api/portal/delegations/${delegationId}`)).status).toBe(403);
+    expect((await as(tokens.dept_health).delete(`/api/portal/delegations/${delegationId}`)).status).toBe(200);
+    expect((await as(tokens.dept_health).delete(`/api/portal/delegations/${delegationId}`)).status).toBe(404);
+  });
+});
+
+// ── Covering notices ──────────────────────────────────────────────────────────
+describe('the delegate\'s inbox', () => {
+  test('shows the officer\'s notices only while the delegation is in effect', async () => {
+    const noticeId = await sendTo([3]);
+
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(2), ends_on: day(4) });
+    expect((await inboxOf(tokens.dept_civil)).map(n => n.id)).not.toContain(noticeId);
+
+    db.prepare('DELETE FROM delegations').run();
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(4) });
+    const entry = (await inboxOf(tokens.dept_civil)).find(n => n.id === noticeId);
+    expect(entry).toMatchObject({ on_behalf_of_id: 3, on_behalf_of_username: 'dept_health' });
+
+    // The officer still sees their own notice, not marked as cover.
+    const own = (await inboxOf(tokens.dept_health)).find(n => n.id === noticeId);
+    expect(own.on_behalf_of_id).toBeNull();
+  });
+
+  test('the deputy responds on the officer\'s behalf and acted_by records it', async () => {
+    const noticeId = await sendTo([3]);
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(0) });
+
+    const res = await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Completed')
+      .field('remark', 'Handled while dept_health is on leave')
+      .field('on_behalf_of', '3');
+    expect(res.status).toBe(200);
+
+    const row = db.prepare('SELECT user_id, acted_by, status FROM notice_status WHERE notice_id = ?').get(noticeId);
+    expect(row).toEqual({ user_id: 3, acted_by: 4, status: 'Submitted' });
+
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === noticeId);
+    expect(sent.targets[0]).toMatchObject({ username: 'dept_health', acted_by_username: 'dept_civil' });
+  });
+
+  test('without on_behalf_of the deputy answers the covered notice too', async () => {
+    const noticeId = await sendTo([3]);
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(0) });
+
+    const res = await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted')
+      .field('remark', 'Seen');
+    expect(res.status).toBe(200);
+    expect(db.prepare('SELECT acted_by FROM notice_status WHERE notice_id = ?').get(noticeId).acted_by).toBe(4);
+  });
+
+  test('a notice addressed to both answers the deputy\'s own copy unless on_behalf_of is given', async () => {
+    const noticeId = await sendTo([3, 4]);
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(0) });
+
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted').field('remark', 'Mine');
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted').field('remark', 'Theirs').field('on_behalf_of', '3');
+
+    const rows = db.prepare('SELECT user_id, remark, acted_by FROM notice_status WHERE notice_id = ? ORDER BY user_id').all(noticeId);
+    expect(rows).toEqual([
+      { user_id: 3, remark: 'Theirs', acted_by: 4 },
+      { user_id: 4, remark: 'Mine',   acted_by: 4 }
+    ]);
+  });
+
+  test('403 for on_behalf_of without a delegation in effect', async () => {
+    const noticeId = await sendTo([3]);
+    const res = await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted').field('remark', 'x').field('on_behalf_of', '3');
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/not covering/);
+  });
+
+  test('a late response by the deputy counts against the deputy, not the officer', async () => {
+    const noticeId = await sendTo([3], '2020-01-01');
+    await delegate(tokens.dept_health, { to_user_id: 4, starts_on: day(0), ends_on: day(0) });
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Completed').field('remark', 'Late').field('on_behalf_of', '3');
+
+    const rows = (await as(tokens.admin).get('/api/portal/notices/delayed-response')).body;
+    expect(rows.find(r => r.username === 'dept_civil')).toMatchObject({ delayed_count: 1 });
+    expect(rows.find(r => r.username === 'dept_health')).toBeUndefined();
+  });
+});
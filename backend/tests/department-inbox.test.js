@@ -0,0 +1,181 @@
+/**
+ * department-inbox.test.js — tests for department-addressed notices
+ * Covers: creating notices for whole departments, the shared inbox seen by
+ *         every active member, one member responding for the department
+ *         (acted_by), read state, recipients in the outbox and detail views,
+ *         delayed-response attribution, and closing once the department has
+ *         completed
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const bcrypt  = require('bcryptjs');
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// A second HEALTH (dept 2) member, password Dept@Test123: nurse_health
+const ids = {};
+const tokens = {};
+
+beforeAll(async () => {
+  const hash = bcrypt.hashSync('Dept@Test123', 4);
+  ids.nurse = db.prepare('INSERT INTO users (username, password_hash, role, dept_id) VALUES (?, ?, ?, ?)')
+    .run('nurse_health', hash, 'department', 2).lastInsertRowid;
+
+  for (const name of ['dept_revenue', 'dept_health', 'nurse_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** send — dept_revenue issues a notice to the given departments and users. */
+function send({ depts = [], users = [], deadline = '2099-12-31' }) {
+  const req = as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Department notice')
+    .field('body', 'For the whole department.')
+    .field('priority', 'High')
+    .field('deadline', deadline);
+  depts.forEach(id => req.field('target_dept_ids', String(id)));
+  users.forEach(id => req.field('target_user_ids', String(id)));
+  return req;
+}
+
+const respond = (token, noticeId, status = 'Completed') =>
+  as(token).patch(`/api/portal/notices/${noticeId}/status`)
+    .field('status', status)
+    .field('remark', `${status} by the department`);
+
+const inboxIds = async token => (await as(token).get('/api/portal/notices/inbox')).body.map(n => n.id);
+
+// ── Creating ──────────────────────────────────────────────────────────────────
+describe('POST /notices with target_dept_ids', () => {
+  test('creates a single status row for the department', async () => {
+    const res = await send({ depts: [2] });
+    expect(res.status).toBe(201);
+
+    const rows = db.prepare('SELECT user_id, dept_id FROM notice_status WHERE notice_id = ?').all(res.body.noticeId);
+    expect(rows).toEqual([{ user_id: null, dept_id: 2 }]);
+  });
+
+  test('400 for a department that does not exist', async () => {
+    const res = await send({ depts: [999] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/departments do not exist/);
+  });
+
+  test('400 without any users or departments', async () => {
+    const res = await send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/users or departments/);
+  });
+
+  test('members of an addressed department are not added individually', async () => {
+    const res = await send({ depts: [2], users: [3, 4] });
+    const rows = db.prepare('SELECT user_id, dept_id FROM notice_status WHERE notice_id = ? ORDER BY id').all(res.body.noticeId);
+    expect(rows).toEqual([{ user_id: 4, dept_id: null }, { user_id: null, dept_id: 2 }]);
+  });
+});
+
+// ── Shared inbox ──────────────────────────────────────────────────────────────
+describe('the department inbox', () => {
+  let noticeId;
+
+  beforeAll(async () => {
+    noticeId = (await send({ depts: [2] })).body.noticeId;
+  });
+
+  test('every active member of the department sees the notice', async () => {
+    expect(await inboxIds(tokens.dept_health)).toContain(noticeId);
+    expect(await inboxIds(tokens.nurse_health)).toContain(noticeId);
+
+    const entry = (await as(tokens.nurse_health).get('/api/portal/notices/inbox')).body.find(n => n.id === noticeId);
+    expect(entry).toMatchObject({ target_dept_id: 2, target_dept_name: expect.any(String), status: 'Pending' });
+  });
+
+  test('other departments and the sender do not', async () => {
+    expect(await inboxIds(tokens.dept_civil)).not.toContain(noticeId);
+    expect(await inboxIds(tokens.dept_revenue)).not.toContain(noticeId);
+  });
+
+  test('other departments cannot respond', async () => {
+    expect((await respond(tokens.dept_civil, noticeId)).status).toBe(403);
+  });
+
+  test('one member responds for the department and acted_by records who', async () => {
+    expect((await respond(tokens.nurse_health, noticeId, 'Noted')).status).toBe(200);
+
+    const row = db.prepare('SELECT status, acted_by, is_read FROM notice_status WHERE notice_id = ?').get(noticeId);
+    expect(row).toEqual({ status: 'Noted', acted_by: ids.nurse, is_read: 1 });
+
+    const entry = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body.find(n => n.id === noticeId);
+    expect(entry).toMatchObject({ status: 'Noted', acted_by_username: 'nurse_health' });
+  });
+
+  test('another member can complete it, becoming the one who acted', async () => {
+    expect((await respond(tokens.dept_health, noticeId)).status).toBe(200);
+    expect(db.prepare('SELECT acted_by FROM notice_status WHERE notice_id = ?').get(noticeId).acted_by).toBe(3);
+    expect((await respond(tokens.nurse_health, noticeId)).status).toBe(400);
+  });
+
+  test('outbox and detail show the department as the recipient', async () => {
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body;
+    const sent   = outbox.find(n => n.id === noticeId);
+    expect(sent.targets).toEqual([expect.objectContaining({
+      username: null, target_dept_id: 2, dept_code: 'HEALTH', status: 'Submitted', acted_by_username: 'dept_health'
+    })]);
+
+    const detail = (await as(tokens.admin).get(`/api/portal/notices/${noticeId}`)).body;
+    expect(detail.statuses[0]).toMatchObject({ target_dept_id: 2, acted_by_username: 'dept_health' });
+  });
+
+  test('the sender can close it once they accept the department\'s completion', async () => {
+    const statusId = db.prepare('SELECT id FROM notice_status WHERE notice_id = ?').get(noticeId).id;
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${noticeId}`)).status).toBe(400);
+    await as(tokens.dept_revenue).patch(`/api/portal/notices/${noticeId}/statuses/${statusId}`).send({ decision: 'Accepted' });
+
+    const res = await as(tokens.dept_revenue).delete(`/api/portal/notices/${noticeId}`);
+    expect(res.status).toBe(200);
+  });
+});
+
+// ── Read state and statistics ─────────────────────────────────────────────────
+describe('read state and delayed responses', () => {
+  test('opening the notice marks the department copy read for every member', async () => {
+    const noticeId = (await send({ depts: [2] })).body.noticeId;
+    await as(tokens.nurse_health).get(`/api/portal/notices/${noticeId}`);
+
+    const entry = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body.find(n => n.id === noticeId);
+    expect(entry.is_read).toBe(1);
+  });
+
+  test('a late department response counts against the member who acted', async () => {
+    const noticeId = (await send({ depts: [2], deadline: '2020-01-01' })).body.noticeId;
+    await respond(tokens.nurse_health, noticeId);
+
+    const rows = (await as(tokens.admin).get('/api/portal/notices/delayed-response')).body;
+    const nurse = rows.find(r => r.username === 'nurse_health');
+    expect(nurse).toMatchObject({ dept_code: 'HEALTH', total_responded: 1, delayed_count: 1 });
+  });
+});
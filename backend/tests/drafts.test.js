@@ -0,0 +1,194 @@
+/**
+ * drafts.test.js — tests for draft notices and scheduled publication
+ * Covers: saving and re-saving incomplete drafts, drafts visible only to their
+ *         author, publishing a draft now or at publish_at, scheduled notices
+ *         kept out of inboxes and outboxes until publishDue() sends them,
+ *         POST /notices with publish_at, and discarding drafts
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const { publishDue } = require('../publishing');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  put:    url => request(app).put(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+const DRAFTS = '/api/portal/notices/drafts';
+
+/** saveDraft — dept_revenue saves a complete draft to dept_health and dept_civil. */
+async function saveDraft(title = 'Monday circular') {
+  const res = await as(tokens.dept_revenue).post(DRAFTS)
+    .field('title', title)
+    .field('body', 'Office hours change from Monday.')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', ['3', '4']);
+  return res.body.id;
+}
+
+const inboxIds = async token =>
+  (await as(token).get('/api/portal/notices/inbox')).body.map(n => n.id);
+
+const outboxIds = async token =>
+  (await as(token).get('/api/portal/notices/outbox')).body.map(n => n.id);
+
+// ── Saving ────────────────────────────────────────────────────────────────────
+describe('saving drafts', () => {
+  test('an incomplete draft is saved and can be completed later', async () => {
+    const res = await as(tokens.dept_revenue).post(DRAFTS).field('title', 'Half written');
+    expect(res.status).toBe(201);
+
+    const id = res.body.id;
+    expect((await as(tokens.dept_revenue).put(`${DRAFTS}/${id}`)
+      .field('title', 'Half written')
+      .field('body', 'Now with a body.')
+      .field('priority', 'High')
+      .field('target_dept_ids', '2')).status).toBe(200);
+
+    const draft = (await as(tokens.dept_revenue).get(`${DRAFTS}/${id}`)).body;
+    expect(draft).toMatchObject({
+      title: 'Half written', body: 'Now with a body.', priority: 'High', deadline: '',
+      state: 'draft', targets: { target_all: 0, user_ids: [], dept_ids: [2] }
+    });
+    expect((await as(tokens.dept_revenue).get(DRAFTS)).body.map(d => d.id)).toContain(id);
+  });
+
+  test('400 for an invalid priority or deadline', async () => {
+    expect((await as(tokens.dept_revenue).post(DRAFTS).field('priority', 'Urgent')).status).toBe(400);
+    expect((await as(tokens.dept_revenue).post(DRAFTS).field('deadline', '30/06/2099')).status).toBe(400);
+  });
+
+  test('drafts are private to their author and stay out of every list', async () => {
+    const id = await saveDraft();
+    expect((await as(tokens.dept_health).get(`${DRAFTS}/${id}`)).status).toBe(404);
+    expect((await as(tokens.dept_health).put(`${DRAFTS}/${id}`).field('title', 'x')).status).toBe(404);
+    expect((await as(tokens.dept_health).get(DRAFTS)).body).toEqual([]);
+
+    expect(await inboxIds(tokens.dept_health)).not.toContain(id);
+    expect(await outboxIds(tokens.dept_revenue)).not.toContain(id);
+    expect((await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).status).toBe(404);
+  });
+});
+
+// ── Publishing ────────────────────────────────────────────────────────────────
+describe('POST /api/portal/notices/drafts/:id/publish', () => {
+  test('publishing now delivers the notice to its recipients', async () => {
+    const id  = await saveDraft();
+    const res = await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.noticeId).toBe(id);
+
+    expect(await inboxIds(tokens.dept_health)).toContain(id);
+    expect(await inboxIds(tokens.dept_civil)).toContain(id);
+    expect(await outboxIds(tokens.dept_revenue)).toContain(id);
+    expect((await as(tokens.dept_revenue).get(`${DRAFTS}/${id}`)).status).toBe(404);
+  });
+
+  test('400 while the draft is incomplete or has no recipients', async () => {
+    const id = (await as(tokens.dept_revenue).post(DRAFTS).field('title', 'No body yet')).body.id;
+    expect((await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`).send({})).status).toBe(400);
+
+    await as(tokens.dept_revenue).put(`${DRAFTS}/${id}`)
+      .field('title', 'No recipients').field('body', 'Text').field('deadline', '2099-06-30');
+    const res = await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/target/i);
+  });
+
+  test('a scheduled notice goes out once its time has come', async () => {
+    const id  = await saveDraft();
+    const res = await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`)
+      .send({ publish_at: '2099-03-02T09:00:00+05:30' });
+    expect(res.status).toBe(200);
+    expect(res.body.publish_at).toBe('2099-03-02 03:30:00');
+
+    expect(publishDue()).not.toContain(id);
+    expect(await inboxIds(tokens.dept_health)).not.toContain(id);
+    expect((await as(tokens.dept_revenue).get(DRAFTS)).body.find(d => d.id === id).state).toBe('scheduled');
+
+    db.prepare("UPDATE notices SET publish_at = datetime('now', '-1 minute') WHERE id = ?").run(id);
+    expect(publishDue()).toEqual([id]);
+    expect(publishDue()).toEqual([]);
+
+    const [row] = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body.filter(n => n.id === id);
+    expect(row).toMatchObject({ status: 'Pending', is_read: 0 });
+  });
+
+  test('editing a scheduled notice returns it to draft', async () => {
+    const id = await saveDraft();
+    await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`).send({ publish_at: '2099-03-02T09:00:00Z' });
+    await as(tokens.dept_revenue).put(`${DRAFTS}/${id}`)
+      .field('title', 'Monday circular (revised)').field('target_all', '1');
+
+    const draft = (await as(tokens.dept_revenue).get(`${DRAFTS}/${id}`)).body;
+    expect(draft).toMatchObject({ state: 'draft', publish_at: null, targets: { target_all: 1 } });
+  });
+
+  test('400 for a publish_at that is not a date and time', async () => {
+    const id = await saveDraft();
+    expect((await as(tokens.dept_revenue).post(`${DRAFTS}/${id}/publish`)
+      .send({ publish_at: '2099-03-02' })).status).toBe(400);
+  });
+});
+
+// ── POST /notices with publish_at ─────────────────────────────────────────────
+describe('POST /api/portal/notices with publish_at', () => {
+  test('schedules the notice instead of sending it', async () => {
+    const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+      .field('title', 'Scheduled directly')
+      .field('body', 'Goes out later.')
+      .field('priority', 'Low')
+      .field('deadline', '2099-06-30')
+      .field('target_dept_ids', '2')
+      .field('publish_at', '2099-01-01T00:00:00Z');
+    expect(res.status).toBe(201);
+    expect(res.body.publish_at).toBe('2099-01-01 00:00:00');
+
+    const id = res.body.noticeId;
+    expect(await inboxIds(tokens.dept_health)).not.toContain(id);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM notice_status WHERE notice_id = ?').get(id).n).toBe(0);
+  });
+});
+
+// ── Discarding ────────────────────────────────────────────────────────────────
+describe('DELETE /api/portal/notices/drafts/:id', () => {
+  test('discards a draft; published notices are not drafts', async () => {
+    const id = await saveDraft();
+    expect((await as(tokens.dept_health).delete(`${DRAFTS}/${id}`)).status).toBe(404);
+    expect((await as(tokens.dept_revenue).delete(`${DRAFTS}/${id}`)).status).toBe(200);
+    expect(db.prepare('SELECT id FROM notices WHERE id = ?').get(id)).toBeUndefined();
+
+    const sent = await saveDraft();
+    await as(tokens.dept_revenue).post(`${DRAFTS}/${sent}/publish`).send({});
+    expect((await as(tokens.dept_revenue).delete(`${DRAFTS}/${sent}`)).status).toBe(404);
+  });
+});
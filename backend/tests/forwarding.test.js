@@ -0,0 +1,215 @@
+/**
+ * forwarding.test.js — tests for forwarding and reassigning a notice
+ * Covers: reassigning to a user (the handover in the inbox and outbox),
+ *         forwarding a copy, forwarding to a department, the chain of
+ *         custody, the sender's email, closing, who may forward or
+ *         reassign, and validation
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR       = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-mail-'));
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3 (department 2), dept_civil=4 (department 3).
+// dept_health and dept_civil are made department heads, who may reassign (notice.reassign).
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+  db.prepare("UPDATE users SET email = 'dept_revenue@raipur.gov.in' WHERE username = 'dept_revenue'").run();
+  db.prepare("UPDATE users SET role = 'dept_head' WHERE username IN ('dept_health', 'dept_civil')").run();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.MAIL_DIR, { recursive: true, force: true });
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** mails — the messages the file transport has written, oldest first. */
+function mails() {
+  const dir = process.env.MAIL_DIR;
+  return fs.readdirSync(dir).sort().map(f => fs.readFileSync(path.join(dir, f), 'utf8').replace(/=\r?\n/g, ''));
+}
+
+/** sendNotice — dept_revenue issues a notice to dept_health. */
+async function sendNotice() {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Dengue survey, ward 9')
+    .field('body', 'Survey the ward for breeding sites.')
+    .field('priority', 'High')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', '3');
+  return res.body.noticeId;
+}
+
+const forward = (id, fields, name = 'dept_health') =>
+  as(tokens[name]).post(`/api/portal/notices/${id}/forward`).send(fields);
+
+const ids = async (name, list) => (await as(tokens[name]).get(`/api/portal/notices/${list}`)).body.map(n => n.id);
+
+/** statusRow — the notice_status row of a recipient user. */
+const statusRow = (id, userId) =>
+  db.prepare('SELECT * FROM notice_status WHERE notice_id = ? AND user_id = ?').get(id, userId);
+
+// ── Reassigning and forwarding ────────────────────────────────────────────────
+describe('reassigning and forwarding', () => {
+  test('reassigning hands the notice over to the new assignee', async () => {
+    const id  = await sendNotice();
+    const res = await forward(id, { target_user_id: 4, note: 'Ward 9 falls under Civil.' });
+    expect(res.status).toBe(201);
+
+    expect(statusRow(id, 3).status).toBe('Reassigned');
+    expect(statusRow(id, 4)).toMatchObject({
+      status: 'Pending', is_read: 0, forwarded_from: statusRow(id, 3).id,
+      forwarded_by: 3, forward_note: 'Ward 9 falls under Civil.'
+    });
+    expect(await ids('dept_health', 'inbox')).not.toContain(id);
+    const [entry] = (await as(tokens.dept_civil).get('/api/portal/notices/inbox')).body.filter(n => n.id === id);
+    expect(entry).toMatchObject({ forwarded_by_username: 'dept_health', forward_note: 'Ward 9 falls under Civil.' });
+  });
+
+  test('the sender\'s outbox shows the handover and is emailed about it', async () => {
+    const before = mails().length;
+    const id     = await sendNotice();
+    await forward(id, { target_user_id: 4, note: 'Ward 9 falls under Civil.' });
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(outbox).toMatchObject({ total_targets: 1, pending_count: 1 });
+    expect(outbox.targets).toMatchObject([
+      { username: 'dept_health', status: 'Reassigned', forwarded_from: null },
+      { username: 'dept_civil',  status: 'Pending',    forwarded_from: statusRow(id, 3).id, forwarded_by_username: 'dept_health' }
+    ]);
+    const sent = mails().slice(before);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].match(/^To: (.*)$/m)[1]).toBe('dept_revenue@raipur.gov.in');
+    expect(sent[0]).toMatch(/dept_health has reassigned your notice/);
+    expect(sent[0]).toMatch(/Ward 9 falls under Civil\./);
+  });
+
+  test('an All Users notice\'s outbox lists its recipients with the handover', async () => {
+    const id = (await as(tokens.dept_revenue).post('/api/portal/notices')
+      .field('title', 'District review meeting')
+      .field('body', 'Attend the monthly review.')
+      .field('priority', 'Normal')
+      .field('deadline', '2099-06-30')
+      .field('target_all', '1')).body.noticeId;
+    await forward(id, { target_dept_id: 3, note: 'PWD will attend for us.' });
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(outbox.target_all).toBe(1);
+    expect(outbox.targets.find(t => t.username === 'dept_health')).toMatchObject({ status: 'Reassigned', forwarded_from: null });
+    expect(outbox.targets.find(t => t.target_dept_id === 3)).toMatchObject({
+      status: 'Pending', forwarded_from: statusRow(id, 3).id, forwarded_by_username: 'dept_health'
+    });
+    expect(outbox.targets.map(t => t.username)).toContain('dept_civil');
+  });
+
+  test('forwarding a copy keeps the forwarder\'s own row', async () => {
+    const id = await sendNotice();
+    expect((await forward(id, { target_user_id: 4, mode: 'forward' })).status).toBe(201);
+
+    expect(statusRow(id, 3).status).toBe('Pending');
+    expect(await ids('dept_health', 'inbox')).toContain(id);
+    expect(await ids('dept_civil', 'inbox')).toContain(id);
+    const sent = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body.find(n => n.id === id);
+    expect(sent.total_targets).toBe(2);
+  });
+
+  test('the detail view traces each recipient\'s chain of custody', async () => {
+    const id = await sendNotice();
+    await forward(id, { target_user_id: 4, note: 'Civil handles drains.' });
+    await forward(id, { target_dept_id: 1, note: 'Needs the revenue maps.' }, 'dept_civil');
+
+    const detail = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    const dept   = detail.statuses.find(s => s.target_dept_id === 1);
+    expect(dept.custody).toMatchObject([
+      { username: 'dept_health', forwarded_by_username: null },
+      { username: 'dept_civil',  forwarded_by_username: 'dept_health', forward_note: 'Civil handles drains.' },
+      { username: null, dept_code: expect.any(String), forwarded_by_username: 'dept_civil', forward_note: 'Needs the revenue maps.' }
+    ]);
+    expect(detail.statuses.find(s => s.username === 'dept_health').custody).toHaveLength(1);
+  });
+});
+
+// ── Responding and closing ────────────────────────────────────────────────────
+describe('after a handover', () => {
+  test('the new assignee responds; the sender closes without the reassigned row', async () => {
+    const id = await sendNotice();
+    await forward(id, { target_user_id: 4 });
+
+    expect((await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Noted').field('remark', 'Seen.')).status).toBe(403);
+    expect((await as(tokens.dept_civil).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Six sites cleared.')).status).toBe(200);
+    await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}/statuses/${statusRow(id, 4).id}`).send({ decision: 'Accepted' });
+
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${id}`)).status).toBe(200);
+  });
+});
+
+// ── Access and validation ─────────────────────────────────────────────────────
+describe('access and validation', () => {
+  test('only a recipient forwards, and only once per target', async () => {
+    const id = await sendNotice();
+    expect((await forward(id, { target_user_id: 4 }, 'dept_civil')).status).toBe(403);
+    expect((await forward(id, { target_user_id: 4 }, 'admin')).status).toBe(403);
+    await forward(id, { target_user_id: 4, mode: 'forward' });
+    expect((await forward(id, { target_user_id: 4, mode: 'forward' })).status).toBe(409);
+  });
+
+  test('reassigning needs notice.reassign; a clerk may only forward a copy', async () => {
+    const id = await sendNotice();
+    db.prepare("UPDATE users SET role = 'clerk' WHERE id = 3").run();
+    try {
+      const res = await forward(id, { target_user_id: 4, mode: 'reassign' });
+      expect(res.status).toBe(403);
+      expect(statusRow(id, 3).status).toBe('Pending');
+      expect((await forward(id, { target_user_id: 4, mode: 'forward' })).status).toBe(201);
+    } finally {
+      db.prepare("UPDATE users SET role = 'dept_head' WHERE id = 3").run();
+    }
+  });
+
+  test('400 for a bad mode or target, the sender, or a submitted notice', async () => {
+    const id = await sendNotice();
+    expect((await forward(id, { target_user_id: 4, mode: 'delegate' })).status).toBe(400);
+    expect((await forward(id, {})).status).toBe(400);
+    expect((await forward(id, { target_user_id: 4, target_dept_id: 3 })).status).toBe(400);
+    expect((await forward(id, { target_user_id: 1 })).status).toBe(400);
+    expect((await forward(id, { target_user_id: 2 })).status).toBe(400);
+    expect((await forward(id, { target_dept_id: 999 })).status).toBe(400);
+
+    await as(tokens.dept_health).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Done.');
+    expect((await forward(id, { target_user_id: 4 })).status).toBe(400);
+    expect(statusRow(id, 4)).toBeUndefined();
+  });
+});
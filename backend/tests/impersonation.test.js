@@ -0,0 +1,258 @@
+/**
+ * impersonation.test.js — tests for admin "view as user" sessions
+ * Covers: starting an impersonation (audit row, reason required, who may be
+ *         impersonated), seeing the portal as the user without marking
+ *         anything read, read-only and read-write sessions, account routes
+ *         staying off-limits, ending a session, revocation through either
+ *         account, the audit log, and the cookie flow used by the browser
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const bcrypt  = require('bcryptjs');
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+// A second administrator, support_admin (Admin@Test123), is added below.
+const tokens = {};
+let supportId;
+
+const login = async (username, password) =>
+  (await request(app).post('/api/auth/login').send({ username, password })).body.token;
+
+beforeAll(async () => {
+  supportId = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+    .run('support_admin', bcrypt.hashSync('Admin@Test123', 4), 'admin').lastInsertRowid;
+
+  tokens.admin   = await login('admin', 'Admin@Test123');
+  tokens.support = await login('support_admin', 'Admin@Test123');
+  for (const name of ['dept_revenue', 'dept_health']) {
+    tokens[name] = await login(name, 'Dept@Test123');
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+const impersonate = (token, userId, body = { reason: 'Ticket 42: inbox looks empty' }) =>
+  as(token).post(`/api/portal/users/${userId}/impersonate`).send(body);
+
+/** sendToHealth — dept_revenue issues a notice to dept_health. */
+async function sendToHealth() {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Impersonation check')
+    .field('body', 'Body')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-12-31')
+    .field('target_user_ids', '3');
+  return res.body.noticeId;
+}
+
+// ── Starting ──────────────────────────────────────────────────────────────────
+describe('POST /api/portal/users/:id/impersonate', () => {
+  test('issues a flagged token for the user and records the session', async () => {
+    const res = await impersonate(tokens.admin, 3);
+    expect(res.status).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({
+      id: 3, username: 'dept_health',
+      impersonation: { admin_username: 'admin', read_only: true, expires_at: expect.any(String) }
+    });
+
+    const row = db.prepare('SELECT * FROM impersonations WHERE id = ?').get(res.body.user.impersonation.id);
+    expect(row).toMatchObject({ admin_id: 1, user_id: 3, reason: 'Ticket 42: inbox looks empty', read_only: 1, ended_at: null });
+  });
+
+  test('400 without a reason', async () => {
+    const res = await impersonate(tokens.admin, 3, { reason: '   ' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/reason is required/);
+  });
+
+  test('refuses oneself, other administrators, unknown and inactive users', async () => {
+    expect((await impersonate(tokens.admin, 1)).status).toBe(400);
+    expect((await impersonate(tokens.admin, supportId)).status).toBe(403);
+    expect((await impersonate(tokens.admin, 999)).status).toBe(404);
+
+    db.prepare('UPDATE users SET is_active = 0 WHERE id = 4').run();
+    try {
+      expect((await impersonate(tokens.admin, 4)).status).toBe(400);
+    } finally {
+      db.prepare('UPDATE users SET is_active = 1 WHERE id = 4').run();
+    }
+  });
+
+  test('403 for users without user.manage', async () => {
+    expect((await impersonate(tokens.dept_revenue, 3)).status).toBe(403);
+  });
+});
+
+// ── Using the token ───────────────────────────────────────────────────────────
+describe('an impersonation token', () => {
+  test('sees the portal as the user, with the impersonation flagged on /me', async () => {
+    const noticeId = await sendToHealth();
+    const { token } = (await impersonate(tokens.admin, 3)).body;
+
+    const inbox = (await as(token).get('/api/portal/notices/inbox')).body;
+    expect(inbox.map(n => n.id)).toContain(noticeId);
+
+    const me = (await as(token).get('/api/auth/me')).body;
+    expect(me).toMatchObject({ username: 'dept_health', impersonation: { admin_username: 'admin', read_only: true } });
+    expect((await as(tokens.dept_health).get('/api/auth/me')).body.impersonation).toBeNull();
+  });
+
+  test('is read-only by default', async () => {
+    const noticeId = await sendToHealth();
+    const { token } = (await impersonate(tokens.admin, 3)).body;
+
+    const res = await as(token).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted').field('remark', 'Seen');
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('IMPERSONATION_READ_ONLY');
+    expect(db.prepare('SELECT status FROM notice_status WHERE notice_id = ?').get(noticeId).status).toBe('Pending');
+  });
+
+  test('opening a notice leaves it unread for the user', async () => {
+    const noticeId = await sendToHealth();
+    const { token } = (await impersonate(tokens.admin, 3)).body;
+
+    expect((await as(token).get(`/api/portal/notices/${noticeId}`)).status).toBe(200);
+    expect(db.prepare('SELECT is_read FROM notice_status WHERE notice_id = ?').get(noticeId).is_read).toBe(0);
+  });
+
+  test('a read-write session can act in the portal but not on the account', async () => {
+    const noticeId = await sendToHealth();
+    const { token } = (await impersonate(tokens.admin, 3, { reason: 'Respond for them', read_only: false })).body;
+
+    const res = await as(token).patch(`/api/portal/notices/${noticeId}/status`)
+      .field('status', 'Noted').field('remark', 'Seen');
+    expect(res.status).toBe(200);
+
+    const pw = await as(token).post('/api/auth/change-password')
+      .send({ currentPassword: 'Dept@Test123', newPassword: 'Another#Pass2024' });
+    expect(pw.status).toBe(403);
+    expect(pw.body.code).toBe('IMPERSONATION_READ_ONLY');
+    expect((await as(token).post('/api/auth/2fa/setup')).status).toBe(403);
+  });
+
+  test('cannot be used to start another impersonation', async () => {
+    const { token } = (await impersonate(tokens.admin, 3, { reason: 'x', read_only: false })).body;
+    expect((await impersonate(token, 2)).status).toBe(403);
+  });
+});
+
+// ── Ending ────────────────────────────────────────────────────────────────────
+describe('ending an impersonation', () => {
+  test('DELETE /impersonation ends the session and the token stops working', async () => {
+    const { token, user } = (await impersonate(tokens.admin, 3)).body;
+
+    expect((await as(token).delete('/api/portal/impersonation')).status).toBe(200);
+    const res = await as(token).get('/api/portal/notices/inbox');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('IMPERSONATION_ENDED');
+
+    const row = db.prepare('SELECT ended_at FROM impersonations WHERE id = ?').get(user.impersonation.id);
+    expect(row.ended_at).not.toBeNull();
+  });
+
+  test('400 for an ordinary token', async () => {
+    expect((await as(tokens.dept_health).delete('/api/portal/impersonation')).status).toBe(400);
+  });
+
+  test('revoking the administrator\'s sessions ends it', async () => {
+    const { token } = (await impersonate(tokens.support, 3)).body;
+    await as(tokens.admin).delete(`/api/portal/users/${supportId}/sessions`);
+    expect((await as(token).get('/api/portal/notices/inbox')).status).toBe(401);
+    tokens.support = await login('support_admin', 'Admin@Test123');
+  });
+
+  test('revoking the user\'s sessions ends it', async () => {
+    const { token } = (await impersonate(tokens.admin, 2)).body;
+    await as(tokens.admin).delete('/api/portal/users/2/sessions');
+    expect((await as(token).get('/api/portal/notices/inbox')).status).toBe(401);
+    tokens.dept_revenue = await login('dept_revenue', 'Dept@Test123');
+  });
+
+  test('another administrator can end it from the audit log', async () => {
+    const { token, user } = (await impersonate(tokens.support, 3)).body;
+    const id = user.impersonation.id;
+
+    expect((await as(tokens.admin).delete(`/api/portal/impersonations/${id}`)).status).toBe(200);
+    expect((await as(tokens.admin).delete(`/api/portal/impersonations/${id}`)).status).toBe(400);
+    expect((await as(token).get('/api/portal/notices/inbox')).status).toBe(401);
+  });
+});
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+describe('GET /api/portal/impersonations', () => {
+  test('lists every session, newest first, with who, whom and why', async () => {
+    await impersonate(tokens.admin, 3, { reason: 'Latest check' });
+    const rows = (await as(tokens.admin).get('/api/portal/impersonations')).body;
+
+    expect(rows.length).toBe(db.prepare('SELECT COUNT(*) AS n FROM impersonations').get().n);
+    expect(rows[0]).toMatchObject({
+      admin_username: 'admin', username: 'dept_health', reason: 'Latest check', read_only: 1, is_active: 1
+    });
+  });
+
+  test('403 for users without user.manage', async () => {
+    expect((await as(tokens.dept_revenue).get('/api/portal/impersonations')).status).toBe(403);
+  });
+});
+
+// ── Browser (cookie) sessions ─────────────────────────────────────────────────
+describe('cookie sessions', () => {
+  /** cookiesFrom — { name: value } from a response's Set-Cookie headers. */
+  const cookiesFrom = res => Object.fromEntries((res.headers['set-cookie'] || []).map(line => {
+    const pair = line.split(';')[0];
+    const eq   = pair.indexOf('=');
+    return [pair.slice(0, eq), decodeURIComponent(pair.slice(eq + 1))];
+  }));
+  const jar = cookies => Object.entries(cookies).filter(([, v]) => v).map(([k, v]) => `${k}=${v}`).join('; ');
+
+  test('the impersonation cookie stands in for the session until it is ended', async () => {
+    const cookies = cookiesFrom(await request(app).post('/api/auth/login')
+      .send({ username: 'admin', password: 'Admin@Test123', session: 'cookie' }));
+
+    const start = await request(app).post('/api/portal/users/3/impersonate')
+      .set('Cookie', jar(cookies))
+      .set('X-CSRF-Token', cookies.portal_csrf)
+      .send({ reason: 'Walk through the inbox' });
+    expect(start.status).toBe(201);
+    expect(start.body.token).toBeUndefined();
+    const set = cookiesFrom(start);
+    expect(set.portal_impersonation).toEqual(expect.any(String));
+    expect(start.headers['set-cookie'].join()).toMatch(/portal_impersonation=[^;]+;.*HttpOnly/);
+
+    const withImp = { ...cookies, portal_impersonation: set.portal_impersonation };
+    const me = await request(app).get('/api/auth/me').set('Cookie', jar(withImp));
+    expect(me.body).toMatchObject({ username: 'dept_health', impersonation: { admin_username: 'admin' } });
+
+    const end = await request(app).delete('/api/portal/impersonation').set('Cookie', jar(withImp));
+    expect(end.status).toBe(200);
+    expect(cookiesFrom(end).portal_impersonation).toBe('');
+
+    const after = await request(app).get('/api/auth/me').set('Cookie', jar(withImp));
+    expect(after.status).toBe(401);
+    expect(after.body.code).toBe('IMPERSONATION_ENDED');
+    expect((await request(app).get('/api/auth/me').set('Cookie', jar(cookies))).body.username).toBe('admin');
+  });
+});
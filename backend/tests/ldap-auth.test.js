@@ -0,0 +1,247 @@
+/**
+ * ldap-auth.test.js — tests for the LDAP authentication provider
+ * Covers: login against a local ldapjs directory stand-in, auto-provisioning,
+ *         group → role/department mapping and re-sync, failures and lockout,
+ *         filter escaping, directory outages, provider ownership of accounts,
+ *         password features that do not apply to directory accounts
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const ldap = require('ldapjs');
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-ldap-'));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+process.env.AUTH_PROVIDERS      = 'local,ldap';
+process.env.LDAP_BIND_DN        = 'cn=portal-svc,ou=service,dc=raipur,dc=gov,dc=in';
+process.env.LDAP_BIND_PASSWORD  = 'svc-secret';
+process.env.LDAP_SEARCH_BASE    = 'ou=staff,dc=raipur,dc=gov,dc=in';
+process.env.LDAP_GROUP_MAP_FILE = path.join(TMP, 'groups.json');
+
+const ADMINS  = 'CN=Portal Admins,OU=Groups,DC=raipur,DC=gov,DC=in';
+const REVENUE = 'CN=Revenue Staff,OU=Groups,DC=raipur,DC=gov,DC=in';
+const HEALTH  = 'CN=Health Staff,OU=Groups,DC=raipur,DC=gov,DC=in';
+
+fs.writeFileSync(process.env.LDAP_GROUP_MAP_FILE, JSON.stringify([
+  { group: ADMINS,  role: 'admin' },
+  { group: REVENUE, role: 'department', dept_code: 'REVENUE' },
+  { group: HEALTH,  role: 'department', dept_code: 'HEALTH' }
+]));
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// ── Directory stand-in ────────────────────────────────────────────────────────
+// Entries are keyed by lower-case DN and use Active Directory attribute names.
+const SERVICE_DN = process.env.LDAP_BIND_DN;
+const directory  = {
+  'cn=asha verma,ou=staff,dc=raipur,dc=gov,dc=in': {
+    password:   'Directory#Pass1',
+    attributes: { sAMAccountName: 'averma', mail: 'Asha.Verma@Raipur.gov.in', memberOf: [REVENUE, 'CN=Canteen,OU=Groups,DC=raipur,DC=gov,DC=in'] }
+  },
+  'cn=ravi kumar,ou=staff,dc=raipur,dc=gov,dc=in': {
+    password:   'Directory#Pass2',
+    attributes: { sAMAccountName: 'rkumar', memberOf: ['CN=Canteen,OU=Groups,DC=raipur,DC=gov,DC=in'] }
+  },
+  'cn=health office,ou=staff,dc=raipur,dc=gov,dc=in': {
+    password:   'Directory#Pass3',
+    attributes: { sAMAccountName: 'dept_health', memberOf: [HEALTH] }
+  }
+};
+
+let server;
+let directoryUrl;
+
+beforeAll(done => {
+  server = ldap.createServer();
+
+  server.bind('dc=raipur,dc=gov,dc=in', (req, res, next) => {
+    const dn = req.dn.toString().toLowerCase();
+    const ok = dn === SERVICE_DN
+      ? req.credentials === process.env.LDAP_BIND_PASSWORD
+      : directory[dn] && directory[dn].password === req.credentials;
+    if (!ok) return next(new ldap.InvalidCredentialsError());
+    res.end();
+    return next();
+  });
+
+  server.search('ou=staff,dc=raipur,dc=gov,dc=in', (req, res, next) => {
+    if (req.connection.ldap.bindDN.toString() !== SERVICE_DN) {
+      return next(new ldap.InsufficientAccessRightsError());
+    }
+    // The ldapjs server compares the requested attribute list against
+    // lower-cased names, so "memberOf" would otherwise never be returned.
+    res.attributes = res.attributes.map(a => a.toLowerCase());
+    for (const [dn, entry] of Object.entries(directory)) {
+      if (req.filter.matches(entry.attributes)) res.send({ dn, attributes: entry.attributes });
+    }
+    res.end();
+    return next();
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    directoryUrl = `ldap://127.0.0.1:${server.address().port}`;
+    process.env.LDAP_URL = directoryUrl;
+    done();
+  });
+});
+
+afterAll(() => {
+  server.close();
+  fs.rmSync(TMP, { recursive: true, force: true });
+  if (db && typeof db.close === 'function') db.close();
+});
+
+function login(username, password) {
+  return request(app).post('/api/auth/login').send({ username, password });
+}
+
+const userRow = username => db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+
+const lastOutcome = () =>
+  db.prepare('SELECT outcome FROM login_attempts ORDER BY id DESC LIMIT 1').get().outcome;
+
+// ── Provisioning and mapping ──────────────────────────────────────────────────
+describe('directory login', () => {
+  test('first login creates the account from the directory entry', async () => {
+    expect(userRow('averma')).toBeUndefined();
+
+    const res = await login('AVerma', 'Directory#Pass1');
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ username: 'averma', role: 'department', dept_id: 1 });
+    expect(res.body.passwordChangeRequired).toBe(false);
+
+    const row = userRow('averma');
+    expect(row.auth_provider).toBe('ldap');
+    expect(row.email).toBe('asha.verma@raipur.gov.in');
+    expect(row.must_change_password).toBe(0);
+    expect(lastOutcome()).toBe('success');
+  });
+
+  test('a later login re-applies the groups and revokes sessions on a role change', async () => {
+    const { token } = (await login('averma', 'Directory#Pass1')).body;
+
+    directory['cn=asha verma,ou=staff,dc=raipur,dc=gov,dc=in'].attributes.memberOf = [ADMINS];
+    const res = await login('averma', 'Directory#Pass1');
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ role: 'admin', dept_id: null });
+
+    const old = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(old.status).toBe(401);
+    const users = await request(app).get('/api/portal/users').set('Authorization', `Bearer ${res.body.token}`);
+    expect(users.status).toBe(200);
+
+    directory['cn=asha verma,ou=staff,dc=raipur,dc=gov,dc=in'].attributes.memberOf = [REVENUE];
+  });
+
+  test('403 for a directory user outside every mapped group, without creating an account', async () => {
+    const res = await login('rkumar', 'Directory#Pass2');
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/not in any group/);
+    expect(userRow('rkumar')).toBeUndefined();
+    expect(lastOutcome()).toBe('no_portal_group');
+  });
+
+  test('a group map naming an unknown department fails closed with 503', async () => {
+    const file = process.env.LDAP_GROUP_MAP_FILE;
+    const saved = fs.readFileSync(file, 'utf8');
+    fs.writeFileSync(file, JSON.stringify([{ group: 'CN=Canteen,OU=Groups,DC=raipur,DC=gov,DC=in', role: 'department', dept_code: 'NOPE' }]));
+    try {
+      expect((await login('rkumar', 'Directory#Pass2')).status).toBe(503);
+    } finally {
+      fs.writeFileSync(file, saved);
+    }
+  });
+});
+
+// ── Failures ──────────────────────────────────────────────────────────────────
+describe('failed directory logins', () => {
+  test('a wrong password counts towards the account lockout', async () => {
+    const res = await login('averma', 'wrong-password');
+    expect(res.status).toBe(401);
+    expect(lastOutcome()).toBe('invalid_password');
+    expect(userRow('averma').failed_attempts).toBe(1);
+
+    await login('averma', 'Directory#Pass1');
+    expect(userRow('averma').failed_attempts).toBe(0);
+  });
+
+  test('names unknown to the directory get the generic 401', async () => {
+    const res = await login('nobody', 'Directory#Pass1');
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid username or password.');
+    expect(lastOutcome()).toBe('unknown_user');
+    expect(userRow('nobody')).toBeUndefined();
+  });
+
+  test('filter metacharacters in the username are escaped', async () => {
+    expect((await login('*', 'Directory#Pass1')).status).toBe(401);
+    expect((await login('*)(sAMAccountName=averma', 'Directory#Pass1')).status).toBe(401);
+  });
+
+  test('503 while the directory is unreachable; local accounts still log in', async () => {
+    process.env.LDAP_URL = 'ldap://127.0.0.1:1';
+    try {
+      const res = await login('averma', 'Directory#Pass1');
+      expect(res.status).toBe(503);
+      expect(userRow('averma').failed_attempts).toBe(0);
+      expect((await login('dept_revenue', 'Dept@Test123')).status).toBe(200);
+    } finally {
+      process.env.LDAP_URL = directoryUrl;
+    }
+  });
+});
+
+// ── Provider ownership ────────────────────────────────────────────────────────
+describe('provider per account', () => {
+  test('a local account cannot be logged into with a directory password', async () => {
+    expect((await login('dept_health', 'Directory#Pass3')).status).toBe(401);
+    expect((await login('dept_health', 'Dept@Test123')).status).toBe(200);
+    expect(userRow('dept_health').auth_provider).toBe('local');
+  });
+
+  test('with the ldap provider disabled, directory accounts get 503', async () => {
+    process.env.AUTH_PROVIDERS = 'local';
+    try {
+      expect((await login('averma', 'Directory#Pass1')).status).toBe(503);
+      expect((await login('rkumar', 'Directory#Pass2')).status).toBe(401);
+    } finally {
+      process.env.AUTH_PROVIDERS = 'local,ldap';
+    }
+  });
+});
+
+// ── Password features ─────────────────────────────────────────────────────────
+describe('directory accounts and portal passwords', () => {
+  test('password expiry does not apply', async () => {
+    db.prepare("UPDATE users SET password_changed_at = datetime('now', '-400 days') WHERE username = 'averma'").run();
+    const res = await login('averma', 'Directory#Pass1');
+    expect(res.body.passwordChangeRequired).toBe(false);
+
+    const inbox = await request(app).get('/api/portal/notices/inbox').set('Authorization', `Bearer ${res.body.token}`);
+    expect(inbox.status).toBe(200);
+  });
+
+  test('change-password and admin password reset are refused', async () => {
+    const { token } = (await login('averma', 'Directory#Pass1')).body;
+    const change = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Directory#Pass1', newPassword: 'Another#Choice55' });
+    expect(change.status).toBe(400);
+    expect(change.body.error).toMatch(/directory/);
+
+    const adminToken = (await login('admin', 'Admin@Test123')).body.token;
+    const reset = await request(app)
+      .patch(`/api/portal/users/${userRow('averma').id}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'Another#Choice55' });
+    expect(reset.status).toBe(400);
+  });
+});
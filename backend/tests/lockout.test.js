@@ -0,0 +1,235 @@
+/**
+ * lockout.test.js — tests for per-account lockout and the login audit trail
+ * Covers: login_attempts recording, progressive lockout, lock on 2FA code
+ *         failures, admin locked-account list, unlock, attempt listing
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const totp    = require('../totp');
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+function login(username, password) {
+  return request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'jest-agent')
+    .send({ username, password });
+}
+
+function userRow(username) {
+  return db.prepare('SELECT id, failed_attempts, locked_until FROM users WHERE username = ?').get(username);
+}
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = (await login('admin', 'Admin@Test123')).body.token;
+});
+
+// ── Audit trail ───────────────────────────────────────────────────────────────
+describe('login_attempts audit trail', () => {
+  test('records a successful login with IP and user-agent', async () => {
+    await login('dept_revenue', 'Dept@Test123');
+    const row = db.prepare(`
+      SELECT * FROM login_attempts WHERE username = 'dept_revenue' ORDER BY id DESC LIMIT 1
+    `).get();
+
+    expect(row.outcome).toBe('success');
+    expect(row.user_id).toBe(2);
+    expect(row.user_agent).toBe('jest-agent');
+    expect(row.ip).toBeTruthy();
+  });
+
+  test('records unknown usernames without a user_id', async () => {
+    const res = await login('no_such_user', 'whatever123');
+    expect(res.status).toBe(401);
+
+    const row = db.prepare(`
+      SELECT * FROM login_attempts WHERE username = 'no_such_user' ORDER BY id DESC LIMIT 1
+    `).get();
+    expect(row.outcome).toBe('unknown_user');
+    expect(row.user_id).toBeNull();
+  });
+
+  test('a successful login resets the failure counter', async () => {
+    await login('dept_revenue', 'wrong-password');
+    expect(userRow('dept_revenue').failed_attempts).toBe(1);
+
+    await login('dept_revenue', 'Dept@Test123');
+    expect(userRow('dept_revenue').failed_attempts).toBe(0);
+  });
+});
+
+// ── Progressive lockout ───────────────────────────────────────────────────────
+describe('progressive lockout', () => {
+  test('the fifth consecutive failure locks the account', async () => {
+    for (let i = 0; i < 4; i++) {
+      const res = await login('dept_health', 'wrong-password');
+      expect(res.status).toBe(401);
+    }
+    const fifth = await login('dept_health', 'wrong-password');
+    expect(fifth.status).toBe(423);
+    expect(fifth.body).toHaveProperty('locked_until');
+    expect(userRow('dept_health').failed_attempts).toBe(5);
+  });
+
+  test('the correct password is refused while locked', async () => {
+    const res = await login('dept_health', 'Dept@Test123');
+    expect(res.status).toBe(423);
+    expect(res.body).not.toHaveProperty('token');
+
+    // Attempts during the lock are logged but do not extend it.
+    expect(userRow('dept_health').failed_attempts).toBe(5);
+    const row = db.prepare(`
+      SELECT outcome FROM login_attempts WHERE username = 'dept_health' ORDER BY id DESC LIMIT 1
+    `).get();
+    expect(row.outcome).toBe('locked');
+  });
+
+  test('each failure after the lock expires doubles the lock duration', async () => {
+    const lockMinutes = () => db.prepare(`
+      SELECT ROUND((julianday(locked_until) - julianday('now')) * 24 * 60) AS m
+      FROM users WHERE username = 'dept_health'
+    `).get().m;
+
+    expect(lockMinutes()).toBe(5);
+
+    // Simulate the lock running out, then fail once more.
+    db.prepare("UPDATE users SET locked_until = datetime('now', '-1 minute') WHERE username = 'dept_health'").run();
+    const res = await login('dept_health', 'wrong-password');
+    expect(res.status).toBe(423);
+    expect(lockMinutes()).toBe(10);
+  });
+
+  test('locked accounts appear in GET /users/locked and the user list', async () => {
+    const res = await request(app)
+      .get('/api/portal/users/locked')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    const health = res.body.find(u => u.username === 'dept_health');
+    expect(health.failed_attempts).toBe(6);
+    expect(health.locked_until).toBeTruthy();
+
+    const list = await request(app)
+      .get('/api/portal/users')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(list.body.find(u => u.username === 'dept_health').locked_until).toBeTruthy();
+    expect(list.body.find(u => u.username === 'dept_revenue').locked_until).toBeNull();
+  });
+
+  test('admin unlock clears the lock and the counter', async () => {
+    const { id } = userRow('dept_health');
+    const res = await request(app)
+      .delete(`/api/portal/users/${id}/lock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    expect(userRow('dept_health')).toMatchObject({ failed_attempts: 0, locked_until: null });
+
+    const ok = await login('dept_health', 'Dept@Test123');
+    expect(ok.status).toBe(200);
+  });
+
+  test('unlock returns 404 for an unknown user and 403 for non-admins', async () => {
+    const missing = await request(app)
+      .delete('/api/portal/users/9999/lock')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(missing.status).toBe(404);
+
+    const { token } = (await login('dept_revenue', 'Dept@Test123')).body;
+    const forbidden = await request(app)
+      .delete('/api/portal/users/3/lock')
+      .set('Authorization', `Bearer ${token}`);
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('admin password reset also lifts a lock', async () => {
+    for (let i = 0; i < 5; i++) await login('dept_civil', 'wrong-password');
+    expect(userRow('dept_civil').locked_until).toBeTruthy();
+
+    const { id } = userRow('dept_civil');
+    await request(app)
+      .patch(`/api/portal/users/${id}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'Civil@Reset123' });
+
+    const res = await login('dept_civil', 'Civil@Reset123');
+    expect(res.status).toBe(200);
+  });
+});
+
+// ── 2FA code failures ─────────────────────────────────────────────────────────
+describe('lockout on second-factor failures', () => {
+  test('wrong 2FA codes count towards the lockout', async () => {
+    const secret = totp.generateSecret();
+    db.prepare("UPDATE users SET totp_secret = ?, totp_enabled = 1 WHERE username = 'dept_revenue'").run(secret);
+
+    let last;
+    for (let i = 0; i < 5; i++) {
+      const { mfaToken } = (await login('dept_revenue', 'Dept@Test123')).body;
+      last = await request(app).post('/api/auth/2fa/verify').send({ mfaToken, code: '000000' });
+    }
+    expect(last.status).toBe(423);
+
+    // The password step is now refused too.
+    const res = await login('dept_revenue', 'Dept@Test123');
+    expect(res.status).toBe(423);
+
+    const outcomes = db.prepare(`
+      SELECT outcome FROM login_attempts WHERE username = 'dept_revenue' AND outcome = 'invalid_code'
+    `).all();
+    expect(outcomes).toHaveLength(5);
+
+    db.prepare("UPDATE users SET totp_secret = NULL, totp_enabled = 0 WHERE username = 'dept_revenue'").run();
+  });
+});
+
+// ── GET /api/portal/login-attempts ────────────────────────────────────────────
+describe('GET /api/portal/login-attempts', () => {
+  test('returns failures only by default, newest first', async () => {
+    const res = await request(app)
+      .get('/api/portal/login-attempts')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body.every(r => r.outcome !== 'success')).toBe(true);
+    expect(res.body[0].id).toBeGreaterThan(res.body[res.body.length - 1].id);
+  });
+
+  test('filters by a specific outcome and honours limit', async () => {
+    const res = await request(app)
+      .get('/api/portal/login-attempts?outcome=locked&limit=2')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeLessThanOrEqual(2);
+    expect(res.body.every(r => r.outcome === 'locked')).toBe(true);
+  });
+
+  test('outcome=all includes successful logins', async () => {
+    const res = await request(app)
+      .get('/api/portal/login-attempts?outcome=all&limit=500')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.body.some(r => r.outcome === 'success')).toBe(true);
+  });
+
+  test('rejects an unknown outcome and non-admin callers', async () => {
+    const bad = await request(app)
+      .get('/api/portal/login-attempts?outcome=bogus')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(bad.status).toBe(400);
+
+    const unauth = await request(app).get('/api/portal/login-attempts');
+    expect(unauth.status).toBe(401);
+  });
+});
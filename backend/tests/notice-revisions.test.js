@@ -0,0 +1,173 @@
+/**
+ * notice-revisions.test.js — tests for editing notices after they are sent
+ * Covers: who may edit (creator, notice.close_any), validation (a deadline
+ *         no earlier than the checklist's), the revision history kept in
+ *         notice_revisions, recipients flagged when the notice changed after
+ *         they responded, and answering again
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:   url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:  url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch: url => request(app).patch(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sendNotice — dept_revenue issues a notice to dept_health and dept_civil. */
+async function sendNotice() {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Submit the land records')
+    .field('body', 'Send the land records by Friday.')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-06-30')
+    .field('target_user_ids', ['3', '4']);
+  return res.body.noticeId;
+}
+
+const edit = (token, id, body) => as(token).patch(`/api/portal/notices/${id}`).send(body);
+
+const respond = (token, id, status) => as(token).patch(`/api/portal/notices/${id}/status`)
+  .field('status', status).field('remark', `${status} by test`);
+
+const statusOf = (noticeId, userId) =>
+  db.prepare('SELECT status, is_read, changed_since_ack FROM notice_status WHERE notice_id = ? AND user_id = ?')
+    .get(noticeId, userId);
+
+// ── Editing ───────────────────────────────────────────────────────────────────
+describe('PATCH /api/portal/notices/:id', () => {
+  test('the creator edits a notice and the old version is kept', async () => {
+    const id  = await sendNotice();
+    const res = await edit(tokens.dept_revenue, id, { body: 'Send the land records by Monday.', priority: 'High' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, revision: 2, changed: ['body', 'priority'] });
+
+    const notice = db.prepare('SELECT body, priority, revision, updated_at FROM notices WHERE id = ?').get(id);
+    expect(notice).toMatchObject({ body: 'Send the land records by Monday.', priority: 'High', revision: 2 });
+    expect(notice.updated_at).not.toBeNull();
+
+    const detail = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    expect(detail.revisions).toEqual([expect.objectContaining({
+      revision: 1, title: 'Submit the land records', body: 'Send the land records by Friday.',
+      priority: 'Normal', deadline: '2099-06-30', edited_by_username: 'dept_revenue'
+    })]);
+  });
+
+  test('each edit adds a revision, newest first', async () => {
+    const id = await sendNotice();
+    await edit(tokens.dept_revenue, id, { title: 'Submit the land records (revised)' });
+    await edit(tokens.dept_revenue, id, { deadline: '2099-07-15' });
+
+    const { revision, revisions } = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    expect(revision).toBe(3);
+    expect(revisions.map(r => r.revision)).toEqual([2, 1]);
+    expect(revisions[0]).toMatchObject({ title: 'Submit the land records (revised)', deadline: '2099-06-30' });
+  });
+
+  test('400 for invalid values or when nothing changes', async () => {
+    const id = await sendNotice();
+    expect((await edit(tokens.dept_revenue, id, { priority: 'Urgent' })).status).toBe(400);
+    expect((await edit(tokens.dept_revenue, id, { deadline: '30/06/2099' })).status).toBe(400);
+    expect((await edit(tokens.dept_revenue, id, { title: '  ' })).status).toBe(400);
+    expect((await edit(tokens.dept_revenue, id, { title: 'Submit the land records' })).status).toBe(400);
+    expect((await edit(tokens.dept_revenue, id, {})).status).toBe(400);
+    expect(db.prepare('SELECT COUNT(*) AS n FROM notice_revisions WHERE notice_id = ?').get(id).n).toBe(0);
+  });
+
+  test('the deadline cannot move before a checklist item\'s', async () => {
+    const id = (await as(tokens.dept_revenue).post('/api/portal/notices')
+      .field('title', 'Submit the land records')
+      .field('body', 'Send the land records by Friday.')
+      .field('priority', 'Normal')
+      .field('deadline', '2099-06-30')
+      .field('target_user_ids', '3')
+      .field('items', JSON.stringify([{ title: 'Khasra extract', deadline: '2099-06-20' }]))).body.noticeId;
+
+    const early = await edit(tokens.dept_revenue, id, { deadline: '2099-06-15' });
+    expect(early.status).toBe(400);
+    expect(early.body.error).toMatch(/2099-06-20/);
+    expect((await edit(tokens.dept_revenue, id, { deadline: '2099-06-20' })).status).toBe(200);
+  });
+
+  test('only the creator or notice.close_any may edit', async () => {
+    const id = await sendNotice();
+    expect((await edit(tokens.dept_health, id, { title: 'Hijacked' })).status).toBe(403);
+
+    const res = await edit(tokens.admin, id, { title: 'Corrected by the collectorate' });
+    expect(res.status).toBe(200);
+    const [rev] = (await as(tokens.admin).get(`/api/portal/notices/${id}`)).body.revisions;
+    expect(rev.edited_by_username).toBe('admin');
+  });
+
+  test('404 for an unknown notice', async () => {
+    expect((await edit(tokens.dept_revenue, 99999, { title: 'x' })).status).toBe(404);
+  });
+});
+
+// ── Recipients ────────────────────────────────────────────────────────────────
+describe('recipients of an edited notice', () => {
+  test('those who had responded are flagged; everyone sees it unread again', async () => {
+    const id = await sendNotice();
+    await respond(tokens.dept_health, id, 'Noted');
+    await as(tokens.dept_civil).get(`/api/portal/notices/${id}`);
+    expect(statusOf(id, 4).is_read).toBe(1);
+
+    await edit(tokens.dept_revenue, id, { deadline: '2099-05-31' });
+    expect(statusOf(id, 3)).toMatchObject({ status: 'Noted', is_read: 0, changed_since_ack: 1 });
+    expect(statusOf(id, 4)).toMatchObject({ status: 'Pending', is_read: 0, changed_since_ack: 0 });
+
+    const inbox = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body;
+    expect(inbox.find(n => n.id === id)).toMatchObject({ changed_since_ack: 1, revision: 2, deadline: '2099-05-31' });
+
+    const { statuses } = (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+    expect(statuses.find(s => s.user_id === 3).changed_since_ack).toBe(1);
+  });
+
+  test('responding again clears the flag', async () => {
+    const id = await sendNotice();
+    await respond(tokens.dept_health, id, 'Noted');
+    await edit(tokens.dept_revenue, id, { body: 'Also attach the mutation register.' });
+
+    expect((await respond(tokens.dept_health, id, 'Noted')).status).toBe(200);
+    expect(statusOf(id, 3).changed_since_ack).toBe(0);
+  });
+
+  test('a completed notice can be answered again only after it changes', async () => {
+    const id = await sendNotice();
+    await respond(tokens.dept_health, id, 'Completed');
+    expect((await respond(tokens.dept_health, id, 'Noted')).status).toBe(400);
+
+    await edit(tokens.dept_revenue, id, { body: 'Also attach the mutation register.' });
+    expect((await respond(tokens.dept_health, id, 'Completed')).status).toBe(200);
+    expect(statusOf(id, 3)).toMatchObject({ status: 'Submitted', changed_since_ack: 0 });
+    expect((await respond(tokens.dept_health, id, 'Completed')).status).toBe(400);
+  });
+});
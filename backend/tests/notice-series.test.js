@@ -0,0 +1,190 @@
+/**
+ * notice-series.test.js — tests for recurring notices
+ * Covers: run times (month ends, quarters), starting a series and its first
+ *         notice, the scheduler making later instances with their own
+ *         deadlines, skipped runs, finishing by count or end date, pausing,
+ *         resuming and stopping, validation and ownership
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const { runAt, spawnDue } = require('../series');
+const { publishDue }      = require('../publishing');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:   url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:  url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch: url => request(app).patch(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sqlTime — SQLite UTC datetime `ms` from now. */
+const sqlTime = (ms = 0) => new Date(Date.now() + ms).toISOString().slice(0, 19).replace('T', ' ');
+const DAY     = 86400000;
+
+/** startSeries — dept_revenue starts a series to dept_health (department inbox). */
+const startSeries = (fields = {}) => as(tokens.dept_revenue).post('/api/portal/notice-series').send({
+  title: 'Submit monthly expenditure return', body: 'Use form GFR-12.', priority: 'Normal',
+  frequency: 'monthly', deadline_days: 7, target_dept_ids: [2], ...fields
+});
+
+const seriesRow = id => db.prepare('SELECT * FROM notice_series WHERE id = ?').get(id);
+const instances = id => db.prepare('SELECT * FROM notices WHERE series_id = ? ORDER BY series_seq').all(id);
+
+/** backdate — moves a series' start `ms` into the past, as if time had passed. */
+function backdate(id, ms) {
+  const s = seriesRow(id);
+  const startsAt = sqlTime(-ms);
+  db.prepare('UPDATE notice_series SET starts_at = ?, next_run_at = ? WHERE id = ?')
+    .run(startsAt, runAt({ ...s, starts_at: startsAt }, s.period), id);
+}
+
+/** tick — one pass of the scheduler. */
+const tick = () => { spawnDue(); return publishDue(); };
+
+// ── Run times ─────────────────────────────────────────────────────────────────
+describe('runAt', () => {
+  test('monthly runs keep the day of the month, or the last day of shorter months', () => {
+    const s = { starts_at: '2026-01-31 03:30:00', frequency: 'monthly' };
+    expect([0, 1, 2, 3].map(p => runAt(s, p))).toEqual([
+      '2026-01-31 03:30:00', '2026-02-28 03:30:00', '2026-03-31 03:30:00', '2026-04-30 03:30:00'
+    ]);
+  });
+
+  test('weekly and quarterly runs', () => {
+    expect(runAt({ starts_at: '2026-12-28 04:00:00', frequency: 'weekly' }, 1)).toBe('2027-01-04 04:00:00');
+    expect(runAt({ starts_at: '2026-11-30 04:00:00', frequency: 'quarterly' }, 1)).toBe('2027-02-28 04:00:00');
+  });
+});
+
+// ── Starting ──────────────────────────────────────────────────────────────────
+describe('POST /api/portal/notice-series', () => {
+  test('a series starting now sends its first notice straight away', async () => {
+    const res = await startSeries();
+    expect(res.status).toBe(201);
+
+    const [first] = instances(res.body.id);
+    expect(first).toMatchObject({ state: 'published', series_seq: 1, deadline: sqlTime(7 * DAY).slice(0, 10) });
+
+    const inbox = (await as(tokens.dept_health).get('/api/portal/notices/inbox')).body;
+    expect(inbox.map(n => n.id)).toContain(first.id);
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body;
+    expect(outbox.find(n => n.id === first.id)).toMatchObject({ series_id: res.body.id, series_seq: 1 });
+
+    const [listed] = (await as(tokens.dept_revenue).get('/api/portal/notice-series')).body
+      .filter(s => s.id === res.body.id);
+    expect(listed).toMatchObject({ status: 'active', sent_count: 1, period: 1, targets: { dept_ids: [2] } });
+    expect(listed.next_run_at).toBe(runAt(listed, 1));
+  });
+
+  test('a series starting later sends nothing until its first run', async () => {
+    const id = (await startSeries({ starts_at: '2099-03-02T09:00:00+05:30' })).body.id;
+    expect(instances(id)).toEqual([]);
+    expect(seriesRow(id).next_run_at).toBe('2099-03-02 03:30:00');
+  });
+
+  test('400 for invalid rules or no recipients', async () => {
+    expect((await startSeries({ frequency: 'yearly' })).status).toBe(400);
+    expect((await startSeries({ deadline_days: -1 })).status).toBe(400);
+    expect((await startSeries({ max_count: 0 })).status).toBe(400);
+    expect((await startSeries({ starts_at: 'next monday' })).status).toBe(400);
+    expect((await startSeries({ starts_at: '2099-03-02T09:00:00Z', ends_on: '2099-03-01' })).status).toBe(400);
+    expect((await startSeries({ target_dept_ids: [] })).status).toBe(400);
+  });
+});
+
+// ── The scheduler ─────────────────────────────────────────────────────────────
+describe('spawnDue', () => {
+  test('each run makes a new notice with its own deadline and recipients', async () => {
+    const id = (await startSeries({ frequency: 'weekly', deadline_days: 3 })).body.id;
+    backdate(id, 7 * DAY + 60000);
+    expect(tick()).toHaveLength(1);
+
+    const [, second] = instances(id);
+    expect(second).toMatchObject({ state: 'published', series_seq: 2 });
+    expect(second.deadline).toBe(sqlTime(-60000 + 3 * DAY).slice(0, 10));
+    expect(db.prepare('SELECT dept_id FROM notice_status WHERE notice_id = ?').all(second.id)).toEqual([{ dept_id: 2 }]);
+
+    expect(tick()).toEqual([]);
+  });
+
+  test('missed runs are skipped rather than sent all at once', async () => {
+    const id = (await startSeries({ frequency: 'daily', starts_at: '2099-01-01T00:00:00Z' })).body.id;
+    backdate(id, 4 * DAY + 60000);
+    tick();
+
+    expect(instances(id)).toHaveLength(1);
+    expect(seriesRow(id)).toMatchObject({ period: 5, sent_count: 1 });
+    expect(seriesRow(id).next_run_at > sqlTime()).toBe(true);
+  });
+
+  test('a series finishes after max_count notices or its end date', async () => {
+    const byCount = (await startSeries({ frequency: 'daily', max_count: 1 })).body.id;
+    expect(seriesRow(byCount)).toMatchObject({ status: 'finished', next_run_at: null, sent_count: 1 });
+
+    const byDate = (await startSeries({ ends_on: sqlTime(DAY).slice(0, 10) })).body.id;
+    expect(seriesRow(byDate)).toMatchObject({ status: 'finished', sent_count: 1 });
+  });
+});
+
+// ── Pausing and stopping ──────────────────────────────────────────────────────
+describe('PATCH /api/portal/notice-series/:id', () => {
+  const setStatus = (token, id, status) =>
+    as(token).patch(`/api/portal/notice-series/${id}`).send({ status });
+
+  test('a paused series sends nothing; resuming skips the runs it missed', async () => {
+    const id = (await startSeries({ frequency: 'daily', starts_at: '2099-01-01T00:00:00Z' })).body.id;
+    expect((await setStatus(tokens.dept_revenue, id, 'paused')).status).toBe(200);
+
+    backdate(id, 2 * DAY + 60000);
+    tick();
+    expect(instances(id)).toEqual([]);
+
+    expect((await setStatus(tokens.dept_revenue, id, 'active')).status).toBe(200);
+    expect(seriesRow(id)).toMatchObject({ status: 'active', period: 3 });
+    tick();
+    expect(instances(id)).toEqual([]);
+  });
+
+  test('stopping is final', async () => {
+    const id = (await startSeries()).body.id;
+    expect((await setStatus(tokens.dept_revenue, id, 'stopped')).status).toBe(200);
+    expect((await setStatus(tokens.dept_revenue, id, 'active')).status).toBe(400);
+
+    backdate(id, 40 * DAY);
+    tick();
+    expect(instances(id)).toHaveLength(1);
+  });
+
+  test('only the sender manages a series', async () => {
+    const id = (await startSeries()).body.id;
+    expect((await setStatus(tokens.dept_health, id, 'paused')).status).toBe(404);
+    expect((await setStatus(tokens.dept_revenue, id, 'archived')).status).toBe(400);
+    expect((await as(tokens.dept_health).get('/api/portal/notice-series')).body).toEqual([]);
+  });
+});
@@ -40,6 +40,21 @@ afterAll(() => {
   if (db && typeof db.close === 'function') db.close();
 });
 
+/**
+ * acceptCompletions — revenue, as the sender, accepts every completion of a
+ * notice that awaits review, so it counts as completed and may be closed.
+ */
+async function acceptCompletions(noticeId) {
+  const db   = require('../database/db');
+  const rows = db.prepare("SELECT id FROM notice_status WHERE notice_id = ? AND status = 'Submitted'").all(noticeId);
+  for (const { id } of rows) {
+    await request(app)
+      .patch(`/api/portal/notices/${noticeId}/statuses/${id}`)
+      .set('Authorization', `Bearer ${revenueToken}`)
+      .send({ decision: 'Accepted' });
+  }
+}
+
 // ── GET /api/portal/notices/summary (admin only) ─────────────────────────────
 describe('GET /api/portal/notices/summary', () => {
   test('admin receives summary with total, pending, overdue fields', async () => {
@@ -349,7 +364,7 @@ describe('PATCH /api/portal/notices/:id/status', () => {
     expect(row.remark).toBe('Acknowledged by Health Department.');
   });
 
-  test('health upgrades status from Noted to Completed', async () => {
+  test('health upgrades status from Noted to Completed, submitting it for review', async () => {
     const res = await request(app)
       .patch(`/api/portal/notices/${primaryNoticeId}/status`)
       .set('Authorization', `Bearer ${healthToken}`)
@@ -363,7 +378,7 @@ describe('PATCH /api/portal/notices/:id/status', () => {
     const row = db.prepare(
       'SELECT status FROM notice_status WHERE notice_id = ? AND user_id = 3'
     ).get(primaryNoticeId);
-    expect(row.status).toBe('Completed');
+    expect(row.status).toBe('Submitted');
   });
 
   test('returns 400 when trying to update an already-Completed notice', async () => {
@@ -377,6 +392,16 @@ describe('PATCH /api/portal/notices/:id/status', () => {
     expect(res.body.error).toMatch(/already been marked as completed/i);
   });
 
+  test('revenue, the sender, accepts the completion', async () => {
+    await acceptCompletions(primaryNoticeId);
+
+    const db  = require('../database/db');
+    const row = db.prepare(
+      'SELECT status, reviewed_by FROM notice_status WHERE notice_id = ? AND user_id = 3'
+    ).get(primaryNoticeId);
+    expect(row).toEqual({ status: 'Accepted', reviewed_by: 2 });
+  });
+
   test('returns 400 when remark is missing', async () => {
     const res = await request(app)
       .patch(`/api/portal/notices/${validationNoticeId}/status`)
@@ -478,6 +503,7 @@ describe('GET /api/portal/notices/monthly-stats', () => {
       .set('Authorization', `Bearer ${healthToken}`)
       .field('status', 'Completed')
       .field('remark', 'Completed for stats increment test.');
+    await acceptCompletions(createRes.body.noticeId);
 
     const after      = await request(app)
       .get('/api/portal/notices/monthly-stats')
@@ -680,9 +706,9 @@ describe('GET /api/portal/notices/delayed-response', () => {
 });
 
 // ── DELETE /api/portal/notices/:id  (close a notice) ─────────────────────────
-// "Closing" permanently removes a notice, deletes its files, and archives stats.
+// "Closing" archives a notice: it keeps its record, responses and files.
 // Admin: can force-close ANY notice regardless of completion status.
-// Dept:  can only close their OWN notices when ALL targets have completed.
+// Dept:  can only close their OWN notices once ALL targets' completions are accepted.
 describe('DELETE /api/portal/notices/:id — close notice', () => {
   // A notice that stays Pending — used to verify dept-user 400 and admin override.
   let pendingNoticeId;
@@ -717,11 +743,12 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .set('Authorization', `Bearer ${healthToken}`)
       .field('status', 'Completed')
       .field('remark', 'Done — used to verify stats archiving after close.');
+    await acceptCompletions(completedNoticeId);
   });
 
   // ── Basic close behaviour ────────────────────────────────────────────────
 
-  test('admin closes a fully completed notice — returns 200 and notice is gone (404)', async () => {
+  test('admin closes a fully completed notice — returns 200 and notice is archived', async () => {
     // Create + complete a fresh notice so we don't disturb other tests.
     const createRes = await request(app)
       .post('/api/portal/notices')
@@ -747,11 +774,18 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
     expect(res.body.success).toBe(true);
     expect(res.body.message).toMatch(/closed/i);
 
-    // Verify the record is actually gone.
+    // The record is kept, closed, with the response, but leaves the district list.
     const check = await request(app)
       .get(`/api/portal/notices/${nid}`)
       .set('Authorization', `Bearer ${adminToken}`);
-    expect(check.status).toBe(404);
+    expect(check.status).toBe(200);
+    expect(check.body.closed_at).not.toBeNull();
+    expect(check.body.statuses[0].remark).toBe('Task done.');
+
+    const all = await request(app)
+      .get('/api/portal/notices/all')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(all.body.map(n => n.id)).not.toContain(nid);
   });
 
   test('dept user (revenue) closes their own fully completed notice — returns 200', async () => {
@@ -770,6 +804,7 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .set('Authorization', `Bearer ${healthToken}`)
       .field('status', 'Completed')
       .field('remark', 'Done by health.');
+    await acceptCompletions(nid);
 
     const res = await request(app)
       .delete(`/api/portal/notices/${nid}`)
@@ -832,11 +867,11 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
 
-    // Confirm the notice is gone.
+    // Confirm the notice is archived.
     const check = await request(app)
       .get(`/api/portal/notices/${nid}`)
       .set('Authorization', `Bearer ${adminToken}`);
-    expect(check.status).toBe(404);
+    expect(check.body.closed_at).not.toBeNull();
   });
 
   test('admin force-closes a partially completed notice (some Completed, some Pending) — returns 200', async () => {
@@ -867,12 +902,12 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .field('status', 'Completed')
       .field('remark', 'Health dept done. PWD still pending.');
 
-    // Confirm mixed state in DB: one Completed row, one Pending row.
+    // Confirm mixed state in DB: one Submitted row, one Pending row.
     const db = require('../database/db');
     const rows = db.prepare(
       'SELECT user_id, status FROM notice_status WHERE notice_id = ? ORDER BY user_id'
     ).all(nid);
-    expect(rows.some(r => r.status === 'Completed')).toBe(true); // Health completed
+    expect(rows.some(r => r.status === 'Submitted')).toBe(true); // Health completed
     expect(rows.some(r => r.status === 'Pending')).toBe(true);   // PWD still pending
 
     // Admin closes the partially complete notice — must succeed despite PWD being Pending.
@@ -883,11 +918,12 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
 
-    // Notice must be fully removed from the database.
+    // The notice is archived with both recipients' statuses as they were.
     const check = await request(app)
       .get(`/api/portal/notices/${nid}`)
       .set('Authorization', `Bearer ${adminToken}`);
-    expect(check.status).toBe(404);
+    expect(check.body.closed_at).not.toBeNull();
+    expect(check.body.statuses.map(s => s.status).sort()).toEqual(['Pending', 'Submitted']);
   });
 
   test('admin force-close of a Pending notice does not add 0-completed entries to stats', async () => {
@@ -945,8 +981,9 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
     expect(totalAfter).toBeGreaterThanOrEqual(totalBefore);
   });
 
-  test('notice_archive_stats table has a row after closing a completed notice', async () => {
-    // Create + complete + close a notice and verify the archive row exists.
+  test('closing writes no notice_archive_stats row — the completions stay live', async () => {
+    // Create + complete + close a notice; its status rows are kept, so the
+    // archive table is only written when the notice is purged (retention.js).
     const createRes = await request(app)
       .post('/api/portal/notices')
       .set('Authorization', `Bearer ${revenueToken}`)
@@ -971,14 +1008,13 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .delete(`/api/portal/notices/${nid}`)
       .set('Authorization', `Bearer ${adminToken}`);
 
-    // Archive table should have gained at least one row.
     const countAfter = db.prepare('SELECT COUNT(*) AS c FROM notice_archive_stats').get().c;
-    expect(countAfter).toBeGreaterThan(countBefore);
+    expect(countAfter).toBe(countBefore);
   });
 
   // ── deleteFile mock verification ─────────────────────────────────────────
 
-  test('deleteFile is called for attachment and reply files when closing', async () => {
+  test('closing keeps the attachment and reply files', async () => {
     const { deleteFile } = require('../storage');
     deleteFile.mockClear();
 
@@ -987,7 +1023,7 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .post('/api/portal/notices')
       .set('Authorization', `Bearer ${revenueToken}`)
       .field('title',           'Notice With Attachment For Close')
-      .field('body',            'Has an attachment that should be deleted on close.')
+      .field('body',            'Has an attachment that must survive closing.')
       .field('priority',        'Normal')
       .field('deadline',        '2026-12-31')
       .field('target_user_ids', '3')
@@ -1010,15 +1046,13 @@ describe('DELETE /api/portal/notices/:id — close notice', () => {
       .delete(`/api/portal/notices/${nid}`)
       .set('Authorization', `Bearer ${adminToken}`);
 
-    // deleteFile should have been called at least once (attachment + reply = 2).
-    expect(deleteFile).toHaveBeenCalled();
-    expect(deleteFile.mock.calls.length).toBeGreaterThanOrEqual(1);
+    expect(deleteFile).not.toHaveBeenCalled();
 
-    // Both call arguments should be the mock path returned by saveFile.
-    deleteFile.mock.calls.forEach(([calledPath]) => {
-      expect(typeof calledPath).toBe('string');
-      expect(calledPath.length).toBeGreaterThan(0);
-    });
+    const check = await request(app)
+      .get(`/api/portal/notices/${nid}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(check.body.attachment_path).toBe('/uploads/mock-test-file.pdf');
+    expect(check.body.statuses[0].reply_path).toBe('/uploads/mock-test-file.pdf');
   });
 
   // ── Edge cases ────────────────────────────────────────────────────────────
@@ -0,0 +1,221 @@
+/**
+ * password-policy.test.js — tests for the password policy and forced rotation
+ * Covers: checkPassword rules (length, classes, banned words, username /
+ *         department code), password history, must_change_password on admin
+ *         create/reset, password expiry, GET /api/auth/password-policy
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const { POLICY, checkPassword } = require('../password-policy');
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+async function login(username, password) {
+  const res = await request(app).post('/api/auth/login').send({ username, password });
+  return res.body;
+}
+
+function changePassword(token, currentPassword, newPassword) {
+  return request(app)
+    .post('/api/auth/change-password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ currentPassword, newPassword });
+}
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = (await login('admin', 'Admin@Test123')).token;
+});
+
+// ── checkPassword ─────────────────────────────────────────────────────────────
+describe('checkPassword', () => {
+  test('accepts a long password with enough character classes', () => {
+    expect(checkPassword('Monsoon#Ledger42', { username: 'dept_revenue', deptCode: 'REVENUE' })).toEqual([]);
+  });
+
+  test('rejects passwords shorter than the minimum length', () => {
+    const problems = checkPassword('Ab1!', {});
+    expect(problems.join(' ')).toMatch(new RegExp(`at least ${POLICY.minLength}`));
+  });
+
+  test('rejects passwords with too few character classes', () => {
+    expect(checkPassword('alllowercaseletters', {}).join(' ')).toMatch(/at least 3 of/);
+  });
+
+  test('rejects the old seed defaults built from the department code', () => {
+    expect(checkPassword('REVENUE@2024', { username: 'dept_revenue', deptCode: 'REVENUE' })).not.toEqual([]);
+    expect(checkPassword('Finance@2024!', { username: 'dept_finance', deptCode: 'FINANCE' })).not.toEqual([]);
+  });
+
+  test('rejects passwords containing the username', () => {
+    expect(checkPassword('dept_health#2025', { username: 'dept_health' }).join(' ')).toMatch(/username/);
+  });
+
+  test('rejects common passwords, including simple substitutions', () => {
+    expect(checkPassword('Password@2024', {}).join(' ')).toMatch(/too common/);
+    expect(checkPassword('P@ssw0rd2024!', {}).join(' ')).toMatch(/too common/);
+    expect(checkPassword('Welcome123!!', {}).join(' ')).toMatch(/too common/);
+  });
+});
+
+// ── Self-service change-password ──────────────────────────────────────────────
+describe('change-password policy', () => {
+  let token;
+
+  beforeAll(async () => {
+    token = (await login('dept_health', 'Dept@Test123')).token;
+  });
+
+  test('rejects a password that violates the policy', async () => {
+    const res = await changePassword(token, 'Dept@Test123', 'HEALTH@2024!');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/department code/);
+  });
+
+  test('rejects reusing the current password', async () => {
+    const res = await changePassword(token, 'Dept@Test123', 'Dept@Test123');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/differ from your last/);
+  });
+
+  test('rejects any of the last N passwords', async () => {
+    const first = await changePassword(token, 'Dept@Test123', 'Kettle#River901');
+    expect(first.status).toBe(200);
+    token = first.body.token;
+
+    const second = await changePassword(token, 'Kettle#River901', 'Lantern#Field302');
+    expect(second.status).toBe(200);
+    token = second.body.token;
+
+    const reuse = await changePassword(token, 'Lantern#Field302', 'Kettle#River901');
+    expect(reuse.status).toBe(400);
+
+    const rows = db.prepare(`
+      SELECT COUNT(*) AS n FROM password_history ph
+      JOIN users u ON u.id = ph.user_id WHERE u.username = 'dept_health'
+    `).get();
+    expect(rows.n).toBe(2);
+  });
+});
+
+// ── must_change_password ──────────────────────────────────────────────────────
+describe('forced password change', () => {
+  let userId;
+
+  test('admin-created accounts must change their password before using the portal', async () => {
+    const create = await request(app)
+      .post('/api/portal/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'dept_newstaff', password: 'Initial#Pass77', role: 'department', dept_id: 2 });
+    expect(create.status).toBe(201);
+    userId = create.body.userId;
+
+    const body = await login('dept_newstaff', 'Initial#Pass77');
+    expect(body.passwordChangeRequired).toBe(true);
+
+    const blocked = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+    // Account endpoints stay reachable and report what is pending.
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${body.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.pending_setup.code).toBe('PASSWORD_CHANGE_REQUIRED');
+
+    const changed = await changePassword(body.token, 'Initial#Pass77', 'Chosen#ByMe2025');
+    expect(changed.status).toBe(200);
+
+    const allowed = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${changed.body.token}`);
+    expect(allowed.status).toBe(200);
+
+    const again = await login('dept_newstaff', 'Chosen#ByMe2025');
+    expect(again.passwordChangeRequired).toBe(false);
+  });
+
+  test('admin create rejects a weak password', async () => {
+    const res = await request(app)
+      .post('/api/portal/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'dept_weak', password: 'Password@2024', role: 'department', dept_id: 2 });
+    expect(res.status).toBe(400);
+  });
+
+  test('admin reset sets must_change_password again', async () => {
+    const res = await request(app)
+      .patch(`/api/portal/users/${userId}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'Temporary#Key55' });
+    expect(res.status).toBe(200);
+
+    const body = await login('dept_newstaff', 'Temporary#Key55');
+    expect(body.passwordChangeRequired).toBe(true);
+  });
+
+  test('admin reset rejects a weak or recently used password', async () => {
+    const weak = await request(app)
+      .patch(`/api/portal/users/${userId}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'short' });
+    expect(weak.status).toBe(400);
+
+    const reused = await request(app)
+      .patch(`/api/portal/users/${userId}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'Chosen#ByMe2025' });
+    expect(reused.status).toBe(400);
+  });
+});
+
+// ── Maximum password age ──────────────────────────────────────────────────────
+describe('password expiry', () => {
+  test('a password older than the maximum age must be changed', async () => {
+    db.prepare(`
+      UPDATE users SET password_changed_at = datetime('now', ?) WHERE username = 'dept_civil'
+    `).run(`-${POLICY.maxAgeDays + 1} days`);
+
+    const body = await login('dept_civil', 'Dept@Test123');
+    expect(body.passwordChangeRequired).toBe(true);
+
+    const blocked = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.error).toMatch(/expired/);
+
+    const changed = await changePassword(body.token, 'Dept@Test123', 'Refreshed#Gate88');
+    expect(changed.status).toBe(200);
+
+    const allowed = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${changed.body.token}`);
+    expect(allowed.status).toBe(200);
+  });
+});
+
+// ── GET /api/auth/password-policy ─────────────────────────────────────────────
+describe('GET /api/auth/password-policy', () => {
+  test('returns the effective settings without authentication', async () => {
+    const res = await request(app).get('/api/auth/password-policy');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      minLength:  POLICY.minLength,
+      minClasses: POLICY.minClasses,
+      history:    POLICY.history,
+      maxAgeDays: POLICY.maxAgeDays
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * password-reset.test.js — tests for the emailed password reset flow
+ * Covers: the mailer's production default, admin email management,
+ *         POST /api/auth/forgot-password (file mail transport),
+ *         POST /api/auth/reset-password — single use, expiry, superseded
+ *         links, policy checks, session revocation
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR       = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-mail-'));
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+afterAll(() => {
+  fs.rmSync(process.env.MAIL_DIR, { recursive: true, force: true });
+  if (db && typeof db.close === 'function') db.close();
+});
+
+/** mails — every message written by the file transport, oldest first, decoded. */
+function mails() {
+  const dir = process.env.MAIL_DIR;
+  return fs.readdirSync(dir).sort().map(f =>
+    fs.readFileSync(path.join(dir, f), 'utf8')
+      .replace(/=\r?\n/g, '')                       // quoted-printable soft breaks
+      .replace(/=([0-9A-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)))
+  );
+}
+
+function tokenFrom(mail) {
+  return mail.match(/#token=([A-Za-z0-9_-]+)/)[1];
+}
+
+/**
+ * forgot — posts a reset request, then gives the email the route sends in the
+ * background up to half a second to reach MAIL_DIR.
+ */
+async function forgot(body) {
+  const before = mails().length;
+  const res = await request(app).post('/api/auth/forgot-password').send(body);
+  for (let i = 0; i < 20 && mails().length === before; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return res;
+}
+
+function reset(token, newPassword) {
+  return request(app).post('/api/auth/reset-password').send({ token, newPassword });
+}
+
+async function login(username, password) {
+  return request(app).post('/api/auth/login').send({ username, password });
+}
+
+let adminToken;
+
+beforeAll(async () => {
+  adminToken = (await login('admin', 'Admin@Test123')).body.token;
+});
+
+// ── Mail transport ───────────────────────────────────────────────────────────
+describe('mailer', () => {
+  test('in production, refuses to send without SMTP_HOST or MAIL_TRANSPORT', async () => {
+    const saved = { ...process.env };
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    process.env.NODE_ENV = 'production';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      let mailer;
+      jest.isolateModules(() => { mailer = require('../mailer'); });
+      expect(mailer.transportName).toBeNull();
+      await expect(mailer.sendMail({ to: 'a@raipur.gov.in', subject: 'Reset', text: 'A link' }))
+        .rejects.toThrow(/No mail transport/);
+      expect(log).not.toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+      process.env = saved;
+    }
+  });
+});
+
+// ── Email addresses ───────────────────────────────────────────────────────────
+describe('PATCH /api/portal/users/:id/email', () => {
+  const setEmail = (id, email) => request(app)
+    .patch(`/api/portal/users/${id}/email`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ email });
+
+  test('stores the address lower-cased', async () => {
+    const res = await setEmail(2, '  Revenue.Office@Raipur.GOV.in ');
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe('revenue.office@raipur.gov.in');
+
+    const list = await request(app).get('/api/portal/users').set('Authorization', `Bearer ${adminToken}`);
+    expect(list.body.find(u => u.id === 2).email).toBe('revenue.office@raipur.gov.in');
+  });
+
+  test('rejects an invalid or already used address', async () => {
+    expect((await setEmail(3, 'not-an-address')).status).toBe(400);
+    expect((await setEmail(3, 'revenue.office@raipur.gov.in')).status).toBe(409);
+  });
+
+  test('404 for an unknown user, 403 for non-admins', async () => {
+    expect((await setEmail(9999, 'x@raipur.gov.in')).status).toBe(404);
+
+    const { token } = (await login('dept_health', 'Dept@Test123')).body;
+    const res = await request(app)
+      .patch('/api/portal/users/3/email')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'mine@raipur.gov.in' });
+    expect(res.status).toBe(403);
+  });
+
+  test('POST /users accepts an email address', async () => {
+    const res = await request(app)
+      .post('/api/portal/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ username: 'dept_mailtest', password: 'Starter#Key481', role: 'department', dept_id: 2, email: 'MailTest@raipur.gov.in' });
+    expect(res.status).toBe(201);
+    const row = db.prepare('SELECT email FROM users WHERE id = ?').get(res.body.userId);
+    expect(row.email).toBe('mailtest@raipur.gov.in');
+  });
+});
+
+// ── POST /api/auth/forgot-password ────────────────────────────────────────────
+describe('POST /api/auth/forgot-password', () => {
+  test('400 when neither username nor email is given', async () => {
+    expect((await forgot({})).status).toBe(400);
+  });
+
+  test('answers the same for unknown users and accounts without email, sending nothing', async () => {
+    const before = mails().length;
+    const unknown = await forgot({ username: 'no_such_user' });
+    const noEmail = await forgot({ username: 'dept_health' });
+
+    expect(unknown.status).toBe(200);
+    expect(noEmail.status).toBe(200);
+    expect(unknown.body).toEqual(noEmail.body);
+    expect(mails()).toHaveLength(before);
+  });
+
+  test('mails a reset link and stores only the token hash', async () => {
+    const res = await forgot({ username: 'dept_revenue' });
+    expect(res.status).toBe(200);
+
+    const mail = mails().pop();
+    expect(mail).toMatch(/To: revenue\.office@raipur\.gov\.in/);
+    expect(mail).toMatch(/dept_revenue/);
+    const token = tokenFrom(mail);
+
+    const rows = db.prepare('SELECT token_hash, expires_at FROM password_resets WHERE user_id = 2').all();
+    expect(rows).toHaveLength(1);
+    expect(rows[0].token_hash).not.toBe(token);
+    expect(rows[0].token_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('can be requested by email address', async () => {
+    const before = mails().length;
+    await forgot({ email: 'REVENUE.OFFICE@raipur.gov.in' });
+    expect(mails()).toHaveLength(before + 1);
+  });
+
+  test('sends nothing for a deactivated account', async () => {
+    db.prepare("UPDATE users SET is_active = 0 WHERE username = 'dept_mailtest'").run();
+    const before = mails().length;
+    await forgot({ username: 'dept_mailtest' });
+    expect(mails()).toHaveLength(before);
+    db.prepare("UPDATE users SET is_active = 1 WHERE username = 'dept_mailtest'").run();
+  });
+});
+
+// ── POST /api/auth/reset-password ─────────────────────────────────────────────
+describe('POST /api/auth/reset-password', () => {
+  test('400 when fields are missing or the token is unknown', async () => {
+    expect((await reset(undefined, 'Whatever#Pass123')).status).toBe(400);
+    expect((await reset('bogus-token', 'Whatever#Pass123')).status).toBe(400);
+  });
+
+  test('a newer request supersedes an older link', async () => {
+    await forgot({ username: 'dept_revenue' });
+    const older = tokenFrom(mails().pop());
+    await forgot({ username: 'dept_revenue' });
+
+    const res = await reset(older, 'Harbour#Lights72');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/invalid or has expired/);
+  });
+
+  test('rejects a password that violates the policy without consuming the link', async () => {
+    await forgot({ username: 'dept_revenue' });
+    const token = tokenFrom(mails().pop());
+
+    const weak = await reset(token, 'REVENUE@2024');
+    expect(weak.status).toBe(400);
+    const reused = await reset(token, 'Dept@Test123');
+    expect(reused.status).toBe(400);
+    expect(reused.body.error).toMatch(/differ from your last/);
+
+    const ok = await reset(token, 'Harbour#Lights72');
+    expect(ok.status).toBe(200);
+  });
+
+  test('sets the password, revokes sessions and cannot be replayed', async () => {
+    const old = (await login('dept_revenue', 'Harbour#Lights72')).body.token;
+
+    await forgot({ username: 'dept_revenue' });
+    const token = tokenFrom(mails().pop());
+    expect((await reset(token, 'Orchard#Window19')).status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${old}`);
+    expect(me.status).toBe(401);
+
+    const res = await login('dept_revenue', 'Orchard#Window19');
+    expect(res.status).toBe(200);
+    expect(res.body.passwordChangeRequired).toBe(false);
+
+    expect((await reset(token, 'Another#Choice55')).status).toBe(400);
+  });
+
+  test('expired links are refused', async () => {
+    await forgot({ username: 'dept_revenue' });
+    const token = tokenFrom(mails().pop());
+    db.prepare("UPDATE password_resets SET expires_at = datetime('now', '-1 minute') WHERE user_id = 2").run();
+
+    expect((await reset(token, 'Another#Choice55')).status).toBe(400);
+  });
+
+  test('a reset lifts an account lockout', async () => {
+    db.prepare("UPDATE users SET failed_attempts = 5, locked_until = datetime('now', '+1 hour') WHERE id = 2").run();
+    await forgot({ username: 'dept_revenue' });
+    const token = tokenFrom(mails().pop());
+
+    expect((await reset(token, 'Meadow#Signal64')).status).toBe(200);
+    expect((await login('dept_revenue', 'Meadow#Signal64')).status).toBe(200);
+  });
+
+  test('changing the email address invalidates outstanding links', async () => {
+    await forgot({ username: 'dept_revenue' });
+    const token = tokenFrom(mails().pop());
+
+    await request(app)
+      .patch('/api/portal/users/2/email')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'revenue.new@raipur.gov.in' });
+
+    expect((await reset(token, 'Another#Choice55')).status).toBe(400);
+  });
+});
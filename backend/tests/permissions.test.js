@@ -0,0 +1,308 @@
+/**
+ * permissions.test.js — tests for the role / permission model
+ * Covers: permissions in login and /me, requirePermission on notices, users
+ *         and departments, the auditor / dept_head / clerk built-in roles,
+ *         department-scoped closing and reassigning, role validation on user creation,
+ *         GET/PUT /api/portal/roles, PATCH /api/portal/users/:id/role, and the
+ *         guard that keeps at least one account able to manage users
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const bcrypt  = require('bcryptjs');
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Extra accounts for the non-default roles (password Dept@Test123):
+//   auditor (no department), head_revenue (dept_head, REVENUE), clerk_revenue (clerk, REVENUE)
+const ids = {};
+
+beforeAll(() => {
+  const hash   = bcrypt.hashSync('Dept@Test123', 4);
+  const insert = db.prepare('INSERT INTO users (username, password_hash, role, dept_id) VALUES (?, ?, ?, ?)');
+  ids.auditor = insert.run('auditor',       hash, 'auditor',   null).lastInsertRowid;
+  ids.head    = insert.run('head_revenue',  hash, 'dept_head', 1).lastInsertRowid;
+  ids.clerk   = insert.run('clerk_revenue', hash, 'clerk',     1).lastInsertRowid;
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+async function login(username, password = 'Dept@Test123') {
+  return (await request(app).post('/api/auth/login').send({ username, password })).body;
+}
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  put:    url => request(app).put(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** createNotice — as `token`, to the given user ids; returns the notice id. */
+async function createNotice(token, targets) {
+  const req = as(token).post('/api/portal/notices')
+    .field('title', 'Permission test')
+    .field('body', 'Body')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-12-31');
+  targets.forEach(id => req.field('target_user_ids', String(id)));
+  const res = await req;
+  expect(res.status).toBe(201);
+  return res.body.noticeId;
+}
+
+/** complete — every recipient of a notice completes it and the sender accepts. */
+function complete(noticeId) {
+  db.prepare("UPDATE notice_status SET status = 'Accepted', updated_at = datetime('now') WHERE notice_id = ?").run(noticeId);
+}
+
+// ── Session profile ───────────────────────────────────────────────────────────
+describe('permissions in the session profile', () => {
+  test('login and /me return the role\'s permissions', async () => {
+    const body = await login('clerk_revenue');
+    expect(body.user.permissions).toEqual(['notice.respond']);
+
+    const me = await as(body.token).get('/api/auth/me');
+    expect(me.body.role).toBe('clerk');
+    expect(me.body.permissions).toEqual(['notice.respond']);
+  });
+});
+
+// ── Auditor ───────────────────────────────────────────────────────────────────
+describe('auditor role', () => {
+  let token;
+  beforeAll(async () => { token = (await login('auditor')).token; });
+
+  test('reads every notice and the district statistics', async () => {
+    for (const url of ['/all', '/summary', '/monthly-stats', '/delayed-response']) {
+      expect((await as(token).get(`/api/portal/notices${url}`)).status).toBe(200);
+    }
+  });
+
+  test('cannot close, issue notices, manage users or create departments', async () => {
+    const { token: revenue } = await login('dept_revenue');
+    const noticeId = await createNotice(revenue, [3]);
+    complete(noticeId);
+
+    expect((await as(token).delete(`/api/portal/notices/${noticeId}`)).status).toBe(403);
+    expect((await as(token).post('/api/portal/notices').send({ title: 't' })).status).toBe(403);
+    expect((await as(token).get('/api/portal/users')).status).toBe(403);
+    expect((await as(token).post('/api/departments').send({ name: 'Audit Cell' })).status).toBe(403);
+  });
+
+  test('has an empty inbox and outbox and is not a notice recipient', async () => {
+    expect((await as(token).get('/api/portal/notices/inbox')).body).toEqual([]);
+    expect((await as(token).get('/api/portal/notices/outbox')).body).toEqual([]);
+
+    const { token: revenue } = await login('dept_revenue');
+    const picker = await as(revenue).get('/api/portal/users/active');
+    expect(picker.body.map(u => u.username)).not.toContain('auditor');
+    expect(picker.body.map(u => u.username)).not.toContain('admin');
+
+    const res = await as(revenue).post('/api/portal/notices')
+      .field('title', 'To everyone').field('body', 'B').field('priority', 'Low')
+      .field('deadline', '2099-12-31').field('target_all', '1');
+    const recipients = db.prepare('SELECT user_id FROM notice_status WHERE notice_id = ?')
+      .all(res.body.noticeId).map(r => r.user_id);
+    expect(recipients).toContain(ids.clerk);
+    expect(recipients).not.toContain(ids.auditor);
+  });
+});
+
+// ── Clerk ─────────────────────────────────────────────────────────────────────
+describe('clerk role', () => {
+  test('responds to notices but cannot issue them', async () => {
+    const { token: health } = await login('dept_health');
+    const noticeId = await createNotice(health, [ids.clerk]);
+
+    const { token } = await login('clerk_revenue');
+    const res = await as(token).patch(`/api/portal/notices/${noticeId}/status`)
+      .send({ status: 'Completed', remark: 'Done' });
+    expect(res.status).toBe(200);
+
+    const create = await as(token).post('/api/portal/notices')
+      .field('title', 'T').field('body', 'B').field('priority', 'Low')
+      .field('deadline', '2099-12-31').field('target_all', '1');
+    expect(create.status).toBe(403);
+  });
+});
+
+// ── Department head ───────────────────────────────────────────────────────────
+describe('dept_head role', () => {
+  let token;
+  beforeAll(async () => { token = (await login('head_revenue')).token; });
+
+  test('closes completed notices issued from their own department', async () => {
+    const { token: revenue } = await login('dept_revenue');
+    const noticeId = await createNotice(revenue, [3]);
+
+    const early = await as(token).delete(`/api/portal/notices/${noticeId}`);
+    expect(early.status).toBe(400);
+
+    complete(noticeId);
+    expect((await as(token).delete(`/api/portal/notices/${noticeId}`)).status).toBe(200);
+  });
+
+  test('cannot close notices issued from another department', async () => {
+    const { token: health } = await login('dept_health');
+    const noticeId = await createNotice(health, [2]);
+    complete(noticeId);
+
+    const res = await as(token).delete(`/api/portal/notices/${noticeId}`);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/your department/);
+  });
+
+  test('a department user still cannot close a colleague\'s notice', async () => {
+    const noticeId = await createNotice(token, [3]);
+    complete(noticeId);
+    const { token: revenue } = await login('dept_revenue');
+    expect((await as(revenue).delete(`/api/portal/notices/${noticeId}`)).status).toBe(403);
+  });
+
+  test('reassigns a colleague\'s notice within their own department', async () => {
+    const { token: health } = await login('dept_health');
+    const noticeId = await createNotice(health, [ids.clerk]);
+    const row = id => db.prepare('SELECT * FROM notice_status WHERE notice_id = ? AND user_id = ?').get(noticeId, id);
+
+    const res = await as(token).post(`/api/portal/notices/${noticeId}/forward`)
+      .send({ status_id: row(ids.clerk).id, target_user_id: 2, note: 'Needs the Tehsildar.' });
+    expect(res.status).toBe(201);
+    expect(row(ids.clerk).status).toBe('Reassigned');
+    expect(row(2)).toMatchObject({ status: 'Pending', forwarded_from: row(ids.clerk).id, forwarded_by: ids.head });
+  });
+
+  test('cannot reassign copies outside their department; department users cannot reassign', async () => {
+    const { token: revenue } = await login('dept_revenue');
+    const noticeId = await createNotice(revenue, [3, ids.clerk]);
+    const rowId = id => db.prepare('SELECT id FROM notice_status WHERE notice_id = ? AND user_id = ?').get(noticeId, id).id;
+
+    const other = await as(token).post(`/api/portal/notices/${noticeId}/forward`)
+      .send({ status_id: rowId(3), target_user_id: 4 });
+    expect(other.status).toBe(403);
+    expect(other.body.error).toMatch(/your own department/);
+
+    const { token: health } = await login('dept_health');
+    expect((await as(health).post(`/api/portal/notices/${noticeId}/forward`)
+      .send({ mode: 'reassign', target_user_id: 4 })).status).toBe(403);
+    expect((await as(token).post(`/api/portal/notices/${noticeId}/forward`)
+      .send({ mode: 'forward', status_id: rowId(ids.clerk), target_user_id: 4 })).status).toBe(400);
+  });
+});
+
+// ── Role validation on user creation ──────────────────────────────────────────
+describe('POST /api/portal/users with the new roles', () => {
+  let adminToken;
+  beforeAll(async () => { adminToken = (await login('admin', 'Admin@Test123')).token; });
+
+  const create = (body) => as(adminToken).post('/api/portal/users')
+    .send({ password: 'Orchid#Lantern42', ...body });
+
+  test('roles that need a department require dept_id', async () => {
+    const res = await create({ username: 'new_head', role: 'dept_head' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Department Head/);
+
+    expect((await create({ username: 'new_head', role: 'dept_head', dept_id: 99 })).status).toBe(400);
+    expect((await create({ username: 'new_head', role: 'dept_head', dept_id: 2 })).status).toBe(201);
+  });
+
+  test('roles without a department store dept_id as NULL', async () => {
+    const res = await create({ username: 'new_auditor', role: 'auditor', dept_id: 2 });
+    expect(res.status).toBe(201);
+    expect(db.prepare('SELECT dept_id FROM users WHERE id = ?').get(res.body.userId).dept_id).toBeNull();
+  });
+
+  test('unknown roles are rejected', async () => {
+    expect((await create({ username: 'new_root', role: 'root' })).status).toBe(400);
+  });
+});
+
+// ── Roles API ─────────────────────────────────────────────────────────────────
+describe('GET / PUT /api/portal/roles', () => {
+  let adminToken;
+  beforeAll(async () => { adminToken = (await login('admin', 'Admin@Test123')).token; });
+
+  test('lists every role with its permissions and the permission catalogue', async () => {
+    const res = await as(adminToken).get('/api/portal/roles');
+    expect(res.status).toBe(200);
+    expect(res.body.roles.map(r => r.name)).toEqual(['admin', 'auditor', 'clerk', 'department', 'dept_head']);
+    expect(res.body.roles.find(r => r.name === 'auditor')).toEqual({
+      name: 'auditor', label: 'District Auditor', requires_department: false, permissions: ['notice.view_all']
+    });
+    expect(Object.keys(res.body.permissions)).toContain('notice.close_department');
+
+    const { token } = await login('head_revenue');
+    expect((await as(token).get('/api/portal/roles')).status).toBe(403);
+  });
+
+  test('a permission change applies to the next request without a new login', async () => {
+    const { token } = await login('auditor');
+    expect((await as(token).get('/api/portal/users')).status).toBe(403);
+
+    const put = await as(adminToken).put('/api/portal/roles/auditor/permissions')
+      .send({ permissions: ['notice.view_all', 'user.manage'] });
+    expect(put.status).toBe(200);
+    expect((await as(token).get('/api/portal/users')).status).toBe(200);
+
+    await as(adminToken).put('/api/portal/roles/auditor/permissions').send({ permissions: ['notice.view_all'] });
+    expect((await as(token).get('/api/portal/users')).status).toBe(403);
+  });
+
+  test('validates the role and the permission names', async () => {
+    expect((await as(adminToken).put('/api/portal/roles/root/permissions').send({ permissions: [] })).status).toBe(404);
+    expect((await as(adminToken).put('/api/portal/roles/clerk/permissions').send({ permissions: 'notice.respond' })).status).toBe(400);
+    const res = await as(adminToken).put('/api/portal/roles/clerk/permissions').send({ permissions: ['notice.fly'] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/notice\.fly/);
+  });
+
+  test('refuses to take user.manage away from every active account', async () => {
+    const res = await as(adminToken).put('/api/portal/roles/admin/permissions').send({ permissions: ['notice.view_all'] });
+    expect(res.status).toBe(400);
+    expect((await as(adminToken).get('/api/portal/users')).status).toBe(200);
+  });
+});
+
+// ── Changing a user's role ────────────────────────────────────────────────────
+describe('PATCH /api/portal/users/:id/role', () => {
+  let adminToken;
+  beforeAll(async () => { adminToken = (await login('admin', 'Admin@Test123')).token; });
+
+  test('moves the user and revokes their sessions', async () => {
+    const { token } = await login('clerk_revenue');
+
+    const res = await as(adminToken).patch(`/api/portal/users/${ids.clerk}/role`)
+      .send({ role: 'department', dept_id: 1 });
+    expect(res.status).toBe(200);
+    expect((await as(token).get('/api/auth/me')).status).toBe(401);
+
+    const fresh = await login('clerk_revenue');
+    expect(fresh.user.permissions).toContain('notice.create');
+  });
+
+  test('validates the role and department', async () => {
+    const url = `/api/portal/users/${ids.clerk}/role`;
+    expect((await as(adminToken).patch(url).send({ role: 'dept_head' })).status).toBe(400);
+    expect((await as(adminToken).patch(url).send({ role: 'root' })).status).toBe(400);
+    expect((await as(adminToken).patch('/api/portal/users/9999/role').send({ role: 'clerk', dept_id: 1 })).status).toBe(404);
+  });
+
+  test('the last account that can manage users cannot be moved out of it', async () => {
+    const res = await as(adminToken).patch('/api/portal/users/1/role').send({ role: 'auditor' });
+    expect(res.status).toBe(400);
+    expect(db.prepare('SELECT role FROM users WHERE id = 1').get().role).toBe('admin');
+  });
+});
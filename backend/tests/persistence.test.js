@@ -52,12 +52,29 @@ function runSchema(db) {
       id INTEGER PRIMARY KEY, code TEXT NOT NULL UNIQUE,
       name TEXT NOT NULL, website TEXT, description TEXT, category TEXT
     );
+    CREATE TABLE IF NOT EXISTS roles (
+      name TEXT PRIMARY KEY, label TEXT NOT NULL,
+      requires_department INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role TEXT NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+      permission TEXT NOT NULL,
+      PRIMARY KEY (role, permission)
+    );
     CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       username TEXT NOT NULL UNIQUE, password_hash TEXT NOT NULL,
-      role TEXT NOT NULL CHECK(role IN ('admin','department')),
+      role TEXT NOT NULL REFERENCES roles(name),
       dept_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
       is_active INTEGER NOT NULL DEFAULT 1,
+      token_version INTEGER NOT NULL DEFAULT 0,
+      totp_secret TEXT, totp_enabled INTEGER NOT NULL DEFAULT 0,
+      totp_last_step INTEGER,
+      failed_attempts INTEGER NOT NULL DEFAULT 0, locked_until TEXT,
+      must_change_password INTEGER NOT NULL DEFAULT 0,
+      password_changed_at TEXT DEFAULT (datetime('now')),
+      email TEXT,
+      auth_provider TEXT NOT NULL DEFAULT 'local' CHECK(auth_provider IN ('local','ldap')),
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
       last_login TEXT
     );
@@ -69,17 +86,142 @@ function runSchema(db) {
       created_by INTEGER NOT NULL REFERENCES users(id),
       target_all INTEGER NOT NULL DEFAULT 0,
       attachment_path TEXT, attachment_name TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      revision INTEGER NOT NULL DEFAULT 1, updated_at TEXT,
+      state TEXT NOT NULL DEFAULT 'published'
+        CHECK(state IN ('draft','scheduled','published')),
+      publish_at TEXT, draft_targets TEXT,
+      series_id INTEGER REFERENCES notice_series(id) ON DELETE SET NULL,
+      series_seq INTEGER,
+      withdrawn_at TEXT,
+      withdrawn_by INTEGER REFERENCES users(id),
+      withdrawal_reason TEXT,
+      closed_at TEXT,
+      closed_by INTEGER REFERENCES users(id)
+    );
+    CREATE TABLE IF NOT EXISTS notice_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL, body TEXT NOT NULL,
+      priority TEXT NOT NULL CHECK(priority IN ('High','Normal','Low')),
+      targets TEXT NOT NULL,
+      frequency TEXT NOT NULL CHECK(frequency IN ('daily','weekly','monthly','quarterly')),
+      starts_at TEXT NOT NULL,
+      deadline_days INTEGER NOT NULL DEFAULT 0 CHECK(deadline_days >= 0),
+      ends_on TEXT, max_count INTEGER CHECK(max_count > 0),
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK(status IN ('active','paused','stopped','finished')),
+      period INTEGER NOT NULL DEFAULT 0, next_run_at TEXT,
+      sent_count INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER NOT NULL REFERENCES users(id),
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
+    CREATE TABLE IF NOT EXISTS notice_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL, title TEXT NOT NULL, body TEXT NOT NULL,
+      priority TEXT NOT NULL DEFAULT 'Normal' CHECK(priority IN ('High','Normal','Low')),
+      targets TEXT,
+      owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      created_by INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')), updated_at TEXT
+    );
     CREATE TABLE IF NOT EXISTS notice_status (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       notice_id INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
-      user_id INTEGER NOT NULL REFERENCES users(id),
+      user_id INTEGER REFERENCES users(id),
+      dept_id INTEGER REFERENCES departments(id),
       status TEXT NOT NULL DEFAULT 'Pending'
-        CHECK(status IN ('Pending','Noted','Completed')),
+        CHECK(status IN ('Pending','Noted','In Progress','Submitted','Accepted','Reassigned')),
       remark TEXT, reply_path TEXT, reply_name TEXT,
       is_read INTEGER NOT NULL DEFAULT 0, updated_at TEXT,
-      UNIQUE(notice_id, user_id)
+      acted_by INTEGER REFERENCES users(id),
+      changed_since_ack INTEGER NOT NULL DEFAULT 0,
+      extended_deadline TEXT,
+      reviewed_by INTEGER REFERENCES users(id),
+      reviewed_at TEXT,
+      review_note TEXT,
+      forwarded_from INTEGER REFERENCES notice_status(id),
+      forwarded_by INTEGER REFERENCES users(id),
+      forwarded_at TEXT, forward_note TEXT,
+      UNIQUE(notice_id, user_id),
+      UNIQUE(notice_id, dept_id)
+    );
+    CREATE TABLE IF NOT EXISTS notice_responses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status_id INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+      status TEXT NOT NULL CHECK(status IN ('Noted','Submitted','Returned','Accepted')),
+      remark TEXT NOT NULL, reply_path TEXT, reply_name TEXT,
+      acted_by INTEGER REFERENCES users(id),
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS notice_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notice_id INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      title TEXT NOT NULL, body TEXT NOT NULL,
+      priority TEXT NOT NULL, deadline TEXT NOT NULL,
+      edited_by INTEGER NOT NULL REFERENCES users(id),
+      edited_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(notice_id, revision)
+    );
+    CREATE TABLE IF NOT EXISTS notice_comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notice_id INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+      status_id INTEGER REFERENCES notice_status(id) ON DELETE CASCADE,
+      author_id INTEGER NOT NULL REFERENCES users(id),
+      body TEXT NOT NULL, attachment_path TEXT, attachment_name TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS notice_comment_reads (
+      notice_id INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      last_read_id INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (notice_id, user_id)
+    );
+    CREATE TABLE IF NOT EXISTS notice_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notice_id INTEGER NOT NULL REFERENCES notices(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      title TEXT NOT NULL DEFAULT '', deadline TEXT,
+      is_required INTEGER NOT NULL DEFAULT 1,
+      requires_attachment INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS notice_item_done (
+      item_id INTEGER NOT NULL REFERENCES notice_items(id) ON DELETE CASCADE,
+      status_id INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+      done_by INTEGER NOT NULL REFERENCES users(id),
+      done_at TEXT NOT NULL DEFAULT (datetime('now')),
+      remark TEXT, attachment_path TEXT, attachment_name TEXT,
+      PRIMARY KEY (item_id, status_id)
+    );
+    CREATE TABLE IF NOT EXISTS notice_item_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_id INTEGER NOT NULL REFERENCES notice_items(id) ON DELETE CASCADE,
+      status_id INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+      done INTEGER NOT NULL,
+      remark TEXT, attachment_path TEXT, attachment_name TEXT,
+      acted_by INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS deadline_extensions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status_id INTEGER NOT NULL REFERENCES notice_status(id) ON DELETE CASCADE,
+      requested_by INTEGER NOT NULL REFERENCES users(id),
+      proposed_deadline TEXT NOT NULL, reason TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'Pending'
+        CHECK(status IN ('Pending','Approved','Rejected')),
+      decided_by INTEGER REFERENCES users(id),
+      decided_at TEXT, decision_note TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS delegations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_user_id INTEGER NOT NULL REFERENCES users(id),
+      to_user_id INTEGER NOT NULL REFERENCES users(id),
+      starts_on TEXT NOT NULL, ends_on TEXT NOT NULL,
+      created_by INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      CHECK(from_user_id != to_user_id),
+      CHECK(ends_on >= starts_on)
     );
     CREATE TABLE IF NOT EXISTS notice_archive_stats (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -89,10 +231,76 @@ function runSchema(db) {
     CREATE TABLE IF NOT EXISTS refresh_tokens (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      token_hash TEXT NOT NULL, expires_at TEXT NOT NULL,
+      token_hash TEXT NOT NULL, family_id TEXT NOT NULL,
+      expires_at TEXT NOT NULL, revoked_at TEXT,
+      replaced_by INTEGER REFERENCES refresh_tokens(id),
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL, used_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ip TEXT, user_agent TEXT,
+      outcome TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS impersonations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL REFERENCES users(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      reason TEXT NOT NULL,
+      read_only INTEGER NOT NULL DEFAULT 1,
+      ip TEXT, user_agent TEXT,
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL, ended_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      key_prefix TEXT NOT NULL, key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL, rate_limit INTEGER NOT NULL,
+      expires_on TEXT, revoked_at TEXT,
+      last_used_at TEXT, last_used_ip TEXT,
+      created_by INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS password_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      requested_ip TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS role_settings (
+      role TEXT PRIMARY KEY,
+      require_2fa INTEGER NOT NULL DEFAULT 0
+    );
   `);
+  const insertRole = db.prepare('INSERT OR IGNORE INTO roles (name,label,requires_department) VALUES (?,?,?)');
+  for (const role of require('../data/roles.json')) {
+    insertRole.run(role.name, role.label, role.requires_department ? 1 : 0);
+  }
 }
 
 /**
@@ -551,7 +759,7 @@ describe('Notice status — data persists across restarts', () => {
     runSchema(db1);
     db1.prepare(`
       UPDATE notice_status
-      SET status='Completed', remark='Done', reply_path='/uploads/reply.pdf',
+      SET status='Submitted', remark='Done', reply_path='/uploads/reply.pdf',
           reply_name='reply.pdf', is_read=1, updated_at='2026-02-20 09:00:00'
       WHERE notice_id=? AND user_id=2
     `).run(noticeId);
@@ -562,7 +770,7 @@ describe('Notice status — data persists across restarts', () => {
     const row = db2.prepare(
       'SELECT * FROM notice_status WHERE notice_id=? AND user_id=2'
     ).get(noticeId);
-    expect(row.status).toBe('Completed');
+    expect(row.status).toBe('Submitted');
     expect(row.remark).toBe('Done');
     expect(row.reply_path).toBe('/uploads/reply.pdf');
     expect(row.reply_name).toBe('reply.pdf');
@@ -639,8 +847,8 @@ describe('Refresh tokens — data persists across restarts', () => {
       `INSERT INTO users (id,username,password_hash,role) VALUES (1,'admin','hash','admin')`
     ).run();
     const r = db1.prepare(
-      `INSERT INTO refresh_tokens (user_id,token_hash,expires_at)
-       VALUES (1,'abc123hash','2026-12-31 00:00:00')`
+      `INSERT INTO refresh_tokens (user_id,token_hash,family_id,expires_at)
+       VALUES (1,'abc123hash','fam-1','2026-12-31 00:00:00')`
     ).run();
     const id = r.lastInsertRowid;
     db1.close();
@@ -651,7 +859,9 @@ describe('Refresh tokens — data persists across restarts', () => {
     expect(row).toBeDefined();
     expect(row.user_id).toBe(1);
     expect(row.token_hash).toBe('abc123hash');
+    expect(row.family_id).toBe('fam-1');
     expect(row.expires_at).toBe('2026-12-31 00:00:00');
+    expect(row.revoked_at).toBeNull();
     db2.close();
   });
 });
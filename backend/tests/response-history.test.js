@@ -0,0 +1,114 @@
+/**
+ * response-history.test.js — tests for keeping every response to a notice
+ * Covers: Noted then Completed keeping both remarks and files, the status
+ *         row showing the latest response, a fresh response after an edit,
+ *         who responded for a department, and the per-recipient timeline
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => {
+  let n = 0;
+  return {
+    saveFile:   jest.fn().mockImplementation(async () => `/uploads/mock-reply-${++n}.pdf`),
+    deleteFile: jest.fn().mockResolvedValue(undefined),
+    isS3:       false,
+  };
+});
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3 (department 2), dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:   url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:  url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch: url => request(app).patch(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** sendNotice — dept_revenue issues a notice to dept_civil, or to a department. */
+async function sendNotice(field = 'target_user_ids', value = '4') {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Encroachment survey, ward 12')
+    .field('body', 'Survey the encroachments and report.')
+    .field('priority', 'Normal')
+    .field('deadline', '2099-06-30')
+    .field(field, value);
+  return res.body.noticeId;
+}
+
+/** respond — `name` answers the notice, optionally with a reply file. */
+function respond(name, id, status, remark, file) {
+  const req = as(tokens[name]).patch(`/api/portal/notices/${id}/status`)
+    .field('status', status).field('remark', remark);
+  return file ? req.attach('reply', Buffer.from('fake pdf'), { filename: file, contentType: 'application/pdf' }) : req;
+}
+
+const detail = async id => (await as(tokens.dept_revenue).get(`/api/portal/notices/${id}`)).body;
+
+describe('response history', () => {
+  test('Noted then Completed keeps both remarks and both files', async () => {
+    const id = await sendNotice();
+    await respond('dept_civil', id, 'Noted', 'Survey team assigned.', 'team-order.pdf');
+    await respond('dept_civil', id, 'Completed', '14 encroachments found.', 'survey.pdf');
+
+    const [status] = (await detail(id)).statuses;
+    expect(status).toMatchObject({ status: 'Submitted', remark: '14 encroachments found.', reply_name: 'survey.pdf' });
+    expect(status.responses).toMatchObject([
+      { status: 'Noted',     remark: 'Survey team assigned.',   reply_name: 'team-order.pdf', acted_by_username: 'dept_civil' },
+      { status: 'Submitted', remark: '14 encroachments found.', reply_name: 'survey.pdf',     acted_by_username: 'dept_civil' }
+    ]);
+    expect(status.responses[0].reply_path).not.toBe(status.responses[1].reply_path);
+  });
+
+  test('a response without a file keeps the earlier file in the history', async () => {
+    const id = await sendNotice();
+    await respond('dept_civil', id, 'Noted', 'Received.', 'acknowledgement.pdf');
+    await respond('dept_civil', id, 'Completed', 'Done.');
+
+    const [status] = (await detail(id)).statuses;
+    expect(status.reply_path).toBeNull();
+    expect(status.responses.map(r => r.reply_name)).toEqual(['acknowledgement.pdf', null]);
+  });
+
+  test('a fresh response after an edit is added, not swapped in', async () => {
+    const id = await sendNotice();
+    await respond('dept_civil', id, 'Completed', 'First report.');
+    await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}`).send({ body: 'Survey wards 12 and 13.' });
+    await respond('dept_civil', id, 'Completed', 'Ward 13 added.');
+
+    const [status] = (await detail(id)).statuses;
+    expect(status.responses.map(r => r.remark)).toEqual(['First report.', 'Ward 13 added.']);
+  });
+
+  test('records which member answered for a department', async () => {
+    const id = await sendNotice('target_dept_ids', '2');
+    await respond('dept_health', id, 'Noted', 'Forwarded to the health inspector.');
+
+    const [status] = (await detail(id)).statuses;
+    expect(status.responses).toHaveLength(1);
+    expect(status.responses[0].acted_by_username).toBe('dept_health');
+  });
+
+  test('recipients who have not responded have an empty history', async () => {
+    const id = await sendNotice();
+    const [status] = (await detail(id)).statuses;
+    expect(status).toMatchObject({ status: 'Pending', responses: [] });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * session-cookies.test.js — tests for the cookie session mode and CSRF checks
+ * Covers: login/2FA/refresh/change-password with { session: 'cookie' }, cookie
+ *         attributes, cookie-authenticated requests, double-submit CSRF on
+ *         state-changing requests, logout clearing the cookies
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const totp    = require('../totp');
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+/** cookiesFrom — { name: { value, attrs } } from a response's Set-Cookie headers. */
+function cookiesFrom(res) {
+  const out = {};
+  for (const line of res.headers['set-cookie'] || []) {
+    const [pair, ...attrs] = line.split(';').map(s => s.trim());
+    const eq = pair.indexOf('=');
+    out[pair.slice(0, eq)] = { value: decodeURIComponent(pair.slice(eq + 1)), attrs: attrs.join('; ') };
+  }
+  return out;
+}
+
+/** jar — Cookie header value for the session cookies of a response. */
+function jar(cookies) {
+  return Object.entries(cookies).map(([name, c]) => `${name}=${c.value}`).join('; ');
+}
+
+async function cookieLogin(username, password) {
+  const res = await request(app).post('/api/auth/login').send({ username, password, session: 'cookie' });
+  return { res, cookies: cookiesFrom(res) };
+}
+
+// ── Login ─────────────────────────────────────────────────────────────────────
+describe('cookie login', () => {
+  test('sets httpOnly SameSite=Strict cookies and keeps tokens out of the body', async () => {
+    const { res, cookies } = await cookieLogin('dept_revenue', 'Dept@Test123');
+
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('token');
+    expect(res.body).not.toHaveProperty('refreshToken');
+    expect(res.body.user.username).toBe('dept_revenue');
+    expect(res.body.csrfToken).toBe(cookies.portal_csrf.value);
+
+    expect(cookies.portal_session.attrs).toMatch(/HttpOnly/);
+    expect(cookies.portal_session.attrs).toMatch(/SameSite=Strict/);
+    expect(cookies.portal_session.attrs).toMatch(/Path=\/api(;|$)/);
+    expect(cookies.portal_refresh.attrs).toMatch(/HttpOnly/);
+    expect(cookies.portal_refresh.attrs).toMatch(/Path=\/api\/auth/);
+    expect(cookies.portal_csrf.attrs).not.toMatch(/HttpOnly/);
+    expect(cookies.portal_csrf.attrs).toMatch(/SameSite=Strict/);
+  });
+
+  test('without { session: "cookie" } the token pair is returned and no cookies are set', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'dept_revenue', password: 'Dept@Test123' });
+    expect(res.body).toHaveProperty('token');
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('cookies are marked Secure in production', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      const { cookies } = await cookieLogin('dept_revenue', 'Dept@Test123');
+      expect(cookies.portal_session.attrs).toMatch(/Secure/);
+      expect(cookies.portal_csrf.attrs).toMatch(/Secure/);
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
+
+// ── Cookie-authenticated requests ─────────────────────────────────────────────
+describe('requests authenticated by cookie', () => {
+  let cookies;
+
+  beforeAll(async () => {
+    ({ cookies } = await cookieLogin('admin', 'Admin@Test123'));
+  });
+
+  const patchEmail = () => request(app)
+    .patch('/api/portal/users/3/email')
+    .set('Cookie', jar(cookies))
+    .send({ email: 'health@raipur.gov.in' });
+
+  test('GET requests need no CSRF token', async () => {
+    const res = await request(app).get('/api/portal/users').set('Cookie', jar(cookies));
+    expect(res.status).toBe(200);
+  });
+
+  test('state-changing requests without the CSRF header are rejected', async () => {
+    const res = await patchEmail();
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('CSRF_FAILED');
+  });
+
+  test('a CSRF header that does not match the cookie is rejected', async () => {
+    const res = await patchEmail().set('X-CSRF-Token', 'forged-value');
+    expect(res.status).toBe(403);
+  });
+
+  test('the CSRF token of another session is rejected', async () => {
+    const other = (await cookieLogin('admin', 'Admin@Test123')).cookies;
+    const res = await request(app)
+      .patch('/api/portal/users/3/email')
+      .set('Cookie', `portal_session=${cookies.portal_session.value}; portal_csrf=${other.portal_csrf.value}`)
+      .set('X-CSRF-Token', other.portal_csrf.value)
+      .send({ email: 'health@raipur.gov.in' });
+    expect(res.status).toBe(403);
+  });
+
+  test('a matching CSRF header lets the request through', async () => {
+    const res = await patchEmail().set('X-CSRF-Token', cookies.portal_csrf.value);
+    expect(res.status).toBe(200);
+  });
+
+  test('Bearer requests are not subject to the CSRF check', async () => {
+    const { token } = (await request(app).post('/api/auth/login').send({ username: 'admin', password: 'Admin@Test123' })).body;
+    const res = await request(app)
+      .patch('/api/portal/users/3/email')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'health@raipur.gov.in' });
+    expect(res.status).toBe(200);
+  });
+});
+
+// ── Refresh ───────────────────────────────────────────────────────────────────
+describe('POST /api/auth/refresh with cookies', () => {
+  test('rotates the refresh cookie when the CSRF header is present', async () => {
+    const { cookies } = await cookieLogin('dept_health', 'Dept@Test123');
+
+    const missing = await request(app).post('/api/auth/refresh').set('Cookie', jar(cookies));
+    expect(missing.status).toBe(403);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', jar(cookies))
+      .set('X-CSRF-Token', cookies.portal_csrf.value);
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('token');
+
+    const next = cookiesFrom(res);
+    expect(next.portal_refresh.value).not.toBe(cookies.portal_refresh.value);
+    // The CSRF token is tied to the session, so it survives the refresh.
+    expect(next.portal_csrf.value).toBe(cookies.portal_csrf.value);
+
+    const me = await request(app).get('/api/auth/me').set('Cookie', jar(next));
+    expect(me.status).toBe(200);
+
+    // Replaying the old refresh cookie revokes the session and clears cookies.
+    const replay = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', jar(cookies))
+      .set('X-CSRF-Token', cookies.portal_csrf.value);
+    expect(replay.status).toBe(401);
+    expect(cookiesFrom(replay).portal_session.attrs).toMatch(/Expires=Thu, 01 Jan 1970/);
+  });
+
+  test('400 when there is neither a body token nor a cookie', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+// ── Logout ────────────────────────────────────────────────────────────────────
+describe('POST /api/auth/logout with cookies', () => {
+  test('requires CSRF, then clears the cookies and revokes the session', async () => {
+    const { cookies } = await cookieLogin('dept_civil', 'Dept@Test123');
+
+    expect((await request(app).post('/api/auth/logout').set('Cookie', jar(cookies))).status).toBe(403);
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Cookie', jar(cookies))
+      .set('X-CSRF-Token', cookies.portal_csrf.value);
+    expect(res.status).toBe(200);
+
+    const cleared = cookiesFrom(res);
+    ['portal_session', 'portal_refresh', 'portal_csrf'].forEach(name => {
+      expect(cleared[name].attrs).toMatch(/Expires=Thu, 01 Jan 1970/);
+    });
+
+    const me = await request(app).get('/api/auth/me').set('Cookie', jar(cookies));
+    expect(me.status).toBe(401);
+  });
+});
+
+// ── Other token-issuing endpoints ─────────────────────────────────────────────
+describe('cookie mode on other endpoints', () => {
+  test('change-password reissues cookies for a cookie session', async () => {
+    const { cookies } = await cookieLogin('dept_revenue', 'Dept@Test123');
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Cookie', jar(cookies))
+      .set('X-CSRF-Token', cookies.portal_csrf.value)
+      .send({ currentPassword: 'Dept@Test123', newPassword: 'Quarry#Bridge93' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('token');
+    const next = cookiesFrom(res);
+    expect(next.portal_csrf.value).not.toBe(cookies.portal_csrf.value);
+
+    const me = await request(app).get('/api/auth/me').set('Cookie', jar(next));
+    expect(me.status).toBe(200);
+  });
+
+  test('2FA verify sets cookies when asked to', async () => {
+    const secret = totp.generateSecret();
+    db.prepare("UPDATE users SET totp_secret = ?, totp_enabled = 1 WHERE username = 'dept_health'").run(secret);
+
+    const { res: first } = await cookieLogin('dept_health', 'Dept@Test123');
+    expect(first.body.mfaRequired).toBe(true);
+    expect(first.headers['set-cookie']).toBeUndefined();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: first.body.mfaToken, code: totp.generateCode(secret), session: 'cookie' });
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('token');
+    expect(cookiesFrom(res).portal_session).toBeDefined();
+
+    db.prepare("UPDATE users SET totp_secret = NULL, totp_enabled = 0 WHERE username = 'dept_health'").run();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * templates.test.js — tests for the notice templates library
+ * Covers: personal templates (private to their owner), district-wide
+ *         templates (seen by every sender, managed with user.manage),
+ *         placeholders, default recipients, validation, editing and deleting
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3, dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+});
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  put:    url => request(app).put(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+const MEETING = {
+  name:     'Meeting intimation',
+  title:    'Meeting on {{meeting_date}}',
+  body:     'A review meeting will be held on {{meeting_date}} at {{ venue }}. Bring the {{report}}.',
+  priority: 'High'
+};
+
+const create = (token, fields) => as(token).post('/api/portal/templates').send(fields);
+
+// ── Personal templates ────────────────────────────────────────────────────────
+describe('personal templates', () => {
+  test('a sender saves one and sees its placeholders', async () => {
+    const res = await create(tokens.dept_revenue, MEETING);
+    expect(res.status).toBe(201);
+
+    const template = (await as(tokens.dept_revenue).get(`/api/portal/templates/${res.body.id}`)).body;
+    expect(template).toMatchObject({
+      scope: 'personal', priority: 'High', targets: null, can_edit: true,
+      placeholders: ['meeting_date', 'venue', 'report']
+    });
+  });
+
+  test('they are private to their owner', async () => {
+    const id = (await create(tokens.dept_revenue, { ...MEETING, name: 'Private' })).body.id;
+    expect((await as(tokens.dept_health).get(`/api/portal/templates/${id}`)).status).toBe(404);
+    expect((await as(tokens.dept_health).put(`/api/portal/templates/${id}`).send(MEETING)).status).toBe(404);
+    expect((await as(tokens.dept_health).delete(`/api/portal/templates/${id}`)).status).toBe(404);
+    expect((await as(tokens.dept_health).get('/api/portal/templates')).body.map(t => t.id)).not.toContain(id);
+  });
+
+  test('default recipients are checked like a notice\'s', async () => {
+    const res = await create(tokens.dept_revenue, { ...MEETING, target_dept_ids: [2], target_user_ids: [3, 4] });
+    const { targets } = (await as(tokens.dept_revenue).get(`/api/portal/templates/${res.body.id}`)).body;
+    // dept_health (3) is a member of department 2, so only dept_civil (4) stays as a user.
+    expect(targets).toEqual({ target_all: 0, user_ids: [4], dept_ids: [2] });
+
+    expect((await create(tokens.dept_revenue, { ...MEETING, target_dept_ids: [999] })).status).toBe(400);
+  });
+
+  test('the owner edits and deletes them', async () => {
+    const id = (await create(tokens.dept_revenue, MEETING)).body.id;
+    expect((await as(tokens.dept_revenue).put(`/api/portal/templates/${id}`)
+      .send({ ...MEETING, body: 'Meet in {{venue}}.', target_all: '1' })).status).toBe(200);
+
+    const template = (await as(tokens.dept_revenue).get(`/api/portal/templates/${id}`)).body;
+    expect(template).toMatchObject({ placeholders: ['meeting_date', 'venue'], targets: { target_all: 1 } });
+    expect(template.updated_at).not.toBeNull();
+
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/templates/${id}`)).status).toBe(200);
+    expect((await as(tokens.dept_revenue).get(`/api/portal/templates/${id}`)).status).toBe(404);
+  });
+
+  test('400 without a name, title or body, or with a bad priority', async () => {
+    expect((await create(tokens.dept_revenue, { ...MEETING, name: ' ' })).status).toBe(400);
+    expect((await create(tokens.dept_revenue, { ...MEETING, body: '' })).status).toBe(400);
+    expect((await create(tokens.dept_revenue, { ...MEETING, priority: 'Urgent' })).status).toBe(400);
+  });
+});
+
+// ── District-wide templates ───────────────────────────────────────────────────
+describe('district-wide templates', () => {
+  test('administrators create them and every sender sees them first', async () => {
+    const res = await create(tokens.admin, { ...MEETING, name: 'Inspection order' });
+    expect(res.status).toBe(201);
+
+    const list = (await as(tokens.dept_health).get('/api/portal/templates')).body;
+    const district = list.find(t => t.id === res.body.id);
+    expect(district).toMatchObject({ scope: 'district', can_edit: false });
+    expect(list[0].scope).toBe('district');
+  });
+
+  test('senders cannot create, edit or delete them', async () => {
+    expect((await create(tokens.dept_revenue, { ...MEETING, scope: 'district' })).status).toBe(403);
+
+    const id = (await create(tokens.admin, MEETING)).body.id;
+    expect((await as(tokens.dept_revenue).put(`/api/portal/templates/${id}`).send(MEETING)).status).toBe(403);
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/templates/${id}`)).status).toBe(403);
+
+    expect((await as(tokens.admin).put(`/api/portal/templates/${id}`)
+      .send({ ...MEETING, title: 'Review meeting on {{meeting_date}}' })).status).toBe(200);
+    expect((await as(tokens.admin).delete(`/api/portal/templates/${id}`)).status).toBe(200);
+  });
+
+  test('administrators without notice.create have no personal templates', async () => {
+    expect((await create(tokens.admin, { ...MEETING, scope: 'personal' })).status).toBe(403);
+  });
+});
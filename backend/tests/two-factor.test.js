@@ -0,0 +1,406 @@
+/**
+ * two-factor.test.js — tests for TOTP two-factor authentication
+ * Covers: totp.js (RFC 6238 vectors, verification window, recovery codes),
+ *         enrollment, two-step login, reused codes, recovery codes, disable,
+ *         per-role enforcement, admin reset
+ */
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+const totp    = require('../totp');
+
+afterAll(() => {
+  if (db && typeof db.close === 'function') db.close();
+});
+
+async function login(username, password = 'Dept@Test123') {
+  const res = await request(app).post('/api/auth/login').send({ username, password });
+  return res.body;
+}
+
+/** enroll — runs setup + enable for a logged-in user; returns secret and recovery codes. */
+async function enroll(token) {
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${token}`);
+  const enable = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: totp.generateCode(setup.body.secret) });
+  return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes };
+}
+
+/**
+ * freshCode — the current code for `secret`, after forgetting the step of the
+ * last code accepted with it, so a test can use a code again within the same
+ * 30 seconds.
+ */
+function freshCode(secret) {
+  db.prepare('UPDATE users SET totp_last_step = NULL WHERE totp_secret = ?').run(secret);
+  return totp.generateCode(secret);
+}
+
+// ── totp.js ───────────────────────────────────────────────────────────────────
+describe('totp module', () => {
+  // RFC 6238 Appendix B test secret "12345678901234567890" (SHA-1), base32-encoded.
+  const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('matches RFC 6238 test vectors (last 6 digits)', () => {
+    expect(totp.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  test('base32 round-trips arbitrary bytes', () => {
+    const buf = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(totp.base32Decode(totp.base32Encode(buf)).equals(buf)).toBe(true);
+  });
+
+  test('verifyCode accepts the current and adjacent steps only', () => {
+    const secret = totp.generateSecret();
+    expect(totp.verifyCode(secret, totp.generateCode(secret))).toBe(true);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, Date.now() - 30 * 1000))).toBe(true);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, Date.now() - 5 * 60 * 1000))).toBe(false);
+    expect(totp.verifyCode(secret, 'abcdef')).toBe(false);
+  });
+
+  test('matchStep returns the step the code belongs to', () => {
+    const secret = totp.generateSecret();
+    const step   = Math.floor(Date.now() / 30000);
+    expect(totp.matchStep(secret, totp.generateCode(secret, step * 30000))).toBe(step);
+    expect(totp.matchStep(secret, totp.generateCode(secret, (step - 1) * 30000))).toBe(step - 1);
+    expect(totp.matchStep(secret, '12345')).toBeNull();
+  });
+
+  test('otpauthUri includes the secret and account', () => {
+    const uri = totp.otpauthUri('JBSWY3DPEHPK3PXP', 'dept_health');
+    expect(uri).toMatch(/^otpauth:\/\/totp\//);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('dept_health');
+  });
+
+  test('generateRecoveryCodes returns unique XXXXX-XXXXX codes', () => {
+    const codes = totp.generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(c => expect(c).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+  });
+});
+
+// ── Enrollment and two-step login ─────────────────────────────────────────────
+describe('2FA enrollment and login', () => {
+  let secret;
+  let recoveryCodes;
+
+  test('status reports disabled before enrollment', async () => {
+    const { token } = await login('dept_health');
+    const res = await request(app)
+      .get('/api/auth/2fa/status')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.enabled).toBe(false);
+    expect(res.body.required).toBe(false);
+  });
+
+  test('setup returns a secret, otpauth URI and QR data URL', async () => {
+    const { token } = await login('dept_health');
+    const res = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(res.body.otpauth_uri).toContain(res.body.secret);
+    expect(res.body.qr).toMatch(/^data:image\/png;base64,/);
+
+    // Still disabled until confirmed.
+    const row = db.prepare('SELECT totp_enabled FROM users WHERE username = ?').get('dept_health');
+    expect(row.totp_enabled).toBe(0);
+  });
+
+  test('enable rejects a wrong code', async () => {
+    const { token } = await login('dept_health');
+    const res = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('enable with a valid code returns 10 recovery codes stored only as hashes', async () => {
+    const { token } = await login('dept_health');
+    ({ secret, recoveryCodes } = await enroll(token));
+
+    expect(recoveryCodes).toHaveLength(10);
+    const stored = db.prepare(`
+      SELECT rc.code_hash FROM recovery_codes rc
+      JOIN users u ON u.id = rc.user_id WHERE u.username = 'dept_health'
+    `).all();
+    expect(stored).toHaveLength(10);
+    expect(stored.map(r => r.code_hash)).not.toContain(recoveryCodes[0]);
+  });
+
+  test('login now returns an MFA challenge instead of tokens', async () => {
+    const body = await login('dept_health');
+    expect(body.mfaRequired).toBe(true);
+    expect(typeof body.mfaToken).toBe('string');
+    expect(body).not.toHaveProperty('token');
+    expect(body).not.toHaveProperty('refreshToken');
+  });
+
+  test('MFA challenge token is not accepted as an access token', async () => {
+    const { mfaToken } = await login('dept_health');
+    const res = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${mfaToken}`);
+    expect(res.status).toBe(401);
+  });
+
+  test('verify with a wrong code returns 401', async () => {
+    const { mfaToken } = await login('dept_health');
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: '000000' });
+    expect(res.status).toBe(401);
+  });
+
+  test('verify with a valid TOTP code issues a session', async () => {
+    const { mfaToken } = await login('dept_health');
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: freshCode(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.user.username).toBe('dept_health');
+  });
+
+  test('a TOTP code is accepted only once', async () => {
+    const code = freshCode(secret);
+    const first = await login('dept_health');
+    const ok = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: first.mfaToken, code });
+    expect(ok.status).toBe(200);
+
+    const second = await login('dept_health');
+    const replayed = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: second.mfaToken, code });
+    expect(replayed.status).toBe(401);
+
+    const older = await login('dept_health');
+    const earlier = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: older.mfaToken, code: totp.generateCode(secret, Date.now() - 30 * 1000) });
+    expect(earlier.status).toBe(401);
+
+    const regen = await request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${ok.body.token}`)
+      .send({ code });
+    expect(regen.status).toBe(401);
+  });
+
+  test('verify rejects a forged or missing challenge', async () => {
+    const res = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: 'not-a-token', code: totp.generateCode(secret) });
+    expect(res.status).toBe(401);
+
+    const missing = await request(app).post('/api/auth/2fa/verify').send({});
+    expect(missing.status).toBe(400);
+  });
+
+  test('a recovery code works once, in any case and without the dash', async () => {
+    const typed = recoveryCodes[0].replace('-', '').toLowerCase();
+
+    const first = await login('dept_health');
+    const ok = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: first.mfaToken, code: typed });
+    expect(ok.status).toBe(200);
+
+    const second = await login('dept_health');
+    const reused = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: second.mfaToken, code: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+
+  test('regenerating recovery codes invalidates the old set', async () => {
+    const { mfaToken } = await login('dept_health');
+    const session = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: freshCode(secret) });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${session.body.token}`)
+      .send({ code: freshCode(secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+
+    const next = await login('dept_health');
+    const old = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: next.mfaToken, code: recoveryCodes[1] });
+    expect(old.status).toBe(401);
+  });
+
+  test('disable requires the password and a code', async () => {
+    const { mfaToken } = await login('dept_health');
+    const session = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: freshCode(secret) });
+    const auth = `Bearer ${session.body.token}`;
+
+    const wrongPw = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', auth)
+      .send({ password: 'nope', code: totp.generateCode(secret) });
+    expect(wrongPw.status).toBe(401);
+
+    const ok = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', auth)
+      .send({ password: 'Dept@Test123', code: freshCode(secret) });
+    expect(ok.status).toBe(200);
+
+    const body = await login('dept_health');
+    expect(body).toHaveProperty('token');
+    expect(body.mfaRequired).toBeUndefined();
+  });
+});
+
+// ── Per-role enforcement and admin reset ──────────────────────────────────────
+describe('2FA policy and admin reset', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    adminToken = (await login('admin', 'Admin@Test123')).token;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .put('/api/portal/2fa-policy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'department', required: false });
+  });
+
+  test('GET /2fa-policy lists every role as optional by default', async () => {
+    const res = await request(app)
+      .get('/api/portal/2fa-policy')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      { role: 'admin',      required: false },
+      { role: 'auditor',    required: false },
+      { role: 'clerk',      required: false },
+      { role: 'department', required: false },
+      { role: 'dept_head',  required: false }
+    ]);
+  });
+
+  test('PUT /2fa-policy validates input and is admin-only', async () => {
+    const bad = await request(app)
+      .put('/api/portal/2fa-policy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser', required: true });
+    expect(bad.status).toBe(400);
+
+    const { token } = await login('dept_revenue');
+    const forbidden = await request(app)
+      .put('/api/portal/2fa-policy')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'department', required: true });
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('enforced role without 2FA is limited to enrollment until enrolled', async () => {
+    const put = await request(app)
+      .put('/api/portal/2fa-policy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'department', required: true });
+    expect(put.status).toBe(200);
+
+    const body = await login('dept_civil');
+    expect(body.mfaEnrollmentRequired).toBe(true);
+
+    const blocked = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('MFA_ENROLLMENT_REQUIRED');
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(me.status).toBe(200);
+
+    const { secret } = await enroll(body.token);
+    expect(secret).toBeTruthy();
+
+    const allowed = await request(app)
+      .get('/api/portal/notices/inbox')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('users of an enforced role cannot disable 2FA', async () => {
+    const { mfaToken } = await login('dept_civil');
+    const row = db.prepare("SELECT totp_secret FROM users WHERE username = 'dept_civil'").get();
+    const session = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: freshCode(row.totp_secret) });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${session.body.token}`)
+      .send({ password: 'Dept@Test123', code: freshCode(row.totp_secret) });
+    expect(res.status).toBe(403);
+  });
+
+  test('user list shows totp_enabled', async () => {
+    const res = await request(app)
+      .get('/api/portal/users')
+      .set('Authorization', `Bearer ${adminToken}`);
+    const civil = res.body.find(u => u.username === 'dept_civil');
+    expect(civil.totp_enabled).toBe(1);
+  });
+
+  test('admin reset clears the secret and recovery codes', async () => {
+    const civil = db.prepare("SELECT id FROM users WHERE username = 'dept_civil'").get();
+    const res = await request(app)
+      .delete(`/api/portal/users/${civil.id}/2fa`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+
+    const row = db.prepare('SELECT totp_enabled, totp_secret FROM users WHERE id = ?').get(civil.id);
+    expect(row).toEqual({ totp_enabled: 0, totp_secret: null });
+    const codes = db.prepare('SELECT COUNT(*) AS n FROM recovery_codes WHERE user_id = ?').get(civil.id);
+    expect(codes.n).toBe(0);
+
+    // Password alone works again, but enrollment is required once more.
+    const body = await login('dept_civil');
+    expect(body).toHaveProperty('token');
+    expect(body.mfaEnrollmentRequired).toBe(true);
+  });
+
+  test('admin reset returns 404 for an unknown user', async () => {
+    const res = await request(app)
+      .delete('/api/portal/users/9999/2fa')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(404);
+  });
+});
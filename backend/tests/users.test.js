@@ -1,6 +1,7 @@
 /**
  * users.test.js — tests for /api/portal/users routes (admin only)
- * Covers: list users, create user, toggle active, reset password
+ * Covers: list users, create user, toggle active, reset password,
+ *         revoke sessions
  */
 
 jest.mock('../database/db', () => require('./testDb').createDb());
@@ -98,7 +99,7 @@ describe('POST /api/portal/users', () => {
     const res = await request(app)
       .post('/api/portal/users')
       .set('Authorization', `Bearer ${adminToken}`)
-      .send({ username: 'admin2', password: 'Admin2@Test', role: 'admin' });
+      .send({ username: 'admin2', password: 'Second@Office9', role: 'admin' });
 
     expect(res.status).toBe(201);
     expect(res.body.success).toBe(true);
@@ -186,6 +187,24 @@ describe('PATCH /api/portal/users/:id/status', () => {
     expect(loginRes.status).toBe(403);
   });
 
+  test('deactivation revokes tokens issued before it, even after reactivation', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dept_pwd', password: 'PWD@Test123' });
+
+    await request(app)
+      .patch(`/api/portal/users/${createdUserId}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_active: 0 });
+    await request(app)
+      .patch(`/api/portal/users/${createdUserId}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_active: 1 });
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
   test('admin reactivates a user — login succeeds again', async () => {
     const res = await request(app)
       .patch(`/api/portal/users/${createdUserId}/status`)
@@ -246,7 +265,7 @@ describe('Users created via admin panel survive schema re-initialisation (simula
     const res = await request(app)
       .post('/api/portal/users')
       .set('Authorization', `Bearer ${adminToken}`)
-      .send({ username: 'dept_persist', password: 'Persist@1234', role: 'department', dept_id: 1 });
+      .send({ username: 'dept_persist', password: 'Durable@Pass12', role: 'department', dept_id: 1 });
 
     persistUserId = res.body.userId;
   });
@@ -320,7 +339,7 @@ describe('Users created via admin panel survive schema re-initialisation (simula
   test('user can still log in after simulated restart', async () => {
     const res = await request(app)
       .post('/api/auth/login')
-      .send({ username: 'dept_persist', password: 'Persist@1234' });
+      .send({ username: 'dept_persist', password: 'Durable@Pass12' });
 
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('token');
@@ -375,6 +394,31 @@ describe('PATCH /api/portal/users/:id/password', () => {
     expect(loginRes.status).toBe(200);
   });
 
+  test('password reset revokes the user\'s existing sessions', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dept_pwd', password: 'ResetPass@789' });
+
+    await request(app)
+      .patch(`/api/portal/users/${createdUserId}/password`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'ResetPass@790' });
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+    expect(me.status).toBe(401);
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: login.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  test('returns 404 for a non-existent user', async () => {
+    const res = await request(app)
+      .patch('/api/portal/users/99999/password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ newPassword: 'ResetPass@789' });
+
+    expect(res.status).toBe(404);
+  });
+
   test('returns 400 when newPassword is fewer than 6 characters', async () => {
     const res = await request(app)
       .patch(`/api/portal/users/${createdUserId}/password`)
@@ -410,3 +454,52 @@ describe('PATCH /api/portal/users/:id/password', () => {
     expect(res.status).toBe(401);
   });
 });
+
+// ── DELETE /api/portal/users/:id/sessions ────────────────────────────────────
+describe('DELETE /api/portal/users/:id/sessions', () => {
+  test('admin revokes all sessions — every token of the user stops working', async () => {
+    const [a, b] = await Promise.all([
+      request(app).post('/api/auth/login').send({ username: 'dept_health', password: 'Dept@Test123' }),
+      request(app).post('/api/auth/login').send({ username: 'dept_health', password: 'Dept@Test123' }),
+    ]);
+    const userId = a.body.user.id;
+
+    const res = await request(app)
+      .delete(`/api/portal/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    for (const session of [a.body, b.body]) {
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${session.token}`);
+      expect(me.status).toBe(401);
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(refresh.status).toBe(401);
+    }
+
+    // The account itself is untouched — a fresh login works.
+    const relogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dept_health', password: 'Dept@Test123' });
+    expect(relogin.status).toBe(200);
+  });
+
+  test('returns 404 for a non-existent user', async () => {
+    const res = await request(app)
+      .delete('/api/portal/users/99999/sessions')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(404);
+  });
+
+  test('department user cannot revoke sessions — blocked with 403', async () => {
+    const res = await request(app)
+      .delete(`/api/portal/users/${createdUserId}/sessions`)
+      .set('Authorization', `Bearer ${revenueToken}`);
+    expect(res.status).toBe(403);
+  });
+
+  test('unauthenticated request returns 401', async () => {
+    const res = await request(app).delete(`/api/portal/users/${createdUserId}/sessions`);
+    expect(res.status).toBe(401);
+  });
+});
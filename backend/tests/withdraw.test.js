@@ -0,0 +1,172 @@
+/**
+ * withdraw.test.js — tests for withdrawing (recalling) an issued notice
+ * Covers: who may withdraw, the reason, leaving the inbox for the withdrawn
+ *         list, keeping the record, emailing recipients, refusing further
+ *         responses, edits and extension requests, and closing afterwards
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+jest.mock('../database/db', () => require('./testDb').createDb());
+jest.mock('../storage', () => ({
+  saveFile:   jest.fn().mockResolvedValue('/uploads/mock-test-file.pdf'),
+  deleteFile: jest.fn().mockResolvedValue(undefined),
+  isS3:       false,
+}));
+
+process.env.JWT_SECRET =
+  process.env.JWT_SECRET || 'test-jwt-secret-for-jest-at-least-32-characters-long-xxx';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR       = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-mail-'));
+
+const request = require('supertest');
+const app     = require('../app');
+const db      = require('../database/db');
+
+// Seed users: admin=1, dept_revenue=2, dept_health=3 (department 2), dept_civil=4.
+const tokens = {};
+
+beforeAll(async () => {
+  tokens.admin = (await request(app).post('/api/auth/login')
+    .send({ username: 'admin', password: 'Admin@Test123' })).body.token;
+  for (const name of ['dept_revenue', 'dept_health', 'dept_civil']) {
+    tokens[name] = (await request(app).post('/api/auth/login')
+      .send({ username: name, password: 'Dept@Test123' })).body.token;
+  }
+  const setEmail = db.prepare('UPDATE users SET email = ? WHERE username = ?');
+  ['dept_revenue', 'dept_health', 'dept_civil'].forEach(name => setEmail.run(`${name}@raipur.gov.in`, name));
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.MAIL_DIR, { recursive: true, force: true });
+  if (db && typeof db.close === 'function') db.close();
+});
+
+const as = token => ({
+  get:    url => request(app).get(url).set('Authorization', `Bearer ${token}`),
+  post:   url => request(app).post(url).set('Authorization', `Bearer ${token}`),
+  patch:  url => request(app).patch(url).set('Authorization', `Bearer ${token}`),
+  delete: url => request(app).delete(url).set('Authorization', `Bearer ${token}`)
+});
+
+/** mails — the messages the file transport has written, oldest first. */
+function mails() {
+  const dir = process.env.MAIL_DIR;
+  return fs.readdirSync(dir).sort().map(f => fs.readFileSync(path.join(dir, f), 'utf8').replace(/=\r?\n/g, ''));
+}
+
+/** sendNotice — dept_revenue issues a notice to the Health department and dept_civil. */
+async function sendNotice(deadline = '2099-06-30') {
+  const res = await as(tokens.dept_revenue).post('/api/portal/notices')
+    .field('title', 'Vaccination camp duty roster')
+    .field('body', 'Send the roster for the camp.')
+    .field('priority', 'High')
+    .field('deadline', deadline)
+    .field('target_dept_ids', '2')
+    .field('target_user_ids', '4');
+  return res.body.noticeId;
+}
+
+const withdraw = (token, id, reason = 'Issued to the wrong departments.') =>
+  as(token).post(`/api/portal/notices/${id}/withdraw`).send({ reason });
+
+const inboxIds = async (token, list = 'inbox') =>
+  (await as(token).get(`/api/portal/notices/${list}`)).body.map(n => n.id);
+
+// ── Withdrawing ───────────────────────────────────────────────────────────────
+describe('POST /api/portal/notices/:id/withdraw', () => {
+  test('the notice leaves the inbox for the withdrawn list, unread, with the reason', async () => {
+    const id = await sendNotice();
+    await as(tokens.dept_civil).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Noted').field('remark', 'Roster being prepared.');
+
+    expect((await withdraw(tokens.dept_revenue, id)).status).toBe(200);
+
+    expect(await inboxIds(tokens.dept_civil)).not.toContain(id);
+    const [withdrawn] = (await as(tokens.dept_civil).get('/api/portal/notices/inbox/withdrawn')).body
+      .filter(n => n.id === id);
+    expect(withdrawn).toMatchObject({
+      status: 'Noted', remark: 'Roster being prepared.', is_read: 0, is_overdue: false,
+      withdrawal_reason: 'Issued to the wrong departments.', withdrawn_by_username: 'dept_revenue'
+    });
+    expect(await inboxIds(tokens.dept_health, 'inbox/withdrawn')).toContain(id);
+  });
+
+  test('the record is kept for the sender and in the detail view', async () => {
+    const id = await sendNotice('2000-01-01');
+    await withdraw(tokens.dept_revenue, id);
+
+    const outbox = (await as(tokens.dept_revenue).get('/api/portal/notices/outbox')).body;
+    expect(outbox.find(n => n.id === id)).toMatchObject({
+      withdrawal_reason: 'Issued to the wrong departments.', is_overdue: false, total_targets: 2
+    });
+
+    const detail = (await as(tokens.dept_civil).get(`/api/portal/notices/${id}`)).body;
+    expect(detail).toMatchObject({ withdrawn_by_username: 'dept_revenue' });
+    expect(detail.withdrawn_at).not.toBeNull();
+    expect(detail.statuses).toHaveLength(2);
+  });
+
+  test('recipients with an email address are told, the sender is not', async () => {
+    const before = mails().length;
+    const id     = await sendNotice();
+    await withdraw(tokens.dept_revenue, id, 'Superseded by the revised roster order.');
+
+    const sent = mails().slice(before);
+    expect(sent).toHaveLength(2);
+    expect(sent.map(m => m.match(/^To: (.*)$/m)[1]).sort())
+      .toEqual(['dept_civil@raipur.gov.in', 'dept_health@raipur.gov.in']);
+    expect(sent[0]).toMatch(/Superseded by the revised roster order\./);
+  });
+
+  test('a reason is required, and a notice is withdrawn once', async () => {
+    const id = await sendNotice();
+    expect((await withdraw(tokens.dept_revenue, id, '  ')).status).toBe(400);
+    expect((await withdraw(tokens.dept_revenue, id)).status).toBe(200);
+    expect((await withdraw(tokens.dept_revenue, id)).status).toBe(400);
+  });
+
+  test('only those who may close the notice withdraw it', async () => {
+    const id = await sendNotice();
+    expect((await withdraw(tokens.dept_health, id)).status).toBe(403);
+    expect((await withdraw(tokens.dept_revenue, 99999)).status).toBe(404);
+    expect((await withdraw(tokens.admin, id)).status).toBe(200);
+  });
+});
+
+// ── After withdrawal ──────────────────────────────────────────────────────────
+describe('a withdrawn notice', () => {
+  test('takes no more responses, extension requests or edits', async () => {
+    const id = await sendNotice();
+    await withdraw(tokens.dept_revenue, id);
+
+    expect((await as(tokens.dept_civil).patch(`/api/portal/notices/${id}/status`)
+      .field('status', 'Completed').field('remark', 'Done.')).status).toBe(400);
+    expect((await as(tokens.dept_civil).post(`/api/portal/notices/${id}/extensions`)
+      .send({ proposed_deadline: '2099-07-30', reason: 'Staff on leave' })).status).toBe(400);
+    expect((await as(tokens.dept_revenue).patch(`/api/portal/notices/${id}`)
+      .send({ title: 'Revised roster' })).status).toBe(400);
+  });
+
+  test('open extension requests are rejected', async () => {
+    const id  = await sendNotice();
+    const ext = (await as(tokens.dept_civil).post(`/api/portal/notices/${id}/extensions`)
+      .send({ proposed_deadline: '2099-07-30', reason: 'Staff on leave' })).body.id;
+    await withdraw(tokens.dept_revenue, id);
+
+    expect(db.prepare('SELECT status, decision_note FROM deadline_extensions WHERE id = ?').get(ext))
+      .toEqual({ status: 'Rejected', decision_note: 'The notice was withdrawn.' });
+  });
+
+  test('no longer counts as pending, and its sender may close it at once', async () => {
+    const id = await sendNotice();
+    const pending = async () => (await as(tokens.admin).get('/api/portal/notices/summary')).body.pending;
+    const before  = await pending();
+
+    await withdraw(tokens.dept_revenue, id);
+    expect(await pending()).toBe(before - 2);
+    expect((await as(tokens.dept_revenue).delete(`/api/portal/notices/${id}`)).status).toBe(200);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * totp.js — time-based one-time passwords (RFC 6238) for two-factor login.
+ *
+ * Implements the same algorithm as Google Authenticator, Microsoft
+ * Authenticator, etc.: HMAC-SHA1, 6 digits, 30-second steps. Secrets are
+ * exchanged as base32 strings inside an otpauth:// URI (usually shown as a
+ * QR code during enrollment).
+ *
+ * Exports:
+ *   generateSecret()                — new random base32 secret (160 bits)
+ *   generateCode(secret, [time])    — the 6-digit code for a given moment
+ *   verifyCode(secret, code)        — true if code matches the current step ±1
+ *   matchStep(secret, code)         — the step (of those) code matches, or null
+ *   otpauthUri(secret, account)     — otpauth://totp/... URI for authenticator apps
+ *   generateRecoveryCodes([count])  — one-time fallback codes (plain text)
+ */
+
+const crypto = require('crypto');
+
+const ISSUER       = process.env.TOTP_ISSUER || 'Raipur Portal';
+const STEP_SECONDS = 30;
+const DIGITS       = 6;
+const BASE32       = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * base32Encode — RFC 4648 base32 without padding.
+ * @param  {Buffer} buf
+ * @returns {string}
+ */
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/**
+ * base32Decode — inverse of base32Encode; ignores case, spaces and padding.
+ * @param  {string} str
+ * @returns {Buffer}
+ */
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character.');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * generateSecret — 20 random bytes (the RFC 4226 recommended length), base32-encoded.
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * generateCode — computes the TOTP code for the 30-second step containing `time`.
+ * @param  {string} secret — base32 secret
+ * @param  {number} [time] — milliseconds since epoch (defaults to now)
+ * @returns {string} — zero-padded 6-digit code
+ */
+function generateCode(secret, time = Date.now()) {
+  const counter = Math.floor(time / 1000 / STEP_SECONDS);
+  const msg     = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const hmac   = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * matchStep — checks a submitted code against the current step and one step
+ * either side, to tolerate small clock drift between server and phone.
+ * Callers that must accept each code only once keep the step it returns and
+ * refuse codes from that step or an earlier one.
+ * @param  {string} secret
+ * @param  {string} code — as typed by the user (spaces are ignored)
+ * @returns {number|null} — the matching step (seconds since epoch / 30)
+ */
+function matchStep(secret, code) {
+  const submitted = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(submitted)) return null;
+
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (const step of [now - 1, now, now + 1]) {
+    const expected = generateCode(secret, step * STEP_SECONDS * 1000);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) return step;
+  }
+  return null;
+}
+
+/**
+ * verifyCode — true if the code matches the current step ±1 (see matchStep).
+ * @param  {string} secret
+ * @param  {string} code
+ * @returns {boolean}
+ */
+function verifyCode(secret, code) {
+  return matchStep(secret, code) !== null;
+}
+
+/**
+ * otpauthUri — provisioning URI understood by authenticator apps.
+ * @param  {string} secret
+ * @param  {string} account — shown in the app next to the issuer (the username)
+ * @returns {string}
+ */
+function otpauthUri(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer:    ISSUER,
+    algorithm: 'SHA1',
+    digits:    String(DIGITS),
+    period:    String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+/**
+ * generateRecoveryCodes — single-use fallback codes for a lost phone.
+ * Format XXXXX-XXXXX (base32, 50 bits each). Callers must store only hashes.
+ * @param  {number} [count=10]
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  matchStep,
+  otpauthUri,
+  generateRecoveryCodes,
+  base32Encode,
+  base32Decode
+};
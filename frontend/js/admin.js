@@ -2,13 +2,19 @@
    ADMIN DASHBOARD — admin.js
    Loaded on: pages/admin.html
    Responsibilities:
-     - Auth guard (only admin role allowed)
+     - Auth guard (roles with notice.view_all or user.manage, e.g. admin
+       and auditor); panels the role has no permission for are hidden
      - Summary stat cards (total / pending / overdue)
      - All-notices table with overdue/priority filters
-     - Notice detail modal (admin read-only + delete if all completed)
-     - User management table (list, activate/deactivate, reset password)
+     - Notice detail modal (read-only; withdraw or force-close with
+       notice.close_any)
+     - User management table (list, activate/deactivate, reset password,
+       change role, revoke sessions)
      - Create user modal (also handles adding a new department inline)
      - Monthly completion stats bar chart
+     - Leave cover: delegations for any user
+     - API keys for integrations: issue (shown once), list, revoke
+     - District-wide notice templates: create, edit, delete
    ===================================================== */
 
 // ── Helpers (also defined in main.js — safe to redefine here) ────────────────
@@ -28,52 +34,68 @@ function esc(str) {
 }
 
 // ── Auth guard — synchronous, runs at script load time ───────────────────────
-// Reads credentials from localStorage before any async activity so there is
-// no flash of admin content for unauthenticated users.
-const _token = localStorage.getItem('portal_token');
+// Reads the cached profile from localStorage before any async activity so
+// there is no flash of admin content for unauthenticated users.
 const _user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
 
-if (!_token || !_user) {
+if (!_user) {
   window.location.href = 'login.html';           // no session at all
-} else if (_user.role !== 'admin') {
-  window.location.href = 'dashboard.html';       // logged in but not admin
+} else if (homePage(_user) !== 'admin.html') {
+  window.location.href = 'dashboard.html';       // logged in, but no district-wide role
 }
 
 // ── fetchAuth — authenticated fetch with centralised error handling ───────────
 /**
- * fetchAuth — wraps fetch with JWT auth header and standard error handling.
- *   - 401 → clears storage, redirects to login.
+ * fetchAuth — wraps fetch with the CSRF header (the session travels in
+ * cookies) and standard error handling.
+ *   - 401 → refreshes the session once (refreshSession in main.js) and replays.
+ *   - 401 after a failed refresh → clears storage, redirects to login.
+ *   - 401 while viewing as another user → that session is over; back to the
+ *     administrator's own dashboard.
+ *   - 403 with a SETUP_PAGES code (main.js) → redirects to that setup page.
  *   - non-2xx → rejects with the server's error message.
  *   - network failure → rejects with a helpful message.
  * @param {string}      url
  * @param {RequestInit} options
+ * @param {boolean}     retried — internal; true on the replay after a refresh
  * @returns {Promise<Response>}
  */
-async function fetchAuth(url, options = {}) {
+async function fetchAuth(url, options = {}, retried = false) {
   let res;
   try {
     res = await fetch(url, {
       ...options,
       headers: {
         ...(options.headers || {}),
-        'Authorization': `Bearer ${_token}`
+        'X-CSRF-Token': csrfToken()
       }
     });
   } catch (networkErr) {
     throw new Error('Network error — is the server running? (' + networkErr.message + ')');
   }
 
+  if (res.status === 401 && _user.impersonation) {
+    leaveImpersonation();
+    throw new Error('The impersonation session has ended.');
+  }
+
   if (res.status === 401) {
-    // Token has expired or was revoked — force re-authentication.
-    localStorage.removeItem('portal_token');
-    localStorage.removeItem('portal_user');
+    // Access token expired — rotate the refresh token and try again once.
+    if (!retried && await refreshSession()) return fetchAuth(url, options, true);
+
+    // Refresh failed too — the session has ended, force re-authentication.
+    clearSession();
     window.location.href = 'login.html';
     throw new Error('Session expired. Redirecting to login...');
   }
 
   if (!res.ok) {
     let errMsg = `Server error (HTTP ${res.status})`;
-    try { const d = await res.json(); errMsg = d.error || errMsg; } catch (_) {}
+    let errCode = null;
+    try { const d = await res.json(); errMsg = d.error || errMsg; errCode = d.code || null; } catch (_) {}
+
+    // A password change or 2FA enrollment is pending — finish that first.
+    if (SETUP_PAGES[errCode]) window.location.href = SETUP_PAGES[errCode];
     throw new Error(errMsg);
   }
 
@@ -85,6 +107,9 @@ async function fetchAuth(url, options = {}) {
 let allNotices = [];
 let allUsers   = [];
 let allDepts   = [];
+let allRoles   = [];
+let allTemplates = [];
+let editingTemplateId = null;
 
 // ── Logout — event delegation on document ────────────────────────────────────
 // Registered outside DOMContentLoaded so it is active even before the DOM
@@ -93,9 +118,7 @@ document.addEventListener('click', function handleLogout(e) {
   const target = e.target.closest('#nav-logout');
   if (!target) return;
   e.preventDefault();
-  localStorage.removeItem('portal_token');
-  localStorage.removeItem('portal_user');
-  window.location.href = 'login.html';
+  endSession().then(() => { window.location.href = 'login.html'; });
 });
 
 // ── DOMContentLoaded — main init ──────────────────────────────────────────────
@@ -110,11 +133,19 @@ document.addEventListener('DOMContentLoaded', () => {
     if (metaEl) metaEl.textContent = new Date().toLocaleDateString('en-IN', { day:'2-digit', month:'short', year:'numeric' });
   } catch(e) { console.error('header-meta:', e); }
 
-  // Dashboard tab switching.
+  try { if (_user.impersonation) showImpersonationBanner(_user); } catch(e) { console.error('impersonation banner:', e); }
+
+  // Dashboard tab switching. Tabs the role has no permission for are hidden.
   try {
     document.querySelectorAll('.dash-tab').forEach(tab => {
       tab.addEventListener('click', () => switchTab(tab.dataset.tab));
     });
+    const hide = tab => { document.querySelector(`[data-tab="${tab}"]`).style.display = 'none'; };
+    if (!userCan(_user, 'user.manage')) ['manage-users', 'login-activity', 'leave-cover', 'api-keys', 'templates'].forEach(hide);
+    if (!userCan(_user, 'notice.view_all')) {
+      ['all-notices', 'archive', 'monthly-stats', 'delayed-response'].forEach(hide);
+      switchTab('manage-users');
+    }
   } catch(e) { console.error('tabs:', e); }
 
   // Notice table filter buttons — re-renders table with selected filter applied.
@@ -128,6 +159,18 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   } catch(e) { console.error('notice filter:', e); }
 
+  // Archive filters — closing date range and department.
+  try {
+    document.getElementById('archive-filter').addEventListener('submit', e => {
+      e.preventDefault();
+      loadArchive();
+    });
+    if (userCan(_user, 'notice.view_all')) loadArchiveDepartments();
+  } catch(e) { console.error('archive filter:', e); }
+
+  // Password rules shown under the create-user and reset-password fields.
+  try { loadPasswordRules(); } catch(e) { console.error('password rules:', e); }
+
   // Manual refresh button — re-fetches all data from the server.
   try {
     document.getElementById('refresh-btn').addEventListener('click', loadAll);
@@ -151,7 +194,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Show/hide the department selector based on the selected role.
     document.getElementById('new-role').addEventListener('change', function () {
-      document.getElementById('new-dept-group').style.display = this.value === 'department' ? 'block' : 'none';
+      document.getElementById('new-dept-group').style.display = roleNeedsDept(this.value) ? 'block' : 'none';
     });
 
     // Show/hide the "new department name" input when "+ Add new department" is chosen.
@@ -171,6 +214,40 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('reset-pw-form').addEventListener('submit', submitResetPassword);
   } catch(e) { console.error('reset-pw-modal:', e); }
 
+  // Email address modal setup.
+  try {
+    document.getElementById('email-modal').addEventListener('click', e => {
+      if (e.target.id === 'email-modal') closeModal('email-modal');
+    });
+    document.getElementById('email-close').addEventListener('click', () => closeModal('email-modal'));
+    document.getElementById('email-form').addEventListener('submit', submitEmail);
+  } catch(e) { console.error('email-modal:', e); }
+
+  // Change role modal setup.
+  try {
+    document.getElementById('role-modal').addEventListener('click', e => {
+      if (e.target.id === 'role-modal') closeModal('role-modal');
+    });
+    document.getElementById('role-close').addEventListener('click', () => closeModal('role-modal'));
+    document.getElementById('role-select').addEventListener('change', updateRoleModal);
+    document.getElementById('role-form').addEventListener('submit', submitRole);
+  } catch(e) { console.error('role-modal:', e); }
+
+  // Leave cover form.
+  try {
+    document.getElementById('cover-form').addEventListener('submit', submitCover);
+  } catch(e) { console.error('cover-form:', e); }
+
+  // API key form.
+  try {
+    document.getElementById('api-key-form').addEventListener('submit', submitApiKey);
+  } catch(e) { console.error('api-key-form:', e); }
+
+  try {
+    document.getElementById('template-form').addEventListener('submit', submitTemplate);
+    document.getElementById('template-cancel').addEventListener('click', resetTemplateForm);
+  } catch(e) { console.error('template-form:', e); }
+
   // Initial data load — runs all fetches in parallel.
   loadAll().catch(err => console.error('loadAll failed:', err));
 });
@@ -180,7 +257,19 @@ document.addEventListener('DOMContentLoaded', () => {
  * Called on init and whenever the refresh button is clicked.
  */
 async function loadAll() {
-  await Promise.all([loadSummary(), loadNotices(), loadUsers(), loadDepts(), loadMonthlyStats(), loadDelayedResponse()]);
+  const loads = [];
+  if (userCan(_user, 'notice.view_all')) {
+    loads.push(loadSummary(), loadNotices(), loadArchive(), loadMonthlyStats(), loadDelayedResponse());
+  }
+  if (userCan(_user, 'user.manage')) {
+    // The policy checkboxes and role labels come from the role list, so roles load first.
+    loads.push(
+      loadRoles().then(() => Promise.all([loadTwoFactorPolicy(), loadUsers()])),
+      loadDepts().then(() => { renderTemplateDepts(); return loadTemplates(); }),
+      loadLoginActivity(), loadCover(), loadApiKeys()
+    );
+  }
+  await Promise.all(loads);
 }
 
 /**
@@ -254,7 +343,7 @@ function renderNoticesTable(filter) {
   let items = allNotices;
   if (filter === 'overdue') items = allNotices.filter(n => n.is_overdue);
   if (filter === 'High')    items = allNotices.filter(n => n.priority === 'High');
-  if (filter === 'pending') items = allNotices.filter(n => n.pending_count > 0);
+  if (filter === 'pending') items = allNotices.filter(n => n.pending_count > 0 && !n.withdrawn_at);
 
   if (!items.length) {
     tbody.innerHTML = '<tr><td colspan="7" class="text-muted text-small" style="padding:1rem;">No notices match this filter.</td></tr>';
@@ -277,7 +366,9 @@ function renderNoticesTable(filter) {
         <td class="text-small">${esc(n.deadline)}&nbsp;${overdueHtml}</td>
         <td class="text-small">${n.pending_count} / ${n.total_targets}</td>
         <td>
-          ${n.pending_count === 0
+          ${n.withdrawn_at
+            ? `<span class="status-badge Withdrawn">Withdrawn</span>`
+            : n.pending_count === 0
             ? `<span class="status-badge Completed">All Done</span>`
             : `<span class="status-badge Pending">${n.pending_count} Pending</span>`}
         </td>
@@ -293,7 +384,9 @@ function renderNoticesTable(filter) {
 /**
  * openNoticeDetail — fetches and displays full notice details in the admin modal.
  * Includes a per-department status table with remarks, timestamps, and reply links.
- * Shows a "Delete Notice" button when all departments have completed the notice.
+ * Shows a "Delete Notice" button when all departments have completed the notice,
+ * and, with notice.close_any, an "Edit Notice" form. Edited notices list their
+ * edit history.
  * @param {number} id — notice ID
  */
 async function openNoticeDetail(id) {
@@ -310,13 +403,17 @@ async function openNoticeDetail(id) {
   try {
     const res    = await fetchAuth(`${API}/portal/notices/${id}`);
     const notice = await res.json();
+    // The discussion is read-only here: only the sender and recipients comment.
+    const comments = await (await fetchAuth(`${API}/portal/notices/${id}/comments`)).json();
 
     // Build the per-recipient status table — includes remark, updated date, days after due, and reply link.
-    const due = notice.deadline ? new Date(notice.deadline) : null;
-    if (due) due.setHours(0, 0, 0, 0);
     const today = new Date(); today.setHours(0, 0, 0, 0);
 
     const statusRows = (notice.statuses || []).map(s => {
+      // Recipients granted more time are measured from their own deadline.
+      const deadline = s.effective_deadline || notice.deadline;
+      const due = deadline ? new Date(deadline) : null;
+      if (due) due.setHours(0, 0, 0, 0);
       let daysAfterDue = '—';
       if (due) {
         if (s.status !== 'Pending' && s.updated_at) {
@@ -330,8 +427,8 @@ async function openNoticeDetail(id) {
       }
       return `
       <tr>
-        <td>${esc(s.username)}${s.dept_code ? ` <span class="text-muted text-small">(${esc(s.dept_code)})</span>` : ''}</td>
-        <td><span class="status-badge ${esc(s.status)}">${esc(s.status)}</span></td>
+        <td>${esc(recipientLabel(s))}${s.extended_deadline ? `<br /><span class="text-muted text-small">Extended to ${esc(s.effective_deadline)}</span>` : ''}</td>
+        <td><span class="status-badge ${esc(s.status)}">${esc(s.status)}</span>${s.changed_since_ack ? ' <span class="changed-badge" title="Notice changed since they acknowledged">Changed</span>' : ''}</td>
         <td class="text-small">${s.remark ? esc(s.remark) : '<span class="text-muted">—</span>'}</td>
         <td class="text-small">${s.updated_at ? (s.updated_at.slice(0,10)) : '<span class="text-muted">—</span>'}</td>
         <td class="text-small">${daysAfterDue}</td>
@@ -340,14 +437,18 @@ async function openNoticeDetail(id) {
     }).join('');
 
     const createdDate  = (notice.created_at || '').slice(0, 10);
+    const withdrawn    = !!notice.withdrawn_at;
+    const closed       = !!notice.closed_at;
+    const canChange    = userCan(_user, 'notice.close_any') && !closed;
     const allCompleted = (notice.statuses || []).length > 0 &&
-      (notice.statuses || []).every(s => s.status === 'Completed');
+      (notice.statuses || []).every(s => s.status === 'Accepted' || s.status === 'Reassigned');
 
-    // Admin can close ANY notice regardless of completion status.
+    // notice.close_any can close ANY notice regardless of completion status;
+    // without it (e.g. auditors), or once the notice is closed, the detail is read-only.
     // The caption below the button changes to warn about force-closing pending notices.
-    const closeCaption = allCompleted
-      ? 'All recipients completed &mdash; closing will permanently delete files and archive statistics.'
-      : '&#9888; Admin override: force-closing will remove this notice even though some recipients have not yet completed it. Statistics for any completed actions will be preserved.';
+    const closeCaption = allCompleted || withdrawn
+      ? `${withdrawn ? 'Withdrawn' : 'All completions accepted'} &mdash; closing moves the notice, its responses and files to the archive.`
+      : '&#9888; Admin override: force-closing will archive this notice even though the sender has not accepted every recipient\'s completion; they can no longer respond.';
 
     content.innerHTML = `
       <button class="modal-close" id="notice-detail-close-3">&times;</button>
@@ -359,7 +460,12 @@ async function openNoticeDetail(id) {
         <span class="prio-badge ${esc(notice.priority)}">${esc(notice.priority)}</span>
         <span class="tag">Deadline: ${esc(notice.deadline)}</span>
         ${notice.is_overdue ? `<span class="overdue-badge">OVERDUE</span>` : ''}
+        ${notice.revision > 1 ? `<span class="tag">Edited ${esc((notice.updated_at || '').slice(0, 10))}</span>` : ''}
+        ${withdrawn ? '<span class="status-badge Withdrawn">Withdrawn</span>' : ''}
+        ${closed ? '<span class="status-badge Closed">Closed</span>' : ''}
       </div>
+      ${closed ? `<p class="closed-note">Closed by ${esc(notice.closed_by_username)} on ${esc(notice.closed_at.slice(0, 10))}${notice.purge_on ? `; kept in the archive until ${esc(notice.purge_on)}` : ''}.</p>` : ''}
+      ${withdrawn ? `<p class="withdrawal-note">Withdrawn by ${esc(notice.withdrawn_by_username)} on ${esc(notice.withdrawn_at.slice(0, 10))}: ${esc(notice.withdrawal_reason)}</p>` : ''}
       <hr class="rule" />
       <p style="white-space:pre-wrap;">${esc(notice.body)}</p>
       ${notice.attachment_name ? `<p><a class="attachment-link" href="${esc(notice.attachment_path)}" target="_blank">&#128206; ${esc(notice.attachment_name)}</a></p>` : ''}
@@ -371,13 +477,40 @@ async function openNoticeDetail(id) {
           <tbody>${statusRows || '<tr><td colspan="6" class="text-muted text-small">No status data.</td></tr>'}</tbody>
         </table>
       </div>
+      ${checklistHTML(notice)}
+      ${custodyHTML(notice)}
+      ${responseHistoryHTML(notice)}
+      ${revisionHistoryHTML(notice)}
+      ${commentsSectionHTML(notice, comments)}
+      ${canChange && !withdrawn ? `
+      <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);">
+        <button class="btn btn-sm btn-outline" data-edit-toggle>Edit Notice</button>
+        ${noticeEditFormHTML(notice)}
+      </div>` : ''}
+      ${canChange && !withdrawn ? `
+      <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);display:flex;align-items:center;gap:0.8rem;flex-wrap:wrap;">
+        <button class="btn btn-sm btn-outline" data-withdraw-id="${id}">Withdraw Notice</button>
+        <span class="text-muted text-small">Recalls the notice from every inbox and tells recipients why; the record and responses are kept.</span>
+      </div>` : ''}
+      ${canChange ? `
       <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);display:flex;align-items:center;gap:0.8rem;flex-wrap:wrap;">
         <button class="btn btn-sm" style="background:var(--accent-3);color:#fff;" data-close-id="${id}">Close Notice</button>
         <span class="text-muted text-small">${closeCaption}</span>
-      </div>`;
+      </div>` : ''}`;
 
     document.getElementById('notice-detail-close-3').addEventListener('click', () => closeModal('notice-detail-modal'));
     content.querySelector('[data-close-id]')?.addEventListener('click', () => closeNotice(id));
+    content.querySelector('[data-withdraw-id]')?.addEventListener('click', () => withdrawNotice(id));
+
+    const editForm = content.querySelector('.notice-edit-form');
+    content.querySelector('[data-edit-toggle]')?.addEventListener('click', () => { editForm.hidden = !editForm.hidden; });
+    editForm?.addEventListener('submit', async e => {
+      e.preventDefault();
+      if (await submitNoticeEdit(editForm, id)) {
+        loadNotices();
+        openNoticeDetail(id);
+      }
+    });
   } catch(e) {
     content.innerHTML = `
       <button class="modal-close" id="notice-detail-close-err">&times;</button>
@@ -386,6 +519,43 @@ async function openNoticeDetail(id) {
   }
 }
 
+// ── Archive ─────────────────────────────────────────────────────────────────────
+
+/**
+ * loadArchive — fetches closed notices, filtered by the archive form, and
+ * renders them. Each opens in the (read-only) notice detail modal.
+ */
+async function loadArchive() {
+  const tbody = document.getElementById('archive-tbody');
+  try {
+    const res = await fetchAuth(`${API}/portal/notices/archive${archiveQuery(document.getElementById('archive-filter'))}`);
+    tbody.innerHTML = archiveRowsHTML(await res.json());
+    tbody.querySelectorAll('[data-notice-id]').forEach(el => {
+      el.addEventListener('click', e => {
+        e.preventDefault();
+        openNoticeDetail(parseInt(el.dataset.noticeId));
+      });
+    });
+  } catch(e) {
+    tbody.innerHTML = `<tr><td colspan="5" class="text-muted text-small">Could not load the archive: ${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * loadArchiveDepartments — fills the archive's department filter.
+ */
+async function loadArchiveDepartments() {
+  try {
+    const res = await fetch(`${API}/departments`); // public endpoint, no auth needed
+    if (!res.ok) throw new Error('Failed to load departments');
+    const depts = await res.json();
+    document.getElementById('archive-dept').insertAdjacentHTML('beforeend',
+      depts.map(d => `<option value="${d.id}">${esc(d.name)}</option>`).join(''));
+  } catch(e) {
+    console.error('loadArchiveDepartments:', e.message);
+  }
+}
+
 // ── User Management ────────────────────────────────────────────────────────────
 
 /**
@@ -401,41 +571,68 @@ async function loadUsers() {
     renderUsersTable();
   } catch(e) {
     console.error('loadUsers error:', e.message);
-    tbody.innerHTML = `<tr><td colspan="6" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="7" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
   }
 }
 
 /**
  * renderUsersTable — renders the users table from the cached allUsers array.
- * Each row has Activate/Deactivate and Reset PW action buttons (admins excluded from toggle).
+ * Each row has Activate/Deactivate, Role and Reset PW action buttons (no toggle for
+ * your own account; directory accounts have no portal password and get their role
+ * from directory groups, so no Role or Reset PW).
  * Inactive users get a dimmed row styling via the 'user-inactive' CSS class.
  */
 function renderUsersTable() {
   const tbody = document.getElementById('users-tbody');
   if (!allUsers.length) {
-    tbody.innerHTML = '<tr><td colspan="6" class="text-muted text-small" style="padding:1rem;">No users found.</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="7" class="text-muted text-small" style="padding:1rem;">No users found.</td></tr>';
     return;
   }
 
   tbody.innerHTML = allUsers.map(u => `
     <tr class="${u.is_active ? '' : 'user-inactive'}">
-      <td class="official-name">${esc(u.username)}</td>
-      <td class="text-small text-upper">${esc(u.role)}</td>
+      <td class="official-name">
+        ${esc(u.username)}
+        ${u.email ? `<div class="text-small text-muted">${esc(u.email)}</div>` : ''}
+      </td>
+      <td class="text-small text-upper">${esc(roleLabel(u.role))}</td>
       <td class="text-small">${u.dept_name ? esc(u.dept_name) : '<span class="text-muted">—</span>'}</td>
       <td>
         ${u.is_active
           ? '<span class="status-badge Completed">Active</span>'
           : '<span class="status-badge Pending">Inactive</span>'}
+        ${u.locked_until ? '<span class="status-badge Pending">Locked</span>' : ''}
+        ${u.must_change_password ? '<span class="status-badge Pending" title="Must choose a new password at next login">New PW</span>' : ''}
+        ${u.auth_provider === 'ldap' ? '<span class="status-badge Noted" title="Signs in with the district directory account">Directory</span>' : ''}
       </td>
+      <td class="text-small">${u.totp_enabled ? 'On' : '<span class="text-muted">Off</span>'}</td>
       <td class="text-small text-muted">${u.last_login ? u.last_login.slice(0,10) : 'Never'}</td>
       <td>
         <div style="display:flex; gap:0.4rem; flex-wrap:wrap;">
-          ${u.role !== 'admin' ? `<button class="btn btn-sm btn-outline" data-toggle-id="${u.id}" data-toggle-active="${u.is_active}">
+          ${u.id !== _user.id ? `<button class="btn btn-sm btn-outline" data-toggle-id="${u.id}" data-toggle-active="${u.is_active}">
             ${u.is_active ? 'Deactivate' : 'Activate'}
           </button>` : ''}
-          <button class="btn btn-sm btn-outline" data-reset-id="${u.id}" data-reset-username="${esc(u.username)}">
+          ${u.auth_provider !== 'ldap' ? `<button class="btn btn-sm btn-outline" data-role-id="${u.id}">
+            Role
+          </button>` : ''}
+          ${u.auth_provider !== 'ldap' ? `<button class="btn btn-sm btn-outline" data-reset-id="${u.id}" data-reset-username="${esc(u.username)}">
             Reset PW
+          </button>` : ''}
+          <button class="btn btn-sm btn-outline" data-email-id="${u.id}">
+            Email
           </button>
+          <button class="btn btn-sm btn-outline" data-revoke-id="${u.id}" data-revoke-username="${esc(u.username)}">
+            Revoke Sessions
+          </button>
+          ${u.is_active && u.id !== _user.id && !roleCan(u.role, 'user.manage') ? `<button class="btn btn-sm btn-outline" data-viewas-id="${u.id}" data-viewas-username="${esc(u.username)}">
+            View As
+          </button>` : ''}
+          ${u.locked_until ? `<button class="btn btn-sm btn-outline" data-unlock-id="${u.id}" data-unlock-username="${esc(u.username)}">
+            Unlock
+          </button>` : ''}
+          ${u.totp_enabled ? `<button class="btn btn-sm btn-outline" data-reset2fa-id="${u.id}" data-reset2fa-username="${esc(u.username)}">
+            Reset 2FA
+          </button>` : ''}
         </div>
       </td>
     </tr>`).join('');
@@ -455,6 +652,187 @@ function renderUsersTable() {
       btn.dataset.resetUsername
     ));
   });
+
+  // Role button click — move the user to another role.
+  tbody.querySelectorAll('[data-role-id]').forEach(btn => {
+    btn.addEventListener('click', () => openRoleModal(parseInt(btn.dataset.roleId)));
+  });
+
+  // Email button click — set or clear the address used for reset links.
+  tbody.querySelectorAll('[data-email-id]').forEach(btn => {
+    btn.addEventListener('click', () => openEmailModal(parseInt(btn.dataset.emailId)));
+  });
+
+  // Revoke sessions button click — logs the user out on every device.
+  tbody.querySelectorAll('[data-revoke-id]').forEach(btn => {
+    btn.addEventListener('click', () => revokeUserSessions(
+      parseInt(btn.dataset.revokeId),
+      btn.dataset.revokeUsername
+    ));
+  });
+
+  // View As button click — opens the portal as the user, for support.
+  tbody.querySelectorAll('[data-viewas-id]').forEach(btn => {
+    btn.addEventListener('click', () => viewAsUser(
+      parseInt(btn.dataset.viewasId),
+      btn.dataset.viewasUsername
+    ));
+  });
+
+  // Unlock button click — lifts a lockout caused by failed logins.
+  bindUnlockButtons(tbody);
+
+  // Reset 2FA button click — for users who lost their authenticator.
+  tbody.querySelectorAll('[data-reset2fa-id]').forEach(btn => {
+    btn.addEventListener('click', () => resetUserTwoFactor(
+      parseInt(btn.dataset.reset2faId),
+      btn.dataset.reset2faUsername
+    ));
+  });
+}
+
+/**
+ * resetUserTwoFactor — after confirmation, removes the user's authenticator
+ * secret and recovery codes so they can log in with their password again.
+ * @param {number} userId   — target user's ID
+ * @param {string} username — shown in the confirmation prompt
+ */
+async function resetUserTwoFactor(userId, username) {
+  if (!confirm(`Reset two-factor authentication for "${username}"? They will be able to log in with just their password.`)) return;
+  try {
+    await fetchAuth(`${API}/portal/users/${userId}/2fa`, { method: 'DELETE' });
+    await loadUsers();
+  } catch(e) {
+    alert('Could not reset 2FA: ' + e.message);
+  }
+}
+
+/**
+ * loadRoles — fetches the role list (GET /api/portal/roles) and builds the
+ * role dropdowns and the per-role 2FA checkboxes from it.
+ */
+async function loadRoles() {
+  try {
+    const res = await fetchAuth(`${API}/portal/roles`);
+    allRoles  = (await res.json()).roles;
+
+    // 'department' stays the default choice in the create-user form.
+    const options = allRoles.map(r =>
+      `<option value="${esc(r.name)}"${r.name === 'department' ? ' selected' : ''}>${esc(r.label)}</option>`
+    ).join('');
+    document.getElementById('new-role').innerHTML    = options;
+    document.getElementById('role-select').innerHTML = options;
+
+    document.getElementById('twofa-policy-roles').innerHTML = allRoles.map(r =>
+      `<label style="margin-left:0.6rem;"><input type="checkbox" data-policy-role="${esc(r.name)}" /> ${esc(r.label)}</label>`
+    ).join('');
+    document.querySelectorAll('[data-policy-role]').forEach(box => {
+      box.addEventListener('change', () => updateTwoFactorPolicy(box));
+    });
+  } catch(e) {
+    console.error('loadRoles error:', e.message);
+  }
+}
+
+/** roleLabel — display name of a role ("Department Head" for dept_head). */
+function roleLabel(name) {
+  const role = allRoles.find(r => r.name === name);
+  return role ? role.label : name;
+}
+
+/** roleCan — whether a role holds a permission, per the loaded role list. */
+function roleCan(name, permission) {
+  const role = allRoles.find(r => r.name === name);
+  return !!role && role.permissions.includes(permission);
+}
+
+/** roleNeedsDept — whether accounts with the role must belong to a department. */
+function roleNeedsDept(name) {
+  const role = allRoles.find(r => r.name === name);
+  return !!role && role.requires_department;
+}
+
+/**
+ * loadTwoFactorPolicy — ticks the per-role enforcement checkboxes.
+ */
+async function loadTwoFactorPolicy() {
+  try {
+    const res    = await fetchAuth(`${API}/portal/2fa-policy`);
+    const policy = await res.json();
+    policy.forEach(p => {
+      const box = document.querySelector(`[data-policy-role="${p.role}"]`);
+      if (box) box.checked = p.required;
+    });
+  } catch(e) {
+    console.error('loadTwoFactorPolicy error:', e.message);
+  }
+}
+
+/**
+ * updateTwoFactorPolicy — saves one role's enforcement setting.
+ * Reverts the checkbox if the request fails.
+ * @param {HTMLInputElement} box
+ */
+async function updateTwoFactorPolicy(box) {
+  const role = box.dataset.policyRole;
+  if (box.checked && !confirm(`Require two-factor authentication for every ${roleLabel(role)} account? Users who have not enrolled will have to set it up at their next request.`)) {
+    box.checked = false;
+    return;
+  }
+  try {
+    await fetchAuth(`${API}/portal/2fa-policy`, {
+      method:  'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ role, required: box.checked })
+    });
+  } catch(e) {
+    box.checked = !box.checked;
+    alert('Could not update 2FA policy: ' + e.message);
+  }
+}
+
+/**
+ * viewAsUser — starts a "view as user" session after asking for the reason
+ * that goes into the audit log. The session is read-only unless the
+ * administrator chooses otherwise. The server sets the impersonation cookie;
+ * the admin profile is kept aside for exitImpersonation (main.js).
+ * @param {number} userId   — target user's ID
+ * @param {string} username — shown in the prompts
+ */
+async function viewAsUser(userId, username) {
+  const reason = prompt(`Why do you need to view the portal as "${username}"? This is recorded in the audit log.`);
+  if (!reason || !reason.trim()) return;
+  const readWrite = confirm(`Allow acting as "${username}" (e.g. responding to notices)?\n\nCancel keeps the session read-only.`);
+  try {
+    const res  = await fetchAuth(`${API}/portal/users/${userId}/impersonate`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ reason: reason.trim(), read_only: !readWrite })
+    });
+    const data = await res.json();
+    localStorage.setItem('portal_admin_user', JSON.stringify(_user));
+    localStorage.setItem('portal_user', JSON.stringify(data.user));
+    window.location.href = homePage(data.user);
+  } catch(e) {
+    alert('Could not view as this user: ' + e.message);
+  }
+}
+
+/**
+ * revokeUserSessions — after confirmation, invalidates every access and
+ * refresh token the user holds. The account stays active; the user simply
+ * has to log in again.
+ * @param {number} userId   — target user's ID
+ * @param {string} username — shown in the confirmation prompt
+ */
+async function revokeUserSessions(userId, username) {
+  if (!confirm(`Log "${username}" out of every device?`)) return;
+  try {
+    await fetchAuth(`${API}/portal/users/${userId}/sessions`, { method: 'DELETE' });
+    alert(`All sessions of "${username}" have been revoked.`);
+  } catch(e) {
+    alert('Could not revoke sessions: ' + e.message);
+  }
 }
 
 /**
@@ -506,7 +884,7 @@ function openCreateUserModal() {
   document.getElementById('create-user-form').reset();
   document.getElementById('create-user-status').style.display    = 'none';
   document.getElementById('new-dept-name-group').style.display   = 'none'; // hidden unless __new__ selected
-  document.getElementById('new-dept-group').style.display        = 'block';
+  document.getElementById('new-dept-group').style.display        = roleNeedsDept(document.getElementById('new-role').value) ? 'block' : 'none';
   document.getElementById('create-user-modal').style.display     = 'block';
   document.body.style.overflow = 'hidden';
 }
@@ -528,7 +906,7 @@ async function submitCreateUser(e) {
     const role = document.getElementById('new-role').value;
     let dept_id;
 
-    if (role === 'department') {
+    if (roleNeedsDept(role)) {
       const selectedDept = document.getElementById('new-dept').value;
 
       if (selectedDept === '__new__') {
@@ -557,6 +935,7 @@ async function submitCreateUser(e) {
     const body = {
       username: document.getElementById('new-username').value.trim().toLowerCase(),
       password: document.getElementById('new-password').value,
+      email:    document.getElementById('new-email').value.trim() || null,
       role,
       dept_id
     };
@@ -630,6 +1009,119 @@ async function submitResetPassword(e) {
   btn.disabled = false;
 }
 
+// ── Change Role modal ─────────────────────────────────────────────────────────
+
+/**
+ * openRoleModal — shows the role modal pre-filled with the user's current
+ * role and department.
+ * @param {number} userId
+ */
+function openRoleModal(userId) {
+  const u = allUsers.find(x => x.id === userId);
+  if (!u) return;
+  document.getElementById('role-uid').value            = userId;
+  document.getElementById('role-label').textContent    = `Role for: ${u.username}`;
+  document.getElementById('role-select').value         = u.role;
+  document.getElementById('role-dept').innerHTML       = '<option value="">— Select Department —</option>' +
+    allDepts.map(d => `<option value="${d.id}">${esc(d.name)}</option>`).join('');
+  document.getElementById('role-dept').value           = u.dept_id || '';
+  document.getElementById('role-status').style.display = 'none';
+  updateRoleModal();
+  document.getElementById('role-modal').style.display  = 'block';
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * updateRoleModal — shows the selected role's permissions and whether it
+ * needs a department.
+ */
+function updateRoleModal() {
+  const role = allRoles.find(r => r.name === document.getElementById('role-select').value);
+  document.getElementById('role-permissions').textContent =
+    role ? `Permissions: ${role.permissions.join(', ') || 'none'}` : '';
+  document.getElementById('role-dept-group').style.display = role && role.requires_department ? 'block' : 'none';
+}
+
+/**
+ * submitRole — saves the new role via PATCH /users/:id/role.
+ * @param {Event} e
+ */
+async function submitRole(e) {
+  e.preventDefault();
+  const btn    = this.querySelector('button[type=submit]');
+  const status = document.getElementById('role-status');
+  btn.disabled = true;
+
+  try {
+    const userId = document.getElementById('role-uid').value;
+    const role   = document.getElementById('role-select').value;
+    await fetchAuth(`${API}/portal/users/${userId}/role`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        role,
+        dept_id: roleNeedsDept(role) ? parseInt(document.getElementById('role-dept').value) || null : null
+      })
+    });
+    status.className   = 'form-status success';
+    status.textContent = 'Role changed.';
+    status.style.display = 'block';
+    setTimeout(() => { closeModal('role-modal'); loadUsers(); }, 1000);
+  } catch(e) {
+    status.className   = 'form-status error';
+    status.textContent = e.message;
+    status.style.display = 'block';
+  }
+  btn.disabled = false;
+}
+
+// ── Email Address modal ───────────────────────────────────────────────────────
+
+/**
+ * openEmailModal — shows the email modal pre-filled with the user's current address.
+ * @param {number} userId
+ */
+function openEmailModal(userId) {
+  const u = allUsers.find(x => x.id === userId);
+  if (!u) return;
+  document.getElementById('email-uid').value            = userId;
+  document.getElementById('email-label').textContent    = `Email address for: ${u.username}`;
+  document.getElementById('email-input').value          = u.email || '';
+  document.getElementById('email-status').style.display = 'none';
+  document.getElementById('email-modal').style.display  = 'block';
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * submitEmail — saves (or clears) the address via PATCH /users/:id/email.
+ * @param {Event} e — form submit event
+ */
+async function submitEmail(e) {
+  e.preventDefault();
+  const btn    = this.querySelector('button[type=submit]');
+  const status = document.getElementById('email-status');
+  btn.disabled = true;
+  status.style.display = 'none';
+
+  try {
+    const userId = document.getElementById('email-uid').value;
+    await fetchAuth(`${API}/portal/users/${userId}/email`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ email: document.getElementById('email-input').value.trim() || null })
+    });
+    status.className   = 'form-status success';
+    status.textContent = 'Email address saved.';
+    status.style.display = 'block';
+    setTimeout(() => { closeModal('email-modal'); loadUsers(); }, 1000);
+  } catch(e) {
+    status.className   = 'form-status error';
+    status.textContent = e.message;
+    status.style.display = 'block';
+  }
+  btn.disabled = false;
+}
+
 // ── Monthly Completion Stats ────────────────────────────────────────────────────
 
 /**
@@ -712,6 +1204,452 @@ async function loadDelayedResponse() {
   }
 }
 
+// ── Login Activity ─────────────────────────────────────────────────────────────
+
+// Human-readable labels for login_attempts.outcome values.
+const OUTCOME_LABELS = {
+  invalid_password: 'Wrong password',
+  invalid_code:     'Wrong 2FA code',
+  unknown_user:     'Unknown username',
+  locked:           'Account locked',
+  inactive:         'Account deactivated',
+  no_portal_group:  'No portal group (directory)'
+};
+
+/**
+ * loadLoginActivity — fills the Login Activity tab: currently locked accounts,
+ * the most recent failed login attempts and the "view as" audit log.
+ */
+async function loadLoginActivity() {
+  const lockedTbody   = document.getElementById('locked-users-tbody');
+  const attemptsBody = document.getElementById('login-attempts-tbody');
+  const viewAsBody   = document.getElementById('impersonations-tbody');
+
+  try {
+    const res    = await fetchAuth(`${API}/portal/users/locked`);
+    const locked = await res.json();
+    lockedTbody.innerHTML = locked.length
+      ? locked.map(u => `
+        <tr>
+          <td class="official-name">${esc(u.username)}</td>
+          <td class="text-small">${u.dept_name ? esc(u.dept_name) : '<span class="text-muted">—</span>'}</td>
+          <td class="text-small">${u.failed_attempts}</td>
+          <td class="text-small">${esc(u.locked_until)}</td>
+          <td>
+            <button class="btn btn-sm btn-outline" data-unlock-id="${u.id}" data-unlock-username="${esc(u.username)}">Unlock</button>
+          </td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-small" style="padding:1rem;">No accounts are locked.</td></tr>';
+    bindUnlockButtons(lockedTbody);
+  } catch(e) {
+    console.error('loadLoginActivity (locked) error:', e.message);
+    lockedTbody.innerHTML = `<tr><td colspan="5" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+
+  try {
+    const res      = await fetchAuth(`${API}/portal/login-attempts?limit=100`);
+    const attempts = await res.json();
+    attemptsBody.innerHTML = attempts.length
+      ? attempts.map(a => `
+        <tr>
+          <td class="text-small">${esc(a.created_at)}</td>
+          <td class="official-name">${esc(a.username)}</td>
+          <td class="text-small">${esc(OUTCOME_LABELS[a.outcome] || a.outcome)}</td>
+          <td class="text-small">${a.ip ? esc(a.ip) : '<span class="text-muted">—</span>'}</td>
+          <td class="text-small text-muted" title="${esc(a.user_agent)}">${esc((a.user_agent || '').slice(0, 60))}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-small" style="padding:1rem;">No failed logins recorded.</td></tr>';
+  } catch(e) {
+    console.error('loadLoginActivity (attempts) error:', e.message);
+    attemptsBody.innerHTML = `<tr><td colspan="5" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+
+  try {
+    const res      = await fetchAuth(`${API}/portal/impersonations?limit=100`);
+    const sessions = await res.json();
+    viewAsBody.innerHTML = sessions.length
+      ? sessions.map(s => `
+        <tr>
+          <td class="text-small">${esc(s.started_at)}</td>
+          <td class="official-name">${esc(s.admin_username)}</td>
+          <td class="official-name">${esc(s.username)}</td>
+          <td class="text-small">${s.read_only ? 'Read-only' : 'Read-write'}</td>
+          <td class="text-small">${esc(s.reason)}</td>
+          <td>${s.is_active
+            ? `<button class="btn btn-sm btn-outline" data-end-impersonation="${s.id}">End</button>`
+            : `<span class="text-small text-muted">${s.ended_at ? `Ended ${esc(s.ended_at)}` : 'Expired'}</span>`}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="6" class="text-muted text-small" style="padding:1rem;">No one has been impersonated.</td></tr>';
+    viewAsBody.querySelectorAll('[data-end-impersonation]').forEach(btn => {
+      btn.addEventListener('click', () => endImpersonationSession(parseInt(btn.dataset.endImpersonation)));
+    });
+  } catch(e) {
+    console.error('loadLoginActivity (impersonations) error:', e.message);
+    viewAsBody.innerHTML = `<tr><td colspan="6" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * endImpersonationSession — closes a "view as" session that is still open,
+ * e.g. one another administrator forgot to exit.
+ * @param {number} id — impersonation session ID
+ */
+async function endImpersonationSession(id) {
+  if (!confirm('End this "view as" session now?')) return;
+  try {
+    await fetchAuth(`${API}/portal/impersonations/${id}`, { method: 'DELETE' });
+    await loadLoginActivity();
+  } catch(e) {
+    alert('Could not end the session: ' + e.message);
+  }
+}
+
+/**
+ * bindUnlockButtons — wires every [data-unlock-id] button inside a container.
+ * Used by both the users table and the locked-accounts table.
+ * @param {HTMLElement} container
+ */
+function bindUnlockButtons(container) {
+  container.querySelectorAll('[data-unlock-id]').forEach(btn => {
+    btn.addEventListener('click', () => unlockUser(
+      parseInt(btn.dataset.unlockId),
+      btn.dataset.unlockUsername
+    ));
+  });
+}
+
+/**
+ * unlockUser — clears a lockout and the failure counter, then refreshes
+ * both tables that show lock state.
+ * @param {number} userId   — target user's ID
+ * @param {string} username — shown in the confirmation prompt
+ */
+async function unlockUser(userId, username) {
+  if (!confirm(`Unlock "${username}"? Their failed-attempt count will be reset.`)) return;
+  try {
+    await fetchAuth(`${API}/portal/users/${userId}/lock`, { method: 'DELETE' });
+    await Promise.all([loadUsers(), loadLoginActivity()]);
+  } catch(e) {
+    alert('Could not unlock account: ' + e.message);
+  }
+}
+
+// ── Leave cover ─────────────────────────────────────────────────────────────────
+
+/**
+ * loadCover — fills the Leave Cover tab: every current and upcoming
+ * delegation, and the user pickers (users who can receive notices).
+ */
+async function loadCover() {
+  const tbody = document.getElementById('cover-tbody');
+  try {
+    const [delegations, users] = await Promise.all([
+      fetchAuth(`${API}/portal/delegations`).then(r => r.json()),
+      fetchAuth(`${API}/portal/users/active`).then(r => r.json())
+    ]);
+
+    const options = '<option value="">Select a user</option>' + users.map(u =>
+      `<option value="${u.id}">${esc(u.username)}${u.dept_code ? ` (${esc(u.dept_code)})` : ''}</option>`
+    ).join('');
+    document.getElementById('cover-from-user').innerHTML = options;
+    document.getElementById('cover-to-user').innerHTML   = options;
+
+    tbody.innerHTML = delegations.length
+      ? delegations.map(d => `
+        <tr>
+          <td class="official-name">${esc(d.from_username)}${d.is_current ? ' <span class="text-muted text-small">(now)</span>' : ''}</td>
+          <td>${esc(d.to_username)}</td>
+          <td class="text-small">${fmt(d.starts_on)}</td>
+          <td class="text-small">${fmt(d.ends_on)}</td>
+          <td class="text-small">${esc(d.created_by_username)}</td>
+          <td><button class="btn btn-sm btn-outline" data-cancel-cover="${d.id}">Cancel</button></td>
+        </tr>`).join('')
+      : '<tr><td colspan="6" class="text-muted text-small" style="padding:1rem;">No leave cover arranged.</td></tr>';
+    tbody.querySelectorAll('[data-cancel-cover]').forEach(btn => {
+      btn.addEventListener('click', () => cancelCover(parseInt(btn.dataset.cancelCover)));
+    });
+  } catch(e) {
+    console.error('loadCover error:', e.message);
+    tbody.innerHTML = `<tr><td colspan="6" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * submitCover — sets up leave cover on behalf of any user.
+ * @param {Event} e — form submit event
+ */
+async function submitCover(e) {
+  e.preventDefault();
+  const statusEl = document.getElementById('cover-status');
+  statusEl.style.display = 'none';
+  try {
+    await fetchAuth(`${API}/portal/delegations`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        from_user_id: document.getElementById('cover-from-user').value,
+        to_user_id:   document.getElementById('cover-to-user').value,
+        starts_on:    document.getElementById('cover-starts').value,
+        ends_on:      document.getElementById('cover-ends').value
+      })
+    });
+    e.target.reset();
+    await loadCover();
+  } catch(err) {
+    statusEl.className     = 'form-status error';
+    statusEl.textContent   = err.message;
+    statusEl.style.display = 'block';
+  }
+}
+
+/**
+ * cancelCover — deletes a delegation; the deputy loses access at once.
+ * @param {number} id — delegation ID
+ */
+async function cancelCover(id) {
+  if (!confirm('Cancel this leave cover?')) return;
+  try {
+    await fetchAuth(`${API}/portal/delegations/${id}`, { method: 'DELETE' });
+    await loadCover();
+  } catch(e) {
+    alert('Could not cancel leave cover: ' + e.message);
+  }
+}
+
+// ── API keys ────────────────────────────────────────────────────────────────────
+
+/**
+ * loadApiKeys — fills the API Keys tab: the key list, the scope checkboxes
+ * and the "Acts As" user picker.
+ */
+async function loadApiKeys() {
+  const tbody = document.getElementById('api-keys-tbody');
+  try {
+    const [{ keys, scopes }, users] = await Promise.all([
+      fetchAuth(`${API}/portal/api-keys`).then(r => r.json()),
+      fetchAuth(`${API}/portal/users`).then(r => r.json())
+    ]);
+
+    document.getElementById('api-key-user').innerHTML = '<option value="">Select a user</option>' +
+      users.filter(u => u.is_active).map(u =>
+        `<option value="${u.id}">${esc(u.username)}${u.dept_name ? ` (${esc(u.dept_name)})` : ''}</option>`
+      ).join('');
+    const scopeBox = document.getElementById('api-key-scopes');
+    if (!scopeBox.children.length) {
+      scopeBox.innerHTML = Object.entries(scopes).map(([name, label]) =>
+        `<label style="margin-right:0.8rem;" title="${esc(label)}"><input type="checkbox" value="${esc(name)}" /> ${esc(name)}</label>`
+      ).join('');
+    }
+
+    tbody.innerHTML = keys.length
+      ? keys.map(k => `
+        <tr class="${k.status === 'active' ? '' : 'user-inactive'}">
+          <td class="official-name">
+            ${esc(k.name)}
+            <div class="text-small text-muted">${esc(k.key_prefix)}&hellip;</div>
+          </td>
+          <td>${esc(k.username)}</td>
+          <td class="text-small">${k.scopes.map(esc).join('<br>')}</td>
+          <td class="text-small">${k.rate_limit}/min</td>
+          <td class="text-small">${k.expires_on ? fmt(k.expires_on) : '<span class="text-muted">Never</span>'}</td>
+          <td class="text-small">${k.last_used_at
+            ? `${esc(k.last_used_at)}<div class="text-muted">${esc(k.last_used_ip || '')}</div>`
+            : '<span class="text-muted">Never</span>'}</td>
+          <td>${k.status === 'active'
+            ? `<button class="btn btn-sm btn-outline" data-revoke-key="${k.id}" data-revoke-key-name="${esc(k.name)}">Revoke</button>`
+            : `<span class="status-badge Pending">${k.status === 'revoked' ? 'Revoked' : 'Expired'}</span>`}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="7" class="text-muted text-small" style="padding:1rem;">No API keys issued.</td></tr>';
+    tbody.querySelectorAll('[data-revoke-key]').forEach(btn => {
+      btn.addEventListener('click', () => revokeApiKey(parseInt(btn.dataset.revokeKey), btn.dataset.revokeKeyName));
+    });
+  } catch(e) {
+    console.error('loadApiKeys error:', e.message);
+    tbody.innerHTML = `<tr><td colspan="7" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * submitApiKey — issues a key and shows it once; the server keeps only its hash.
+ * @param {Event} e — form submit event
+ */
+async function submitApiKey(e) {
+  e.preventDefault();
+  const statusEl = document.getElementById('api-key-status');
+  statusEl.style.display = 'none';
+  try {
+    const res  = await fetchAuth(`${API}/portal/api-keys`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        name:       document.getElementById('api-key-name').value,
+        user_id:    document.getElementById('api-key-user').value,
+        scopes:     [...document.querySelectorAll('#api-key-scopes input:checked')].map(b => b.value),
+        expires_on: document.getElementById('api-key-expires').value || undefined,
+        rate_limit: document.getElementById('api-key-limit').value
+      })
+    });
+    const data = await res.json();
+    e.target.reset();
+    statusEl.className     = 'form-status success';
+    statusEl.innerHTML     = `Copy this key now — it will not be shown again:<br><code style="word-break:break-all;">${esc(data.key)}</code>`;
+    statusEl.style.display = 'block';
+    await loadApiKeys();
+  } catch(err) {
+    statusEl.className     = 'form-status error';
+    statusEl.textContent   = err.message;
+    statusEl.style.display = 'block';
+  }
+}
+
+/**
+ * revokeApiKey — after confirmation, stops a key from working.
+ * @param {number} id   — API key ID
+ * @param {string} name — shown in the confirmation prompt
+ */
+async function revokeApiKey(id, name) {
+  if (!confirm(`Revoke the API key "${name}"? The integration using it will stop working immediately.`)) return;
+  try {
+    await fetchAuth(`${API}/portal/api-keys/${id}`, { method: 'DELETE' });
+    await loadApiKeys();
+  } catch(e) {
+    alert('Could not revoke the API key: ' + e.message);
+  }
+}
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+
+/**
+ * loadTemplates — fills the Templates tab with the district-wide templates
+ * (GET /api/portal/templates also returns one's personal ones, if any).
+ */
+async function loadTemplates() {
+  const tbody = document.getElementById('templates-tbody');
+  try {
+    const res = await fetchAuth(`${API}/portal/templates`);
+    allTemplates = (await res.json()).filter(t => t.scope === 'district');
+
+    const deptName = id => (allDepts.find(d => d.id === id) || { name: `#${id}` }).name;
+    tbody.innerHTML = allTemplates.length
+      ? allTemplates.map(t => `
+        <tr>
+          <td class="official-name">
+            ${esc(t.name)}
+            <div class="text-small text-muted">${esc(t.title)}</div>
+          </td>
+          <td class="text-small">${t.placeholders.map(p => `<code>${esc(p)}</code>`).join(' ') || '<span class="text-muted">None</span>'}</td>
+          <td><span class="prio-badge ${esc(t.priority)}">${esc(t.priority)}</span></td>
+          <td class="text-small">${!t.targets ? '<span class="text-muted">Sender chooses</span>'
+            : t.targets.target_all ? 'All Users'
+            : [...t.targets.dept_ids.map(deptName), ...t.targets.user_ids.map(id => `user #${id}`)].map(esc).join(', ')}</td>
+          <td style="white-space:nowrap;">
+            <button class="btn btn-sm btn-outline" data-edit-template="${t.id}">Edit</button>
+            <button class="btn btn-sm btn-outline" data-delete-template="${t.id}">Delete</button>
+          </td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-small" style="padding:1rem;">No district-wide templates yet.</td></tr>';
+
+    tbody.querySelectorAll('[data-edit-template]').forEach(btn => {
+      btn.addEventListener('click', () => editTemplate(parseInt(btn.dataset.editTemplate)));
+    });
+    tbody.querySelectorAll('[data-delete-template]').forEach(btn => {
+      btn.addEventListener('click', () => deleteTemplate(parseInt(btn.dataset.deleteTemplate)));
+    });
+  } catch(e) {
+    console.error('loadTemplates error:', e.message);
+    tbody.innerHTML = `<tr><td colspan="5" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+}
+
+/** renderTemplateDepts — department checkboxes for a template's default recipients. */
+function renderTemplateDepts() {
+  document.getElementById('template-depts').innerHTML = allDepts.map(d => `
+    <label class="dept-checkbox-item">
+      <input type="checkbox" name="template_dept_ids" value="${d.id}" /> ${esc(d.name)}
+    </label>`).join('');
+}
+
+/**
+ * editTemplate — loads a template into the form; saving then replaces it.
+ * @param {number} id
+ */
+function editTemplate(id) {
+  const t = allTemplates.find(x => x.id === id);
+  if (!t) return;
+  editingTemplateId = id;
+  document.getElementById('template-name').value     = t.name;
+  document.getElementById('template-priority').value = t.priority;
+  document.getElementById('template-title').value    = t.title;
+  document.getElementById('template-body').value     = t.body;
+  document.getElementById('template-all').checked    = !!(t.targets && t.targets.target_all);
+  document.querySelectorAll('[name=template_dept_ids]').forEach(cb => {
+    cb.checked = !!(t.targets && t.targets.dept_ids.includes(parseInt(cb.value)));
+  });
+  document.getElementById('template-submit').textContent   = 'Update Template';
+  document.getElementById('template-cancel').style.display = '';
+  document.getElementById('template-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+/** resetTemplateForm — clears the form back to creating a new template. */
+function resetTemplateForm() {
+  editingTemplateId = null;
+  document.getElementById('template-form').reset();
+  document.getElementById('template-submit').textContent   = 'Save Template';
+  document.getElementById('template-cancel').style.display = 'none';
+}
+
+/**
+ * submitTemplate — creates a district-wide template, or updates the one being edited.
+ * @param {Event} e — form submit event
+ */
+async function submitTemplate(e) {
+  e.preventDefault();
+  const statusEl = document.getElementById('template-status');
+  statusEl.style.display = 'none';
+  try {
+    const res  = await fetchAuth(editingTemplateId ? `${API}/portal/templates/${editingTemplateId}` : `${API}/portal/templates`, {
+      method:  editingTemplateId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        scope:           'district',
+        name:            document.getElementById('template-name').value,
+        priority:        document.getElementById('template-priority').value,
+        title:           document.getElementById('template-title').value,
+        body:            document.getElementById('template-body').value,
+        target_all:      document.getElementById('template-all').checked ? '1' : '0',
+        target_dept_ids: [...document.querySelectorAll('[name=template_dept_ids]:checked')].map(cb => cb.value)
+      })
+    });
+    const data = await res.json();
+    resetTemplateForm();
+    statusEl.className     = 'form-status success';
+    statusEl.textContent   = data.message;
+    statusEl.style.display = 'block';
+    await loadTemplates();
+  } catch(err) {
+    statusEl.className     = 'form-status error';
+    statusEl.textContent   = err.message;
+    statusEl.style.display = 'block';
+  }
+}
+
+/**
+ * deleteTemplate — after confirmation, removes a district-wide template.
+ * Notices already started from it are not affected.
+ * @param {number} id
+ */
+async function deleteTemplate(id) {
+  const t = allTemplates.find(x => x.id === id);
+  if (!confirm(`Delete the template "${t ? t.name : id}"?`)) return;
+  try {
+    await fetchAuth(`${API}/portal/templates/${id}`, { method: 'DELETE' });
+    if (editingTemplateId === id) resetTemplateForm();
+    await loadTemplates();
+  } catch(e) {
+    alert('Could not delete the template: ' + e.message);
+  }
+}
+
 // ── Utility ─────────────────────────────────────────────────────────────────────
 
 /**
@@ -727,18 +1665,18 @@ function closeModal(id) {
 // ── Close Notice ─────────────────────────────────────────────────────────────────
 
 /**
- * closeNotice — closes (permanently removes) a notice after admin confirmation.
+ * closeNotice — closes (archives) a notice after admin confirmation.
  *
  * Admin can close ANY notice — including pending/incomplete ones — regardless
  * of department or completion status. The server enforces the same rules.
  *
- * Closing removes the notice record, deletes all uploaded files from storage,
- * and archives any completion statistics so the monthly chart is preserved.
+ * Closing moves the notice to the archive with its responses and files; the
+ * retention job purges it once the configured retention period has passed.
  *
  * @param {number} id — notice ID to close
  */
 async function closeNotice(id) {
-  if (!confirm('Close this notice permanently?\n\nAll uploaded files will be deleted. Statistics will be preserved. This cannot be undone.')) return;
+  if (!confirm('Close this notice?\n\nIt moves to the archive with its responses and files, and can no longer be changed.')) return;
   try {
     await fetchAuth(`${API}/portal/notices/${id}`, { method: 'DELETE' });
     closeModal('notice-detail-modal');
@@ -747,3 +1685,25 @@ async function closeNotice(id) {
     alert('Could not close notice: ' + e.message);
   }
 }
+
+/**
+ * withdrawNotice — recalls any notice (notice.close_any) after
+ * asking for the reason recipients will be given. The record is kept.
+ * @param {number} id — notice ID to withdraw
+ */
+async function withdrawNotice(id) {
+  const reason = prompt('Withdraw this notice?\n\nIt leaves every recipient\'s inbox and they are told why. Reason:');
+  if (reason === null) return;
+  if (!reason.trim()) return alert('A reason is required to withdraw a notice.');
+  try {
+    await fetchAuth(`${API}/portal/notices/${id}/withdraw`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ reason: reason.trim() })
+    });
+    loadAll();
+    openNoticeDetail(id);
+  } catch(e) {
+    alert('Could not withdraw notice: ' + e.message);
+  }
+}
@@ -0,0 +1,89 @@
+/* =====================================================
+   CHANGE PASSWORD — change-password.js
+   Loaded on: pages/change-password.html
+   Responsibilities:
+     - Auth guard (any logged-in user)
+     - Explain why a change is required (admin-set or expired password)
+     - Show the password rules and submit the change
+     - Continue to the dashboard (the server re-issues the session cookies)
+   ===================================================== */
+
+const user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
+
+if (!user) {
+  window.location.href = 'login.html';
+}
+
+function showStatus(message, type) {
+  const status = document.getElementById('cp-status');
+  status.className     = `form-status ${type}`;
+  status.textContent   = message;
+  status.style.display = 'block';
+}
+
+/**
+ * loadSummary — asks /api/auth/me whether a change is being forced, and if
+ * so tells the user why (admin-set or expired password).
+ */
+async function loadSummary() {
+  try {
+    const res = await fetchAuth(`${API}/auth/me`);
+    if (res.status === 401) {
+      clearSession();
+      window.location.href = 'login.html';
+      return;
+    }
+    const me = await res.json();
+    if (me.pending_setup && me.pending_setup.code === 'PASSWORD_CHANGE_REQUIRED') {
+      document.getElementById('cp-summary').textContent = me.pending_setup.error;
+    }
+  } catch (_) {}
+}
+
+// Footer year and the mobile nav toggle are set up by main.js.
+document.addEventListener('DOMContentLoaded', () => {
+  if (user) document.getElementById('nav-dashboard').href = homePage(user);
+
+  document.getElementById('nav-logout').addEventListener('click', e => {
+    e.preventDefault();
+    endSession().then(() => { window.location.href = 'login.html'; });
+  });
+
+  document.getElementById('change-password-form').addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const btn             = this.querySelector('button[type=submit]');
+    const currentPassword = document.getElementById('cp-current').value;
+    const newPassword     = document.getElementById('cp-new').value;
+
+    if (newPassword !== document.getElementById('cp-confirm').value) {
+      showStatus('The new passwords do not match.', 'error');
+      return;
+    }
+
+    btn.disabled = true;
+    try {
+      const res = await fetchAuth(`${API}/auth/change-password`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ currentPassword, newPassword })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Server error (HTTP ${res.status})`);
+
+      // Every session was revoked; the response set new cookies for this device.
+      localStorage.setItem('portal_user', JSON.stringify(data.user));
+
+      this.reset();
+      showStatus(`${data.message} Redirecting…`, 'success');
+      setTimeout(() => {
+        window.location.href = homePage(data.user);
+      }, 1200);
+    } catch (err) {
+      showStatus(err.message, 'error');
+      btn.disabled = false;
+    }
+  });
+
+  loadPasswordRules();
+  loadSummary();
+});
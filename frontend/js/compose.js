@@ -1,23 +1,33 @@
 /* =====================================================
    NOTICE COMPOSE — compose.js
    Responsibilities:
-     - Auth guard (department users only)
-     - Load all active users for the recipient picker
+     - Auth guard (users whose role can issue notices)
+     - Load departments and all active users for the recipient picker
      - Group users by department label for visual clarity
      - Live search filter across the user list
-     - Handle "All Users" vs specific user selection
-     - Submit notice via POST /api/portal/notices
+     - Handle "All Users" vs specific department / user selection
+     - Autosave the notice as a server-side draft while it is written
+       (POST, then PUT /api/portal/notices/drafts); ?draft=ID reopens one
+     - Issue the draft now, or schedule it for "Publish At"
+       (POST /api/portal/notices/drafts/:id/publish)
+     - Or, with "Repeat" set, start a recurring series instead
+       (POST /api/portal/notice-series) and discard the draft
+     - Start from a template, asking for its {{placeholders}}, or save the
+       form as a personal template (/api/portal/templates)
+     - Build the notice's checklist: items with their own deadlines, sent
+       with the draft as `items`
    ===================================================== */
 
-const token = localStorage.getItem('portal_token');
 const user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
 
-if (!token || !user) {
+if (!user) {
   window.location.href = 'login.html';
-} else if (user.role === 'admin') {
-  window.location.href = 'admin.html';
+} else if (!userCan(user, 'notice.create')) {
+  window.location.href = homePage(user);
 }
 
+let draftId = new URLSearchParams(location.search).get('draft');
+
 function esc(str) {
   return String(str || '')
     .replace(/&/g, '&amp;')
@@ -26,6 +36,314 @@ function esc(str) {
     .replace(/"/g, '&quot;');
 }
 
+let allTemplates = [];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/** fillPlaceholders — replaces each {{name}} that has a value; the others stay. */
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER, (match, name) => values[name] || match);
+}
+
+/** loadTemplates — fills the template picker: district-wide first, then one's own. */
+async function loadTemplates() {
+  const picker = document.getElementById('template-picker');
+  try {
+    const res = await fetchAuth(`${API}/portal/templates`);
+    allTemplates = await res.json();
+    const group = (label, list) => list.length
+      ? `<optgroup label="${label}">${list.map(t => `<option value="${t.id}">${esc(t.name)}</option>`).join('')}</optgroup>`
+      : '';
+    picker.innerHTML = '<option value="">— Blank notice —</option>' +
+      group('District-wide', allTemplates.filter(t => t.scope === 'district')) +
+      group('My Templates',  allTemplates.filter(t => t.scope === 'personal'));
+  } catch {
+    picker.innerHTML = '<option value="">Could not load templates</option>';
+  }
+}
+
+/**
+ * pickTemplate — on choosing a template, asks for its placeholder values
+ * (or applies it at once when it has none).
+ */
+function pickTemplate() {
+  const t = allTemplates.find(x => x.id === parseInt(document.getElementById('template-picker').value));
+  document.getElementById('template-delete').style.display = t && t.can_edit && t.scope === 'personal' ? '' : 'none';
+  const fields = document.getElementById('template-fields');
+  if (!t) { fields.style.display = 'none'; return; }
+  if (!t.placeholders.length) { fields.style.display = 'none'; applyTemplate(t, {}); return; }
+
+  document.getElementById('template-field-list').innerHTML = t.placeholders.map(name => `
+    <div class="form-group" style="margin-bottom:0.5rem;">
+      <label for="placeholder-${esc(name)}">${esc(name.replace(/_/g, ' '))}</label>
+      <input type="text" id="placeholder-${esc(name)}" data-placeholder="${esc(name)}" />
+    </div>`).join('');
+  fields.style.display = 'block';
+}
+
+/**
+ * applyTemplate — fills the form from a template and the placeholder values;
+ * a default recipient list replaces the current selection.
+ * @param {object} t — a template from GET /api/portal/templates
+ * @param {Object<string, string>} values
+ */
+function applyTemplate(t, values) {
+  const title = document.getElementById('title');
+  const body  = document.getElementById('body');
+  if ((title.value.trim() || body.value.trim()) &&
+      !confirm('Replace the title and text you have written with this template?')) return;
+
+  title.value = fillPlaceholders(t.title, values);
+  body.value  = fillPlaceholders(t.body, values);
+  document.getElementById('priority').value = t.priority;
+
+  if (t.targets) {
+    const all = !!t.targets.target_all;
+    document.getElementById(all ? 'target_all_radio' : 'target_specific_radio').checked = true;
+    document.getElementById('user-picker-wrap').style.display = all ? 'none' : 'block';
+    document.querySelectorAll('input[name=target_user_ids]').forEach(cb => {
+      cb.checked = t.targets.user_ids.includes(parseInt(cb.value));
+    });
+    document.querySelectorAll('input[name=target_dept_ids]').forEach(cb => {
+      cb.checked = t.targets.dept_ids.includes(parseInt(cb.value));
+    });
+  }
+  document.getElementById('template-fields').style.display = 'none';
+  title.dispatchEvent(new Event('input', { bubbles: true }));  // autosave the draft
+}
+
+/** saveAsTemplate — saves the form's title, text, priority and recipients as a personal template. */
+async function saveAsTemplate() {
+  const name = prompt('Name for this template (e.g. "Meeting intimation"):');
+  if (!name) return;
+  const isTargetAll = document.getElementById('target_all_radio').checked;
+  const payload = {
+    scope:      'personal',
+    name,
+    title:      document.getElementById('title').value.trim(),
+    body:       document.getElementById('body').value.trim(),
+    priority:   document.getElementById('priority').value || 'Normal',
+    target_all: isTargetAll ? '1' : '0'
+  };
+  if (!isTargetAll) {
+    payload.target_user_ids = [...document.querySelectorAll('input[name=target_user_ids]:checked')].map(cb => cb.value);
+    payload.target_dept_ids = [...document.querySelectorAll('input[name=target_dept_ids]:checked')].map(cb => cb.value);
+  }
+  try {
+    const res  = await fetchAuth(`${API}/portal/templates`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Could not save the template.');
+    document.getElementById('draft-status').textContent = `Template "${name}" saved.`;
+    await loadTemplates();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+/** deleteTemplate — deletes the chosen personal template, after confirmation. */
+async function deleteTemplate() {
+  const picker = document.getElementById('template-picker');
+  const t = allTemplates.find(x => x.id === parseInt(picker.value));
+  if (!t || !confirm(`Delete the template "${t.name}"?`)) return;
+  try {
+    const res = await fetchAuth(`${API}/portal/templates/${t.id}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error((await res.json()).error || 'Could not delete the template.');
+    await loadTemplates();
+    pickTemplate();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+/** localDateTime — a UTC "YYYY-MM-DD HH:MM:SS" as a datetime-local input value. */
+function localDateTime(utc) {
+  const d = new Date(utc.replace(' ', 'T') + 'Z');
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+/**
+ * addChecklistItem — adds a checklist row to the form, filled from a saved item.
+ * @param {object} [item] — { title, deadline, required, requires_attachment }
+ */
+function addChecklistItem(item = {}) {
+  const row = document.createElement('div');
+  row.className = 'checklist-row';
+  row.innerHTML = `
+    <input type="text" class="item-title" maxlength="300" placeholder="Deliverable, e.g. Utilisation certificate" value="${esc(item.title)}" />
+    <input type="date" class="item-deadline" value="${esc(item.deadline)}" />
+    <label class="dept-checkbox-item"><input type="checkbox" class="item-required" ${item.required === false ? '' : 'checked'} /> Required</label>
+    <label class="dept-checkbox-item"><input type="checkbox" class="item-attachment" ${item.requires_attachment ? 'checked' : ''} /> File needed</label>
+    <button type="button" class="btn btn-sm btn-outline" title="Remove item">&times;</button>`;
+  row.querySelector('button').addEventListener('click', () => {
+    row.remove();
+    document.getElementById('compose-form').dispatchEvent(new Event('input', { bubbles: true }));
+  });
+  document.getElementById('checklist-items').appendChild(row);
+}
+
+/** checklistItems — the checklist rows as sent to the server. */
+function checklistItems() {
+  return [...document.querySelectorAll('.checklist-row')].map(row => ({
+    title:               row.querySelector('.item-title').value.trim(),
+    deadline:            row.querySelector('.item-deadline').value,
+    required:            row.querySelector('.item-required').checked,
+    requires_attachment: row.querySelector('.item-attachment').checked
+  }));
+}
+
+/** draftFormData — the form as it stands; the attachment only when asked for. */
+function draftFormData(withAttachment) {
+  const fd = new FormData();
+  fd.append('title',      document.getElementById('title').value.trim());
+  fd.append('body',       document.getElementById('body').value.trim());
+  fd.append('priority',   document.getElementById('priority').value || 'Normal');
+  fd.append('deadline',   document.getElementById('deadline').value);
+  fd.append('target_all', document.getElementById('target_all_radio').checked ? '1' : '0');
+  document.querySelectorAll('input[name=target_user_ids]:checked').forEach(cb => fd.append('target_user_ids', cb.value));
+  document.querySelectorAll('input[name=target_dept_ids]:checked').forEach(cb => fd.append('target_dept_ids', cb.value));
+  fd.append('items', JSON.stringify(checklistItems()));
+
+  const attachFile = document.getElementById('attachment').files[0];
+  if (withAttachment && attachFile) fd.append('attachment', attachFile);
+  return fd;
+}
+
+/**
+ * saveDraft — saves the form as a draft: creates it the first time, replaces
+ * it afterwards, and keeps its id in the address bar so a reload reopens it.
+ * Saves never overlap; one asked for mid-save follows it.
+ */
+let saving = null;
+let attachmentChanged = false;
+
+async function saveDraft() {
+  while (saving) await saving.catch(() => {});
+  const withAttachment = attachmentChanged;
+  attachmentChanged = false;
+
+  saving = (async () => {
+    const res = await fetchAuth(
+      draftId ? `${API}/portal/notices/drafts/${draftId}` : `${API}/portal/notices/drafts`,
+      { method: draftId ? 'PUT' : 'POST', body: draftFormData(withAttachment) }
+    );
+    const data = await res.json();
+    if (!res.ok) {
+      if (withAttachment) attachmentChanged = true;
+      throw new Error(data.error || 'Could not save the draft.');
+    }
+    if (!draftId) {
+      draftId = data.id;
+      history.replaceState(null, '', `?draft=${draftId}`);
+    }
+    document.getElementById('draft-status').textContent =
+      `Draft saved at ${new Date().toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`;
+  })();
+
+  try { await saving; } finally { saving = null; }
+}
+
+/** loadDraft — fills the form from a saved draft (after the pickers are built). */
+async function loadDraft() {
+  const res = await fetchAuth(`${API}/portal/notices/drafts/${draftId}`);
+  if (!res.ok) {
+    draftId = null;
+    history.replaceState(null, '', location.pathname);
+    return;
+  }
+  const d = await res.json();
+  document.getElementById('title').value    = d.title;
+  document.getElementById('body').value     = d.body;
+  document.getElementById('priority').value = d.priority;
+  document.getElementById('deadline').value = d.deadline;
+  if (d.publish_at) document.getElementById('publish-at').value = localDateTime(d.publish_at);
+  (d.items || []).forEach(addChecklistItem);
+
+  const t = d.targets || {};
+  if (t.target_all) {
+    document.getElementById('target_all_radio').checked = true;
+    document.getElementById('user-picker-wrap').style.display = 'none';
+  }
+  (t.user_ids || []).forEach(id => {
+    const cb = document.querySelector(`input[name=target_user_ids][value="${id}"]`);
+    if (cb) cb.checked = true;
+  });
+  (t.dept_ids || []).forEach(id => {
+    const cb = document.querySelector(`input[name=target_dept_ids][value="${id}"]`);
+    if (cb) cb.checked = true;
+  });
+
+  document.getElementById('compose-eyebrow').textContent =
+    `${user.dept_name || user.username} — ${d.state === 'scheduled' ? 'Scheduled Notice' : 'Draft'}`;
+  document.getElementById('draft-status').textContent = d.state === 'scheduled'
+    ? `Scheduled for ${new Date(d.publish_at.replace(' ', 'T') + 'Z').toLocaleString('en-IN')} — changes return it to draft`
+    : `Draft last saved ${d.updated_at}${d.attachment_name ? ` · attached: ${d.attachment_name}` : ''}`;
+  setSubmitLabel();
+}
+
+/** submitLabel — the submit button's caption for the chosen timing. */
+function submitLabel() {
+  if (document.getElementById('repeat').value) return 'Start Recurring Notice';
+  return document.getElementById('publish-at').value ? 'Schedule Notice' : 'Issue Notice';
+}
+
+/** setSubmitLabel — updates the submit button when the timing changes. */
+function setSubmitLabel() {
+  document.querySelector('#compose-form button[type=submit]').textContent = submitLabel();
+}
+
+/**
+ * startSeries — starts a recurring series from the form. The deadline of
+ * each notice is kept the same number of days after it goes out as the
+ * chosen deadline is after the first one.
+ * @returns {Promise<object>} — the API response body
+ */
+async function startSeries() {
+  const publishAt = document.getElementById('publish-at').value;
+  const first     = publishAt ? new Date(publishAt) : new Date();
+  const firstDay  = first.toISOString().slice(0, 10);
+  const deadline  = document.getElementById('deadline').value;
+  if (!deadline) throw new Error('Choose the deadline of the first notice.');
+  if (document.getElementById('attachment').files[0]) {
+    throw new Error('Recurring notices cannot carry an attachment.');
+  }
+  if (checklistItems().length) {
+    throw new Error('Recurring notices cannot carry a checklist.');
+  }
+
+  const isTargetAll = document.getElementById('target_all_radio').checked;
+  const payload = {
+    title:         document.getElementById('title').value.trim(),
+    body:          document.getElementById('body').value.trim(),
+    priority:      document.getElementById('priority').value,
+    frequency:     document.getElementById('repeat').value,
+    starts_at:     first.toISOString(),
+    deadline_days: Math.round((Date.parse(deadline) - Date.parse(firstDay)) / 86400000),
+    ends_on:       document.getElementById('repeat-until').value,
+    max_count:     document.getElementById('repeat-count').value,
+    target_all:    isTargetAll ? '1' : '0'
+  };
+  if (!isTargetAll) {
+    payload.target_user_ids = [...document.querySelectorAll('input[name=target_user_ids]:checked')].map(cb => cb.value);
+    payload.target_dept_ids = [...document.querySelectorAll('input[name=target_dept_ids]:checked')].map(cb => cb.value);
+  }
+
+  const res  = await fetchAuth(`${API}/portal/notice-series`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(payload)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to start the recurring notice.');
+
+  if (draftId) await fetchAuth(`${API}/portal/notices/drafts/${draftId}`, { method: 'DELETE' });
+  return data;
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   setFooterYear();
   initNavToggle();
@@ -33,6 +351,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('header-meta').textContent     = fmt(new Date().toISOString().slice(0, 10));
   document.getElementById('compose-eyebrow').textContent = `${user.dept_name || user.username} — New Notice`;
   document.getElementById('deadline').min = new Date().toISOString().slice(0, 10);
+  document.getElementById('publish-at').addEventListener('input', setSubmitLabel);
+  document.getElementById('repeat').addEventListener('change', function () {
+    document.querySelectorAll('.repeat-ends').forEach(el => { el.style.display = this.value ? '' : 'none'; });
+    setSubmitLabel();
+  });
 
   // ── Target mode toggle ────────────────────────────────────────────────────
   const userPickerWrap = document.getElementById('user-picker-wrap');
@@ -44,11 +367,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     userPickerWrap.style.display = 'block';
   });
 
+  // ── Load departments (addressed to the shared department inbox) ───────────
+  try {
+    const res   = await fetchAuth(`${API}/departments`);
+    const depts = await res.json();
+    document.getElementById('dept-target-grid').innerHTML = depts.length
+      ? depts.map(d => `
+          <label class="dept-checkbox-item">
+            <input type="checkbox" name="target_dept_ids" value="${d.id}" />
+            ${esc(d.name)}
+          </label>`).join('')
+      : '<p class="text-muted text-small">No departments available.</p>';
+  } catch {
+    document.getElementById('dept-target-grid').innerHTML =
+      '<p class="text-muted text-small">Could not load departments.</p>';
+  }
+
   // ── Load active users and render grouped picker ───────────────────────────
   try {
-    const res   = await fetch(`${API}/portal/users/active`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
+    const res   = await fetchAuth(`${API}/portal/users/active`);
     const users = await res.json();
     const grid  = document.getElementById('user-checkbox-grid');
 
@@ -92,45 +429,84 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // ── Templates ─────────────────────────────────────────────────────────────
+  await loadTemplates();
+  document.getElementById('template-picker').addEventListener('change', pickTemplate);
+  document.getElementById('template-apply').addEventListener('click', () => {
+    const t = allTemplates.find(x => x.id === parseInt(document.getElementById('template-picker').value));
+    const values = {};
+    document.querySelectorAll('[data-placeholder]').forEach(input => { values[input.dataset.placeholder] = input.value.trim(); });
+    if (t) applyTemplate(t, values);
+  });
+  document.getElementById('template-delete').addEventListener('click', deleteTemplate);
+  document.getElementById('save-template-btn').addEventListener('click', saveAsTemplate);
+
+  // ── Checklist ─────────────────────────────────────────────────────────────
+  document.getElementById('checklist-add').addEventListener('click', () => {
+    addChecklistItem();
+    document.querySelector('.checklist-row:last-child .item-title').focus();
+  });
+
+  // ── Drafts: reopen, then autosave two seconds after the last change ────────
+  if (draftId) await loadDraft();
+
+  let autosaveTimer = null;
+  const scheduleAutosave = () => {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+      saveDraft().catch(err => { document.getElementById('draft-status').textContent = err.message; });
+    }, 2000);
+  };
+  // The search box and the template picker are not part of the notice.
+  const notNotice = el => el.id === 'user-search' || !!el.closest('#template-picker, #template-fields');
+  const composeForm = document.getElementById('compose-form');
+  composeForm.addEventListener('input', e => { if (!notNotice(e.target)) scheduleAutosave(); });
+  composeForm.addEventListener('change', e => {
+    if (e.target.id === 'attachment') attachmentChanged = true;
+    if (!notNotice(e.target)) scheduleAutosave();
+  });
+
   // ── Form submit ───────────────────────────────────────────────────────────
   document.getElementById('compose-form').addEventListener('submit', async function (e) {
     e.preventDefault();
     const btn    = this.querySelector('button[type=submit]');
     const status = document.getElementById('compose-status');
     btn.disabled    = true;
-    btn.textContent = 'Issuing notice...';
+    btn.textContent = 'Saving...';
     status.style.display = 'none';
 
-    const isTargetAll = document.getElementById('target_all_radio').checked;
+    clearTimeout(autosaveTimer);
+    const idleLabel = submitLabel();
 
-    const fd = new FormData();
-    fd.append('title',      document.getElementById('title').value.trim());
-    fd.append('body',       document.getElementById('body').value.trim());
-    fd.append('priority',   document.getElementById('priority').value);
-    fd.append('deadline',   document.getElementById('deadline').value);
-    fd.append('target_all', isTargetAll ? '1' : '0');
-
-    if (!isTargetAll) {
-      const checked = [...document.querySelectorAll('input[name=target_user_ids]:checked')];
-      if (checked.length === 0) {
+    if (!document.getElementById('target_all_radio').checked) {
+      const checked = document.querySelectorAll('input[name=target_user_ids]:checked');
+      const depts   = document.querySelectorAll('input[name=target_dept_ids]:checked');
+      if (checked.length === 0 && depts.length === 0) {
         status.className     = 'form-status error';
         status.textContent   = 'Please select at least one recipient, or choose "All Users".';
         status.style.display = 'block';
         btn.disabled    = false;
-        btn.textContent = 'Issue Notice';
+        btn.textContent = idleLabel;
         return;
       }
-      checked.forEach(cb => fd.append('target_user_ids', cb.value));
     }
 
-    const attachFile = document.getElementById('attachment').files[0];
-    if (attachFile) fd.append('attachment', attachFile);
-
+    // Save the form as it stands, then publish that draft.
+    const publishAt = document.getElementById('publish-at').value;
     try {
-      const res  = await fetch(`${API}/portal/notices`, {
+      if (document.getElementById('repeat').value) {
+        const data = await startSeries();
+        status.className     = 'form-status success';
+        status.textContent   = data.message;
+        status.style.display = 'block';
+        setTimeout(() => { window.location.href = 'dashboard.html'; }, 1200);
+        return;
+      }
+      await saveDraft();
+      const res  = await fetchAuth(`${API}/portal/notices/drafts/${draftId}/publish`, {
         method:  'POST',
-        headers: { 'Authorization': `Bearer ${token}` },
-        body:    fd
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(publishAt ? { publish_at: new Date(publishAt).toISOString() } : {})
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Failed to create notice.');
@@ -144,7 +520,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       status.textContent   = err.message;
       status.style.display = 'block';
       btn.disabled    = false;
-      btn.textContent = 'Issue Notice';
+      btn.textContent = idleLabel;
     }
   });
 });
@@ -4,23 +4,32 @@
    Responsibilities:
      - Auth guard (redirects non-dept users)
      - Load and render the department's inbox (received notices)
-     - Load and render the department's outbox (sent notices)
+     - Load and render the department's outbox (sent notices), with the
+       checklist progress across recipients
+     - List unsent drafts and scheduled notices above the outbox
+     - Group the notices of each recurring series; pause, resume or stop it
      - Open notice detail modal (marks notice as read)
      - Open action modal to respond (Noted / Completed + optional reply file)
+       and tick off the notice's checklist items
+     - Accept completions submitted for review, or return them with comments
+     - Withdraw a sent notice with a reason; list notices withdrawn from the inbox
+     - Department heads reassign a colleague's copy from the detail view
+     - Leave cover — hand one's notices to a deputy for a date range
+     - "Viewing as" banner while an administrator impersonates the user
      - Delete fully-completed notices
    ===================================================== */
 
 // ── Auth guard — runs synchronously before any async work ────────────────────
-// If there is no token or user in localStorage, the session has expired or
-// the user has never logged in — redirect immediately to the login page.
-const token = localStorage.getItem('portal_token');
+// If there is no cached user in localStorage, the user has logged out or
+// never logged in — redirect immediately to the login page. (The session
+// cookie itself is httpOnly; an expired one surfaces as a 401 in fetchAuth.)
 const user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
 
-if (!token || !user) {
+if (!user) {
   window.location.href = 'login.html';
-} else if (user.role === 'admin') {
-  // Admin users have their own dashboard — redirect them there.
-  window.location.href = 'admin.html';
+} else if (homePage(user) !== 'dashboard.html') {
+  // Admins and auditors have their own dashboard — redirect them there.
+  window.location.href = homePage(user);
 }
 
 // ── Authenticated fetch wrapper ───────────────────────────────────────────────
@@ -28,30 +37,45 @@ if (!token || !user) {
  * fetchAuth — wraps fetch with JWT authentication and centralised error handling.
  *
  * Behaviour:
- *   - Attaches "Authorization: Bearer <token>" to every request.
- *   - On 401 (expired/invalid token): clears storage and redirects to login.
+ *   - Relies on the session cookies and adds the X-CSRF-Token header
+ *     (csrfToken() in main.js) to every request.
+ *   - On 401 (expired access token): refreshes the session once via
+ *     refreshSession() (main.js) and replays the request.
+ *   - On 401 after a failed refresh: clears storage and redirects to login.
+ *   - On 401 while viewing as another user: that session has ended or
+ *     expired, so returns the administrator to their own dashboard.
+ *   - On 403 PASSWORD_CHANGE_REQUIRED / MFA_ENROLLMENT_REQUIRED: redirects to
+ *     the matching setup page (SETUP_PAGES in main.js).
  *   - On any other non-2xx status: rejects with a descriptive error message.
  *   - On network failure: rejects with a "server not running" message.
  *
  * @param {string}      url
  * @param {RequestInit} options — standard fetch options
+ * @param {boolean}     retried — internal; true on the replay after a refresh
  * @returns {Promise<Response>}
  */
-async function fetchAuth(url, options = {}) {
+async function fetchAuth(url, options = {}, retried = false) {
   let res;
   try {
     res = await fetch(url, {
       ...options,
-      headers: { ...(options.headers || {}), 'Authorization': `Bearer ${token}` }
+      headers: { ...(options.headers || {}), 'X-CSRF-Token': csrfToken() }
     });
   } catch (networkErr) {
     throw new Error('Network error — is the server running?');
   }
 
+  if (res.status === 401 && user.impersonation) {
+    leaveImpersonation();
+    throw new Error('The impersonation session has ended.');
+  }
+
   if (res.status === 401) {
-    // Token is invalid or has expired — force re-login.
-    localStorage.removeItem('portal_token');
-    localStorage.removeItem('portal_user');
+    // Access token expired — rotate the refresh token and try again once.
+    if (!retried && await refreshSession()) return fetchAuth(url, options, true);
+
+    // Refresh token is also invalid or has expired — force re-login.
+    clearSession();
     window.location.href = 'login.html';
     throw new Error('Session expired.');
   }
@@ -59,7 +83,11 @@ async function fetchAuth(url, options = {}) {
   if (!res.ok) {
     // Parse the server's error message if available, else use a generic one.
     let errMsg = `Server error (HTTP ${res.status})`;
-    try { const d = await res.json(); errMsg = d.error || errMsg; } catch (_) {}
+    let errCode = null;
+    try { const d = await res.json(); errMsg = d.error || errMsg; errCode = d.code || null; } catch (_) {}
+
+    // A password change or 2FA enrollment is pending — finish that first.
+    if (SETUP_PAGES[errCode]) window.location.href = SETUP_PAGES[errCode];
     throw new Error(errMsg);
   }
 
@@ -71,6 +99,7 @@ async function fetchAuth(url, options = {}) {
 // without additional network requests.
 let allInbox  = [];
 let allOutbox = [];
+let allSeries = [];
 
 // ── Logout handler — event delegation on document ────────────────────────────
 // Using delegation rather than direct binding means this works even if the
@@ -79,9 +108,7 @@ document.addEventListener('click', function (e) {
   const target = e.target.closest('#nav-logout');
   if (!target) return;
   e.preventDefault();
-  localStorage.removeItem('portal_token');
-  localStorage.removeItem('portal_user');
-  window.location.href = 'login.html';
+  endSession().then(() => { window.location.href = 'login.html'; });
 });
 
 // ── DOMContentLoaded — safe entry point for all DOM manipulation ──────────────
@@ -101,6 +128,21 @@ document.addEventListener('DOMContentLoaded', () => {
     if (subEl) subEl.textContent = `Logged in as: ${user.username}`;
   } catch(e) { console.error('header setup:', e); }
 
+  if (user.impersonation) showImpersonationBanner(user);
+
+  // Roles that cannot issue notices (e.g. clerks) get no compose links and
+  // have no closed notices of their own to browse.
+  if (!userCan(user, 'notice.create')) {
+    document.querySelectorAll('a[href="notice-compose.html"]').forEach(a => {
+      (a.closest('li') || a).style.display = 'none';
+    });
+    document.querySelector('[data-tab="archive"]').style.display = 'none';
+  }
+  // Only users who receive notices have anything to hand over while on leave.
+  if (!userCan(user, 'notice.respond')) {
+    document.querySelector('[data-tab="leave"]').style.display = 'none';
+  }
+
   // Tab switching — clicking a tab shows the matching panel.
   document.querySelectorAll('.dash-tab').forEach(tab => {
     tab.addEventListener('click', () => switchTab(tab.dataset.tab));
@@ -126,15 +168,25 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('action-modal-close').addEventListener('click', () => closeModal('action-modal'));
   document.getElementById('action-modal-close-2').addEventListener('click', () => closeModal('action-modal'));
 
-  // Wire up the action form (Noted/Completed response).
+  // Wire up the action form (Noted/Completed response), and the extension
+  // request and forwarding below it.
   document.getElementById('action-form').addEventListener('submit', submitAction);
+  document.getElementById('extension-form').addEventListener('submit', submitExtension);
+  document.getElementById('forward-form').addEventListener('submit', submitForward);
+
+  document.getElementById('leave-form').addEventListener('submit', submitDelegation);
+  document.getElementById('archive-filter').addEventListener('submit', e => {
+    e.preventDefault();
+    loadArchive();
+  });
+  if (userCan(user, 'notice.create')) loadArchiveDepartments();
 
   loadDashboard();
 });
 
 /**
  * switchTab — activates the selected tab and its corresponding panel.
- * @param {string} tab — data-tab value ('inbox' or 'outbox')
+ * @param {string} tab — data-tab value ('inbox', 'outbox', 'archive' or 'leave')
  */
 function switchTab(tab) {
   document.querySelectorAll('.dash-tab').forEach(t => t.classList.remove('active'));
@@ -147,7 +199,10 @@ function switchTab(tab) {
  * loadDashboard — fetches inbox and outbox data in parallel.
  */
 async function loadDashboard() {
-  await Promise.all([loadInbox(), loadOutbox()]);
+  const loads = [loadInbox(), loadOutbox()];
+  if (userCan(user, 'notice.create')) loads.push(loadDrafts(), loadArchive());
+  if (userCan(user, 'notice.respond')) loads.push(loadWithdrawn(), loadDelegations(), loadDeputies(), loadForwardDepartments());
+  await Promise.all(loads);
 }
 
 // ── INBOX ─────────────────────────────────────────────────────────────────────
@@ -175,8 +230,10 @@ async function loadInbox() {
 /**
  * renderInbox — renders the inbox list filtered by the given status.
  * Each row shows priority/status badges, overdue warning, unread indicator,
- * and a "Respond" button for notices that are not yet completed.
- * @param {string} filterStatus — 'all', 'Pending', 'Noted', or 'Completed'
+ * and a "Respond" button for notices that are not yet completed — or that
+ * were edited after this user responded. A completion the sender returned
+ * shows their comments.
+ * @param {string} filterStatus — 'all', 'Pending', 'Noted', 'In Progress', 'Submitted' or 'Accepted'
  */
 function renderInbox(filterStatus) {
   const list  = document.getElementById('inbox-list');
@@ -195,9 +252,32 @@ function renderInbox(filterStatus) {
     // Unread indicator — a dot and bolder row styling for unread notices.
     const unreadClass = n.is_read === 0 ? 'unread' : '';
     const unreadDot   = n.is_read === 0 ? '<span class="unread-dot"></span>' : '';
-    // Respond button — only shown while the notice is still actionable.
-    const actionBtn   = n.status !== 'Completed'
-      ? `<button class="btn btn-sm btn-outline" data-action-id="${n.id}" data-action-title="${esc(n.title)}">Respond</button>`
+    // Extension badge — a request for more time is awaiting the sender's decision.
+    const extensionBadge = n.extension_status === 'Pending'
+      ? `<span class="changed-badge">Extension to ${fmt(n.extension_proposed_deadline)} requested</span>`
+      : '';
+    // Changed badge — the sender edited the notice after this user responded.
+    const changedBadge = n.changed_since_ack
+      ? '<span class="changed-badge">Changed since you responded</span>'
+      : '';
+    // Forwarded note — who passed this notice on to this user, and why.
+    const forwardedNote = n.forwarded_by_username
+      ? `<p class="text-muted text-small" style="margin-top:0.4rem;">Forwarded by ${esc(n.forwarded_by_username)}${n.forward_note ? `: ${esc(n.forward_note)}` : ''}</p>`
+      : '';
+    // Comments badge — comments in the notice's discussion not yet seen.
+    const commentsBadge = n.unread_comments
+      ? `<span class="changed-badge">${n.unread_comments} new comment${n.unread_comments > 1 ? 's' : ''}</span>`
+      : '';
+    // Checklist badge — items ticked off so far; flagged when one is overdue.
+    const itemsDone      = (n.items || []).filter(i => i.done_at).length;
+    const checklistBadge = n.items && n.items.length
+      ? `<span class="tag">Checklist ${itemsDone}/${n.items.length}</span>${n.items.some(i => i.is_overdue) ? '<span class="overdue-badge">Item overdue</span>' : ''}`
+      : '';
+    // Respond button — only shown while the notice is still actionable: not
+    // submitted for review or accepted, unless it changed since.
+    const submitted   = n.status === 'Submitted' || n.status === 'Accepted';
+    const actionBtn   = !submitted || n.changed_since_ack
+      ? `<button class="btn btn-sm btn-outline" data-action-id="${n.id}" data-action-title="${esc(n.title)}" data-on-behalf="${n.on_behalf_of_id || ''}">Respond</button>`
       : '';
 
     return `
@@ -211,12 +291,20 @@ function renderInbox(filterStatus) {
           <a href="#" class="notice-title" data-notice-id="${n.id}">${esc(n.title)}</a>
           <div class="notice-meta" style="margin-top:0.3rem; display:flex; flex-wrap:wrap; gap:0.3rem; align-items:center;">
             <span class="prio-badge ${n.priority}">${esc(n.priority)}</span>
-            <span class="status-badge ${n.status}${n.is_overdue && n.status!=='Completed' ? ' overdue' : ''}">${esc(n.status)}</span>
+            <span class="status-badge ${n.status}${n.is_overdue && !submitted ? ' overdue' : ''}">${esc(n.status)}</span>
             <span class="text-muted" style="font-size:0.68rem;">From: ${esc(n.source_dept_name || n.created_by_username)}</span>
-            <span class="text-muted" style="font-size:0.68rem;">Deadline: ${fmt(n.deadline)}</span>
+            ${n.target_dept_id ? `<span class="text-muted" style="font-size:0.68rem;">To: ${esc(n.target_dept_name)} (shared)${n.acted_by_username ? ` &mdash; answered by ${esc(n.acted_by_username)}` : ''}</span>` : ''}
+            ${n.on_behalf_of_id ? `<span class="text-muted" style="font-size:0.68rem;">Covering for: ${esc(n.on_behalf_of_username)}</span>` : ''}
+            <span class="text-muted" style="font-size:0.68rem;">Deadline: ${fmt(n.effective_deadline)}${n.effective_deadline !== n.deadline ? ` (extended from ${fmt(n.deadline)})` : ''}</span>
             ${overdueBadge}
+            ${extensionBadge}
+            ${changedBadge}
+            ${commentsBadge}
+            ${checklistBadge}
           </div>
           ${n.remark ? `<p class="text-muted text-small" style="margin-top:0.4rem;font-style:italic;">"${esc(n.remark)}"</p>` : ''}
+          ${forwardedNote}
+          ${n.status === 'In Progress' && n.review_note ? `<p class="review-note">Returned ${fmt(n.reviewed_at.slice(0,10))}: ${esc(n.review_note)}</p>` : ''}
         </div>
         <div style="display:flex; flex-direction:column; gap:0.4rem; align-items:flex-end;">
           ${actionBtn}
@@ -234,20 +322,72 @@ function renderInbox(filterStatus) {
 
   list.querySelectorAll('[data-action-id]').forEach(el => {
     el.addEventListener('click', () =>
-      openActionModal(parseInt(el.dataset.actionId), el.dataset.actionTitle)
+      openActionModal(parseInt(el.dataset.actionId), el.dataset.actionTitle, el.dataset.onBehalf)
     );
   });
 }
 
+/**
+ * loadWithdrawn — lists the notices withdrawn by their senders under the
+ * inbox, newest withdrawal first, with who withdrew each and why. The list
+ * stays hidden when there are none; unread ones are counted in its heading.
+ */
+async function loadWithdrawn() {
+  const history = document.getElementById('withdrawn-history');
+  const list    = document.getElementById('withdrawn-list');
+  try {
+    const res   = await fetchAuth(`${API}/portal/notices/inbox/withdrawn`);
+    const items = await res.json();
+    history.hidden = !items.length;
+    const unread = items.filter(n => n.is_read === 0).length;
+    document.getElementById('withdrawn-count').textContent =
+      `(${items.length}${unread ? `, ${unread} new` : ''})`;
+
+    list.innerHTML = items.map(n => `
+      <div class="inbox-row ${n.is_read === 0 ? 'unread' : ''}">
+        <div class="notice-date">
+          ${fmt(n.withdrawn_at.slice(0,10))}
+          <span class="year">${n.source_dept_code || ''}</span>
+        </div>
+        <div>
+          ${n.is_read === 0 ? '<span class="unread-dot"></span>' : ''}
+          <a href="#" class="notice-title" data-notice-id="${n.id}">${esc(n.title)}</a>
+          <div class="notice-meta" style="margin-top:0.3rem; display:flex; flex-wrap:wrap; gap:0.3rem; align-items:center;">
+            <span class="status-badge Withdrawn">Withdrawn</span>
+            <span class="text-muted" style="font-size:0.68rem;">From: ${esc(n.source_dept_name || n.created_by_username)}</span>
+            <span class="text-muted" style="font-size:0.68rem;">Your status: ${esc(n.status)}</span>
+          </div>
+          <p class="withdrawal-note">${esc(n.withdrawal_reason)} &mdash; ${esc(n.withdrawn_by_username)}</p>
+        </div>
+        <div></div>
+      </div>`).join('');
+
+    list.querySelectorAll('[data-notice-id]').forEach(el => {
+      el.addEventListener('click', e => {
+        e.preventDefault();
+        openNoticeDetail(parseInt(el.dataset.noticeId));
+      });
+    });
+  } catch {
+    history.hidden = false;
+    list.innerHTML = '<p class="text-muted text-small">Could not load withdrawn notices.</p>';
+  }
+}
+
 // ── OUTBOX ─────────────────────────────────────────────────────────────────────
 
 /**
- * loadOutbox — fetches notices sent by this department and renders them.
+ * loadOutbox — fetches notices sent by this department, and the recurring
+ * series they may belong to, and renders them.
  */
 async function loadOutbox() {
   try {
-    const res = await fetchAuth(`${API}/portal/notices/outbox`);
-    allOutbox = await res.json();
+    const [outboxRes, seriesRes] = await Promise.all([
+      fetchAuth(`${API}/portal/notices/outbox`),
+      userCan(user, 'notice.create') ? fetchAuth(`${API}/portal/notice-series`) : null
+    ]);
+    allOutbox = await outboxRes.json();
+    allSeries = seriesRes ? await seriesRes.json() : [];
     renderOutbox();
   } catch {
     document.getElementById('outbox-list').innerHTML =
@@ -256,59 +396,296 @@ async function loadOutbox() {
 }
 
 /**
- * renderOutbox — renders the outbox list.
+ * renderOutbox — renders the outbox list: recurring series first, each
+ * grouping the notices it has sent, then the other notices.
  * Each row shows target department chips (coloured by acknowledgement status),
- * pending/noted/completed counts, overdue badge, and an attachment link.
+ * pending/noted/completed counts, overdue badge, an attachment link, and any
+ * extension requests awaiting a decision with Approve / Reject buttons.
  */
 function renderOutbox() {
   const list = document.getElementById('outbox-list');
-  if (!allOutbox.length) {
+  if (!allOutbox.length && !allSeries.length) {
     list.innerHTML = `<div class="empty-state">No notices issued yet.<br /><a href="notice-compose.html">Create your first notice &rarr;</a></div>`;
     return;
   }
 
-  list.innerHTML = allOutbox.map(n => {
-    const overdueBadge = n.is_overdue
-      ? `<span class="overdue-badge">OVERDUE &mdash; ${n.days_lapsed}d lapsed</span>`
+  const seriesHtml = allSeries.map(s => {
+    const instances = allOutbox.filter(n => n.series_id === s.id);
+    const runs = s.status === 'active' || s.status === 'paused'
+      ? `next ${esc(new Date(s.next_run_at.replace(' ', 'T') + 'Z').toLocaleString('en-IN'))}`
+      : '';
+    const controls = {
+      active: `<button class="btn btn-sm btn-outline" data-series-id="${s.id}" data-series-status="paused">Pause</button>`,
+      paused: `<button class="btn btn-sm" data-series-id="${s.id}" data-series-status="active">Resume</button>`
+    }[s.status] || '';
+    const stop = controls
+      ? `<button class="btn btn-sm btn-outline" data-series-id="${s.id}" data-series-status="stopped">Stop</button>`
       : '';
-    // Target chips — coloured by each user's individual acknowledgement status.
-    const targetsHtml = n.targets.map(t => {
-      const statusClass = t.username === 'All Users' ? '' : (t.status || '');
-      const label = t.username === 'All Users'
-        ? 'All Users'
-        : (t.dept_code ? `${t.username} (${t.dept_code})` : t.username);
-      return `<span class="target-chip ${statusClass}">${esc(label)}</span>`;
-    }).join('');
-
     return `
-      <div class="inbox-row">
-        <div class="notice-date">
-          ${fmt(n.created_at ? n.created_at.slice(0,10) : '')}
-          <span class="year">${n.priority}</span>
-        </div>
-        <div>
-          <a href="#" class="notice-title" data-notice-id="${n.id}">${esc(n.title)}</a>
-          <div class="notice-meta" style="margin-top:0.3rem; display:flex; flex-wrap:wrap; gap:0.3rem; align-items:center;">
-            <span class="prio-badge ${n.priority}">${esc(n.priority)}</span>
-            <span class="text-muted" style="font-size:0.68rem;">Deadline: ${fmt(n.deadline)}</span>
-            ${overdueBadge}
-          </div>
-          <div class="target-chips">${targetsHtml}</div>
-          <p class="text-muted text-small" style="margin-top:0.3rem;">
-            ${n.pending_count} pending &bull; ${n.noted_count} noted &bull; ${n.completed_count} completed
-            (of ${n.total_targets} targets)
-          </p>
-          ${n.attachment_name ? `<a class="attachment-link" href="${n.attachment_path}" target="_blank">&#128206; ${esc(n.attachment_name)}</a>` : ''}
-        </div>
-      </div>`;
+      <details class="series-group"${s.status === 'active' ? ' open' : ''}>
+        <summary>
+          <strong>${esc(s.title)}</strong>
+          <span class="series-status ${s.status}">${esc(s.status)}</span>
+          <span class="text-muted text-small">${esc(s.frequency)} &bull; ${s.sent_count} sent${s.max_count ? ` of ${s.max_count}` : ''}${s.ends_on ? ` &bull; until ${fmt(s.ends_on)}` : ''}${runs ? ` &bull; ${runs}` : ''}</span>
+        </summary>
+        <div style="display:flex; gap:0.4rem; margin:0.5rem 0;">${controls}${stop}</div>
+        ${instances.map(outboxRowHTML).join('') || '<p class="text-muted text-small">No notices sent yet.</p>'}
+      </details>`;
   }).join('');
 
+  list.innerHTML = seriesHtml + allOutbox.filter(n => !allSeries.some(s => s.id === n.series_id)).map(outboxRowHTML).join('');
+
   list.querySelectorAll('[data-notice-id]').forEach(el => {
     el.addEventListener('click', e => {
       e.preventDefault();
       openNoticeDetail(parseInt(el.dataset.noticeId));
     });
   });
+
+  list.querySelectorAll('[data-extension-id]').forEach(el => {
+    el.addEventListener('click', () =>
+      decideExtension(parseInt(el.dataset.notice), parseInt(el.dataset.extensionId), el.dataset.decision)
+    );
+  });
+
+  list.querySelectorAll('[data-series-status]').forEach(el => {
+    el.addEventListener('click', () => setSeriesStatus(parseInt(el.dataset.seriesId), el.dataset.seriesStatus));
+  });
+}
+
+/**
+ * outboxRowHTML — one sent notice in the outbox.
+ * @param {object} n — a row of GET /api/portal/notices/outbox
+ * @returns {string}
+ */
+function outboxRowHTML(n) {
+  const overdueBadge = n.is_overdue
+    ? `<span class="overdue-badge">OVERDUE &mdash; ${n.days_lapsed}d lapsed</span>`
+    : '';
+  // Target chips — coloured by each user's individual acknowledgement status.
+  // A recipient the notice was forwarded to names who passed it on; one who
+  // reassigned it stays, struck through, to show the handover. An All Users
+  // notice shows a single chip for its recipients, followed by its handovers.
+  const chips = n.target_all
+    ? n.targets.filter(t => t.forwarded_from || t.status === 'Reassigned')
+    : n.targets;
+  const targetsHtml = (n.target_all ? '<span class="target-chip">All Users</span>' : '') + chips.map(t => {
+    const via   = t.forwarded_by_username ? ` (via ${t.forwarded_by_username})` : '';
+    const items = n.item_count && t.status !== 'Reassigned' ? ` ${t.items_done}/${n.item_count}` : '';
+    return `<span class="target-chip ${t.status || ''}"${t.status === 'Reassigned' ? ' title="Reassigned"' : ''}>${esc(recipientLabel(t) + via + items)}</span>`;
+  }).join('');
+  const extensionsHtml = (n.extension_requests || []).map(x => `
+    <div class="extension-request">
+      <span class="text-small"><strong>${esc(recipientLabel(x))}</strong> asks to move ${fmt(x.effective_deadline)} &rarr; ${fmt(x.proposed_deadline)}</span>
+      <span class="text-muted text-small">&ldquo;${esc(x.reason)}&rdquo; &mdash; ${esc(x.requested_by_username)}</span>
+      <span style="display:flex; gap:0.4rem;">
+        <button class="btn btn-sm" data-extension-id="${x.id}" data-notice="${n.id}" data-decision="Approved">Approve</button>
+        <button class="btn btn-sm btn-outline" data-extension-id="${x.id}" data-notice="${n.id}" data-decision="Rejected">Reject</button>
+      </span>
+    </div>`).join('');
+
+  return `
+    <div class="inbox-row">
+      <div class="notice-date">
+        ${fmt(n.created_at ? n.created_at.slice(0,10) : '')}
+        <span class="year">${n.priority}</span>
+      </div>
+      <div>
+        <a href="#" class="notice-title" data-notice-id="${n.id}">${esc(n.title)}</a>
+        ${n.series_seq ? `<span class="text-muted text-small">#${n.series_seq}</span>` : ''}
+        <div class="notice-meta" style="margin-top:0.3rem; display:flex; flex-wrap:wrap; gap:0.3rem; align-items:center;">
+          <span class="prio-badge ${n.priority}">${esc(n.priority)}</span>
+          ${n.withdrawn_at ? '<span class="status-badge Withdrawn">Withdrawn</span>' : ''}
+          <span class="text-muted" style="font-size:0.68rem;">Deadline: ${fmt(n.deadline)}</span>
+          ${overdueBadge}
+          ${n.unread_comments ? `<span class="changed-badge">${n.unread_comments} new comment${n.unread_comments > 1 ? 's' : ''}</span>` : ''}
+        </div>
+        ${n.withdrawn_at ? `<p class="withdrawal-note">Withdrawn ${fmt(n.withdrawn_at.slice(0,10))}: ${esc(n.withdrawal_reason)}</p>` : ''}
+        <div class="target-chips">${targetsHtml}</div>
+        ${n.progress_percent !== null ? `
+        <div class="progress-bar" title="${n.items_done} of ${n.item_count * n.total_targets} checklist items done">
+          <span style="width:${n.progress_percent}%;"></span>
+        </div>
+        <p class="text-muted text-small">Checklist ${n.progress_percent}% done</p>` : ''}
+        <p class="text-muted text-small" style="margin-top:0.3rem;">
+          ${n.pending_count} pending &bull; ${n.noted_count} noted &bull; ${n.submitted_count} awaiting review
+          &bull; ${n.completed_count} accepted (of ${n.total_targets} targets)
+        </p>
+        ${n.attachment_name ? `<a class="attachment-link" href="${n.attachment_path}" target="_blank">&#128206; ${esc(n.attachment_name)}</a>` : ''}
+        ${extensionsHtml}
+      </div>
+    </div>`;
+}
+
+/**
+ * setSeriesStatus — pauses, resumes or stops a recurring series
+ * (PATCH /api/portal/notice-series/:id). Stopping asks for confirmation.
+ * @param {number} id
+ * @param {string} status — 'paused', 'active' or 'stopped'
+ */
+async function setSeriesStatus(id, status) {
+  if (status === 'stopped' && !confirm('Stop this recurring notice? No further notices will be sent.')) return;
+  try {
+    const res  = await fetchAuth(`${API}/portal/notice-series/${id}`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ status })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    loadOutbox();
+  } catch (e) {
+    alert('Could not update the series: ' + e.message);
+  }
+}
+
+/**
+ * decideExtension — approves or rejects a recipient's request for more time
+ * (PATCH /api/portal/notices/:id/extensions/:extId). A rejection asks for an
+ * optional note to pass back to the recipient.
+ * @param {number} noticeId
+ * @param {number} extId
+ * @param {string} decision — 'Approved' or 'Rejected'
+ */
+async function decideExtension(noticeId, extId, decision) {
+  let note = '';
+  if (decision === 'Rejected') {
+    note = prompt('Reason for rejecting (optional):');
+    if (note === null) return;
+  }
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/${noticeId}/extensions/${extId}`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ decision, note })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    loadOutbox();
+  } catch (e) {
+    alert('Could not record the decision: ' + e.message);
+  }
+}
+
+/**
+ * reviewCompletion — accepts a recipient's submitted completion, or returns
+ * it for rework (PATCH /api/portal/notices/:id/statuses/:statusId). Returning
+ * asks for the comments to send back, which are required.
+ * @param {number} noticeId
+ * @param {number} statusId — the recipient's status row
+ * @param {string} decision — 'Accepted' or 'Returned'
+ */
+async function reviewCompletion(noticeId, statusId, decision) {
+  let note = '';
+  if (decision === 'Returned') {
+    note = prompt('What needs to be reworked? The recipient will see these comments.');
+    if (note === null) return;
+    if (!note.trim()) return alert('Comments are required to return a completion.');
+  }
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/${noticeId}/statuses/${statusId}`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ decision, note })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    loadOutbox();
+    openNoticeDetail(noticeId);
+  } catch (e) {
+    alert('Could not record the review: ' + e.message);
+  }
+}
+
+// ── ARCHIVE ────────────────────────────────────────────────────────────────────
+
+/**
+ * loadArchive — fetches the notices this user has closed, filtered by the
+ * archive form, and renders them. Closed notices open in the detail modal.
+ */
+async function loadArchive() {
+  const tbody = document.getElementById('archive-tbody');
+  try {
+    const res = await fetchAuth(`${API}/portal/notices/archive${archiveQuery(document.getElementById('archive-filter'))}`);
+    tbody.innerHTML = archiveRowsHTML(await res.json());
+    tbody.querySelectorAll('[data-notice-id]').forEach(el => {
+      el.addEventListener('click', e => {
+        e.preventDefault();
+        openNoticeDetail(parseInt(el.dataset.noticeId));
+      });
+    });
+  } catch(e) {
+    tbody.innerHTML = `<tr><td colspan="5" class="text-muted text-small">Could not load the archive: ${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * loadArchiveDepartments — fills the archive's department filter.
+ */
+async function loadArchiveDepartments() {
+  try {
+    const depts = await (await fetchAuth(`${API}/departments`)).json();
+    document.getElementById('archive-dept').insertAdjacentHTML('beforeend',
+      depts.map(d => `<option value="${d.id}">${esc(d.name)}</option>`).join(''));
+  } catch { /* the filter still works without departments */ }
+}
+
+// ── DRAFTS & SCHEDULED ────────────────────────────────────────────────────────
+
+/**
+ * loadDrafts — lists the notices this user has not sent yet above the outbox:
+ * scheduled ones with their publication time, then drafts. Each opens in the
+ * compose page; Discard deletes a draft or cancels a scheduled notice.
+ */
+async function loadDrafts() {
+  const list = document.getElementById('drafts-list');
+  try {
+    const res    = await fetchAuth(`${API}/portal/notices/drafts`);
+    const drafts = await res.json();
+    if (!drafts.length) { list.innerHTML = ''; return; }
+
+    list.innerHTML = `
+      <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Drafts &amp; Scheduled</h3>
+      ${drafts.map(d => `
+        <div class="inbox-row">
+          <div class="notice-date">
+            ${d.state === 'scheduled' ? 'Scheduled' : 'Draft'}
+            <span class="year">${esc(d.priority)}</span>
+          </div>
+          <div>
+            <a href="notice-compose.html?draft=${d.id}" class="notice-title">${esc(d.title || '(untitled)')}</a>
+            <div class="notice-meta" style="margin-top:0.3rem; display:flex; flex-wrap:wrap; gap:0.6rem; align-items:center;">
+              <span class="text-muted" style="font-size:0.68rem;">${d.state === 'scheduled'
+                ? `Goes out ${esc(new Date(d.publish_at.replace(' ', 'T') + 'Z').toLocaleString('en-IN'))}`
+                : `Last saved ${esc(d.updated_at)}`}</span>
+              <button class="btn btn-sm btn-outline" data-discard-draft="${d.id}">${d.state === 'scheduled' ? 'Cancel' : 'Discard'}</button>
+            </div>
+          </div>
+        </div>`).join('')}
+      <div style="margin-bottom:1.5rem;"></div>`;
+
+    list.querySelectorAll('[data-discard-draft]').forEach(btn => {
+      btn.addEventListener('click', () => discardDraft(parseInt(btn.dataset.discardDraft)));
+    });
+  } catch {
+    list.innerHTML = '<p class="text-muted text-small">Could not load drafts.</p>';
+  }
+}
+
+/**
+ * discardDraft — deletes a draft or cancels a scheduled notice, after confirmation.
+ * @param {number} id
+ */
+async function discardDraft(id) {
+  if (!confirm('Discard this notice? It will not be sent.')) return;
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/drafts/${id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    loadDrafts();
+  } catch (e) {
+    alert('Could not discard the notice: ' + e.message);
+  }
 }
 
 // ── Notice Detail Modal ────────────────────────────────────────────────────────
@@ -317,7 +694,9 @@ function renderOutbox() {
  * openNoticeDetail — fetches full notice details (including per-dept statuses)
  * and renders them in the notice-modal overlay.
  * Opening the detail automatically marks the notice as read for this dept.
- * Shows a "Delete Notice" button if the sender is viewing and all depts have completed.
+ * Shows a "Close Notice" button if the sender is viewing and every completion is accepted,
+ * Accept / Return buttons on completions awaiting the sender's review,
+ * an "Edit Notice" button to the sender, and the edit history of edited notices.
  * @param {number} id — notice ID
  */
 async function openNoticeDetail(id) {
@@ -335,12 +714,20 @@ async function openNoticeDetail(id) {
     const res    = await fetchAuth(`${API}/portal/notices/${id}`);
     const notice = await res.json();
 
-    // Build the status table rows — one row per recipient user.
-    const due = notice.deadline ? new Date(notice.deadline) : null;
-    if (due) due.setHours(0, 0, 0, 0);
-    const today = new Date(); today.setHours(0, 0, 0, 0);
+    // Build the status table rows — one row per recipient user or department.
+    // The sender accepts or returns each completion submitted for review.
+    const today     = new Date(); today.setHours(0, 0, 0, 0);
+    const canReview = notice.created_by === user.id && !notice.withdrawn_at && !notice.closed_at;
+    // A department head may reassign the open copies of colleagues in their department.
+    const canReassign = s => userCan(user, 'notice.reassign') && !notice.withdrawn_at && !notice.closed_at &&
+      !!user.dept_code && s.dept_code === user.dept_code && s.user_id !== user.id &&
+      !['Reassigned', 'Submitted', 'Accepted'].includes(s.status);
 
     const statusRows = notice.statuses.map(s => {
+      // Recipients granted more time are measured from their own deadline.
+      const deadline = s.effective_deadline || notice.deadline;
+      const due = deadline ? new Date(deadline) : null;
+      if (due) due.setHours(0, 0, 0, 0);
       let daysAfterDue = '—';
       if (due) {
         if (s.status !== 'Pending' && s.updated_at) {
@@ -354,20 +741,33 @@ async function openNoticeDetail(id) {
       }
       return `
       <tr>
-        <td>${esc(s.username)}${s.dept_code ? ` <span class="text-muted text-small">(${esc(s.dept_code)})</span>` : ''}</td>
-        <td><span class="status-badge ${s.status}">${esc(s.status)}</span></td>
+        <td>${esc(recipientLabel(s))}${s.extended_deadline ? `<br /><span class="text-muted text-small">Extended to ${fmt(s.effective_deadline)}</span>` : ''}</td>
+        <td><span class="status-badge ${s.status}">${esc(s.status)}</span>${s.changed_since_ack ? ' <span class="changed-badge" title="Notice changed since they acknowledged">Changed</span>' : ''}
+          ${canReview && s.status === 'Submitted' ? `
+          <span style="display:flex; gap:0.3rem; margin-top:0.3rem;">
+            <button class="btn btn-sm" data-review-id="${s.status_id}" data-decision="Accepted">Accept</button>
+            <button class="btn btn-sm btn-outline" data-review-id="${s.status_id}" data-decision="Returned">Return</button>
+          </span>` : ''}
+          ${s.review_note && s.status === 'In Progress' ? `<br /><span class="text-muted text-small">Returned: ${esc(s.review_note)}</span>` : ''}
+          ${canReassign(s) ? `<br /><button class="btn btn-sm btn-outline" style="margin-top:0.3rem;" data-reassign-id="${s.status_id}" data-reassign-label="${esc(recipientLabel(s))}">Reassign</button>` : ''}</td>
         <td class="text-small">${s.remark ? esc(s.remark) : '<span class="text-muted">—</span>'}</td>
         <td class="text-small">${daysAfterDue}</td>
         <td>${s.reply_path ? `<a class="attachment-link" href="${s.reply_path}" target="_blank">Reply</a>` : '<span class="text-muted text-small">—</span>'}</td>
       </tr>`;
     }).join('');
 
-    // Determine if the "Close Notice" button should be shown.
-    // Dept users: only when they own the notice AND all recipients have completed.
+    // Determine if the "Close Notice" button should be shown: the sender has
+    // accepted every recipient's completion (or the notice was withdrawn), and the notice is the
+    // user's own (notice.close) or was issued from their department
+    // (notice.close_department). The same users may withdraw it at any time.
     // (Admin close logic is handled separately in admin.js.)
-    const isOwnNotice  = notice.created_by === user.id;
+    const withdrawn    = !!notice.withdrawn_at;
+    const closed       = !!notice.closed_at;
+    const canClose     = !closed && (notice.created_by === user.id && userCan(user, 'notice.close')) ||
+      (!!user.dept_code && notice.source_dept_code === user.dept_code && userCan(user, 'notice.close_department'));
     const allCompleted = notice.statuses.length > 0 &&
-      notice.statuses.every(s => s.status === 'Completed');
+      notice.statuses.every(s => s.status === 'Accepted' || s.status === 'Reassigned');
+    const canEdit      = !withdrawn && !closed && notice.created_by === user.id && userCan(user, 'notice.create');
 
     content.innerHTML = `
       <button class="modal-close" id="notice-modal-close-2">&times;</button>
@@ -379,7 +779,12 @@ async function openNoticeDetail(id) {
         <span class="prio-badge ${notice.priority}">${esc(notice.priority)}</span>
         <span class="tag">Deadline: ${fmt(notice.deadline)}</span>
         ${notice.is_overdue ? `<span class="overdue-badge">OVERDUE</span>` : ''}
+        ${notice.revision > 1 ? `<span class="tag">Edited ${fmt(notice.updated_at.slice(0,10))}</span>` : ''}
+        ${withdrawn ? '<span class="status-badge Withdrawn">Withdrawn</span>' : ''}
+        ${closed ? '<span class="status-badge Closed">Closed</span>' : ''}
       </div>
+      ${closed ? `<p class="closed-note">Closed by ${esc(notice.closed_by_username)} on ${fmt(notice.closed_at.slice(0,10))}${notice.purge_on ? `; kept in the archive until ${fmt(notice.purge_on)}` : ''}.</p>` : ''}
+      ${withdrawn ? `<p class="withdrawal-note">Withdrawn by ${esc(notice.withdrawn_by_username)} on ${fmt(notice.withdrawn_at.slice(0,10))}: ${esc(notice.withdrawal_reason)}</p>` : ''}
       <hr class="rule" />
       <p style="white-space:pre-wrap;">${esc(notice.body)}</p>
       ${notice.attachment_name ? `<p><a class="attachment-link" href="${notice.attachment_path}" target="_blank">&#128206; ${esc(notice.attachment_name)}</a></p>` : ''}
@@ -391,41 +796,235 @@ async function openNoticeDetail(id) {
           <tbody>${statusRows}</tbody>
         </table>
       </div>
-      ${isOwnNotice && allCompleted ? `
+      ${checklistHTML(notice)}
+      ${custodyHTML(notice)}
+      ${responseHistoryHTML(notice)}
+      ${revisionHistoryHTML(notice)}
+      <div id="notice-comments"></div>
+      ${canEdit ? `
+      <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);">
+        <button class="btn btn-sm btn-outline" data-edit-toggle>Edit Notice</button>
+        ${noticeEditFormHTML(notice)}
+      </div>` : ''}
+      ${canClose && !withdrawn ? `
+      <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);display:flex;align-items:center;gap:0.8rem;flex-wrap:wrap;">
+        <button class="btn btn-sm btn-outline" data-withdraw-id="${id}">Withdraw Notice</button>
+        <span class="text-muted text-small">Recalls the notice from every inbox and tells recipients why; the record and responses are kept.</span>
+      </div>` : ''}
+      ${canClose && (allCompleted || withdrawn) ? `
       <div style="margin-top:1rem;padding-top:1rem;border-top:1px solid var(--rule);display:flex;align-items:center;gap:0.8rem;flex-wrap:wrap;">
         <button class="btn btn-sm" style="background:var(--accent-3);color:#fff;" data-close-id="${id}">Close Notice</button>
-        <span class="text-muted text-small">All recipients completed &mdash; closing will permanently delete files and archive statistics.</span>
+        <span class="text-muted text-small">${withdrawn ? 'Withdrawn' : 'All completions accepted'} &mdash; closing moves the notice, its responses and files to the archive.</span>
       </div>` : ''}`;
 
     document.getElementById('notice-modal-close-2').addEventListener('click', () => closeModal('notice-modal'));
     content.querySelector('[data-close-id]')?.addEventListener('click', () => closeNotice(id));
+    content.querySelector('[data-withdraw-id]')?.addEventListener('click', () => withdrawNotice(id));
+    content.querySelectorAll('[data-review-id]').forEach(el => {
+      el.addEventListener('click', () => reviewCompletion(id, parseInt(el.dataset.reviewId), el.dataset.decision));
+    });
+    content.querySelectorAll('[data-reassign-id]').forEach(el => {
+      el.addEventListener('click', () => {
+        closeModal('notice-modal');
+        openReassignModal(id, parseInt(el.dataset.reassignId), el.dataset.reassignLabel);
+      });
+    });
+
+    const editForm = content.querySelector('.notice-edit-form');
+    content.querySelector('[data-edit-toggle]')?.addEventListener('click', () => { editForm.hidden = !editForm.hidden; });
+    editForm?.addEventListener('submit', async e => {
+      e.preventDefault();
+      if (await submitNoticeEdit(editForm, id)) {
+        loadOutbox();
+        openNoticeDetail(id);
+      }
+    });
+
+    // The sender and recipients may comment until the notice is withdrawn or closed.
+    const commentAs = withdrawn || closed ? null
+      : notice.created_by === user.id ? 'sender'
+      : userCan(user, 'notice.respond') ? 'recipient' : null;
+    loadComments(id, notice, commentAs);
 
     // Reload inbox in background so the unread dot disappears (is_read was set on the server).
     loadInbox();
+    if (withdrawn && userCan(user, 'notice.respond')) loadWithdrawn();
   } catch {
     content.innerHTML += '<p class="text-muted text-small">Could not load notice details.</p>';
   }
 }
 
+/**
+ * loadComments — fills the detail modal's #notice-comments with the notice's
+ * discussion and wires its comment form. Opening the thread marks it read,
+ * so the inbox and outbox are reloaded to clear their comment badges.
+ * @param {number} id — notice ID
+ * @param {object} notice — the notice detail already shown in the modal
+ * @param {null|'sender'|'recipient'} commentAs — see commentsSectionHTML()
+ */
+async function loadComments(id, notice, commentAs) {
+  const box = document.getElementById('notice-comments');
+  try {
+    const comments = await (await fetchAuth(`${API}/portal/notices/${id}/comments`)).json();
+    box.innerHTML = commentsSectionHTML(notice, comments, commentAs);
+  } catch {
+    box.innerHTML = '<p class="text-muted text-small">Could not load the discussion.</p>';
+    return;
+  }
+
+  const form = box.querySelector('.comment-form');
+  form?.addEventListener('submit', async e => {
+    e.preventDefault();
+    if (await submitComment(form, id)) loadComments(id, notice, commentAs);
+  });
+  loadInbox();
+  if (notice.created_by === user.id) loadOutbox();
+}
+
 // ── Action Modal (Noted / Completed response) ──────────────────────────────────
 
 /**
  * openActionModal — opens the response form for a specific notice.
- * Pre-fills the notice ID hidden field and resets all form inputs.
- * @param {number} noticeId — ID of the notice to respond to
- * @param {string} title    — notice title displayed in the modal header
+ * Pre-fills the notice ID hidden field and resets all form inputs. Above it
+ * the notice's checklist is listed for ticking off; below it,
+ * the extension form shows the current deadline and is hidden while an
+ * earlier request awaits the sender's decision; the forwarding form is hidden
+ * once the notice has been submitted.
+ * @param {number} noticeId   — ID of the notice to respond to
+ * @param {string} title      — notice title displayed in the modal header
+ * @param {string} onBehalfOf — user ID when answering for someone on leave, else ''
  */
-function openActionModal(noticeId, title) {
+function openActionModal(noticeId, title, onBehalfOf = '') {
   document.getElementById('action-notice-id').value          = noticeId;
+  document.getElementById('action-on-behalf').value          = onBehalfOf;
   document.getElementById('action-modal-title').textContent  = `Respond to: ${title}`;
   document.getElementById('action-remark').value             = '';
   document.getElementById('action-reply-file').value         = '';
   document.getElementById('action-status').style.display     = 'none';
   document.getElementById('action-status-select-el').value   = 'Noted'; // default to Noted
+  document.getElementById('action-form').style.display       = '';
+  document.getElementById('extension-form').style.display    = '';
+
+  const n = allInbox.find(r => r.id === noticeId && String(r.on_behalf_of_id || '') === String(onBehalfOf)) || {};
+  renderActionChecklist(n);
+  const awaiting = n.extension_status === 'Pending';
+  document.getElementById('extension-current').textContent = awaiting
+    ? `An extension to ${fmt(n.extension_proposed_deadline)} is awaiting the sender's decision.`
+    : `Current deadline: ${fmt(n.effective_deadline)}.`;
+  document.getElementById('extension-fields').style.display =
+    awaiting || n.status === 'Submitted' || n.status === 'Accepted' ? 'none' : '';
+  document.getElementById('extension-date').value           = '';
+  document.getElementById('extension-reason').value         = '';
+  document.getElementById('extension-status').style.display = 'none';
+
+  document.getElementById('forward-fields').style.display =
+    n.status === 'Submitted' || n.status === 'Accepted' ? 'none' : '';
+  // Only holders of notice.reassign may hand a notice over; others forward a copy.
+  const canReassign = userCan(user, 'notice.reassign');
+  document.querySelector('#forward-mode option[value=reassign]').hidden = !canReassign;
+  document.querySelector('#forward-mode option[value=forward]').hidden  = false;
+  document.getElementById('forward-mode').value             = canReassign ? 'reassign' : 'forward';
+  document.getElementById('forward-status-id').value        = '';
+  document.getElementById('forward-user').value             = '';
+  document.getElementById('forward-dept').value             = '';
+  document.getElementById('forward-note').value             = '';
+  document.getElementById('forward-status').style.display   = 'none';
+
   document.getElementById('action-modal').style.display      = 'block';
   document.body.style.overflow = 'hidden';
 }
 
+/**
+ * openReassignModal — opens the action modal with only the forwarding form,
+ * for a department head reassigning a colleague's copy of a notice (or their
+ * department's) from the detail view.
+ * @param {number} noticeId
+ * @param {number} statusId — the recipient row being reassigned
+ * @param {string} label    — whose copy it is, for the modal header
+ */
+function openReassignModal(noticeId, statusId, label) {
+  openActionModal(noticeId, '');
+  document.getElementById('action-modal-title').textContent = `Reassign ${label}'s copy`;
+  document.getElementById('action-form').style.display      = 'none';
+  document.getElementById('extension-form').style.display   = 'none';
+  document.getElementById('action-checklist').innerHTML     = '';
+  document.getElementById('forward-fields').style.display   = '';
+  document.querySelector('#forward-mode option[value=forward]').hidden = true;
+  document.getElementById('forward-mode').value             = 'reassign';
+  document.getElementById('forward-status-id').value        = statusId;
+}
+
+/**
+ * renderActionChecklist — lists the checklist of the notice in the action
+ * modal: each item with its deadline, and a Mark Done button (with a file
+ * input where the item needs one) or, once done, who did it and an Undo.
+ * Nothing can be changed once the notice has been submitted.
+ * @param {object} n — the inbox row of the notice
+ */
+function renderActionChecklist(n) {
+  const box = document.getElementById('action-checklist');
+  if (!n.items || !n.items.length) {
+    box.innerHTML = '';
+    return;
+  }
+
+  const locked = n.status === 'Submitted' || n.status === 'Accepted';
+  box.innerHTML = `
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.6rem;">
+      Checklist (${n.items.filter(i => i.done_at).length}/${n.items.length} done)
+    </h3>
+    <ul class="checklist">
+      ${n.items.map(i => `
+      <li class="${i.done_at ? 'done' : ''}">
+        <div>
+          <strong>${esc(i.title)}</strong>
+          <span class="text-muted text-small">due ${fmt(i.deadline)}${i.is_required ? '' : ' &bull; optional'}${i.requires_attachment ? ' &bull; file needed' : ''}</span>
+          ${i.is_overdue ? '<span class="overdue-badge">OVERDUE</span>' : ''}
+          ${i.done_at ? `<br /><span class="text-muted text-small">Done by ${esc(i.done_by_username)} on ${fmt(i.done_at.slice(0,10))}</span>` : ''}
+          ${i.attachment_name ? `<a class="attachment-link" href="${i.attachment_path}" target="_blank">&#128206; ${esc(i.attachment_name)}</a>` : ''}
+        </div>
+        ${locked ? '' : i.done_at
+          ? `<button type="button" class="btn btn-sm btn-outline" data-item-id="${i.id}" data-done="0">Undo</button>`
+          : `<span style="display:flex; gap:0.4rem; align-items:center;">
+              ${i.requires_attachment ? `<input type="file" data-item-file="${i.id}" accept=".pdf,.jpg,.jpeg,.png,.webp" />` : ''}
+              <button type="button" class="btn btn-sm" data-item-id="${i.id}" data-done="1">Mark Done</button>
+            </span>`}
+      </li>`).join('')}
+    </ul>
+    <div class="form-status" id="checklist-status"></div>`;
+
+  box.querySelectorAll('[data-item-id]').forEach(el => {
+    el.addEventListener('click', () => tickItem(n, parseInt(el.dataset.itemId), el.dataset.done));
+  });
+}
+
+/**
+ * tickItem — marks a checklist item done, with its file if one is chosen, or
+ * undoes it (PATCH /api/portal/notices/:id/items/:itemId), then reloads the
+ * inbox and lists the checklist afresh.
+ * @param {object} n      — the inbox row of the notice
+ * @param {number} itemId
+ * @param {string} done   — '1' to mark done, '0' to undo
+ */
+async function tickItem(n, itemId, done) {
+  const statusEl = document.getElementById('checklist-status');
+  const fd = new FormData();
+  fd.append('done', done);
+  const file = document.querySelector(`[data-item-file="${itemId}"]`)?.files[0];
+  if (file) fd.append('attachment', file);
+  if (n.on_behalf_of_id) fd.append('on_behalf_of', n.on_behalf_of_id);
+
+  try {
+    await fetchAuth(`${API}/portal/notices/${n.id}/items/${itemId}`, { method: 'PATCH', body: fd });
+    await loadInbox();
+    renderActionChecklist(allInbox.find(r => r.id === n.id && r.on_behalf_of_id === n.on_behalf_of_id) || {});
+  } catch (err) {
+    statusEl.className   = 'form-status error';
+    statusEl.textContent = err.message;
+    statusEl.style.display = 'block';
+  }
+}
+
 /**
  * submitAction — handles the action form submission.
  * Sends a PATCH request with the selected status, remark, and optional reply file.
@@ -460,6 +1059,8 @@ async function submitAction(e) {
     fd.append('status', statusVal);
     fd.append('remark', remark);
     if (replyFile) fd.append('reply', replyFile);
+    const onBehalfOf = document.getElementById('action-on-behalf').value;
+    if (onBehalfOf) fd.append('on_behalf_of', onBehalfOf);
 
     const res  = await fetchAuth(`${API}/portal/notices/${noticeId}/status`, { method: 'PATCH', body: fd });
     const data = await res.json();
@@ -483,6 +1084,200 @@ async function submitAction(e) {
   btn.textContent = 'Submit';
 }
 
+/**
+ * submitExtension — asks the sender for a later deadline
+ * (POST /api/portal/notices/:id/extensions) for the notice in the action modal.
+ * @param {Event} e — form submit event
+ */
+async function submitExtension(e) {
+  e.preventDefault();
+  const btn      = document.getElementById('extension-submit-btn');
+  const statusEl = document.getElementById('extension-status');
+  const noticeId = document.getElementById('action-notice-id').value;
+  const body     = {
+    proposed_deadline: document.getElementById('extension-date').value,
+    reason:            document.getElementById('extension-reason').value.trim()
+  };
+  const onBehalfOf = document.getElementById('action-on-behalf').value;
+  if (onBehalfOf) body.on_behalf_of = onBehalfOf;
+
+  btn.disabled = true;
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/${noticeId}/extensions`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+
+    statusEl.className   = 'form-status success';
+    statusEl.textContent = data.message;
+    statusEl.style.display = 'block';
+    setTimeout(() => {
+      closeModal('action-modal');
+      loadInbox();
+    }, 1000);
+  } catch (err) {
+    statusEl.className   = 'form-status error';
+    statusEl.textContent = err.message;
+    statusEl.style.display = 'block';
+  }
+  btn.disabled = false;
+}
+
+/**
+ * submitForward — reassigns the notice in the action modal, or forwards a
+ * copy, to the chosen officer or department (POST /api/portal/notices/:id/forward).
+ * @param {Event} e — form submit event
+ */
+async function submitForward(e) {
+  e.preventDefault();
+  const btn      = document.getElementById('forward-submit-btn');
+  const statusEl = document.getElementById('forward-status');
+  const noticeId = document.getElementById('action-notice-id').value;
+  const userId   = document.getElementById('forward-user').value;
+  const deptId   = document.getElementById('forward-dept').value;
+  const body     = {
+    mode: document.getElementById('forward-mode').value,
+    note: document.getElementById('forward-note').value.trim()
+  };
+  if (userId) body.target_user_id = userId;
+  if (deptId) body.target_dept_id = deptId;
+  const onBehalfOf = document.getElementById('action-on-behalf').value;
+  if (onBehalfOf) body.on_behalf_of = onBehalfOf;
+  const statusId = document.getElementById('forward-status-id').value;
+  if (statusId) body.status_id = statusId;
+
+  btn.disabled = true;
+  try {
+    if (!userId === !deptId) throw new Error('Choose either an officer or a department.');
+    const res  = await fetchAuth(`${API}/portal/notices/${noticeId}/forward`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+
+    statusEl.className   = 'form-status success';
+    statusEl.textContent = data.message;
+    statusEl.style.display = 'block';
+    setTimeout(() => {
+      closeModal('action-modal');
+      loadInbox();
+    }, 1000);
+  } catch (err) {
+    statusEl.className   = 'form-status error';
+    statusEl.textContent = err.message;
+    statusEl.style.display = 'block';
+  }
+  btn.disabled = false;
+}
+
+/**
+ * loadForwardDepartments — fills the forwarding form's department picker.
+ */
+async function loadForwardDepartments() {
+  try {
+    const depts = await (await fetchAuth(`${API}/departments`)).json();
+    document.getElementById('forward-dept').insertAdjacentHTML('beforeend',
+      depts.map(d => `<option value="${d.id}">${esc(d.name)}</option>`).join(''));
+  } catch { /* officers can still be chosen */ }
+}
+
+// ── Leave cover ────────────────────────────────────────────────────────────────
+
+/**
+ * loadDelegations — lists current and upcoming cover given or received by
+ * this user, with a Cancel button on the ones they set up.
+ */
+async function loadDelegations() {
+  const tbody = document.getElementById('leave-tbody');
+  try {
+    const res  = await fetchAuth(`${API}/portal/delegations`);
+    const rows = await res.json();
+    tbody.innerHTML = rows.length
+      ? rows.map(d => `
+        <tr>
+          <td class="official-name">${esc(d.from_username)}${d.is_current ? ' <span class="text-muted text-small">(now)</span>' : ''}</td>
+          <td>${esc(d.to_username)}</td>
+          <td class="text-small">${fmt(d.starts_on)}</td>
+          <td class="text-small">${fmt(d.ends_on)}</td>
+          <td>${d.from_user_id === user.id
+            ? `<button class="btn btn-sm btn-outline" data-cancel-delegation="${d.id}">Cancel</button>` : ''}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted text-small" style="padding:1rem;">No leave cover arranged.</td></tr>';
+    tbody.querySelectorAll('[data-cancel-delegation]').forEach(btn => {
+      btn.addEventListener('click', () => cancelDelegation(parseInt(btn.dataset.cancelDelegation)));
+    });
+  } catch (e) {
+    tbody.innerHTML = `<tr><td colspan="5" style="padding:1rem; color:var(--accent-3);">${esc(e.message)}</td></tr>`;
+  }
+}
+
+/**
+ * loadDeputies — fills the deputy picker, and the forwarding form's officer
+ * picker, with the users who can receive notices.
+ */
+async function loadDeputies() {
+  const select  = document.getElementById('leave-deputy');
+  const forward = document.getElementById('forward-user');
+  try {
+    const res     = await fetchAuth(`${API}/portal/users/active`);
+    const users   = await res.json();
+    const options = users.map(u =>
+      `<option value="${u.id}">${esc(u.username)}${u.dept_code ? ` (${esc(u.dept_code)})` : ''}</option>`
+    ).join('');
+    select.innerHTML  = '<option value="">Select a deputy</option>' + options;
+    forward.innerHTML = '<option value="">Select an officer</option>' + options;
+  } catch {
+    select.innerHTML  = '<option value="">Could not load users</option>';
+    forward.innerHTML = '<option value="">Could not load users</option>';
+  }
+}
+
+/**
+ * submitDelegation — hands this user's notices to the chosen deputy.
+ * @param {Event} e — form submit event
+ */
+async function submitDelegation(e) {
+  e.preventDefault();
+  const statusEl = document.getElementById('leave-status');
+  statusEl.style.display = 'none';
+  try {
+    await fetchAuth(`${API}/portal/delegations`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        to_user_id: document.getElementById('leave-deputy').value,
+        starts_on:  document.getElementById('leave-from').value,
+        ends_on:    document.getElementById('leave-to').value
+      })
+    });
+    e.target.reset();
+    await loadDelegations();
+  } catch (err) {
+    statusEl.className     = 'form-status error';
+    statusEl.textContent   = err.message;
+    statusEl.style.display = 'block';
+  }
+}
+
+/**
+ * cancelDelegation — ends a leave cover; the deputy loses access at once.
+ * @param {number} id — delegation ID
+ */
+async function cancelDelegation(id) {
+  if (!confirm('Cancel this leave cover? Your deputy will stop seeing your notices.')) return;
+  try {
+    await fetchAuth(`${API}/portal/delegations/${id}`, { method: 'DELETE' });
+    await loadDelegations();
+  } catch (e) {
+    alert('Could not cancel: ' + e.message);
+  }
+}
+
 // ── Utility functions ──────────────────────────────────────────────────────────
 
 /**
@@ -512,17 +1307,17 @@ function esc(str) {
 /**
  * closeNotice — closes a notice after user confirmation.
  *
- * "Closing" permanently removes the notice record, deletes all uploaded files
- * (attachment + reply files) from storage, and archives completion statistics
- * so the monthly chart is not affected.
+ * "Closing" takes the notice out of every inbox and outbox and into the
+ * archive, keeping its responses and files. The retention job purges it once
+ * the configured retention period has passed.
  *
- * Available to the issuing department only when ALL target departments have
- * marked the notice as Completed. The server enforces this rule.
+ * Available to the issuing department only once it has accepted the completion
+ * of EVERY target. The server enforces this rule.
  *
  * @param {number} id — notice ID to close
  */
 async function closeNotice(id) {
-  if (!confirm('Close this notice permanently?\n\nAll uploaded files will be deleted. Statistics will be preserved. This cannot be undone.')) return;
+  if (!confirm('Close this notice?\n\nIt moves to the archive with its responses and files, and can no longer be changed.')) return;
   try {
     await fetchAuth(`${API}/portal/notices/${id}`, { method: 'DELETE' });
     closeModal('notice-modal');
@@ -531,3 +1326,27 @@ async function closeNotice(id) {
     alert('Could not close notice: ' + e.message);
   }
 }
+
+/**
+ * withdrawNotice — recalls a sent notice (POST /api/portal/notices/:id/withdraw)
+ * after asking for the reason recipients will be given.
+ * @param {number} id — notice ID to withdraw
+ */
+async function withdrawNotice(id) {
+  const reason = prompt('Withdraw this notice?\n\nIt leaves every recipient\'s inbox and they are told why. Reason:');
+  if (reason === null) return;
+  if (!reason.trim()) return alert('A reason is required to withdraw a notice.');
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/${id}/withdraw`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ reason: reason.trim() })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed.');
+    loadOutbox();
+    openNoticeDetail(id);
+  } catch (e) {
+    alert('Could not withdraw notice: ' + e.message);
+  }
+}
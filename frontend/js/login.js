@@ -4,24 +4,55 @@
    Responsibilities:
      - Redirect already-authenticated users to their dashboard
      - Handle the login form submission
+     - Handle the second (authentication code) step for 2FA accounts
    ===================================================== */
 
-// Redirect immediately if a valid session already exists.
+// Redirect immediately if a session already exists.
 (function () {
-  const token = localStorage.getItem('portal_token');
-  const user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
-  if (token && user) {
-    window.location.href = user.role === 'admin' ? 'admin.html' : 'dashboard.html';
+  const user = JSON.parse(localStorage.getItem('portal_user') || 'null');
+  if (user) {
+    window.location.href = homePage(user);
   }
 })();
 
+/**
+ * startSession — caches the user profile (the tokens are in httpOnly cookies
+ * set by the server) and sends the user on to their
+ * dashboard — or first to change-password.html if their password was set by
+ * an administrator or has expired, then to 2FA enrollment if their role requires it.
+ */
+function startSession(data) {
+  clearSession(); // drop any token pair left by an older release
+  localStorage.setItem('portal_user', JSON.stringify(data.user));
+
+  if (data.passwordChangeRequired) {
+    window.location.href = 'change-password.html';
+    return;
+  }
+  if (data.mfaEnrollmentRequired) {
+    window.location.href = 'two-factor.html';
+    return;
+  }
+  window.location.href = homePage(data.user);
+}
+
+function showError(status, message) {
+  status.className     = 'form-status error';
+  status.textContent   = message;
+  status.style.display = 'block';
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   // setFooterYear is provided by main.js which is loaded before this file.
   if (typeof setFooterYear === 'function') setFooterYear();
 
-  const form = document.getElementById('login-form');
+  const form    = document.getElementById('login-form');
+  const mfaForm = document.getElementById('mfa-form');
   if (!form) return;
 
+  // Challenge token from the password step; only kept in memory.
+  let mfaToken = null;
+
   form.addEventListener('submit', async function (e) {
     e.preventDefault();
     const btn    = this.querySelector('button[type=submit]');
@@ -36,23 +67,59 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: { 'Content-Type': 'application/json' },
         body:    JSON.stringify({
           username: document.getElementById('username').value.trim(),
-          password: document.getElementById('password').value
+          password: document.getElementById('password').value,
+          session:  'cookie'
         })
       });
       const data = await res.json();
 
       if (!res.ok) throw new Error(data.error || 'Login failed.');
 
-      localStorage.setItem('portal_token', data.token);
-      localStorage.setItem('portal_user',  JSON.stringify(data.user));
+      if (data.mfaRequired) {
+        mfaToken = data.mfaToken;
+        form.style.display    = 'none';
+        mfaForm.style.display = 'block';
+        document.getElementById('mfa-code').focus();
+        return;
+      }
+
+      startSession(data);
+    } catch (err) {
+      showError(status, err.message);
+      btn.disabled    = false;
+      btn.textContent = 'Sign In';
+    }
+  });
+
+  if (!mfaForm) return;
+
+  mfaForm.addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const btn    = this.querySelector('button[type=submit]');
+    const status = document.getElementById('mfa-status');
+    btn.disabled    = true;
+    btn.textContent = 'Verifying...';
+    status.style.display = 'none';
+
+    try {
+      const res  = await fetch('/api/auth/2fa/verify', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({
+          mfaToken,
+          code:    document.getElementById('mfa-code').value.trim(),
+          session: 'cookie'
+        })
+      });
+      const data = await res.json();
+
+      if (!res.ok) throw new Error(data.error || 'Verification failed.');
 
-      window.location.href = data.user.role === 'admin' ? 'admin.html' : 'dashboard.html';
+      startSession(data);
     } catch (err) {
-      status.className     = 'form-status error';
-      status.textContent   = err.message;
-      status.style.display = 'block';
-      btn.disabled         = false;
-      btn.textContent      = 'Sign In';
+      showError(status, err.message);
+      btn.disabled    = false;
+      btn.textContent = 'Verify';
     }
   });
 });
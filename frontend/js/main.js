@@ -92,20 +92,548 @@ function initNavToggle() {
   });
 }
 
+/* ── Portal session ────────────────────────────────────────────────────────────
+ * The session lives in httpOnly cookies set by the server at login
+ * ({ session: 'cookie' }), so page scripts never see the tokens. Only the
+ * public profile is cached in localStorage as portal_user, for the nav and the
+ * page guards. Every authenticated request echoes the readable portal_csrf
+ * cookie in the X-CSRF-Token header (double-submit CSRF protection).
+ */
+
+/**
+ * csrfToken — the current session's CSRF token, read from its cookie.
+ * @returns {string}
+ */
+function csrfToken() {
+  const match = document.cookie.match(/(?:^|;\s*)portal_csrf=([^;]*)/);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+// In-flight refresh request shared by concurrent callers (see refreshSession).
+let _refreshInFlight = null;
+
+/**
+ * refreshSession — asks the server to rotate the refresh-token cookie and
+ * issue a new access-token cookie. Access tokens are short-lived, so the
+ * dashboards call this whenever the server answers 401. Concurrent callers
+ * share one request: refresh tokens are single-use, and a second parallel
+ * refresh would look like token theft.
+ * @returns {Promise<boolean>} — true if the session was renewed
+ */
+function refreshSession() {
+  if (_refreshInFlight) return _refreshInFlight;
+
+  _refreshInFlight = (async () => {
+    try {
+      const res = await fetch(`${API}/auth/refresh`, {
+        method:  'POST',
+        headers: { 'X-CSRF-Token': csrfToken() }
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      localStorage.setItem('portal_user', JSON.stringify(data.user));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  })().finally(() => { _refreshInFlight = null; });
+
+  return _refreshInFlight;
+}
+
+/**
+ * clearSession — removes all locally cached session data, including the
+ * token pair older releases kept in localStorage.
+ */
+function clearSession() {
+  localStorage.removeItem('portal_token');
+  localStorage.removeItem('portal_refresh');
+  localStorage.removeItem('portal_user');
+  localStorage.removeItem('portal_admin_user');
+}
+
+/* ── Viewing as another user ──────────────────────────────────────────────────
+ * An administrator who starts a "view as user" session (admin panel → Users)
+ * gets an httpOnly portal_impersonation cookie that the server prefers to
+ * their own session cookie. While it lasts, portal_user holds the target's
+ * profile (with an `impersonation` field) and portal_admin_user holds the
+ * administrator's, to be put back on exit.
+ */
+
+/**
+ * exitImpersonation — ends the "view as user" session on the server (closing
+ * it in the audit log and clearing its cookie) and restores the
+ * administrator's cached profile.
+ * @returns {Promise<object|null>} — the administrator's profile, or null if none was kept
+ */
+async function exitImpersonation() {
+  try {
+    await fetch(`${API}/portal/impersonation`, { method: 'DELETE' });
+  } catch (_) {}
+  const admin = JSON.parse(localStorage.getItem('portal_admin_user') || 'null');
+  localStorage.removeItem('portal_admin_user');
+  if (admin) localStorage.setItem('portal_user', JSON.stringify(admin));
+  else       localStorage.removeItem('portal_user');
+  return admin;
+}
+
+/**
+ * leaveImpersonation — ends the "view as user" session and goes back to the
+ * administrator's own dashboard (or to login if their profile was not kept).
+ */
+async function leaveImpersonation() {
+  const admin = await exitImpersonation();
+  window.location.href = admin ? homePage(admin) : 'login.html';
+}
+
+/**
+ * showImpersonationBanner — fills the #impersonation-banner of a portal page
+ * so the administrator always knows whose view they are in, and leaves the
+ * session when it expires or they press Exit.
+ * @param {object} user — the portal_user profile, with its impersonation field
+ */
+function showImpersonationBanner(user) {
+  const imp     = user.impersonation;
+  // expires_at is SQLite UTC time ("YYYY-MM-DD HH:MM:SS").
+  const expires = new Date(imp.expires_at.replace(' ', 'T') + 'Z');
+
+  document.getElementById('impersonation-text').textContent =
+    `Viewing as ${user.username} — ${imp.admin_username}, ${imp.read_only ? 'read-only' : 'read-write'}, ` +
+    `until ${expires.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`;
+  document.getElementById('impersonation-banner').hidden = false;
+  document.getElementById('impersonation-exit').addEventListener('click', leaveImpersonation);
+
+  setTimeout(leaveImpersonation, Math.max(expires - Date.now(), 0));
+}
+
+/**
+ * userCan — whether the cached profile's role holds a permission (see
+ * backend/permissions.js). Only used to decide what to show: the server
+ * checks every request itself.
+ * @param {object|null} user — the portal_user profile
+ * @param {string} permission — e.g. 'notice.create'
+ * @returns {boolean}
+ */
+function userCan(user, permission) {
+  return !!user && (user.permissions || []).includes(permission);
+}
+
+/**
+ * homePage — the portal page a user lands on after login: the admin panel
+ * for district-wide roles (admin, auditor), the dashboard for everyone else.
+ * @param {object} user — the portal_user profile
+ * @returns {string}
+ */
+function homePage(user) {
+  return userCan(user, 'notice.view_all') || userCan(user, 'user.manage') ? 'admin.html' : 'dashboard.html';
+}
+
+/**
+ * recipientLabel — names one recipient of a notice (a row of its statuses or
+ * targets): the user with their department code, or, for a notice addressed
+ * to a whole department, the department. Adds who responded when that was
+ * someone else — a department member, or a deputy covering for the user.
+ * @param {object} r — { username, dept_name, dept_code, acted_by_username }
+ * @returns {string}
+ */
+function recipientLabel(r) {
+  const by = r.acted_by_username && r.acted_by_username !== r.username ? ` — by ${r.acted_by_username}` : '';
+  if (r.username) return `${r.dept_code ? `${r.username} (${r.dept_code})` : r.username}${by}`;
+  return `${r.dept_name} (all staff)${by}`;
+}
+
+/**
+ * diffWordsHTML — escaped HTML showing how `before` became `after`, word by
+ * word: removed words in <del>, added words in <ins>. Whitespace is kept, so
+ * line breaks in a notice body survive (render inside white-space: pre-wrap).
+ * @param {string} before
+ * @param {string} after
+ * @returns {string}
+ */
+function diffWordsHTML(before, after) {
+  const a = String(before || '').split(/(\s+)/).filter(Boolean);
+  const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+  // Longest common subsequence table, filled from the end.
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Walk the table into [kind, text] runs; removals come before additions.
+  const runs = [];
+  const push = (kind, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last[0] === kind) last[1] += text;
+    else runs.push([kind, text]);
+  };
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('', a[i]); i++; j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      push('del', a[i]); i++;
+    } else {
+      push('ins', b[j]); j++;
+    }
+  }
+
+  const html = runs.map(([kind, text]) => (kind ? `<${kind}>${esc(text)}</${kind}>` : esc(text))).join('');
+  return html;
+}
+
+/**
+ * revisionHistoryHTML — the "Edit history" section of a notice detail modal:
+ * one entry per edit, newest first, showing each changed field as a diff
+ * against the version that replaced it. Empty for notices never edited.
+ * @param {object} notice — GET /api/portal/notices/:id response (with revisions)
+ * @returns {string}
+ */
+function revisionHistoryHTML(notice) {
+  const revisions = notice.revisions || [];
+  if (!revisions.length) return '';
+
+  const fields = [['title', 'Title'], ['priority', 'Priority'], ['deadline', 'Deadline'], ['body', 'Body']];
+  const entries = revisions.map((old, i) => {
+    const next    = i === 0 ? notice : revisions[i - 1];
+    const changes = fields
+      .filter(([f]) => old[f] !== next[f])
+      .map(([f, label]) => `<div class="revision-field"><span class="field-name">${label}</span>${diffWordsHTML(old[f], next[f])}</div>`)
+      .join('');
+    return `
+      <li>
+        <span class="text-small">Revision ${old.revision + 1}</span>
+        <span class="text-muted text-small">&mdash; ${esc(old.edited_by_username)}, ${fmt(old.edited_at.slice(0, 10))}</span>
+        ${changes}
+      </li>`;
+  }).join('');
+
+  return `
+    <hr class="rule" />
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Edit History</h3>
+    <ul class="revision-list">${entries}</ul>`;
+}
+
+/**
+ * responseHistoryHTML — the "Response History" section of a notice detail
+ * modal: for each recipient who has responded, every response oldest first,
+ * with who gave it, its remark and its file. Empty when nobody has responded.
+ * @param {object} notice — GET /api/portal/notices/:id response (statuses with responses)
+ * @returns {string}
+ */
+function responseHistoryHTML(notice) {
+  const answered = (notice.statuses || []).filter(s => (s.responses || []).length);
+  if (!answered.length) return '';
+
+  const timelines = answered.map(s => `
+    <li>
+      <span class="text-small">${esc(recipientLabel(s))}</span>
+      <ol class="response-timeline">
+        ${s.responses.map(r => `
+        <li>
+          <span class="status-badge ${esc(r.status)}">${esc(r.status)}</span>
+          <span class="text-muted text-small">${esc(r.acted_by_username || '—')}, ${fmt(r.created_at.slice(0, 10))}</span>
+          ${r.reply_path ? `<a class="attachment-link text-small" href="${esc(r.reply_path)}" target="_blank">&#128206; ${esc(r.reply_name || 'Reply')}</a>` : ''}
+          <div class="response-remark">${esc(r.remark)}</div>
+        </li>`).join('')}
+      </ol>
+    </li>`).join('');
+
+  return `
+    <hr class="rule" />
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Response History</h3>
+    <ul class="revision-list">${timelines}</ul>`;
+}
+
+/**
+ * custodyHTML — the "Chain of Custody" section of a notice detail modal: for
+ * each recipient the notice was forwarded to, every hand it passed through
+ * from its original recipient, with who forwarded it, when and their note.
+ * Empty when nothing was forwarded.
+ * @param {object} notice — GET /api/portal/notices/:id response (statuses with custody)
+ * @returns {string}
+ */
+function custodyHTML(notice) {
+  const forwarded = (notice.statuses || []).filter(s => (s.custody || []).length > 1);
+  if (!forwarded.length) return '';
+
+  const chains = forwarded.map(s => `
+    <li>
+      <ol class="custody-chain">
+        ${s.custody.map(c => `
+        <li>
+          <span class="text-small">${esc(recipientLabel(c))}</span>
+          ${c.forwarded_by_username ? `<span class="text-muted text-small">(from ${esc(c.forwarded_by_username)}, ${fmt(c.forwarded_at.slice(0, 10))}${c.forward_note ? `: ${esc(c.forward_note)}` : ''})</span>` : ''}
+        </li>`).join('')}
+      </ol>
+    </li>`).join('');
+
+  return `
+    <hr class="rule" />
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Chain of Custody</h3>
+    <ul class="revision-list">${chains}</ul>`;
+}
+
+/**
+ * checklistHTML — the "Checklist" section of a notice detail modal: each item
+ * with its deadline and the recipients who have done it, linking any file
+ * they attached and, below, files they sent earlier for it. Empty when the
+ * notice has no checklist.
+ * @param {object} notice — GET /api/portal/notices/:id response (items, statuses with items_done and item_history)
+ * @returns {string}
+ */
+function checklistHTML(notice) {
+  if (!(notice.items || []).length) return '';
+  const rows = (notice.statuses || []).filter(s => s.status !== 'Reassigned');
+
+  const items = notice.items.map(i => {
+    const done = rows
+      .map(s => ({ s, x: (s.items_done || []).find(x => x.item_id === i.id) }))
+      .filter(d => d.x);
+    const earlier = rows.flatMap(s => (s.item_history || [])
+      .filter(h => h.item_id === i.id && h.attachment_path &&
+        !(s.items_done || []).some(x => x.item_id === i.id && x.attachment_path === h.attachment_path))
+      .map(h => ({ s, h })));
+    return `
+    <li>
+      <strong class="text-small">${esc(i.title)}</strong>
+      <span class="text-muted text-small">due ${fmt(i.deadline)}${i.is_required ? '' : ' &bull; optional'}${i.requires_attachment ? ' &bull; file needed' : ''}
+        &bull; ${done.length} of ${rows.length} done</span>
+      ${done.length ? `<div class="text-small">${done.map(({ s, x }) =>
+        `${esc(recipientLabel(s))}${x.attachment_name ? ` (<a href="${x.attachment_path}" target="_blank">${esc(x.attachment_name)}</a>)` : ''}`).join(', ')}</div>` : ''}
+      ${earlier.length ? `<div class="text-muted text-small">Earlier files: ${earlier.map(({ s, h }) =>
+        `<a href="${h.attachment_path}" target="_blank">${esc(h.attachment_name)}</a> (${esc(recipientLabel(s))}, ${fmt(h.created_at.slice(0, 10))})`).join(', ')}</div>` : ''}
+    </li>`;
+  }).join('');
+
+  return `
+    <hr class="rule" />
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Checklist</h3>
+    <ul class="revision-list">${items}</ul>`;
+}
+
+/**
+ * noticeEditFormHTML — the form for editing a notice's title, priority,
+ * deadline and body, pre-filled with its current values. Hidden until the
+ * modal's "Edit Notice" button reveals it; submit with submitNoticeEdit().
+ * @param {object} notice
+ * @returns {string}
+ */
+function noticeEditFormHTML(notice) {
+  const options = ['High', 'Normal', 'Low']
+    .map(p => `<option value="${p}"${p === notice.priority ? ' selected' : ''}>${p}</option>`).join('');
+  return `
+    <form class="notice-edit-form" hidden style="margin-top:1rem;">
+      <div class="form-group"><label>Title</label><input type="text" name="title" value="${esc(notice.title)}" required /></div>
+      <div class="form-group"><label>Priority</label><select name="priority">${options}</select></div>
+      <div class="form-group"><label>Deadline</label><input type="date" name="deadline" value="${esc(notice.deadline)}" required /></div>
+      <div class="form-group"><label>Body</label><textarea name="body" rows="6" required>${esc(notice.body)}</textarea></div>
+      <p class="text-muted text-small">Recipients who have already responded will be asked to look at the notice again.</p>
+      <button type="submit" class="btn btn-sm">Save Changes</button>
+      <span class="edit-status text-small"></span>
+    </form>`;
+}
+
+/**
+ * submitNoticeEdit — sends an edit form (PATCH /api/portal/notices/:id).
+ * Shows any error next to the Save button.
+ * @param {HTMLFormElement} form
+ * @param {number} id — notice ID
+ * @returns {Promise<boolean>} — true when the notice was saved
+ */
+async function submitNoticeEdit(form, id) {
+  const status = form.querySelector('.edit-status');
+  status.textContent = '';
+  try {
+    const res  = await fetchAuth(`${API}/portal/notices/${id}`, {
+      method:  'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(Object.fromEntries(new FormData(form)))
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      status.textContent = data.error || 'Could not save the notice.';
+      return false;
+    }
+    return true;
+  } catch {
+    status.textContent = 'Could not save the notice.';
+    return false;
+  }
+}
+
+/**
+ * commentsSectionHTML — the "Discussion" section of a notice detail modal:
+ * every comment the viewer may see, oldest first, each marked as for all
+ * recipients or private to one, and — when `form` is given — the form for
+ * a new comment. The sender picks all recipients or one recipient's thread;
+ * a recipient writes privately to the sender or to all recipients.
+ * Submit with submitComment().
+ * @param {object}   notice   — GET /api/portal/notices/:id response
+ * @param {object[]} comments — GET /api/portal/notices/:id/comments response
+ * @param {null|'sender'|'recipient'} form — who is writing, or null for read only
+ * @returns {string}
+ */
+function commentsSectionHTML(notice, comments, form = null) {
+  const list = comments.length ? comments.map(c => `
+    <li class="comment${c.is_mine ? ' mine' : ''}">
+      <span class="text-small"><strong>${esc(c.author_username)}</strong></span>
+      <span class="text-muted text-small">${fmt(c.created_at.slice(0, 10))} &middot;
+        ${c.visibility === 'all' ? 'to all recipients' : `private &mdash; ${esc(recipientLabel({
+          username: c.recipient_username, dept_name: c.recipient_dept_name, dept_code: c.recipient_dept_code }))}`}</span>
+      <div class="comment-body">${esc(c.body)}</div>
+      ${c.attachment_path ? `<a class="attachment-link text-small" href="${esc(c.attachment_path)}" target="_blank">&#128206; ${esc(c.attachment_name || 'Attachment')}</a>` : ''}
+    </li>`).join('') : '<li class="text-muted text-small">No comments yet.</li>';
+
+  const options = form === 'sender'
+    ? ['<option value="all">All recipients</option>',
+       ...(notice.statuses || []).map(s => `<option value="${s.status_id}">Private &mdash; ${esc(recipientLabel(s))}</option>`)].join('')
+    : '<option value="private">Private &mdash; sender only</option><option value="all">All recipients</option>';
+
+  return `
+    <hr class="rule" />
+    <h3 style="font-size:0.7rem; letter-spacing:0.15em; text-transform:uppercase; color:var(--muted); margin-bottom:0.8rem;">Discussion</h3>
+    <ul class="comment-list">${list}</ul>
+    ${form ? `
+    <form class="comment-form" style="margin-top:0.8rem;">
+      <div class="form-group"><textarea name="body" rows="3" maxlength="2000" placeholder="Ask a question or add a clarification" required></textarea></div>
+      <div style="display:flex; gap:0.6rem; flex-wrap:wrap; align-items:center;">
+        <select name="visibility">${options}</select>
+        <input type="file" name="attachment" />
+        <button type="submit" class="btn btn-sm">Post Comment</button>
+        <span class="comment-status text-small"></span>
+      </div>
+    </form>` : ''}`;
+}
+
+/**
+ * submitComment — posts a comment form (POST /api/portal/notices/:id/comments)
+ * as multipart form data. A sender's choice of one recipient is sent as a
+ * private comment with that recipient's status_id. Shows any error next to
+ * the Post button.
+ * @param {HTMLFormElement} form
+ * @param {number} id — notice ID
+ * @returns {Promise<boolean>} — true when the comment was posted
+ */
+async function submitComment(form, id) {
+  const status = form.querySelector('.comment-status');
+  status.textContent = '';
+  const data = new FormData(form);
+  if (/^\d+$/.test(data.get('visibility'))) {
+    data.set('status_id', data.get('visibility'));
+    data.set('visibility', 'private');
+  }
+  if (!data.get('attachment')?.name) data.delete('attachment');
+  try {
+    const res = await fetchAuth(`${API}/portal/notices/${id}/comments`, { method: 'POST', body: data });
+    if (!res.ok) {
+      status.textContent = (await res.json()).error || 'Could not post the comment.';
+      return false;
+    }
+    return true;
+  } catch (err) {
+    status.textContent = err.message || 'Could not post the comment.';
+    return false;
+  }
+}
+
+/**
+ * archiveQuery — the query string for GET /api/portal/notices/archive from
+ * an archive filter form (from, to, dept_id); empty fields are left out.
+ * @param {HTMLFormElement} form
+ * @returns {string}
+ */
+function archiveQuery(form) {
+  const params = new URLSearchParams();
+  for (const [key, value] of new FormData(form)) if (value) params.set(key, value);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * archiveRowsHTML — table rows for closed notices: closing date, title (a
+ * link carrying data-notice-id), issuer, completion and when the retention
+ * job will purge the notice.
+ * @param {object[]} notices — GET /api/portal/notices/archive response
+ * @returns {string}
+ */
+function archiveRowsHTML(notices) {
+  if (!notices.length) {
+    return '<tr><td colspan="5" class="text-muted text-small">No closed notices match these filters.</td></tr>';
+  }
+  return notices.map(n => `
+    <tr>
+      <td class="text-small">${fmt(n.closed_at.slice(0,10))}<br /><span class="text-muted">by ${esc(n.closed_by_username || '—')}</span></td>
+      <td>
+        <a href="#" class="notice-title" data-notice-id="${n.id}">${esc(n.title)}</a>
+        ${n.withdrawn_at ? ' <span class="status-badge Withdrawn">Withdrawn</span>' : ''}
+        ${n.attachment_name ? '<span class="text-muted text-small"> &#128206;</span>' : ''}
+      </td>
+      <td class="text-small">${esc(n.source_dept_name || n.created_by_username)}</td>
+      <td class="text-small">${n.completed_count}/${n.total_targets} completed</td>
+      <td class="text-small">${n.purge_on ? fmt(n.purge_on) : '<span class="text-muted">Kept</span>'}</td>
+    </tr>`).join('');
+}
+
+/**
+ * SETUP_PAGES — where to send a user when the API answers 403 with one of
+ * these codes: the account needs attention before the portal unlocks.
+ */
+const SETUP_PAGES = {
+  PASSWORD_CHANGE_REQUIRED: 'change-password.html',
+  MFA_ENROLLMENT_REQUIRED:  'two-factor.html'
+};
+
+/**
+ * endSession — logs out: revokes the session on the server (which also
+ * clears the session cookies), then clears local data. The server call is
+ * best-effort so logout always completes.
+ */
+async function endSession() {
+  // Leave any "view as user" session first, so it is the administrator's own
+  // session that gets logged out.
+  if (localStorage.getItem('portal_admin_user')) await exitImpersonation();
+  try {
+    await fetchAuth(`${API}/auth/logout`, { method: 'POST' });
+  } catch (_) {}
+  clearSession();
+}
+
 /**
  * fetchAuth — authenticated fetch wrapper.
- * Reads the JWT from localStorage and attaches it as a Bearer token.
+ * The browser sends the session cookies; this adds the CSRF header.
+ * On 401 the session is refreshed once and the request replayed — except
+ * while viewing as another user, when the 401 means that session is over.
  * Used on pages that need to call protected /api/portal/* endpoints.
  * @param {string} url
  * @param {RequestInit} options — standard fetch options (method, body, headers…)
  * @returns {Promise<Response>}
  */
-function fetchAuth(url, options = {}) {
-  const t = localStorage.getItem('portal_token');
-  return fetch(url, {
+async function fetchAuth(url, options = {}) {
+  const send = () => fetch(url, {
     ...options,
-    headers: { ...(options.headers || {}), 'Authorization': `Bearer ${t}` }
+    headers: { ...(options.headers || {}), 'X-CSRF-Token': csrfToken() }
   });
+  const res = await send();
+  if (res.status === 401 && !localStorage.getItem('portal_admin_user') && await refreshSession()) return send();
+  return res;
+}
+
+/**
+ * loadPasswordRules — fills every .password-rules element with a description
+ * of the server's password policy (GET /api/auth/password-policy).
+ * Used on the change-password page and the admin create/reset forms.
+ */
+async function loadPasswordRules() {
+  try {
+    const p = await fetchJSON(`${API}/auth/password-policy`);
+    const text = `At least ${p.minLength} characters, using ${p.minClasses} of: lower case, upper case, ` +
+      `digits, symbols. Must not be a common password, contain the username or department code, ` +
+      `or repeat one of the last ${p.history} passwords.`;
+    document.querySelectorAll('.password-rules').forEach(el => { el.textContent = text; });
+  } catch (_) {}
 }
 
 /**
@@ -543,13 +1071,13 @@ function fallbackOfficials() {
  * Handles both root-level pages (index.html) and pages/ subdirectory pages.
  */
 function updateNavPortalLink() {
-  const t = localStorage.getItem('portal_token');
   const u = JSON.parse(localStorage.getItem('portal_user') || 'null');
   const l = document.getElementById('nav-portal-login');
-  if (!t || !u || !l) return;
+  if (!u || !l) return;
   const prefix = currentPage() === 'home' ? 'pages/' : '';
-  l.textContent = u.role === 'admin' ? 'Admin Panel' : 'My Dashboard';
-  l.href        = u.role === 'admin' ? `${prefix}admin.html` : `${prefix}dashboard.html`;
+  const home    = homePage(u);
+  l.textContent = home === 'admin.html' ? 'Admin Panel' : 'My Dashboard';
+  l.href        = `${prefix}${home}`;
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,87 @@
+/* =====================================================
+   PASSWORD RESET — password-reset.js
+   Loaded on: pages/forgot-password.html, pages/reset-password.html
+   Responsibilities:
+     - Request a reset link by username or email
+     - Read the one-time token from the link (#token=…) and set a new password
+   ===================================================== */
+
+function showStatus(id, message, type) {
+  const status = document.getElementById(id);
+  status.className     = `form-status ${type}`;
+  status.textContent   = message;
+  status.style.display = 'block';
+}
+
+/**
+ * postJSON — POSTs to a public /api/auth endpoint and returns the parsed body.
+ * Rejects with the server's error message on any non-2xx response.
+ */
+async function postJSON(path, body) {
+  const res  = await fetch(`${API}/auth${path}`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `Server error (HTTP ${res.status})`);
+  return data;
+}
+
+// Footer year and the mobile nav toggle are set up by main.js.
+document.addEventListener('DOMContentLoaded', () => {
+  const forgotForm = document.getElementById('forgot-form');
+  const resetForm  = document.getElementById('reset-form');
+
+  if (forgotForm) {
+    forgotForm.addEventListener('submit', async function (e) {
+      e.preventDefault();
+      const btn   = this.querySelector('button[type=submit]');
+      const login = document.getElementById('forgot-login').value.trim();
+      if (!login) return;
+
+      btn.disabled = true;
+      try {
+        const data = await postJSON('/forgot-password', login.includes('@') ? { email: login } : { username: login });
+        showStatus('forgot-status', data.message, 'success');
+      } catch (err) {
+        showStatus('forgot-status', err.message, 'error');
+        btn.disabled = false;
+      }
+    });
+  }
+
+  if (resetForm) {
+    // The token is in the fragment so it is never sent to the server with the page request.
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    if (!token) {
+      showStatus('reset-status', 'This reset link is incomplete. Request a new one from the login page.', 'error');
+      resetForm.querySelector('button[type=submit]').disabled = true;
+      return;
+    }
+    loadPasswordRules();
+
+    resetForm.addEventListener('submit', async function (e) {
+      e.preventDefault();
+      const btn         = this.querySelector('button[type=submit]');
+      const newPassword = document.getElementById('reset-new').value;
+
+      if (newPassword !== document.getElementById('reset-confirm').value) {
+        showStatus('reset-status', 'The new passwords do not match.', 'error');
+        return;
+      }
+
+      btn.disabled = true;
+      try {
+        const data = await postJSON('/reset-password', { token, newPassword });
+        this.reset();
+        history.replaceState(null, '', window.location.pathname);
+        showStatus('reset-status', `${data.message} Redirecting…`, 'success');
+        setTimeout(() => { window.location.href = 'login.html'; }, 1500);
+      } catch (err) {
+        showStatus('reset-status', err.message, 'error');
+        btn.disabled = false;
+      }
+    });
+  }
+});
@@ -0,0 +1,145 @@
+/* =====================================================
+   TWO-FACTOR AUTHENTICATION — two-factor.js
+   Loaded on: pages/two-factor.html
+   Responsibilities:
+     - Auth guard (any logged-in user)
+     - Show 2FA status (enabled / required by the administrator)
+     - Enrollment: QR code + manual key, confirm with a code
+     - Show recovery codes once; regenerate them
+     - Disable 2FA (unless the user's role requires it)
+   ===================================================== */
+
+const user  = JSON.parse(localStorage.getItem('portal_user') || 'null');
+
+if (!user) {
+  window.location.href = 'login.html';
+}
+
+/**
+ * callApi — POST/GET a /api/auth/2fa endpoint and return the parsed body.
+ * Rejects with the server's error message on any non-2xx response.
+ */
+async function callApi(path, body) {
+  const options = body === undefined
+    ? {}
+    : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+  const res = await fetchAuth(`${API}/auth/2fa${path}`, options);
+
+  if (res.status === 401) {
+    clearSession();
+    window.location.href = 'login.html';
+    throw new Error('Session expired.');
+  }
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `Server error (HTTP ${res.status})`);
+  return data;
+}
+
+function showStatus(message, type) {
+  const status = document.getElementById('twofa-status');
+  status.className     = `form-status ${type}`;
+  status.textContent   = message;
+  status.style.display = 'block';
+}
+
+/** showSection — displays one of the page's panels and hides the rest. */
+function showSection(id) {
+  ['twofa-start', 'twofa-enable-form', 'twofa-codes', 'twofa-manage'].forEach(s => {
+    document.getElementById(s).style.display = s === id ? 'block' : 'none';
+  });
+}
+
+/**
+ * loadStatus — fetches the current state and shows the matching panel.
+ */
+async function loadStatus() {
+  const summary = document.getElementById('twofa-summary');
+  try {
+    const s = await callApi('/status');
+    if (s.enabled) {
+      summary.textContent = `Enabled. ${s.recovery_codes_remaining} unused recovery code(s) left.`;
+      document.getElementById('twofa-disable-form').style.display = s.required ? 'none' : 'block';
+      showSection('twofa-manage');
+    } else {
+      summary.textContent = s.required
+        ? 'The District Administration requires two-factor authentication for your account. Set it up to continue.'
+        : 'Not enabled.';
+      showSection('twofa-start');
+    }
+  } catch (e) {
+    summary.textContent = e.message;
+  }
+}
+
+/** showRecoveryCodes — displays freshly issued recovery codes. */
+function showRecoveryCodes(codes) {
+  document.getElementById('twofa-codes-list').textContent = codes.join('\n');
+  showSection('twofa-codes');
+}
+
+// Footer year and the mobile nav toggle are set up by main.js.
+document.addEventListener('DOMContentLoaded', () => {
+  if (user) document.getElementById('nav-dashboard').href = homePage(user);
+
+  document.getElementById('nav-logout').addEventListener('click', e => {
+    e.preventDefault();
+    endSession().then(() => { window.location.href = 'login.html'; });
+  });
+
+  document.getElementById('twofa-setup-btn').addEventListener('click', async () => {
+    try {
+      const data = await callApi('/setup', {});
+      document.getElementById('twofa-qr').src             = data.qr;
+      document.getElementById('twofa-secret').textContent = data.secret;
+      showSection('twofa-enable-form');
+      document.getElementById('enable-code').focus();
+    } catch (e) {
+      showStatus(e.message, 'error');
+    }
+  });
+
+  document.getElementById('twofa-enable-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const data = await callApi('/enable', { code: document.getElementById('enable-code').value.trim() });
+      showStatus(data.message, 'success');
+      showRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      showStatus(err.message, 'error');
+    }
+  });
+
+  document.getElementById('twofa-codes-done').addEventListener('click', () => {
+    document.getElementById('twofa-status').style.display = 'none';
+    loadStatus();
+  });
+
+  document.getElementById('twofa-regen-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      const data = await callApi('/recovery-codes', { code: document.getElementById('regen-code').value.trim() });
+      document.getElementById('regen-code').value = '';
+      showRecoveryCodes(data.recoveryCodes);
+    } catch (err) {
+      showStatus(err.message, 'error');
+    }
+  });
+
+  document.getElementById('twofa-disable-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    if (!confirm('Disable two-factor authentication? Your account will be protected by your password only.')) return;
+    try {
+      const data = await callApi('/disable', {
+        password: document.getElementById('disable-password').value,
+        code:     document.getElementById('disable-code').value.trim()
+      });
+      e.target.reset();
+      showStatus(data.message, 'success');
+      loadStatus();
+    } catch (err) {
+      showStatus(err.message, 'error');
+    }
+  });
+
+  loadStatus();
+});